@@ -0,0 +1,145 @@
+import { verifyApiKey } from "./apiKeys.js";
+import { logger } from "./logger.js";
+import { consumeRateLimit } from "./rateLimit.js";
+import { errorResponse } from "./response.js";
+
+const DEFAULT_WINDOW_SECONDS = 60;
+const DEFAULT_LIMIT_PER_IP = 300;
+const DEFAULT_LIMIT_PER_KEY = 1200;
+const SPRITE_FILE_PATTERN = /^\/v1\/sprites\/[^/]+\/[^/]+$/;
+const HLS_SESSION_FILE_PATTERN = /^\/v1\/hls-sessions\/[^/]+\/[^/]+$/;
+
+/**
+ * API-key scope a route requires.
+ *
+ * @param {string} pathname Request path.
+ * @returns {string|null} Scope, or null for routes without API-key auth:
+ *   health checks, the OpenAPI document, signed `/proxy` links, TMDB images
+ *   (public on TMDB's CDN too), sprite sheet files (loaded by players like
+ *   images), HLS session playlists and segments (the random session id is the
+ *   credential) and `/admin/*` (own token).
+ */
+export function routeScope(pathname) {
+  if (
+    pathname === "/v1/health" ||
+    pathname === "/v1/openapi.json" ||
+    pathname === "/proxy" ||
+    pathname.startsWith("/v1/image/") ||
+    SPRITE_FILE_PATTERN.test(pathname) ||
+    HLS_SESSION_FILE_PATTERN.test(pathname) ||
+    pathname.startsWith("/admin/")
+  ) {
+    return null;
+  }
+  if (pathname.startsWith("/3/")) return "tmdb-proxy";
+  if (
+    pathname === "/v1/stream-url" ||
+    pathname === "/v1/metadata" ||
+    pathname === "/v1/playback-plan" ||
+    pathname === "/v1/thumbnail" ||
+    pathname.startsWith("/v1/sprites") ||
+    pathname.startsWith("/v1/hls-sessions") ||
+    pathname.startsWith("/v1/subtitles")
+  ) {
+    return "stream";
+  }
+  if (pathname === "/v1/playlists/import" || pathname === "/v1/epg/import") return "import";
+  if (pathname.startsWith("/v1/") || pathname.startsWith("/movies/id/")) return "metadata";
+  return null;
+}
+
+/**
+ * Whether a path skips rate limiting. Players fetch these in bulk: every HLS
+ * segment and sprite sheet of a session, a grid of posters, the segments behind
+ * signed `/proxy` links. Viewers behind one NAT or reverse proxy share an IP,
+ * so a per-IP window would throttle them all together.
+ *
+ * @param {string} pathname Request path.
+ * @returns {boolean} True for `/v1/health`, `/proxy`, `/v1/image/*`, sprite
+ *   sheet files and HLS session playlists and segments.
+ */
+export function isRateLimitExempt(pathname) {
+  return (
+    pathname === "/v1/health" ||
+    pathname === "/proxy" ||
+    pathname.startsWith("/v1/image/") ||
+    SPRITE_FILE_PATTERN.test(pathname) ||
+    HLS_SESSION_FILE_PATTERN.test(pathname)
+  );
+}
+
+function rateLimited(retryAfterSeconds) {
+  const response = errorResponse(429, "rate limit exceeded");
+  response.headers.set("retry-after", String(retryAfterSeconds));
+  return response;
+}
+
+/**
+ * Enforces per-IP rate limits, API keys and per-key rate limits for one request.
+ *
+ * Every route with a scope (see `routeScope`) needs a key unless
+ * `API_KEYS_REQUIRED` is false. The key is read from the `x-api-key` header,
+ * else from the `api_key` query parameter (for TMDB clients and players that
+ * cannot set headers); the logger redacts the parameter and cache keys ignore
+ * it. Paths exempt from rate limiting (see `isRateLimitExempt`) skip the
+ * per-IP window; `req.ip` is only the viewer's address when `TRUST_PROXY`
+ * describes the reverse proxy in front of the server.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings (`API_KEYS_REQUIRED`,
+ *   `RATE_LIMIT_PER_IP`, `RATE_LIMIT_PER_KEY`, `RATE_LIMIT_WINDOW_SECONDS`).
+ * @param {{ clientIp: string }} client Caller address used for the per-IP window.
+ * @returns {Promise<Response|null>} 401/403/429/503 response to send instead of
+ *   dispatching, or null when the request may proceed.
+ */
+export async function authorizeRequest(request, env, { clientIp }) {
+  const url = new URL(request.url);
+  const { pathname } = url;
+  if (isRateLimitExempt(pathname)) {
+    return null;
+  }
+  const windowSeconds = env.RATE_LIMIT_WINDOW_SECONDS || DEFAULT_WINDOW_SECONDS;
+
+  const ipLimit = await consumeRateLimit(env, `ip/${clientIp}`, {
+    limit: env.RATE_LIMIT_PER_IP ?? DEFAULT_LIMIT_PER_IP,
+    windowSeconds,
+  });
+  if (!ipLimit.allowed) {
+    logger.warn("rate limited (ip)", { ip: clientIp, path: pathname });
+    return rateLimited(ipLimit.retryAfterSeconds);
+  }
+
+  const scope = routeScope(pathname);
+  if (!scope || env.API_KEYS_REQUIRED === false) {
+    return null;
+  }
+
+  const apiKey = (request.headers.get("x-api-key") || url.searchParams.get("api_key") || "").trim();
+  if (!apiKey) {
+    return errorResponse(401, "api key required");
+  }
+  let record;
+  try {
+    record = await verifyApiKey(env, apiKey);
+  } catch (e) {
+    logger.warn("api key lookup failed", { path: pathname, err: e?.message ?? e });
+    return errorResponse(503, "api key check unavailable");
+  }
+  if (!record) {
+    logger.info("api key rejected", { ip: clientIp, path: pathname });
+    return errorResponse(401, "invalid api key");
+  }
+  if (!record.scopes.includes(scope)) {
+    return errorResponse(403, `api key lacks scope: ${scope}`);
+  }
+
+  const keyLimit = await consumeRateLimit(env, `key/${record.id}`, {
+    limit: record.rate_limit ?? env.RATE_LIMIT_PER_KEY ?? DEFAULT_LIMIT_PER_KEY,
+    windowSeconds,
+  });
+  if (!keyLimit.allowed) {
+    logger.warn("rate limited (api key)", { keyId: record.id, path: pathname });
+    return rateLimited(keyLimit.retryAfterSeconds);
+  }
+  return null;
+}
@@ -0,0 +1,144 @@
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+import { getRedisClient } from "./cache.js";
+import { decodeHash, encodeHash } from "./redisHash.js";
+
+// API keys. Only a SHA-256 digest of each key is stored; the key id is the
+// first 16 hex characters of that digest.
+//   /_apikeys/{id}   hash  name, scopes, rate_limit, created_at, key_hash
+//   /_apikeys/index  set   ids of all keys (admin listing)
+
+export const API_KEY_SCOPES = ["metadata", "stream", "tmdb-proxy", "import"];
+
+const INDEX_KEY = "/_apikeys/index";
+const KEY_PREFIX = "lvp_";
+// Verified keys are remembered briefly so hot keys skip Redis and keep
+// working during short Redis outages.
+const LOOKUP_CACHE_MS = 60 * 1000;
+
+const lookupCache = new Map();
+
+function hashKey(apiKey) {
+  return createHash("sha256").update(apiKey).digest("hex");
+}
+
+function recordKey(id) {
+  return `/_apikeys/${id}`;
+}
+
+function toPublicRecord(record) {
+  const { key_hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Creates an API key. The plain key is returned only here.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {{ name: string, scopes: string[], rateLimit?: number|null }} options Key
+ *   name, granted scopes (subset of `API_KEY_SCOPES`) and an optional
+ *   per-window request limit overriding `RATE_LIMIT_PER_KEY`.
+ * @returns {Promise<{ key: string, id: string, name: string, scopes: string[],
+ *   rate_limit: number|null, created_at: number }>} New key and its record.
+ * @throws {Error} On unknown scopes or Redis errors.
+ */
+export async function createApiKey(env, { name, scopes, rateLimit = null }) {
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`unknown scopes: ${unknown.join(", ")}`);
+  }
+  const key = `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const keyHash = hashKey(key);
+  const id = keyHash.slice(0, 16);
+  const record = {
+    id,
+    name,
+    scopes: Array.from(new Set(scopes)),
+    rate_limit: rateLimit,
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  const client = getRedisClient(env);
+  const results = await client
+    .multi()
+    .hset(recordKey(id), encodeHash({ ...record, key_hash: keyHash }))
+    .sadd(INDEX_KEY, id)
+    .exec();
+  for (const [err] of results || []) {
+    if (err) throw err;
+  }
+  return { key, ...record };
+}
+
+/**
+ * Resolves a presented API key to its record.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} apiKey Key from the `x-api-key` header or `api_key` query.
+ * @returns {Promise<{ id: string, name: string, scopes: string[],
+ *   rate_limit: number|null, created_at: number }|null>} Record, or null for unknown keys.
+ * @throws {Error} On Redis errors when the key is not in the lookup cache.
+ */
+export async function verifyApiKey(env, apiKey) {
+  const keyHash = hashKey(apiKey);
+  const cached = lookupCache.get(keyHash);
+  if (cached && Date.now() - cached.at < LOOKUP_CACHE_MS) {
+    return cached.record;
+  }
+
+  const client = getRedisClient(env);
+  const stored = decodeHash(await client.hgetall(recordKey(keyHash.slice(0, 16))));
+  let record = null;
+  if (
+    stored &&
+    typeof stored.key_hash === "string" &&
+    timingSafeEqual(Buffer.from(stored.key_hash), Buffer.from(keyHash))
+  ) {
+    record = toPublicRecord(stored);
+  }
+  if (record) {
+    lookupCache.set(keyHash, { record, at: Date.now() });
+  } else {
+    lookupCache.delete(keyHash);
+  }
+  return record;
+}
+
+/**
+ * Lists all API keys (without key material).
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Array<{ id: string, name: string, scopes: string[],
+ *   rate_limit: number|null, created_at: number }>>} Keys sorted by creation time.
+ */
+export async function listApiKeys(env) {
+  const client = getRedisClient(env);
+  const ids = await client.smembers(INDEX_KEY);
+  if (ids.length === 0) return [];
+  const pipeline = client.pipeline();
+  ids.forEach((id) => pipeline.hgetall(recordKey(id)));
+  const results = await pipeline.exec();
+  return results
+    .map(([err, raw]) => (err ? null : decodeHash(raw)))
+    .filter(Boolean)
+    .map(toPublicRecord)
+    .sort((a, b) => a.created_at - b.created_at);
+}
+
+/**
+ * Revokes an API key. Other replicas stop accepting it once their lookup
+ * cache entry expires (at most a minute).
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} id Key id.
+ * @returns {Promise<boolean>} Whether a key was removed.
+ */
+export async function revokeApiKey(env, id) {
+  const client = getRedisClient(env);
+  const results = await client.multi().unlink(recordKey(id)).srem(INDEX_KEY, id).exec();
+  for (const [err] of results || []) {
+    if (err) throw err;
+  }
+  for (const [keyHash, { record }] of lookupCache) {
+    if (record.id === id) lookupCache.delete(keyHash);
+  }
+  return results[0][1] > 0;
+}
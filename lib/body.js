@@ -0,0 +1,81 @@
+import { createGunzip } from "zlib";
+
+// Bounded reads of request and upstream bodies. Imported files (playlists,
+// guides) come from clients or third-party URLs, so nothing is read or
+// inflated whole without a byte cap.
+
+/**
+ * A body (or its decompressed form) exceeded the allowed size.
+ */
+export class BodyTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BodyTooLargeError";
+    this.status = 413;
+  }
+}
+
+/**
+ * Reads the body of a request or response into a Buffer, counting bytes as
+ * they arrive. A declared `content-length` over the cap fails before anything
+ * is read.
+ *
+ * @param {Request|Response} message Request or response whose body to read.
+ * @param {number} maxBytes Largest accepted body.
+ * @param {string} [what] Name used in the error message, e.g. `"guide"`.
+ * @returns {Promise<Buffer>} The body (empty without one).
+ * @throws {BodyTooLargeError} Past `maxBytes`; the body stream is cancelled.
+ */
+export async function readBodyLimited(message, maxBytes, what = "body") {
+  if (!message.body) return Buffer.alloc(0);
+  if (Number(message.headers.get("content-length")) > maxBytes) {
+    await message.body.cancel().catch(() => {});
+    throw new BodyTooLargeError(`${what} too large`);
+  }
+  const reader = message.body.getReader();
+  const chunks = [];
+  let size = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      size += value.byteLength;
+      if (size > maxBytes) throw new BodyTooLargeError(`${what} too large`);
+      chunks.push(value);
+    }
+  } catch (e) {
+    await reader.cancel().catch(() => {});
+    throw e;
+  }
+  return Buffer.concat(chunks, size);
+}
+
+/**
+ * Gunzips through a streaming inflater that stops once the output exceeds
+ * the cap, so a small gzip bomb cannot expand into memory.
+ *
+ * @param {Uint8Array} bytes Gzip data.
+ * @param {number} maxBytes Largest accepted decompressed size.
+ * @param {string} [what] Name used in the error message.
+ * @returns {Promise<Buffer>} Decompressed bytes.
+ * @throws {BodyTooLargeError} When the output exceeds `maxBytes`.
+ * @throws {Error} zlib errors for data that is not valid gzip.
+ */
+export function gunzipLimited(bytes, maxBytes, what = "body") {
+  return new Promise((resolve, reject) => {
+    const gunzip = createGunzip();
+    const chunks = [];
+    let size = 0;
+    gunzip.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        gunzip.destroy(new BodyTooLargeError(`${what} too large`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    gunzip.on("error", reject);
+    gunzip.on("end", () => resolve(Buffer.concat(chunks, size)));
+    gunzip.end(bytes);
+  });
+}
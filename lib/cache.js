@@ -1,42 +1,496 @@
 import IORedis from "ioredis";
+import { logger } from "./logger.js";
+import { LruCache } from "./lru.js";
+import { cacheLookupsTotal, redisCircuitOpen, redisErrorsTotal } from "./metrics.js";
 
 let _client = null;
+let _cacheClient = null;
+let _failFastClient = null;
+let _memory = null;
+// Dirty entries pushed out of `_memory` before Redis took them; replayed by
+// the resync like the dirty entries still in `_memory`.
+let _pending = null;
 
+// Keys currently being refreshed in the background by this process.
+const revalidating = new Set();
+
+// Hash of `{route}|hits`, `{route}|stale` and `{route}|misses` counters.
+export const CACHE_STATS_KEY = "/_stats/cache";
+
+const DEFAULT_MEMORY_MAX_ENTRIES = 10000;
+const DEFAULT_MEMORY_MAX_MB = 64;
+const DEFAULT_MEMORY_TTL_SECONDS = 30;
+const DEFAULT_BREAKER_FAILURES = 5;
+const DEFAULT_BREAKER_COOLDOWN_MS = 5000;
+
+const settings = {
+  memoryTtlMs: DEFAULT_MEMORY_TTL_SECONDS * 1000,
+  breakerFailures: DEFAULT_BREAKER_FAILURES,
+  breakerCooldownMs: DEFAULT_BREAKER_COOLDOWN_MS,
+};
+
+// Circuit breaker around Redis. "closed": commands go to Redis. "open": after
+// `breakerFailures` consecutive failures Redis is skipped; lookups are served
+// from the memory tier and misses fall through to TMDB. After the cooldown a
+// single probe is let through ("half-open"); success closes the breaker and
+// pushes the writes made during the outage back to Redis.
+const breaker = { state: "closed", failures: 0, openedAt: 0, probing: false };
+let resyncing = null;
+
+function numberSetting(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function redisUrl(env) {
+  return env.REDIS_URL || process.env.REDIS_URL || "redis://127.0.0.1:6379";
+}
+
+/**
+ * Shared Redis client for repositories, channels, EPG, progress, API keys and
+ * rate limits. Commands issued during a reconnect are queued and sent once the
+ * connection is back, as these callers have no fallback of their own.
+ *
+ * @param {Record<string, any>} env Environment bindings (`REDIS_URL`).
+ * @returns {import("ioredis").Redis} Client.
+ */
 export function getRedisClient(env) {
   if (_client) return _client;
-  const url = env.REDIS_URL || process.env.REDIS_URL || "redis://127.0.0.1:6379";
-  _client = new IORedis(url);
+  _client = new IORedis(redisUrl(env));
   return _client;
 }
 
+/**
+ * Redis client for checks that would rather be skipped than wait for Redis
+ * (rate limits): commands fail at once while disconnected instead of queueing
+ * and time out after `timeoutMs`. Callers must handle the rejection.
+ *
+ * @param {Record<string, any>} env Environment bindings (`REDIS_URL`).
+ * @param {{ timeoutMs?: number }} [options] Per-command timeout of the
+ *   connection, fixed by the first call.
+ * @returns {import("ioredis").Redis} Client.
+ */
+export function getFailFastRedisClient(env, { timeoutMs = 250 } = {}) {
+  if (_failFastClient) return _failFastClient;
+  _failFastClient = new IORedis(redisUrl(env), {
+    maxRetriesPerRequest: 0,
+    enableOfflineQueue: false,
+    commandTimeout: timeoutMs,
+  });
+  // Failures surface on the commands; the breaker tracks the outage.
+  _failFastClient.on("error", (err) => logger.debug("fail-fast redis connection error", { err: err?.message }));
+  return _failFastClient;
+}
+
+// Separate connection for the cache tier only: it fails fast while
+// disconnected instead of queueing commands, since the breaker and the memory
+// tier cover the outage.
+function getCacheClient(env) {
+  if (_cacheClient) return _cacheClient;
+  settings.breakerFailures = Math.max(1, numberSetting(env.REDIS_BREAKER_FAILURES, DEFAULT_BREAKER_FAILURES));
+  settings.breakerCooldownMs = numberSetting(env.REDIS_BREAKER_COOLDOWN_MS, DEFAULT_BREAKER_COOLDOWN_MS);
+  _cacheClient = new IORedis(redisUrl(env), { maxRetriesPerRequest: 1, enableOfflineQueue: false });
+  _cacheClient.on("error", (err) => recordRedisFailure(err, "connection"));
+  _cacheClient.on("ready", () => recordRedisSuccess());
+  return _cacheClient;
+}
+
+/**
+ * Whether Redis is currently considered reachable (circuit breaker closed).
+ * Callers with their own Redis fallback can skip Redis while this is false.
+ *
+ * @returns {boolean} False while the breaker is open or probing.
+ */
+export function isRedisAvailable() {
+  return breaker.state === "closed";
+}
+
+// Whether a command may be sent now; while half-open only one probe is in flight.
+function acquireRedis() {
+  if (breaker.state === "closed") return true;
+  if (breaker.state === "open" && Date.now() - breaker.openedAt >= settings.breakerCooldownMs) {
+    breaker.state = "half-open";
+  }
+  if (breaker.state === "half-open" && !breaker.probing) {
+    breaker.probing = true;
+    return true;
+  }
+  return false;
+}
+
+function recordRedisFailure(err, source = "command") {
+  redisErrorsTotal.inc({ source });
+  breaker.failures += 1;
+  breaker.probing = false;
+  if (breaker.state === "half-open" || (breaker.state === "closed" && breaker.failures >= settings.breakerFailures)) {
+    if (breaker.state === "closed") {
+      logger.warn("redis circuit opened, serving from memory", {
+        failures: breaker.failures,
+        err: err?.message ?? err,
+      });
+    }
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+    redisCircuitOpen.set({}, 1);
+  }
+}
+
+function recordRedisSuccess() {
+  breaker.failures = 0;
+  breaker.probing = false;
+  if (breaker.state !== "closed") {
+    breaker.state = "closed";
+    redisCircuitOpen.set({}, 0);
+    logger.info("redis circuit closed");
+    resyncMemoryToRedis();
+  }
+}
+
+function getMemoryCache(env) {
+  if (_memory) return _memory;
+  settings.memoryTtlMs = numberSetting(env.CACHE_MEMORY_TTL_SECONDS, DEFAULT_MEMORY_TTL_SECONDS) * 1000;
+  const limits = {
+    maxEntries: numberSetting(env.CACHE_MEMORY_MAX_ENTRIES, DEFAULT_MEMORY_MAX_ENTRIES),
+    maxBytes: numberSetting(env.CACHE_MEMORY_MAX_MB, DEFAULT_MEMORY_MAX_MB) * 1024 * 1024,
+  };
+  // Holds up to as much again as the memory tier; past that, the oldest
+  // unsynced writes are dropped (and refetched from TMDB when next needed).
+  _pending = new LruCache({
+    ...limits,
+    onEvict: (key) => logger.warn("unsynced cache write dropped", { key }),
+  });
+  _memory = new LruCache({
+    ...limits,
+    onEvict: (key, entry) => {
+      if (!entry.dirty) return;
+      _pending.set(key, entry, (key.length + entry.raw.length) * 2);
+      if (isRedisAvailable()) resyncMemoryToRedis();
+    },
+  });
+  return _memory;
+}
+
+// Memory entries hold the raw Redis string. `dirty` entries were written while
+// Redis was unreachable and are pushed back on recovery.
+function rememberRaw(env, key, raw, { hardExpiresAt = null, storedAt = null, dirty = false } = {}) {
+  const memory = getMemoryCache(env);
+  // Superseded by this write.
+  _pending.delete(key);
+  memory.set(key, { raw, cachedAt: Date.now(), hardExpiresAt, storedAt, dirty }, (key.length + raw.length) * 2);
+}
+
+// Entries older than the memory TTL are only used while Redis is unavailable
+// (replicas see each other's writes through Redis); dirty entries always are.
+function readMemory(env, key, { allowOld }) {
+  const memory = getMemoryCache(env);
+  const entry = memory.get(key);
+  if (!entry) return null;
+  const now = Date.now();
+  if (entry.hardExpiresAt !== null && now >= entry.hardExpiresAt * 1000) {
+    memory.delete(key);
+    return null;
+  }
+  if (!allowOld && !entry.dirty && now - entry.cachedAt >= settings.memoryTtlMs) return null;
+  return entry.raw;
+}
+
+function hardExpiryOf(raw) {
+  try {
+    const parsed = JSON.parse(raw);
+    return isEnvelope(parsed) ? parsed._meta?.hardExpiresAt ?? null : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Drops keys from this process's memory tier, e.g. after an admin purge.
+ * Other replicas pick the change up once their memory entries age out.
+ *
+ * @param {Iterable<string>} keys Cache keys.
+ * @returns {void}
+ */
+export function forgetCachedKeys(keys) {
+  if (!_memory) return;
+  for (const key of keys) {
+    _memory.delete(key);
+    _pending.delete(key);
+  }
+}
+
+// Writes a dirty entry unless Redis already holds one stored at the same time
+// or later (another replica may have refreshed it during the outage). The
+// envelope is serialized with `_meta.storedAt` first, so a pattern match is enough.
+const RESYNC_SCRIPT = `
+local current = redis.call("GET", KEYS[1])
+if current then
+  local storedAt = tonumber(string.match(current, '"storedAt":(%d+)'))
+  if storedAt and storedAt >= tonumber(ARGV[2]) then
+    return 0
+  end
+end
+if tonumber(ARGV[3]) > 0 then
+  redis.call("SET", KEYS[1], ARGV[1], "EX", ARGV[3])
+else
+  redis.call("SET", KEYS[1], ARGV[1])
+end
+return 1
+`;
+
+function resyncMemoryToRedis() {
+  if (resyncing || !_memory || !_cacheClient) return;
+  resyncing = (async () => {
+    let pushed = 0;
+    let skipped = 0;
+    const dirty = [
+      ...Array.from(_pending.keys(), (key) => [_pending, key]),
+      ...Array.from(_memory.keys(), (key) => [_memory, key]),
+    ];
+    for (const [tier, key] of dirty) {
+      const entry = tier.peek(key);
+      if (!entry?.dirty) continue;
+      const now = Math.floor(Date.now() / 1000);
+      if (entry.hardExpiresAt !== null && entry.hardExpiresAt <= now) {
+        tier.delete(key);
+        continue;
+      }
+      const ttl = entry.hardExpiresAt === null ? 0 : entry.hardExpiresAt - now;
+      try {
+        const written = await _cacheClient.eval(RESYNC_SCRIPT, 1, key, entry.raw, entry.storedAt ?? 0, ttl);
+        entry.dirty = false;
+        if (tier === _pending) _pending.delete(key);
+        if (written === 1) pushed += 1;
+        else skipped += 1;
+      } catch (e) {
+        recordRedisFailure(e);
+        logger.warn("redis resync interrupted", { pushed, err: e?.message ?? e });
+        return;
+      }
+    }
+    if (pushed > 0 || skipped > 0) {
+      logger.info("redis resynced from memory", { pushed, skipped });
+    }
+  })().finally(() => {
+    resyncing = null;
+  });
+}
+
 export function buildCacheKeyFromUrl(url) {
   // Accept string or URL
   const u = typeof url === "string" ? new URL(url, "http://localhost") : url;
   const params = new URLSearchParams();
-  const entries = Array.from(u.searchParams.entries()).filter(([k]) => k.toLowerCase() !== "api_key");
+  // `api_key` and `imageUrls` do not change the payload (image URLs are
+  // rewritten after the cache, see server.js).
+  const entries = Array.from(u.searchParams.entries()).filter(
+    ([k]) => k.toLowerCase() !== "api_key" && k !== "imageUrls"
+  );
   entries.sort(([a], [b]) => a.localeCompare(b));
   entries.forEach(([k, v]) => params.append(k, v));
   const query = params.toString();
   return query ? `${u.pathname}?${query}` : u.pathname;
 }
 
-export async function cacheGet(env, key) {
-  const client = getRedisClient(env);
-  const raw = await client.get(key);
-  if (!raw) return null;
+// Groups keys by route for the hit/miss counters: query dropped, numeric path
+// segments collapsed (`/v1/series/1399/season/2?language=tr` -> `/v1/series/{id}/season/{id}`).
+function statsRouteForKey(key) {
+  return key
+    .split("?")[0]
+    .split("/")
+    .map((segment) => (/^\d+$/.test(segment) ? "{id}" : segment))
+    .join("/");
+}
+
+// Best-effort; counting must never fail or slow down a lookup.
+function recordLookup(client, key, outcome) {
+  if (key.startsWith("/_") || !isRedisAvailable()) return;
+  const route = statsRouteForKey(key);
   try {
-    return JSON.parse(raw);
+    const pipeline = client.pipeline();
+    if (outcome === "miss") {
+      pipeline.hincrby(CACHE_STATS_KEY, `${route}|misses`, 1);
+    } else {
+      pipeline.hincrby(CACHE_STATS_KEY, `${route}|hits`, 1);
+      if (outcome === "stale") pipeline.hincrby(CACHE_STATS_KEY, `${route}|stale`, 1);
+    }
+    pipeline.exec().catch(() => {});
   } catch (e) {
-    return null;
+    // ignore
   }
 }
 
-export async function cacheSet(env, key, valueObj, ttlSeconds) {
-  const client = getRedisClient(env);
-  const raw = JSON.stringify(valueObj);
-  if (Number.isFinite(ttlSeconds) && ttlSeconds > 0) {
-    await client.set(key, raw, "EX", Math.floor(ttlSeconds));
+// Values are stored as `{ _meta: { storedAt, softExpiresAt, hardExpiresAt }, value }`
+// (epoch seconds). Entries written before the envelope existed are plain JSON.
+function isEnvelope(parsed) {
+  return (
+    parsed !== null &&
+    typeof parsed === "object" &&
+    !Array.isArray(parsed) &&
+    parsed._meta !== undefined &&
+    Object.prototype.hasOwnProperty.call(parsed, "value")
+  );
+}
+
+/**
+ * Reads a cached value together with its freshness metadata, from the
+ * in-process memory tier when it holds a recent copy, otherwise from Redis.
+ * While Redis is unreachable any unexpired memory copy is served and a miss
+ * returns null so the caller falls through to TMDB.
+ *
+ * An entry is `stale` once its soft TTL has passed; it is still served until
+ * Redis expires it at the hard TTL. Legacy entries without metadata count as
+ * stale so they are rewritten on the next refresh.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} key Cache key.
+ * @param {{ trackStats?: boolean }} [options] Set `trackStats: false` to skip the hit/miss counters.
+ * @returns {Promise<{ value: any, stale: boolean, storedAt: number|null, softExpiresAt: number|null,
+ *   hardExpiresAt: number|null }|null>} Entry, or null on miss or unparsable data.
+ */
+export async function cacheGetEntry(env, key, { trackStats = true } = {}) {
+  const client = getCacheClient(env);
+  let raw = readMemory(env, key, { allowOld: false });
+  // Tier that answered: memory, or Redis once the lookup fell through to it.
+  let tier = "memory";
+  if (raw === null) {
+    let fromRedis = false;
+    if (acquireRedis()) {
+      try {
+        raw = await client.get(key);
+        recordRedisSuccess();
+        fromRedis = true;
+      } catch (e) {
+        recordRedisFailure(e);
+        logger.debug("redis get failed, trying memory", { key, err: e?.message ?? e });
+      }
+    }
+    if (!fromRedis) {
+      raw = readMemory(env, key, { allowOld: true });
+    } else {
+      tier = "redis";
+      if (trackStats) cacheLookupsTotal.inc({ tier: "memory", result: "miss" });
+      if (raw !== null) {
+        rememberRaw(env, key, raw, { hardExpiresAt: hardExpiryOf(raw) });
+      } else {
+        getMemoryCache(env).delete(key);
+      }
+    }
+  }
+  let parsed = null;
+  try {
+    parsed = raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    parsed = null;
+  }
+  if (parsed === null) {
+    if (trackStats) {
+      recordLookup(client, key, "miss");
+      cacheLookupsTotal.inc({ tier, result: "miss" });
+    }
+    return null;
+  }
+  let entry;
+  if (!isEnvelope(parsed)) {
+    entry = { value: parsed, stale: true, storedAt: null, softExpiresAt: null, hardExpiresAt: null };
   } else {
-    await client.set(key, raw);
+    const { storedAt = null, softExpiresAt = null, hardExpiresAt = null } = parsed._meta || {};
+    const now = Math.floor(Date.now() / 1000);
+    entry = {
+      value: parsed.value,
+      stale: softExpiresAt !== null && now >= softExpiresAt,
+      storedAt,
+      softExpiresAt,
+      hardExpiresAt,
+    };
+  }
+  if (trackStats) {
+    recordLookup(client, key, entry.stale ? "stale" : "hit");
+    cacheLookupsTotal.inc({ tier, result: entry.stale ? "stale" : "hit" });
+  }
+  return entry;
+}
+
+export async function cacheGet(env, key) {
+  const entry = await cacheGetEntry(env, key);
+  return entry ? entry.value : null;
+}
+
+/**
+ * Stores a JSON value in the memory tier and Redis. `ttlSeconds` is the hard
+ * TTL (Redis expiry); `softTtlSeconds` marks when the entry should be
+ * refreshed in the background. Without a soft TTL the entry stays fresh until
+ * it expires. Never throws on Redis errors: the value stays in memory and is
+ * written to Redis once it is reachable again.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} key Cache key.
+ * @param {any} valueObj JSON-serializable value.
+ * @param {number} [ttlSeconds] Hard TTL; no expiry when missing or not positive.
+ * @param {{ softTtlSeconds?: number }} [options] Soft TTL, capped at the hard TTL.
+ * @returns {Promise<void>}
+ */
+export async function cacheSet(env, key, valueObj, ttlSeconds, { softTtlSeconds } = {}) {
+  const client = getCacheClient(env);
+  const now = Math.floor(Date.now() / 1000);
+  const hasHardTtl = Number.isFinite(ttlSeconds) && ttlSeconds > 0;
+  let softExpiresAt = null;
+  if (Number.isFinite(softTtlSeconds) && softTtlSeconds > 0) {
+    softExpiresAt = now + Math.floor(hasHardTtl ? Math.min(softTtlSeconds, ttlSeconds) : softTtlSeconds);
+  }
+  const hardExpiresAt = hasHardTtl ? now + Math.floor(ttlSeconds) : null;
+  const raw = JSON.stringify({
+    _meta: {
+      storedAt: now,
+      softExpiresAt,
+      hardExpiresAt,
+    },
+    value: valueObj,
+  });
+  // Dirty until Redis has it, so it can be replayed after an outage.
+  rememberRaw(env, key, raw, { hardExpiresAt, storedAt: now, dirty: true });
+  if (!acquireRedis()) return;
+  try {
+    if (hasHardTtl) {
+      await client.set(key, raw, "EX", Math.floor(ttlSeconds));
+    } else {
+      await client.set(key, raw);
+    }
+    recordRedisSuccess();
+    const entry = getMemoryCache(env).peek(key) ?? _pending.peek(key);
+    if (entry && entry.raw === raw) {
+      entry.dirty = false;
+      _pending.delete(key);
+    }
+  } catch (e) {
+    recordRedisFailure(e);
+    logger.warn("redis set failed, kept in memory", { key, err: e?.message ?? e });
+  }
+}
+
+/**
+ * Runs `refresh` for a stale entry without delaying the response. At most one
+ * refresh per key runs in this process; failures are logged and the stale
+ * entry keeps being served until its hard TTL.
+ *
+ * @param {{ waitUntil?: (promise: Promise<any>) => void }|undefined} ctx Request context.
+ * @param {string} key Cache key being refreshed.
+ * @param {() => Promise<any>} refresh Fetches and re-caches the value.
+ * @returns {void}
+ */
+export function revalidateInBackground(ctx, key, refresh) {
+  if (revalidating.has(key)) return;
+  revalidating.add(key);
+  const promise = (async () => {
+    try {
+      await refresh();
+      logger.info("cache revalidated", { key });
+    } catch (e) {
+      logger.warn("cache revalidation failed", { key, err: e?.message ?? e });
+    } finally {
+      revalidating.delete(key);
+    }
+  })();
+  if (ctx && typeof ctx.waitUntil === "function") {
+    ctx.waitUntil(promise);
   }
 }
@@ -0,0 +1,207 @@
+import { CACHE_STATS_KEY, forgetCachedKeys, getRedisClient } from "./cache.js";
+
+// Cache administration helpers. Keys follow `buildCacheKeyFromUrl` for route
+// caches (`/v1/search?query=...`); repository records live under `/db/`
+// (`/db/movies/{id}/{lang}`, `/db/series/{id}/{lang}/...`).
+
+// Namespaces of route caches (`buildCacheKeyFromUrl` keys), the only ones a
+// prefix purge or single-key delete may touch. Repository records (`/db/`,
+// which includes watch progress), channels, EPG, API keys and internal keys
+// (`/_...`) are application state, not cache.
+export const PURGEABLE_PREFIXES = ["/v1/", "/movies/id/", "/3/"];
+
+const SCAN_COUNT = 500;
+const DELETE_CHUNK = 500;
+
+function escapeGlob(value) {
+  return String(value).replace(/[*?[\]\\]/g, "\\$&");
+}
+
+/**
+ * Glob patterns covering every cached entry of one TMDB series in all languages:
+ * route caches, repository records and `/3/tv/{id}` proxy responses. Series lookups
+ * are keyed by channel title and are not included.
+ *
+ * @param {number} seriesId TMDB series id.
+ * @returns {string[]} SCAN MATCH patterns.
+ */
+export function seriesKeyPatterns(seriesId) {
+  const id = escapeGlob(seriesId);
+  return [
+    `/v1/series/${id}`,
+    `/v1/series/${id}[?/]*`,
+    `/db/series/${id}/*`,
+    `/3/tv/${id}`,
+    `/3/tv/${id}[?/]*`,
+  ];
+}
+
+/**
+ * Glob patterns covering every cached entry of one TMDB movie in all languages.
+ * Movie lookups are keyed by channel title and are not included.
+ *
+ * @param {number} movieId TMDB movie id.
+ * @returns {string[]} SCAN MATCH patterns.
+ */
+export function movieKeyPatterns(movieId) {
+  const id = escapeGlob(movieId);
+  return [
+    `/v1/movie/${id}`,
+    `/v1/movie/${id}[?/]*`,
+    `/movies/id/${id}`,
+    `/movies/id/${id}[?/]*`,
+    `/db/movies/${id}/*`,
+    `/3/movie/${id}`,
+    `/3/movie/${id}[?/]*`,
+  ];
+}
+
+/**
+ * Whether a key, or every key starting with a prefix, belongs to a purgeable
+ * route-cache namespace.
+ *
+ * @param {string} prefix Key or key prefix.
+ * @returns {boolean} True inside one of `PURGEABLE_PREFIXES`.
+ */
+export function isPurgeable(prefix) {
+  return PURGEABLE_PREFIXES.some((namespace) => String(prefix).startsWith(namespace));
+}
+
+/**
+ * Glob pattern matching every key that starts with `prefix`.
+ *
+ * @param {string} prefix Literal key prefix.
+ * @returns {string} SCAN MATCH pattern.
+ */
+export function prefixPattern(prefix) {
+  return `${escapeGlob(prefix)}*`;
+}
+
+/**
+ * Lists keys starting with `prefix`, resuming from a SCAN cursor. Whole SCAN
+ * batches are returned, so a page can hold somewhat more than `limit` keys.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {{ prefix: string, cursor?: string, limit?: number }} options Prefix, SCAN cursor and page size.
+ * @returns {Promise<{ keys: Array<{ key: string, type: string, ttl: number }>, cursor: string }>}
+ *   Keys with Redis type and TTL in seconds (-1 = no expiry); `cursor` is "0" when done.
+ */
+export async function listCacheKeys(env, { prefix, cursor = "0", limit = 100 }) {
+  const client = getRedisClient(env);
+  const pattern = prefixPattern(prefix);
+  const keys = [];
+  let next = String(cursor);
+  do {
+    const [nextCursor, batch] = await client.scan(next, "MATCH", pattern, "COUNT", SCAN_COUNT);
+    next = nextCursor;
+    keys.push(...batch);
+  } while (next !== "0" && keys.length < limit);
+
+  if (keys.length === 0) return { keys: [], cursor: next };
+  const pipeline = client.pipeline();
+  for (const key of keys) {
+    pipeline.type(key);
+    pipeline.ttl(key);
+  }
+  const results = await pipeline.exec();
+  return {
+    keys: keys.map((key, i) => ({
+      key,
+      type: results[i * 2]?.[1] ?? "none",
+      ttl: results[i * 2 + 1]?.[1] ?? -2,
+    })),
+    cursor: next,
+  };
+}
+
+/**
+ * Returns the Redis type and TTL of a key.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} key Cache key.
+ * @returns {Promise<{ type: string, ttl: number }>} Type ("none" when missing) and TTL in seconds.
+ */
+export async function describeCacheKey(env, key) {
+  const client = getRedisClient(env);
+  const [[, type], [, ttl]] = await client.pipeline().type(key).ttl(key).exec();
+  return { type, ttl };
+}
+
+/**
+ * Deletes one key, also from this process's memory tier.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} key Cache key.
+ * @returns {Promise<number>} Number of keys removed (0 or 1).
+ */
+export async function deleteCacheKey(env, key) {
+  const client = getRedisClient(env);
+  forgetCachedKeys([key]);
+  return client.unlink(key);
+}
+
+/**
+ * Deletes every key matching any of the SCAN patterns, also from this
+ * process's memory tier.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string[]} patterns SCAN MATCH patterns.
+ * @returns {Promise<number>} Number of keys removed.
+ */
+export async function purgeCacheKeys(env, patterns) {
+  const client = getRedisClient(env);
+  let deleted = 0;
+  for (const pattern of patterns) {
+    let cursor = "0";
+    do {
+      const [nextCursor, batch] = await client.scan(cursor, "MATCH", pattern, "COUNT", SCAN_COUNT);
+      cursor = nextCursor;
+      forgetCachedKeys(batch);
+      for (let i = 0; i < batch.length; i += DELETE_CHUNK) {
+        deleted += await client.unlink(...batch.slice(i, i + DELETE_CHUNK));
+      }
+    } while (cursor !== "0");
+  }
+  return deleted;
+}
+
+/**
+ * Hit/miss counters per route, aggregated across replicas.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Array<{ route: string, hits: number, stale: number, misses: number,
+ *   hitRatio: number|null }>>} Counters sorted by route; `stale` hits are included in `hits`.
+ */
+export async function getCacheStats(env) {
+  const client = getRedisClient(env);
+  const raw = await client.hgetall(CACHE_STATS_KEY);
+  const byRoute = new Map();
+  for (const [field, value] of Object.entries(raw || {})) {
+    const sep = field.lastIndexOf("|");
+    if (sep <= 0) continue;
+    const route = field.slice(0, sep);
+    const counter = field.slice(sep + 1);
+    const entry = byRoute.get(route) || { route, hits: 0, stale: 0, misses: 0 };
+    if (counter === "hits" || counter === "stale" || counter === "misses") {
+      entry[counter] = Number(value) || 0;
+    }
+    byRoute.set(route, entry);
+  }
+  return Array.from(byRoute.values())
+    .sort((a, b) => a.route.localeCompare(b.route))
+    .map((entry) => {
+      const total = entry.hits + entry.misses;
+      return { ...entry, hitRatio: total > 0 ? Number((entry.hits / total).toFixed(3)) : null };
+    });
+}
+
+/**
+ * Clears the hit/miss counters.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<void>}
+ */
+export async function resetCacheStats(env) {
+  const client = getRedisClient(env);
+  await client.del(CACHE_STATS_KEY);
+}
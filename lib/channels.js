@@ -0,0 +1,317 @@
+import { createHash } from "crypto";
+import { getRedisClient } from "./cache.js";
+
+// Persistent channel catalog (no TTL). Key layout, following the path-style keys
+// used by the cache:
+//   /channels/id/{id}              JSON channel record
+//   /channels/names                zset (score 0) of `${searchName}|${id}` for
+//                                  lexical listing and ZSCAN search
+//   /channels/group/{groupTitle}   same member layout, per group
+//   /channels/groups               zset of group title -> channel count
+//   /playlists/{playlistId}/channels  set of channel ids owned by a playlist
+//
+// Channel ids are `{playlistId}:{id}`, so playlists that list the same
+// `tvg-id` keep separate channels.
+
+const NAMES_KEY = "/channels/names";
+const GROUPS_KEY = "/channels/groups";
+const SEARCH_SCAN_COUNT = 1000;
+const SEARCH_MAX_MATCHES = 5000;
+
+function channelKey(id) {
+  return `/channels/id/${id}`;
+}
+
+function groupKey(groupTitle) {
+  return `/channels/group/${groupTitle}`;
+}
+
+function playlistKey(playlistId) {
+  return `/playlists/${playlistId}/channels`;
+}
+
+/**
+ * Normalizes a channel name or search term for case/diacritic-insensitive matching.
+ *
+ * @param {string} value Raw name.
+ * @returns {string} Lowercased ASCII-folded name with single spaces and no `|`.
+ */
+export function normalizeSearchName(value) {
+  return String(value || "")
+    .replace(/ı/g, "i")
+    .replace(/İ/g, "i")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\|/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function slugifyId(value) {
+  return String(value)
+    .trim()
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function shortHash(value) {
+  return createHash("sha1").update(value).digest("hex").slice(0, 12);
+}
+
+// Stable across re-imports: prefer `tvg-id`, otherwise hash group + name so that
+// rotating credentials in the stream URL do not change the channel id. A
+// repeated `tvg-id` (providers list the same channel in several groups or
+// qualities) is suffixed with the group + name hash, and entries that still
+// collide with their order of appearance (`~2`, `~3`, ...). The playlist id
+// prefix keeps ids unique across playlists.
+function deriveChannelId(playlistId, entry, taken) {
+  const nameHash = shortHash(`${entry.groupTitle || ""}|${entry.name}`);
+  const slug = entry.tvgId ? slugifyId(entry.tvgId) : "";
+  const base = `${playlistId}:${slug || `ch-${nameHash}`}`;
+  let id = base;
+  if (taken.has(id) && slug) {
+    id = `${base}~${nameHash.slice(0, 6)}`;
+  }
+  for (let n = 2; taken.has(id); n += 1) {
+    id = `${base}~${n}`;
+  }
+  return id;
+}
+
+function memberFor(channel) {
+  return `${normalizeSearchName(channel.name)}|${channel.id}`;
+}
+
+function idFromMember(member) {
+  return member.slice(member.lastIndexOf("|") + 1);
+}
+
+function escapeGlob(value) {
+  return value.replace(/[*?[\]\\]/g, "\\$&");
+}
+
+async function loadChannels(client, ids) {
+  if (ids.length === 0) return [];
+  const raws = await client.mget(ids.map(channelKey));
+  return raws.map((raw) => {
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return null;
+    }
+  });
+}
+
+// Retries of an import whose watched keys changed before EXEC.
+const MAX_IMPORT_ATTEMPTS = 5;
+
+/**
+ * Imports parsed M3U entries as the channel set of one playlist.
+ *
+ * Channels that belonged to the playlist but are no longer present are removed.
+ * Channels, name and group indexes and group counts are written in a single
+ * MULTI, so readers never see a half-applied import. The playlist and the
+ * touched groups are watched while the counts are computed; a concurrent
+ * import of either makes the transaction retry.
+ *
+ * @param {Record<string, any>} env Environment bindings (for the Redis client).
+ * @param {string} playlistId Playlist namespace owning the channels; prefixes
+ *   every channel id.
+ * @param {Array<Object>} entries Entries returned by `parseM3u`.
+ * @returns {Promise<{ imported: number, removed: number, groups: number }>} Import summary.
+ * @throws {Error} When a Redis command fails or the import keeps conflicting
+ *   with concurrent imports.
+ */
+export async function importChannels(env, playlistId, entries) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const taken = new Set();
+  const channels = [];
+  for (const entry of entries) {
+    const id = deriveChannelId(playlistId, entry, taken);
+    taken.add(id);
+    channels.push({
+      id,
+      playlistId,
+      name: entry.name,
+      url: entry.url,
+      tvgId: entry.tvgId,
+      tvgName: entry.tvgName,
+      tvgLogo: entry.tvgLogo,
+      tvgChno: entry.tvgChno,
+      groupTitle: entry.groupTitle,
+      catchup: entry.catchup,
+      httpHeaders: entry.httpHeaders,
+      updatedAt: now,
+    });
+  }
+
+  // WATCH is per connection; other requests must not share this one.
+  const connection = getRedisClient(env).duplicate();
+  try {
+    for (let attempt = 1; attempt <= MAX_IMPORT_ATTEMPTS; attempt += 1) {
+      const removed = await writeImport(connection, playlistId, channels);
+      if (removed !== null) {
+        const importedGroups = new Set(channels.map((c) => c.groupTitle).filter(Boolean));
+        return { imported: channels.length, removed, groups: importedGroups.size };
+      }
+    }
+    throw new Error("channel import kept conflicting with concurrent imports");
+  } finally {
+    connection.disconnect();
+  }
+}
+
+// One attempt of `importChannels`. Returns the number of removed channels, or
+// null when a watched key changed and the transaction was discarded.
+async function writeImport(connection, playlistId, channels) {
+  await connection.watch(playlistKey(playlistId));
+  let tx;
+  try {
+    const previousIds = await connection.smembers(playlistKey(playlistId));
+    const previous = (await loadChannels(connection, previousIds)).filter(Boolean);
+    const ids = new Set(channels.map((c) => c.id));
+
+    // Group index members after this import: current minus removed plus added.
+    const removedMembers = new Map();
+    const addedMembers = new Map();
+    const track = (byGroup, group, member) => {
+      if (!byGroup.has(group)) byGroup.set(group, []);
+      byGroup.get(group).push(member);
+    };
+    for (const old of previous) {
+      if (old.groupTitle) track(removedMembers, old.groupTitle, memberFor(old));
+    }
+    for (const channel of channels) {
+      if (channel.groupTitle) track(addedMembers, channel.groupTitle, memberFor(channel));
+    }
+    const groups = [...new Set([...removedMembers.keys(), ...addedMembers.keys()])];
+    const counts = new Map();
+    if (groups.length > 0) {
+      await connection.watch(...groups.map(groupKey));
+      for (const group of groups) {
+        const members = new Set(await connection.zrange(groupKey(group), 0, -1));
+        for (const member of removedMembers.get(group) || []) members.delete(member);
+        for (const member of addedMembers.get(group) || []) members.add(member);
+        counts.set(group, members.size);
+      }
+    }
+
+    tx = connection.multi();
+    let removed = 0;
+    for (const old of previous) {
+      tx.zrem(NAMES_KEY, memberFor(old));
+      if (old.groupTitle) tx.zrem(groupKey(old.groupTitle), memberFor(old));
+      if (!ids.has(old.id)) {
+        tx.del(channelKey(old.id));
+        removed += 1;
+      }
+    }
+    tx.del(playlistKey(playlistId));
+    for (const channel of channels) {
+      tx.set(channelKey(channel.id), JSON.stringify(channel));
+      tx.zadd(NAMES_KEY, 0, memberFor(channel));
+      tx.sadd(playlistKey(playlistId), channel.id);
+      if (channel.groupTitle) tx.zadd(groupKey(channel.groupTitle), 0, memberFor(channel));
+    }
+    for (const [group, count] of counts) {
+      if (count > 0) tx.zadd(GROUPS_KEY, count, group);
+      else tx.zrem(GROUPS_KEY, group);
+    }
+
+    const results = await tx.exec();
+    if (results === null) return null;
+    for (const [err] of results) {
+      if (err) throw err;
+    }
+    return removed;
+  } catch (e) {
+    if (!tx) await connection.unwatch().catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * Returns a single channel record.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} id Channel id.
+ * @returns {Promise<Object|null>} Channel or null when unknown.
+ */
+export async function getChannel(env, id) {
+  const client = getRedisClient(env);
+  const [channel] = await loadChannels(client, [id]);
+  return channel;
+}
+
+/**
+ * Lists channels in name order, optionally restricted to a group and/or filtered
+ * by a case/diacritic-insensitive substring of the channel name.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {{ q?: string, group?: string, offset?: number, limit?: number }} options Filters and paging.
+ * @returns {Promise<{ total: number, results: Array<Object> }>} Matching page and total match count.
+ */
+export async function listChannels(env, { q, group, offset = 0, limit = 50 } = {}) {
+  const client = getRedisClient(env);
+  const indexKey = group ? groupKey(group) : NAMES_KEY;
+
+  let total;
+  let members;
+  const term = normalizeSearchName(q);
+  if (term) {
+    const pattern = `*${escapeGlob(term)}*|*`;
+    const matches = [];
+    let cursor = "0";
+    do {
+      const [next, chunk] = await client.zscan(indexKey, cursor, "MATCH", pattern, "COUNT", SEARCH_SCAN_COUNT);
+      cursor = next;
+      for (let i = 0; i < chunk.length; i += 2) matches.push(chunk[i]);
+    } while (cursor !== "0" && matches.length < SEARCH_MAX_MATCHES);
+    matches.sort();
+    total = matches.length;
+    members = matches.slice(offset, offset + limit);
+  } else {
+    total = await client.zcard(indexKey);
+    members = limit > 0 ? await client.zrange(indexKey, offset, offset + limit - 1) : [];
+  }
+
+  const channels = await loadChannels(client, members.map(idFromMember));
+  return { total, results: channels.filter(Boolean) };
+}
+
+/**
+ * Lists channel groups with their channel counts, ordered by title.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Array<{ name: string, count: number }>>} Groups.
+ */
+export async function listGroups(env) {
+  const client = getRedisClient(env);
+  const flat = await client.zrange(GROUPS_KEY, 0, -1, "WITHSCORES");
+  const groups = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    groups.push({ name: flat[i], count: Number(flat[i + 1]) });
+  }
+  return groups.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Returns every channel in the catalog, in name order.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Array<Object>>} All channel records.
+ */
+export async function listAllChannels(env) {
+  const client = getRedisClient(env);
+  const members = await client.zrange(NAMES_KEY, 0, -1);
+  const channels = [];
+  const chunkSize = 1000;
+  for (let i = 0; i < members.length; i += chunkSize) {
+    const ids = members.slice(i, i + chunkSize).map(idFromMember);
+    channels.push(...(await loadChannels(client, ids)).filter(Boolean));
+  }
+  return channels;
+}
@@ -0,0 +1,215 @@
+// Decoder configuration records shared by the MP4 and Matroska parsers
+// (`avcC`, `hvcC`, `av1C`, `vpcC`, AAC AudioSpecificConfig). Profiles, levels and
+// pixel formats are reported with the names ffprobe uses, so native and ffprobe
+// metadata compare equal.
+
+const H264_PROFILES = {
+  44: "CAVLC 4:4:4",
+  66: "Baseline",
+  77: "Main",
+  88: "Extended",
+  100: "High",
+  110: "High 10",
+  122: "High 4:2:2",
+  244: "High 4:4:4 Predictive",
+};
+const HEVC_PROFILES = { 1: "Main", 2: "Main 10", 3: "Main Still Picture", 4: "Rext" };
+const AV1_PROFILES = ["Main", "High", "Professional"];
+const AAC_PROFILES = {
+  1: "Main",
+  2: "LC",
+  3: "SSR",
+  4: "LTP",
+  5: "HE-AAC",
+  23: "LD",
+  29: "HE-AACv2",
+  39: "ELD",
+};
+const AAC_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350,
+];
+// ffprobe's default layout for a bare channel count.
+const CHANNEL_LAYOUTS = { 1: "mono", 2: "stereo", 6: "5.1", 8: "7.1" };
+
+/**
+ * ffprobe-style pixel format for a chroma format and bit depth.
+ *
+ * @param {number} chromaFormat 0 monochrome, 1 4:2:0, 2 4:2:2, 3 4:4:4.
+ * @param {number} bitDepth Luma bit depth.
+ * @returns {string|null} e.g. `yuv420p`, `yuv420p10le`.
+ */
+export function pixelFormat(chromaFormat, bitDepth) {
+  const base = { 0: "gray", 1: "yuv420p", 2: "yuv422p", 3: "yuv444p" }[chromaFormat];
+  if (!base) return null;
+  if (!bitDepth || bitDepth <= 8) return base;
+  return base === "gray" ? `gray${bitDepth}le` : `${base}${bitDepth}le`;
+}
+
+/**
+ * ffprobe's channel layout name for a channel count (`stereo`, `5.1`, ...).
+ *
+ * @param {number|null} channels Channel count.
+ * @returns {string|null} Layout name, or null when ffprobe has no default.
+ */
+export function channelLayout(channels) {
+  return CHANNEL_LAYOUTS[channels] || null;
+}
+
+/**
+ * Parses an AVCDecoderConfigurationRecord (`avcC`).
+ *
+ * @param {Buffer} data Record bytes.
+ * @returns {{ profile: string|null, level: number|null, pixFmt: string|null }} Stream info.
+ */
+export function parseAvcConfig(data) {
+  if (!data || data.length < 7) return { profile: null, level: null, pixFmt: null };
+  const profileIdc = data[1];
+  const constraints = data[2];
+  let profile = H264_PROFILES[profileIdc] || null;
+  if (profileIdc === 66 && constraints & 0x40) profile = "Constrained Baseline";
+  if (profileIdc === 110 && constraints & 0x10) profile = "High 10 Intra";
+
+  // High profiles append chroma format and bit depth after the parameter sets.
+  let chromaFormat = 1;
+  let bitDepth = 8;
+  let offset = 6;
+  for (let i = 0; i < (data[5] & 0x1f) && offset + 2 <= data.length; i += 1) {
+    offset += 2 + data.readUInt16BE(offset);
+  }
+  if (offset < data.length) {
+    const ppsCount = data[offset];
+    offset += 1;
+    for (let i = 0; i < ppsCount && offset + 2 <= data.length; i += 1) {
+      offset += 2 + data.readUInt16BE(offset);
+    }
+  }
+  if ([100, 110, 122, 144, 244].includes(profileIdc) && offset + 2 <= data.length) {
+    chromaFormat = data[offset] & 0x03;
+    bitDepth = (data[offset + 1] & 0x07) + 8;
+  }
+  return { profile, level: data[3], pixFmt: pixelFormat(chromaFormat, bitDepth) };
+}
+
+/**
+ * Parses an HEVCDecoderConfigurationRecord (`hvcC`).
+ *
+ * @param {Buffer} data Record bytes.
+ * @returns {{ profile: string|null, level: number|null, pixFmt: string|null }} Stream info.
+ */
+export function parseHevcConfig(data) {
+  if (!data || data.length < 19) return { profile: null, level: null, pixFmt: null };
+  return {
+    profile: HEVC_PROFILES[data[1] & 0x1f] || null,
+    level: data[12],
+    pixFmt: pixelFormat(data[16] & 0x03, (data[17] & 0x07) + 8),
+  };
+}
+
+/**
+ * Parses an AV1CodecConfigurationRecord (`av1C`).
+ *
+ * @param {Buffer} data Record bytes.
+ * @returns {{ profile: string|null, level: number|null, pixFmt: string|null }} Stream info.
+ */
+export function parseAv1Config(data) {
+  if (!data || data.length < 3) return { profile: null, level: null, pixFmt: null };
+  const flags = data[2];
+  const highBitdepth = (flags >> 6) & 1;
+  const twelveBit = (flags >> 5) & 1;
+  const monochrome = (flags >> 4) & 1;
+  const subX = (flags >> 3) & 1;
+  const subY = (flags >> 2) & 1;
+  const chromaFormat = monochrome ? 0 : subX && subY ? 1 : subX ? 2 : 3;
+  return {
+    profile: AV1_PROFILES[data[1] >> 5] || null,
+    level: data[1] & 0x1f,
+    pixFmt: pixelFormat(chromaFormat, highBitdepth ? (twelveBit ? 12 : 10) : 8),
+  };
+}
+
+/**
+ * Parses a VP codec configuration record (`vpcC`, version 1, without the
+ * full-box header).
+ *
+ * @param {Buffer} data Record bytes.
+ * @returns {{ profile: string|null, level: number|null, pixFmt: string|null }} Stream info.
+ */
+export function parseVpConfig(data) {
+  if (!data || data.length < 3) return { profile: null, level: null, pixFmt: null };
+  const bitDepth = data[2] >> 4;
+  const subsampling = (data[2] >> 1) & 0x07;
+  return {
+    profile: `Profile ${data[0]}`,
+    level: data[1],
+    pixFmt: pixelFormat(subsampling <= 1 ? 1 : subsampling === 2 ? 2 : 3, bitDepth),
+  };
+}
+
+/**
+ * Parses an AAC AudioSpecificConfig.
+ *
+ * @param {Buffer} data Config bytes.
+ * @returns {{ profile: string|null, sampleRate: number|null, channels: number|null }} Stream info.
+ */
+export function parseAacConfig(data) {
+  if (!data || data.length < 2) return { profile: null, sampleRate: null, channels: null };
+  let objectType = data[0] >> 3;
+  let bits = ((data[0] & 0x07) << 8) | data[1];
+  let remaining = 11;
+  if (objectType === 31 && data.length >= 3) {
+    objectType = 32 + (((data[0] & 0x07) << 3) | (data[1] >> 5));
+    bits = ((data[1] & 0x1f) << 8) | data[2];
+    remaining = 13;
+  }
+  const frequencyIndex = (bits >> (remaining - 4)) & 0x0f;
+  const channelConfig = (bits >> (remaining - 8)) & 0x0f;
+  return {
+    profile: AAC_PROFILES[objectType] || null,
+    sampleRate: AAC_SAMPLE_RATES[frequencyIndex] ?? null,
+    channels: channelConfig > 0 && channelConfig < 7 ? channelConfig : channelConfig === 7 ? 8 : null,
+  };
+}
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+/**
+ * Reduces `num/den` to an ffprobe-style rational string.
+ *
+ * @param {number} num Numerator.
+ * @param {number} den Denominator.
+ * @returns {string|null} e.g. `24000/1001`, or null for a zero/invalid rate.
+ */
+export function rational(num, den) {
+  if (!num || !den || !Number.isFinite(num) || !Number.isFinite(den)) return null;
+  const a = Math.round(num);
+  const b = Math.round(den);
+  const divisor = gcd(a, b) || 1;
+  return `${a / divisor}/${b / divisor}`;
+}
+
+// NTSC-style rates that ffprobe reports as exact rationals.
+const NTSC_RATES = [
+  [23.976, "24000/1001"],
+  [29.97, "30000/1001"],
+  [47.952, "48000/1001"],
+  [59.94, "60000/1001"],
+  [119.88, "120000/1001"],
+];
+
+/**
+ * Rational frame rate for a frame duration, snapping NTSC rates to `N000/1001`.
+ *
+ * @param {number} timescale Units per second.
+ * @param {number} frameDuration Frame duration in those units.
+ * @returns {string|null} e.g. `25/1`, `24000/1001`.
+ */
+export function frameRate(timescale, frameDuration) {
+  if (!timescale || !frameDuration) return null;
+  const fps = timescale / frameDuration;
+  const ntsc = NTSC_RATES.find(([rate]) => Math.abs(fps - rate) < 0.002);
+  if (ntsc) return ntsc[1];
+  if (Math.abs(fps - Math.round(fps)) < 0.001) return `${Math.round(fps)}/1`;
+  return rational(timescale, frameDuration);
+}
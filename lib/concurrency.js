@@ -0,0 +1,28 @@
+/**
+ * Maps `items` through an async `fn` with at most `limit` calls in flight.
+ * Results keep the input order; a rejected call rejects the whole map, so
+ * callers that need per-item errors should catch inside `fn`.
+ *
+ * @template T, R
+ * @param {T[]} items Inputs.
+ * @param {number} limit Maximum concurrent calls (>= 1).
+ * @param {(item: T, index: number) => Promise<R>} fn Mapper.
+ * @returns {Promise<R[]>} Results in input order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i += 1) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
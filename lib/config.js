@@ -1,7 +1,46 @@
 // Default cache TTL in seconds (30 days).
 export const CACHE_TTL_SECONDS = 24 * 60 * 60 * 30;
 
+// Per-route soft TTLs: after this long a cached entry is still served but
+// refreshed from TMDB in the background. Search results churn faster than
+// movie details, ongoing series gain episodes.
+export const SOFT_TTL_SECONDS = {
+  search: 6 * 60 * 60,
+  movieLookup: 3 * 24 * 60 * 60,
+  movie: 7 * 24 * 60 * 60,
+  seriesSearch: 6 * 60 * 60,
+  seriesLookup: 3 * 24 * 60 * 60,
+  series: 24 * 60 * 60,
+  season: 24 * 60 * 60,
+  episode: 3 * 24 * 60 * 60,
+  tmdbProxy: 24 * 60 * 60,
+};
+
+function parseSoftTtlOverrides(value) {
+  const overrides = {};
+  for (const pair of String(value || "").split(",")) {
+    const [route, seconds] = pair.split("=").map((part) => part.trim());
+    const n = Number(seconds);
+    if (route && seconds && Number.isFinite(n) && n >= 0) overrides[route] = n;
+  }
+  return overrides;
+}
+
+/**
+ * Soft TTL for a route. `CACHE_SOFT_TTLS` overrides the defaults, e.g.
+ * `search=3600,movie=1209600`; `0` disables background refresh for the route.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {keyof typeof SOFT_TTL_SECONDS} route Route name.
+ * @returns {number} Soft TTL in seconds.
+ */
+export function getSoftTtlSeconds(env, route) {
+  const overrides = parseSoftTtlOverrides(env?.CACHE_SOFT_TTLS);
+  return overrides[route] ?? SOFT_TTL_SECONDS[route] ?? CACHE_TTL_SECONDS;
+}
+
 // Default export for convenience
 export default {
   CACHE_TTL_SECONDS,
+  SOFT_TTL_SECONDS,
 };
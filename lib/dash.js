@@ -0,0 +1,275 @@
+// Minimal MPEG-DASH MPD parser: enough of the manifest to list representations
+// and locate one initialization and media segment for probing. Like the XMLTV
+// parser it scans tags instead of building a DOM; MPDs are machine-generated and
+// never nest an element inside another of the same name.
+
+const ATTRIBUTE_PATTERN = /([A-Za-z_:][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ISO_DURATION_PATTERN =
+  /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+// Segments behind the live edge of a dynamic MPD, so the probed one is fully published.
+const LIVE_EDGE_SEGMENTS = 2;
+
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of (text || "").matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3] ?? "");
+  }
+  return attributes;
+}
+
+// Every `<tag ...>body</tag>` (or self-closing `<tag .../>`) inside `text`.
+function elements(text, tag) {
+  const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/${tag}>)`, "g");
+  const out = [];
+  for (const match of (text || "").matchAll(pattern)) {
+    out.push({ attributes: parseAttributes(match[1]), body: match[2] || "" });
+  }
+  return out;
+}
+
+// `body` without the given child elements, so lookups only see this level.
+function ownBody(body, childTags) {
+  let text = body || "";
+  for (const tag of childTags) {
+    text = text.replace(new RegExp(`<${tag}\\b[^>]*?(?:\\/>|>[\\s\\S]*?<\\/${tag}>)`, "g"), "");
+  }
+  return text;
+}
+
+function toNumberOrNull(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// `30000/1001` or `25`.
+function parseFrameRate(value) {
+  if (!value) return null;
+  const [num, den] = String(value).split("/").map(Number);
+  const rate = den ? num / den : num;
+  return Number.isFinite(rate) ? Math.round(rate * 1000) / 1000 : null;
+}
+
+/**
+ * Parses an ISO 8601 duration as used by MPDs (`PT1H2M3.5S`, `P1DT2H`).
+ *
+ * @param {string} value Duration string.
+ * @returns {number|null} Seconds, or null when absent or unparseable.
+ */
+export function parseIsoDuration(value) {
+  const match = String(value || "").trim().match(ISO_DURATION_PATTERN);
+  if (!match) return null;
+  const [, d = 0, h = 0, m = 0, s = 0] = match;
+  return Number(d) * 86400 + Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+function resolveBaseUrl(baseUrl, body) {
+  const [element] = elements(body, "BaseURL");
+  const text = element ? decodeEntities(element.body).trim() : "";
+  if (!text) return baseUrl;
+  try {
+    return new URL(text, baseUrl).toString();
+  } catch (e) {
+    return baseUrl;
+  }
+}
+
+function contentTypeOf(attributes) {
+  const declared = (attributes.contentType || "").toLowerCase();
+  if (declared === "video" || declared === "audio" || declared === "text") return declared;
+  const mimeType = (attributes.mimeType || "").toLowerCase();
+  if (mimeType.startsWith("video/")) return "video";
+  if (mimeType.startsWith("audio/")) return "audio";
+  if (mimeType.startsWith("text/") || mimeType === "application/ttml+xml") return "text";
+  if (/^(stpp|wvtt)/i.test(attributes.codecs || "")) return "text";
+  return null;
+}
+
+// SegmentTemplate attributes inherit from the AdaptationSet level; the
+// SegmentTimeline comes from whichever level declares one.
+function segmentTemplate(setBody, repBody) {
+  const [outer] = elements(setBody, "SegmentTemplate");
+  const [inner] = elements(repBody, "SegmentTemplate");
+  if (!outer && !inner) return null;
+  const timelineBody = inner && elements(inner.body, "SegmentTimeline").length ? inner.body : outer?.body;
+  const [timeline] = elements(timelineBody, "SegmentTimeline");
+  return {
+    attributes: { ...(outer?.attributes || {}), ...(inner?.attributes || {}) },
+    timeline: timeline
+      ? elements(timeline.body, "S").map(({ attributes }) => ({
+          t: toNumberOrNull(attributes.t),
+          d: toNumberOrNull(attributes.d) ?? 0,
+          r: toNumberOrNull(attributes.r) ?? 0,
+        }))
+      : null,
+  };
+}
+
+function segmentList(setBody, repBody, baseUrl) {
+  const [list] = elements(repBody, "SegmentList").length
+    ? elements(repBody, "SegmentList")
+    : elements(setBody, "SegmentList");
+  if (!list) return null;
+  const [init] = elements(list.body, "Initialization");
+  const resolve = (uri) => (uri ? new URL(uri, baseUrl).toString() : baseUrl);
+  return {
+    initialization: init
+      ? { url: resolve(init.attributes.sourceURL), range: init.attributes.range || null }
+      : null,
+    segments: elements(list.body, "SegmentURL").map(({ attributes }) => ({
+      url: resolve(attributes.media),
+      range: attributes.mediaRange || null,
+    })),
+  };
+}
+
+/**
+ * Parses a DASH MPD. Only one Period is read: the first of a static MPD, the
+ * last (current) one of a dynamic MPD.
+ *
+ * Each representation carries its resolved `baseUrl`, its type (`video`,
+ * `audio` or `text`, from `contentType`, `mimeType` or `codecs`), the
+ * AdaptationSet attributes it inherits (`lang`, `codecs`, size, frame rate,
+ * `Role`, `AudioChannelConfiguration`) and its segment addressing
+ * (`segmentTemplate`, `segmentList`, or neither for a single-file `BaseURL`).
+ *
+ * @param {string} xml Raw MPD content.
+ * @param {string} manifestUrl URL the MPD was fetched from.
+ * @returns {{ live: boolean, duration: number|null, availabilityStartTime: number|null,
+ *   periodStart: number, representations: Array<Object> }} Parsed manifest; times in seconds.
+ * @throws {Error} When the text has no `<MPD>` element.
+ */
+export function parseMpd(xml, manifestUrl) {
+  const [mpd] = elements(String(xml || ""), "MPD");
+  if (!mpd) throw new Error("not a DASH manifest");
+  const live = (mpd.attributes.type || "").toLowerCase() === "dynamic";
+  const periods = elements(mpd.body, "Period");
+  const period = live ? periods[periods.length - 1] : periods[0];
+  const availabilityStart = Date.parse(mpd.attributes.availabilityStartTime || "");
+
+  const representations = [];
+  if (period) {
+    const mpdBase = resolveBaseUrl(manifestUrl, ownBody(mpd.body, ["Period"]));
+    const periodBase = resolveBaseUrl(mpdBase, ownBody(period.body, ["AdaptationSet"]));
+    for (const set of elements(period.body, "AdaptationSet")) {
+      const setBody = ownBody(set.body, ["Representation"]);
+      const setBase = resolveBaseUrl(periodBase, setBody);
+      const [role] = elements(setBody, "Role");
+      const [setChannels] = elements(setBody, "AudioChannelConfiguration");
+      for (const rep of elements(set.body, "Representation")) {
+        const attributes = { ...set.attributes, ...rep.attributes };
+        const [repChannels] = elements(rep.body, "AudioChannelConfiguration");
+        const baseUrl = resolveBaseUrl(setBase, rep.body);
+        representations.push({
+          id: attributes.id || null,
+          type: contentTypeOf(attributes),
+          bandwidth: toNumberOrNull(attributes.bandwidth),
+          width: toNumberOrNull(attributes.width),
+          height: toNumberOrNull(attributes.height),
+          frameRate: parseFrameRate(attributes.frameRate),
+          codecs: attributes.codecs || null,
+          mimeType: attributes.mimeType || null,
+          language: attributes.lang || null,
+          role: role?.attributes.value || null,
+          channels: toNumberOrNull((repChannels || setChannels)?.attributes.value),
+          baseUrl,
+          segmentTemplate: segmentTemplate(setBody, rep.body),
+          segmentList: segmentList(setBody, rep.body, baseUrl),
+        });
+      }
+    }
+  }
+
+  return {
+    live,
+    duration: live ? null : parseIsoDuration(mpd.attributes.mediaPresentationDuration),
+    availabilityStartTime: Number.isFinite(availabilityStart) ? availabilityStart / 1000 : null,
+    periodStart: parseIsoDuration(period?.attributes.start) ?? 0,
+    representations,
+  };
+}
+
+// `$RepresentationID$`, `$Number%05d$`, `$Time$`, `$Bandwidth$` and `$$`.
+function fillTemplate(template, values) {
+  return template.replace(
+    /\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$|\$\$/g,
+    (_, name, width) => {
+      if (!name) return "$";
+      const value = String(values[name] ?? "");
+      return width ? value.padStart(Number(width), "0") : value;
+    }
+  );
+}
+
+function templateSegment(manifest, rep, nowMs) {
+  const { attributes, timeline } = rep.segmentTemplate;
+  const startNumber = toNumberOrNull(attributes.startNumber) ?? 1;
+  const values = { RepresentationID: rep.id ?? "", Bandwidth: rep.bandwidth ?? "" };
+  let number = startNumber;
+  let time = 0;
+
+  if (timeline && timeline.length) {
+    // Walk the timeline to its first (static) or last-but-margin (dynamic) segment.
+    const starts = [];
+    let cursor = 0;
+    for (const s of timeline) {
+      if (s.t !== null) cursor = s.t;
+      // `r="-1"` repeats to the next S / period end; count it once.
+      for (let i = 0; i <= Math.max(0, s.r); i += 1) {
+        starts.push(cursor);
+        cursor += s.d;
+      }
+    }
+    const index = manifest.live ? Math.max(0, starts.length - 1 - LIVE_EDGE_SEGMENTS) : 0;
+    number = startNumber + index;
+    time = starts[index] ?? 0;
+  } else if (manifest.live && manifest.availabilityStartTime !== null) {
+    const timescale = toNumberOrNull(attributes.timescale) || 1;
+    const segmentSeconds = (toNumberOrNull(attributes.duration) || 0) / timescale;
+    if (segmentSeconds > 0) {
+      const elapsed = nowMs / 1000 - manifest.availabilityStartTime - manifest.periodStart;
+      number = Math.max(startNumber, startNumber + Math.floor(elapsed / segmentSeconds) - LIVE_EDGE_SEGMENTS);
+    }
+  }
+
+  const resolve = (template) =>
+    new URL(fillTemplate(template, { ...values, Number: number, Time: time }), rep.baseUrl).toString();
+  return {
+    initialization: attributes.initialization ? { url: resolve(attributes.initialization), range: null } : null,
+    media: attributes.media ? { url: resolve(attributes.media), range: null } : null,
+  };
+}
+
+/**
+ * Locates the initialization and one media segment of a representation: the
+ * first segment of a static MPD, one a couple of segments behind the live edge
+ * of a dynamic one. Single-file representations return the file itself as the
+ * media segment (the caller reads its head). `range` is an HTTP byte range
+ * (`first-last`) or null.
+ *
+ * @param {Object} manifest Result of `parseMpd`.
+ * @param {Object} rep One of `manifest.representations`.
+ * @param {number} [nowMs] Wall clock for dynamic MPDs.
+ * @returns {{ initialization: { url: string, range: string|null }|null,
+ *   media: { url: string, range: string|null }|null }} Segment locations.
+ */
+export function locateSegment(manifest, rep, nowMs = Date.now()) {
+  if (rep.segmentTemplate) return templateSegment(manifest, rep, nowMs);
+  if (rep.segmentList) {
+    const { initialization, segments } = rep.segmentList;
+    const index = manifest.live ? Math.max(0, segments.length - 1 - LIVE_EDGE_SEGMENTS) : 0;
+    return { initialization, media: segments[index] || null };
+  }
+  return { initialization: null, media: { url: rep.baseUrl, range: null } };
+}
+
+export default parseMpd;
@@ -0,0 +1,197 @@
+import { getRedisClient } from "./cache.js";
+import { listAllChannels, normalizeSearchName } from "./channels.js";
+
+// EPG storage. Key layout:
+//   /epg/programmes/{epgChannelId}  zset of JSON programmes scored by start (epoch seconds)
+//   /epg/channels                   hash epgChannelId -> JSON `{ id, displayNames, icon }`
+//   /epg/map                        hash catalog channel id -> epgChannelId
+
+const MAP_KEY = "/epg/map";
+const CHANNELS_KEY = "/epg/channels";
+// Longest programme we expect; bounds the lookback when searching for overlaps.
+const MAX_PROGRAMME_SECONDS = 12 * 60 * 60;
+const ZADD_CHUNK = 500;
+
+function programmesKey(epgChannelId) {
+  return `/epg/programmes/${epgChannelId}`;
+}
+
+function parseMembers(members) {
+  const out = [];
+  for (const member of members) {
+    try {
+      out.push(JSON.parse(member));
+    } catch (e) {
+      // skip corrupt entries
+    }
+  }
+  return out;
+}
+
+// MULTI replies are per-command `[err, result]` pairs; EXEC itself succeeds
+// when a single command fails.
+function assertExecResults(results) {
+  for (const [err] of results || []) {
+    if (err) throw err;
+  }
+}
+
+// Catalog channels are matched by `tvg-id` first, then by display name.
+function buildChannelMap(catalog, epgChannels, programmeChannelIds) {
+  const byId = new Map();
+  const byName = new Map();
+  for (const id of programmeChannelIds) byId.set(id.toLowerCase(), id);
+  for (const channel of epgChannels) {
+    byId.set(channel.id.toLowerCase(), channel.id);
+    for (const name of channel.displayNames) {
+      const key = normalizeSearchName(name);
+      if (key && !byName.has(key)) byName.set(key, channel.id);
+    }
+  }
+
+  const map = {};
+  for (const channel of catalog) {
+    const epgId =
+      (channel.tvgId && byId.get(channel.tvgId.toLowerCase())) ||
+      (channel.tvgName && byName.get(normalizeSearchName(channel.tvgName))) ||
+      byName.get(normalizeSearchName(channel.name));
+    if (epgId) map[channel.id] = epgId;
+  }
+  return map;
+}
+
+/**
+ * Stores a parsed XMLTV guide and maps it onto the channel catalog.
+ *
+ * For every guide channel the imported time window replaces what was stored
+ * before, and programmes older than `retentionSeconds` are trimmed. The catalog
+ * → guide channel map is rebuilt from scratch on each import.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {{ channels: Array<Object>, programmes: Array<Object> }} guide Output of `parseXmltv`.
+ * @param {{ retentionSeconds: number }} options Retention for past programmes.
+ * @returns {Promise<{ channels: number, programmes: number, mapped: number }>} Import summary.
+ * @throws {Error} When a Redis command of the import fails.
+ */
+export async function importEpg(env, guide, { retentionSeconds }) {
+  const client = getRedisClient(env);
+  const now = Math.floor(Date.now() / 1000);
+
+  const grouped = new Map();
+  for (const programme of guide.programmes) {
+    const list = grouped.get(programme.channel) || [];
+    const { channel, ...rest } = programme;
+    list.push(rest);
+    grouped.set(programme.channel, list);
+  }
+
+  for (const [epgChannelId, programmes] of grouped) {
+    const key = programmesKey(epgChannelId);
+    const starts = programmes.map((p) => p.start);
+    const stops = programmes.map((p) => p.stop ?? p.start);
+    const minStart = Math.min(...starts);
+    const maxStart = Math.max(...starts);
+    const maxStop = Math.max(...stops);
+
+    const tx = client.multi();
+    tx.zremrangebyscore(key, minStart, maxStart);
+    for (let i = 0; i < programmes.length; i += ZADD_CHUNK) {
+      const args = [];
+      for (const programme of programmes.slice(i, i + ZADD_CHUNK)) {
+        args.push(programme.start, JSON.stringify(programme));
+      }
+      tx.zadd(key, ...args);
+    }
+    tx.zremrangebyscore(key, "-inf", `(${now - retentionSeconds}`);
+    tx.expire(key, Math.max(maxStop - now, 0) + retentionSeconds);
+    assertExecResults(await tx.exec());
+  }
+
+  const catalog = await listAllChannels(env);
+  const map = buildChannelMap(catalog, guide.channels, grouped.keys());
+
+  const tx = client.multi();
+  for (const channel of guide.channels) {
+    tx.hset(CHANNELS_KEY, channel.id, JSON.stringify(channel));
+  }
+  tx.del(MAP_KEY);
+  if (Object.keys(map).length > 0) tx.hset(MAP_KEY, map);
+  assertExecResults(await tx.exec());
+
+  return {
+    channels: grouped.size,
+    programmes: guide.programmes.length,
+    mapped: Object.keys(map).length,
+  };
+}
+
+/**
+ * Resolves the guide channel id for a catalog channel id. Ids that are not in
+ * the catalog map are treated as guide channel ids directly.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} channelId Catalog (or guide) channel id.
+ * @returns {Promise<string>} Guide channel id.
+ */
+export async function resolveEpgChannelId(env, channelId) {
+  const client = getRedisClient(env);
+  return (await client.hget(MAP_KEY, channelId)) || channelId;
+}
+
+/**
+ * Returns the programmes of a channel overlapping `[from, to)`, ordered by start.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} channelId Catalog (or guide) channel id.
+ * @param {number} from Window start, epoch seconds.
+ * @param {number} to Window end, epoch seconds.
+ * @returns {Promise<{ epgChannelId: string, programmes: Array<Object> }>} Schedule.
+ */
+export async function getSchedule(env, channelId, from, to) {
+  const client = getRedisClient(env);
+  const epgChannelId = await resolveEpgChannelId(env, channelId);
+  const members = await client.zrangebyscore(
+    programmesKey(epgChannelId),
+    from - MAX_PROGRAMME_SECONDS,
+    `(${to}`
+  );
+  const programmes = parseMembers(members).filter((p) => (p.stop ?? p.start) > from);
+  return { epgChannelId, programmes };
+}
+
+/**
+ * Returns the current and next programme for each catalog channel.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string[]|null} channelIds Catalog channel ids, or null for every mapped channel.
+ * @returns {Promise<Array<{ channelId: string, epgChannelId: string, now: Object|null, next: Object|null }>>}
+ *   Now/next entries in the requested order.
+ */
+export async function getNowNext(env, channelIds) {
+  const client = getRedisClient(env);
+  const now = Math.floor(Date.now() / 1000);
+
+  let pairs;
+  if (channelIds && channelIds.length > 0) {
+    const mapped = await client.hmget(MAP_KEY, ...channelIds);
+    pairs = channelIds.map((id, i) => [id, mapped[i] || id]);
+  } else {
+    pairs = Object.entries(await client.hgetall(MAP_KEY));
+  }
+  if (pairs.length === 0) return [];
+
+  const pipeline = client.pipeline();
+  for (const [, epgChannelId] of pairs) {
+    const key = programmesKey(epgChannelId);
+    pipeline.zrevrangebyscore(key, now, "-inf", "LIMIT", 0, 1);
+    pipeline.zrangebyscore(key, `(${now}`, "+inf", "LIMIT", 0, 1);
+  }
+  const results = await pipeline.exec();
+
+  return pairs.map(([channelId, epgChannelId], i) => {
+    const [current] = parseMembers(results[i * 2]?.[1] || []);
+    const [next] = parseMembers(results[i * 2 + 1]?.[1] || []);
+    const airing = current && (current.stop ?? current.start) > now ? current : null;
+    return { channelId, epgChannelId, now: airing, next: next || null };
+  });
+}
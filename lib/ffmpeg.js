@@ -0,0 +1,101 @@
+import ffmpeg from "fluent-ffmpeg";
+import tmp from "tmp";
+import { logger } from "./logger.js";
+import { ffmpegDurationSeconds } from "./metrics.js";
+
+// Promise wrappers around fluent-ffmpeg and tmp for the routes that run ffmpeg.
+// fluent-ffmpeg finds the binary on PATH or through `FFMPEG_PATH`.
+
+const DEFAULT_TIMEOUT_SECONDS = 60;
+
+/**
+ * Error from an ffmpeg run: 500 when the binary is missing, 502 otherwise
+ * (unreachable or undecodable input). `detail` holds the last stderr line.
+ */
+export class FfmpegError extends Error {
+  constructor(status, message, detail = null) {
+    super(message);
+    this.name = "FfmpegError";
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+/**
+ * Whether `value` is an absolute http(s) URL. ffmpeg's `-i` also opens local
+ * files and protocols such as `file:`, `concat:` or `subfile:`, so inputs taken
+ * from requests must pass this first.
+ *
+ * @param {string} value Candidate input.
+ * @returns {boolean} True for `http:` and `https:` URLs.
+ */
+export function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Starts an ffmpeg command for `input` (a URL, file path or image pattern).
+ *
+ * @param {string} input Input passed to `-i`.
+ * @param {{ timeoutSeconds?: number }} [options] Kill the process after this long.
+ * @returns {import("fluent-ffmpeg").FfmpegCommand} Command to add options and outputs to.
+ */
+export function ffmpegCommand(input, { timeoutSeconds = DEFAULT_TIMEOUT_SECONDS } = {}) {
+  return ffmpeg(input, { timeout: timeoutSeconds, stdoutLines: 20 });
+}
+
+function lastStderrLine(stderr) {
+  const lines = String(stderr || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  return lines[lines.length - 1] || null;
+}
+
+/**
+ * Runs a prepared command to completion and records its duration.
+ *
+ * @param {import("fluent-ffmpeg").FfmpegCommand} command Command with its outputs set.
+ * @param {string} kind Metrics label (`thumbnail`, `sprite_frame`, ...).
+ * @returns {Promise<void>} Resolves when ffmpeg exits cleanly.
+ * @throws {FfmpegError} When ffmpeg is missing, fails or times out.
+ */
+export function runFfmpeg(command, kind) {
+  const startedAt = Date.now();
+  return new Promise((resolve, reject) => {
+    command
+      .on("end", () => {
+        ffmpegDurationSeconds.observe({ kind, outcome: "ok" }, (Date.now() - startedAt) / 1000);
+        resolve();
+      })
+      .on("error", (err, stdout, stderr) => {
+        ffmpegDurationSeconds.observe({ kind, outcome: "error" }, (Date.now() - startedAt) / 1000);
+        const detail = lastStderrLine(stderr) || err?.message || String(err);
+        logger.warn("ffmpeg failed", { kind, detail });
+        const missing = /Cannot find ffmpeg|ENOENT/.test(err?.message || "");
+        reject(new FfmpegError(missing ? 500 : 502, "ffmpeg failed", detail));
+      })
+      .run();
+  });
+}
+
+/**
+ * Creates a private temporary directory.
+ *
+ * @param {string} prefix Directory name prefix.
+ * @returns {Promise<{ dir: string, cleanup: () => void }>} Path and a remover
+ *   that deletes the directory with its contents.
+ */
+export function createTempDir(prefix) {
+  return new Promise((resolve, reject) => {
+    tmp.dir({ prefix, unsafeCleanup: true }, (err, dir, cleanup) => {
+      if (err) reject(err);
+      else resolve({ dir, cleanup });
+    });
+  });
+}
@@ -0,0 +1,174 @@
+// Parser for HLS playlists (RFC 8216): master playlists with their variants and
+// renditions, media playlists with their segments. IPTV channel lists share the
+// `#EXTM3U` header but are parsed by `parseM3u`.
+
+// Attribute lists are `KEY=value,KEY="quoted, value",...`.
+const ATTRIBUTE_LIST_PATTERN = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+
+function parseAttributeList(text) {
+  const attributes = {};
+  for (const match of String(text || "").matchAll(ATTRIBUTE_LIST_PATTERN)) {
+    const raw = match[2].trim();
+    attributes[match[1]] = raw.startsWith('"') ? raw.slice(1, -1) : raw;
+  }
+  return attributes;
+}
+
+function toNumberOrNull(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function resolveUri(uri, baseUrl) {
+  try {
+    return new URL(uri, baseUrl).toString();
+  } catch (e) {
+    return uri;
+  }
+}
+
+// `length[@offset]`; without an offset the range starts where the previous one ended.
+function parseByteRange(value, nextOffset) {
+  const match = String(value || "").match(/^\s*(\d+)(?:@(\d+))?/);
+  if (!match) return null;
+  const length = Number(match[1]);
+  const offset = match[2] !== undefined ? Number(match[2]) : nextOffset;
+  return { offset, length };
+}
+
+/**
+ * Tells whether playlist text is an HLS playlist rather than an IPTV channel list.
+ *
+ * @param {string} text Playlist content (or its first bytes).
+ * @returns {boolean} True for master or media playlists.
+ */
+export function isHlsPlaylist(text) {
+  const body = String(text || "").replace(/^\uFEFF/, "").trimStart();
+  return (
+    body.startsWith("#EXTM3U") &&
+    (body.includes("#EXT-X-STREAM-INF") || body.includes("#EXT-X-TARGETDURATION"))
+  );
+}
+
+function parseMaster(lines, baseUrl) {
+  const variants = [];
+  const renditions = [];
+  let pending = null;
+  for (const line of lines) {
+    if (line.startsWith("#EXT-X-MEDIA:")) {
+      const a = parseAttributeList(line.slice("#EXT-X-MEDIA:".length));
+      renditions.push({
+        type: (a.TYPE || "").toUpperCase(),
+        groupId: a["GROUP-ID"] || null,
+        name: a.NAME || null,
+        language: a.LANGUAGE || null,
+        default: a.DEFAULT === "YES",
+        autoselect: a.AUTOSELECT === "YES",
+        forced: a.FORCED === "YES",
+        // `"2"`, or `"16/JOC"` for Atmos; only the count matters here.
+        channels: a.CHANNELS ? toNumberOrNull(a.CHANNELS.split("/")[0]) : null,
+        uri: a.URI ? resolveUri(a.URI, baseUrl) : null,
+      });
+      continue;
+    }
+    if (line.startsWith("#EXT-X-STREAM-INF:")) {
+      pending = parseAttributeList(line.slice("#EXT-X-STREAM-INF:".length));
+      continue;
+    }
+    if (line.startsWith("#")) continue;
+    if (!pending) continue;
+    const [width, height] = (pending.RESOLUTION || "").split("x").map(toNumberOrNull);
+    variants.push({
+      uri: resolveUri(line, baseUrl),
+      bandwidth: toNumberOrNull(pending.BANDWIDTH),
+      averageBandwidth: toNumberOrNull(pending["AVERAGE-BANDWIDTH"]),
+      width: width ?? null,
+      height: height ?? null,
+      codecs: pending.CODECS || null,
+      frameRate: toNumberOrNull(pending["FRAME-RATE"]),
+      audioGroup: pending.AUDIO || null,
+      subtitleGroup: pending.SUBTITLES || null,
+    });
+    pending = null;
+  }
+  return { kind: "master", variants, renditions };
+}
+
+function parseMedia(lines, baseUrl) {
+  const segments = [];
+  let targetDuration = null;
+  let playlistType = null;
+  let endList = false;
+  let duration = null;
+  let byteRange = null;
+  let map = null;
+  let key = null;
+  let nextOffset = 0;
+  for (const line of lines) {
+    if (line.startsWith("#EXT-X-TARGETDURATION:")) {
+      targetDuration = toNumberOrNull(line.slice("#EXT-X-TARGETDURATION:".length));
+    } else if (line.startsWith("#EXT-X-PLAYLIST-TYPE:")) {
+      playlistType = line.slice("#EXT-X-PLAYLIST-TYPE:".length).trim().toUpperCase();
+    } else if (line.startsWith("#EXT-X-ENDLIST")) {
+      endList = true;
+    } else if (line.startsWith("#EXTINF:")) {
+      duration = toNumberOrNull(line.slice("#EXTINF:".length).split(",")[0]);
+    } else if (line.startsWith("#EXT-X-BYTERANGE:")) {
+      byteRange = parseByteRange(line.slice("#EXT-X-BYTERANGE:".length), nextOffset);
+    } else if (line.startsWith("#EXT-X-MAP:")) {
+      const a = parseAttributeList(line.slice("#EXT-X-MAP:".length));
+      map = a.URI
+        ? { uri: resolveUri(a.URI, baseUrl), byteRange: a.BYTERANGE ? parseByteRange(a.BYTERANGE, 0) : null }
+        : null;
+    } else if (line.startsWith("#EXT-X-KEY:")) {
+      const a = parseAttributeList(line.slice("#EXT-X-KEY:".length));
+      const method = (a.METHOD || "NONE").toUpperCase();
+      key = method === "NONE" ? null : { method, uri: a.URI ? resolveUri(a.URI, baseUrl) : null };
+    } else if (!line.startsWith("#")) {
+      segments.push({ uri: resolveUri(line, baseUrl), duration, byteRange, map, key });
+      if (byteRange) nextOffset = byteRange.offset + byteRange.length;
+      duration = null;
+      byteRange = null;
+    }
+  }
+  const live = !endList && playlistType !== "VOD";
+  return {
+    kind: "media",
+    targetDuration,
+    live,
+    // A live window's length says nothing about the stream's duration.
+    duration: live ? null : segments.reduce((sum, s) => sum + (s.duration || 0), 0),
+    segments,
+  };
+}
+
+/**
+ * Parses an HLS master or media playlist. Relative URIs are resolved against
+ * `baseUrl`.
+ *
+ * Master playlists yield `{ kind: "master", variants, renditions }`: one variant
+ * per `#EXT-X-STREAM-INF` (I-frame playlists are skipped) and one rendition per
+ * `#EXT-X-MEDIA` (`type` is `AUDIO`, `SUBTITLES`, `CLOSED-CAPTIONS` or `VIDEO`).
+ * Media playlists yield `{ kind: "media", targetDuration, live, duration, segments }`,
+ * where each segment carries its `#EXT-X-BYTERANGE`, `#EXT-X-MAP` init section and
+ * `#EXT-X-KEY` (null when clear).
+ *
+ * @param {string} text Raw playlist content.
+ * @param {string} baseUrl URL the playlist was fetched from.
+ * @returns {Object} Parsed playlist.
+ * @throws {Error} When the text is not an HLS playlist.
+ */
+export function parseHlsPlaylist(text, baseUrl) {
+  if (!isHlsPlaylist(text)) throw new Error("not an HLS playlist");
+  const lines = String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  return lines.some((line) => line.startsWith("#EXT-X-STREAM-INF:"))
+    ? parseMaster(lines, baseUrl)
+    : parseMedia(lines, baseUrl);
+}
+
+export default parseHlsPlaylist;
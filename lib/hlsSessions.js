@@ -0,0 +1,407 @@
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { createTempDir, ffmpegCommand, isHttpUrl } from "./ffmpeg.js";
+import { logger } from "./logger.js";
+import { hlsEncoderStartsTotal, hlsSessionsActive } from "./metrics.js";
+
+// On-the-fly HLS for sources a client cannot play as they are. A session runs
+// one ffmpeg process that remuxes or transcodes into MPEG-TS segments in a temp
+// dir. When the video is transcoded (or there is none), keyframes are forced
+// every SEGMENT_SECONDS, so the playlist can be a complete VOD playlist built
+// from the probed duration and players can seek anywhere: a request for a
+// segment well ahead of (or behind) the encoder restarts ffmpeg at that
+// segment's start time. Copied video can only be cut at the source's own
+// keyframes, so segment lengths are unknown in advance; those sessions serve
+// ffmpeg's own EVENT playlist, which grows as segments are written and cannot
+// be seeked past the encoder. Sessions are held in this process; behind
+// several replicas, clients need affinity to the replica that created theirs.
+
+const SEGMENT_SECONDS = 6;
+const DEFAULT_MAX_SESSIONS = 4;
+const DEFAULT_IDLE_SECONDS = 120;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+// Segments this far past the encoder are waited for rather than restarted.
+const RESTART_LOOKAHEAD_SEGMENTS = 4;
+const SEGMENT_WAIT_MS = 30 * 1000;
+const POLL_MS = 250;
+const MAX_TRANSCODE_HEIGHT = 1080;
+export const SEGMENT_NAME_PATTERN = /^seg-(\d+)\.ts$/;
+
+const sessions = new Map();
+let sweeper = null;
+
+/**
+ * Session failure that maps to an HTTP status (400 bad source URL, 404
+ * unknown session or segment, 503 with `retryAfter` at the session cap, 502/504 encoder trouble).
+ */
+export class HlsSessionError extends Error {
+  constructor(status, message, retryAfter = null) {
+    super(message);
+    this.name = "HlsSessionError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Copied video: ffmpeg's segment cuts decide the playlist.
+function isEventPlaylist(session) {
+  return session.video?.action === "copy";
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function segmentFile(session, index) {
+  return path.join(session.dir, `seg-${index}.ts`);
+}
+
+// `00:01:23.45` -> 83.45
+function parseTimemark(value) {
+  const match = /^(\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(value || "");
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : 0;
+}
+
+function outputOptions(session, startIndex) {
+  const { video, audio } = session;
+  const options = [];
+  if (video) options.push("-map", "0:v:0");
+  if (audio) options.push("-map", `0:a:${audio.index}`);
+  if (video?.action === "transcode") {
+    // Forced keyframes make every segment exactly SEGMENT_SECONDS long.
+    options.push(
+      "-c:v", "libx264",
+      "-preset", "veryfast",
+      "-crf", "23",
+      "-pix_fmt", "yuv420p",
+      "-vf", `scale=-2:'min(${MAX_TRANSCODE_HEIGHT},ih)'`,
+      "-force_key_frames", `expr:gte(t,n_forced*${SEGMENT_SECONDS})`
+    );
+  } else if (video) {
+    options.push("-c:v", "copy");
+  }
+  if (audio?.action === "transcode") {
+    options.push("-c:a", "aac", "-ac", String(audio.channels), "-b:a", `${audio.channels * 64}k`);
+  } else if (audio) {
+    options.push("-c:a", "copy");
+  }
+  options.push(
+    "-sn",
+    "-f", "hls",
+    "-hls_time", String(SEGMENT_SECONDS),
+    "-hls_list_size", "0",
+    "-hls_flags", "temp_file",
+    "-start_number", String(startIndex),
+    "-hls_segment_filename", path.join(session.dir, "seg-%d.ts")
+  );
+  if (isEventPlaylist(session)) {
+    options.push("-hls_playlist_type", "event");
+  } else {
+    // Segment timestamps continue from the seek point, as the playlist expects.
+    options.push("-output_ts_offset", String(startIndex * SEGMENT_SECONDS));
+  }
+  return options;
+}
+
+function stopEncoder(session) {
+  const { command } = session;
+  session.command = null;
+  session.starting = false;
+  if (command) command.kill("SIGKILL");
+}
+
+// Restarts the encoder at `startIndex`. Until ffmpeg is spawned the restart
+// already counts as the running encoder (`starting`), so concurrent requests
+// for nearby segments wait for it instead of restarting again. Launches run one
+// at a time per session, and one superseded by a newer restart (or by closing
+// the session) never spawns ffmpeg, so no process outlives its session.
+function startEncoder(session, startIndex, reason) {
+  stopEncoder(session);
+  session.generation += 1;
+  session.starting = true;
+  session.encoderStart = startIndex;
+  session.encodedSeconds = 0;
+  session.encoderDone = false;
+  session.error = null;
+  const launch = session.launching.then(() => launchEncoder(session, startIndex, reason, session.generation));
+  session.launching = launch.catch(() => {});
+  return launch;
+}
+
+async function launchEncoder(session, startIndex, reason, generation) {
+  const current = () => session.generation === generation && sessions.has(session.id);
+  if (!current()) return;
+  try {
+    // Segments past the seek point belong to the previous run, whose cuts
+    // (when copying video) do not line up with this one's.
+    for (const name of await fs.readdir(session.dir)) {
+      const match = SEGMENT_NAME_PATTERN.exec(name);
+      if (match && Number(match[1]) >= startIndex) await fs.rm(path.join(session.dir, name), { force: true });
+    }
+  } catch (e) {
+    if (!current()) return;
+    session.starting = false;
+    session.error = e?.message ?? String(e);
+    throw e;
+  }
+  if (!current()) return;
+  // An event playlist starts where the session does and is never restarted.
+  const startSeconds = isEventPlaylist(session) ? session.start : startIndex * SEGMENT_SECONDS;
+  const command = ffmpegCommand(session.url, { timeoutSeconds: null })
+    .inputOptions(startSeconds > 0 ? ["-ss", String(startSeconds)] : [])
+    .outputOptions(outputOptions(session, startIndex))
+    .output(path.join(session.dir, "ffmpeg.m3u8"));
+  command
+    .on("progress", (progress) => {
+      if (session.command === command) session.encodedSeconds = parseTimemark(progress.timemark);
+    })
+    .on("end", () => {
+      if (session.command === command) session.encoderDone = true;
+    })
+    .on("error", (err, stdout, stderr) => {
+      // Killed by stopEncoder: a newer run (or nothing) has taken over.
+      if (session.command !== command) return;
+      const lines = String(stderr || "").trim().split("\n");
+      session.error = lines[lines.length - 1] || err?.message || String(err);
+      logger.warn("hls session encoder failed", { id: session.id, err: session.error });
+    });
+  session.command = command;
+  session.starting = false;
+  hlsEncoderStartsTotal.inc({ reason });
+  logger.info("hls session encoder started", { id: session.id, segment: startIndex, reason });
+  command.run();
+}
+
+async function removeSession(session, why) {
+  sessions.delete(session.id);
+  hlsSessionsActive.set({}, sessions.size);
+  stopEncoder(session);
+  session.cleanup();
+  logger.info("hls session closed", { id: session.id, why });
+}
+
+function sweep(idleSeconds) {
+  const cutoff = Date.now() - idleSeconds * 1000;
+  for (const session of sessions.values()) {
+    if (session.lastAccess < cutoff) removeSession(session, "idle");
+  }
+}
+
+function ensureSweeper(env) {
+  if (sweeper) return;
+  const idleSeconds = Number(env.HLS_SESSION_IDLE_SECONDS) || DEFAULT_IDLE_SECONDS;
+  sweeper = setInterval(() => sweep(idleSeconds), SWEEP_INTERVAL_MS);
+  sweeper.unref();
+}
+
+function publicSession(session) {
+  return {
+    id: session.id,
+    playlist_path: `/v1/hls-sessions/${session.id}/index.m3u8`,
+    profile: session.profile,
+    decision: session.decision,
+    start: session.start,
+    duration: session.duration,
+    playlist_type: isEventPlaylist(session) ? "event" : "vod",
+    segment_seconds: SEGMENT_SECONDS,
+    segments: session.segmentCount,
+    video: session.video,
+    audio: session.audio,
+    encoder_segment:
+      session.command || session.starting
+        ? session.encoderStart + Math.floor(session.encodedSeconds / SEGMENT_SECONDS)
+        : null,
+    error: session.error,
+    created_at: session.createdAt,
+  };
+}
+
+/**
+ * Opens a session and starts encoding at `start`.
+ *
+ * @param {Record<string, any>} env Environment bindings (`HLS_MAX_SESSIONS`,
+ *   `HLS_SESSION_IDLE_SECONDS`).
+ * @param {{ url: string, duration: number, start?: number, profile: string,
+ *   decision: string, video: { codec: string|null, action: string }|null,
+ *   audio: { index: number, action: string, channels: number|null }|null }} options
+ *   Source URL and duration, seek position in seconds, the playback plan's
+ *   profile and decision, and what to do with the video and the selected audio
+ *   track (`copy` or `transcode`).
+ * @returns {Promise<Object>} Public session state with its `playlist_path`.
+ * @throws {HlsSessionError} 400 for a non-http(s) URL, 503 when
+ *   `HLS_MAX_SESSIONS` sessions are open.
+ */
+export async function createHlsSession(env, { url, duration, start = 0, profile, decision, video, audio }) {
+  if (!isHttpUrl(url)) throw new HlsSessionError(400, "only http(s) media urls allowed");
+  ensureSweeper(env);
+  const maxSessions = Number(env.HLS_MAX_SESSIONS) || DEFAULT_MAX_SESSIONS;
+  if (sessions.size >= maxSessions) {
+    sweep(Number(env.HLS_SESSION_IDLE_SECONDS) || DEFAULT_IDLE_SECONDS);
+    if (sessions.size >= maxSessions) {
+      throw new HlsSessionError(503, "too many hls sessions", SWEEP_INTERVAL_MS / 1000);
+    }
+  }
+  // Registered before the first await, so concurrent creates count it
+  // against the cap.
+  const session = {
+    id: randomUUID(),
+    url,
+    duration,
+    segmentCount: Math.max(1, Math.ceil(duration / SEGMENT_SECONDS)),
+    profile,
+    decision,
+    start,
+    video,
+    audio: audio ? { ...audio, channels: audio.channels || 2 } : null,
+    dir: null,
+    cleanup: () => {},
+    command: null,
+    starting: false,
+    generation: 0,
+    launching: Promise.resolve(),
+    encoderStart: 0,
+    encodedSeconds: 0,
+    encoderDone: false,
+    error: null,
+    createdAt: Math.floor(Date.now() / 1000),
+    lastAccess: Date.now(),
+  };
+  sessions.set(session.id, session);
+  hlsSessionsActive.set({}, sessions.size);
+  const startIndex = isEventPlaylist(session)
+    ? 0
+    : Math.min(Math.floor(Math.max(0, start) / SEGMENT_SECONDS), session.segmentCount - 1);
+  try {
+    ({ dir: session.dir, cleanup: session.cleanup } = await createTempDir("hls-session-"));
+    // Swept or closed while the directory was being made.
+    if (!sessions.has(session.id)) throw new HlsSessionError(404, "hls session not found");
+    await startEncoder(session, startIndex, "create");
+  } catch (e) {
+    await removeSession(session, "start failed");
+    throw e;
+  }
+  return publicSession(session);
+}
+
+function touch(id) {
+  const session = sessions.get(id);
+  if (!session) throw new HlsSessionError(404, "hls session not found");
+  session.lastAccess = Date.now();
+  return session;
+}
+
+/**
+ * Public state of a session.
+ *
+ * @param {string} id Session id.
+ * @returns {Object|null} Session state, or null when unknown or closed.
+ */
+export function getHlsSession(id) {
+  const session = sessions.get(id);
+  return session ? publicSession(session) : null;
+}
+
+/**
+ * Stops a session's encoder and deletes its segments.
+ *
+ * @param {string} id Session id.
+ * @returns {Promise<boolean>} False when the session did not exist.
+ */
+export async function closeHlsSession(id) {
+  const session = sessions.get(id);
+  if (!session) return false;
+  await removeSession(session, "closed");
+  return true;
+}
+
+// Polls for a file the encoder is about to write.
+async function waitForFile(session, file, what) {
+  const deadline = Date.now() + SEGMENT_WAIT_MS;
+  while (Date.now() < deadline) {
+    if (await exists(file)) return file;
+    if (!sessions.has(session.id)) throw new HlsSessionError(404, "hls session not found");
+    if (session.error) throw new HlsSessionError(502, "transcoder failed");
+    // A finished run that skipped it (e.g. the source is shorter than probed).
+    if (session.encoderDone) throw new HlsSessionError(404, `${what} not found`);
+    await sleep(POLL_MS);
+    session.lastAccess = Date.now();
+  }
+  throw new HlsSessionError(504, `${what} not ready`);
+}
+
+/**
+ * The session's playlist: a VOD playlist covering the whole duration, or
+ * ffmpeg's EVENT playlist of the segments written so far when the video is
+ * copied (`playlist_type: "event"`), waiting for its first segment.
+ *
+ * @param {string} id Session id.
+ * @returns {Promise<string>} M3U8 text with relative `seg-N.ts` URIs.
+ * @throws {HlsSessionError} 404 for an unknown session, 502 encoder failure,
+ *   504 when the first segment is not ready in time.
+ */
+export async function hlsSessionPlaylist(id) {
+  const session = touch(id);
+  if (isEventPlaylist(session)) {
+    const file = await waitForFile(session, path.join(session.dir, "ffmpeg.m3u8"), "playlist");
+    const text = await fs.readFile(file, "utf8");
+    // ffmpeg may list segments by their path on disk; the session serves them by name.
+    return text
+      .split(/\r?\n/)
+      .map((line) => (line && !line.startsWith("#") ? path.basename(line.trim()) : line))
+      .join("\n");
+  }
+  const lines = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    `#EXT-X-TARGETDURATION:${SEGMENT_SECONDS}`,
+    "#EXT-X-PLAYLIST-TYPE:VOD",
+    "#EXT-X-MEDIA-SEQUENCE:0",
+  ];
+  for (let i = 0; i < session.segmentCount; i += 1) {
+    const length = Math.min(SEGMENT_SECONDS, session.duration - i * SEGMENT_SECONDS);
+    lines.push(`#EXTINF:${length.toFixed(3)},`, `seg-${i}.ts`);
+  }
+  lines.push("#EXT-X-ENDLIST", "");
+  return lines.join("\n");
+}
+
+/**
+ * Path of a finished segment, waiting up to 30s for it. In a VOD playlist the
+ * encoder is (re)started when it is not about to produce the segment; an event
+ * playlist only lists segments its encoder has written.
+ *
+ * @param {string} id Session id.
+ * @param {number} index Segment number.
+ * @returns {Promise<string>} Segment file path.
+ * @throws {HlsSessionError} 404 unknown session or segment, 502 encoder
+ *   failure, 504 when the segment is not ready in time.
+ */
+export async function hlsSessionSegment(id, index) {
+  const session = touch(id);
+  const event = isEventPlaylist(session);
+  if (!Number.isInteger(index) || index < 0 || (!event && index >= session.segmentCount)) {
+    throw new HlsSessionError(404, "segment not found");
+  }
+  const file = segmentFile(session, index);
+  if (await exists(file)) return file;
+  if (event) return waitForFile(session, file, "segment");
+
+  const encoderAt = session.encoderStart + Math.floor(session.encodedSeconds / SEGMENT_SECONDS);
+  const covered =
+    (session.command || session.starting) &&
+    !session.error &&
+    index >= session.encoderStart &&
+    index <= encoderAt + RESTART_LOOKAHEAD_SEGMENTS;
+  if (!covered) await startEncoder(session, index, "seek");
+  return waitForFile(session, file, "segment");
+}
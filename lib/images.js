@@ -0,0 +1,243 @@
+import { createHash } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+import { LruCache } from "./lru.js";
+import { cacheLookupsTotal } from "./metrics.js";
+import { TmdbNotFoundError, TmdbTimeoutError, TmdbUpstreamError } from "./tmdb.js";
+
+// TMDB image proxy with an on-disk LRU cache. TMDB image paths are content
+// addressed (a new image gets a new path), so cached files never go stale and
+// are only removed to stay under the size cap. Files live flat in the cache
+// directory as `{sha1(size/path)}{ext}`; recency survives restarts through the
+// file mtime, which is bumped on every hit.
+
+export const TMDB_IMAGE_BASE = "https://image.tmdb.org/t/p";
+export const IMAGE_SIZES = [
+  "w45",
+  "w92",
+  "w154",
+  "w185",
+  "w300",
+  "w342",
+  "w500",
+  "w780",
+  "w1280",
+  "h632",
+  "original",
+];
+export const IMAGE_PATH_PATTERN = /^[A-Za-z0-9_-]+\.(jpg|jpeg|png|svg|webp)$/;
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+};
+const DEFAULT_CACHE_DIR = "./data/images";
+const DEFAULT_CACHE_MAX_MB = 1024;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+// Image fields rewritten by `rewriteImageUrls`, with the size each one gets.
+const IMAGE_FIELD_SIZES = {
+  posterPath: "w500",
+  poster_path: "w500",
+  backdrop_path: "w1280",
+  profilePath: "w185",
+  profile_path: "w185",
+  still_path: "w300",
+  logo_path: "w185",
+};
+
+let indexPromise = null;
+const inflight = new Map();
+
+function cacheDir(env) {
+  return path.resolve(env.IMAGE_CACHE_DIR || DEFAULT_CACHE_DIR);
+}
+
+function maxCacheBytes(env) {
+  const mb = Number(env.IMAGE_CACHE_MAX_MB);
+  return (Number.isFinite(mb) && mb > 0 ? mb : DEFAULT_CACHE_MAX_MB) * 1024 * 1024;
+}
+
+function fileNameFor(size, imagePath) {
+  const digest = createHash("sha1").update(`${size}/${imagePath}`).digest("hex");
+  return `${digest}${path.extname(imagePath).toLowerCase()}`;
+}
+
+/**
+ * ETag of a cached image. Derived from the size and path alone, so a
+ * revalidation can be answered without touching the disk or TMDB.
+ *
+ * @param {string} size One of `IMAGE_SIZES`.
+ * @param {string} imagePath TMDB file name (`abc.jpg`).
+ * @returns {string} Quoted strong ETag.
+ */
+export function imageEtag(size, imagePath) {
+  return `"${fileNameFor(size, imagePath).split(".")[0]}"`;
+}
+
+function removeFile(file) {
+  fs.unlink(file).catch((e) => {
+    if (e.code !== "ENOENT") logger.warn("image cache unlink failed", { file, err: e.message });
+  });
+}
+
+// Rebuilds the LRU index from the directory once per process, oldest mtime first.
+function loadIndex(env) {
+  if (indexPromise) return indexPromise;
+  indexPromise = (async () => {
+    const dir = cacheDir(env);
+    const lru = new LruCache({
+      maxEntries: Infinity,
+      maxBytes: maxCacheBytes(env),
+      onEvict: (name) => removeFile(path.join(dir, name)),
+    });
+    await fs.mkdir(dir, { recursive: true });
+    const files = [];
+    for (const name of await fs.readdir(dir)) {
+      const file = path.join(dir, name);
+      if (name.endsWith(".tmp")) {
+        // Left behind by a crash mid-download.
+        removeFile(file);
+        continue;
+      }
+      try {
+        const stat = await fs.stat(file);
+        if (stat.isFile()) files.push({ name, bytes: stat.size, mtimeMs: stat.mtimeMs });
+      } catch (e) {
+        // removed concurrently
+      }
+    }
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const { name, bytes } of files) lru.set(name, bytes, bytes);
+    logger.info("image cache loaded", { dir, files: lru.size, bytes: lru.bytes });
+    return { dir, lru };
+  })();
+  indexPromise.catch(() => {
+    indexPromise = null;
+  });
+  return indexPromise;
+}
+
+async function fetchImage(env, size, imagePath) {
+  const base = (env.TMDB_IMAGE_BASE || TMDB_IMAGE_BASE).replace(/\/+$/, "");
+  let response;
+  try {
+    response = await fetch(`${base}/${size}/${imagePath}`, {
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    });
+  } catch (e) {
+    if (e?.name === "TimeoutError") throw new TmdbTimeoutError(FETCH_TIMEOUT_MS);
+    throw new TmdbUpstreamError(`TMDB image fetch failed: ${e?.message ?? e}`);
+  }
+  if (response.status === 404) {
+    throw new TmdbNotFoundError("TMDB image not found");
+  }
+  if (!response.ok) {
+    throw new TmdbUpstreamError(`TMDB image fetch failed: ${response.status}`, response.status);
+  }
+  const declared = Number(response.headers.get("content-length"));
+  if (declared > MAX_IMAGE_BYTES) {
+    throw new TmdbUpstreamError("TMDB image too large");
+  }
+  const body = Buffer.from(await response.arrayBuffer());
+  if (body.length > MAX_IMAGE_BYTES) {
+    throw new TmdbUpstreamError("TMDB image too large");
+  }
+  return body;
+}
+
+async function downloadToCache(env, index, size, imagePath, name) {
+  const body = await fetchImage(env, size, imagePath);
+  const file = path.join(index.dir, name);
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await fs.writeFile(tmp, body);
+    await fs.rename(tmp, file);
+    index.lru.set(name, body.length, body.length);
+    logger.info("disk <- cached (image)", { size, path: imagePath, bytes: body.length });
+  } catch (e) {
+    removeFile(tmp);
+    logger.warn("image cache write failed", { size, path: imagePath, err: e?.message ?? e });
+  }
+  return body;
+}
+
+/**
+ * Returns a TMDB image, from the disk cache or fetched (and cached) from the
+ * TMDB image CDN. Concurrent misses for the same image share one download.
+ *
+ * @param {Record<string, any>} env Environment bindings (`IMAGE_CACHE_DIR`,
+ *   `IMAGE_CACHE_MAX_MB`, `TMDB_IMAGE_BASE`).
+ * @param {string} size One of `IMAGE_SIZES`.
+ * @param {string} imagePath TMDB file name without the leading slash (`abc.jpg`).
+ * @returns {Promise<{ body: Buffer, contentType: string, etag: string }>} Image bytes.
+ * @throws {TmdbError} 404 when TMDB has no such image, 502/504 on fetch failures.
+ */
+export async function getImage(env, size, imagePath) {
+  const index = await loadIndex(env);
+  const name = fileNameFor(size, imagePath);
+  const contentType = CONTENT_TYPES[path.extname(imagePath).toLowerCase()];
+  const etag = imageEtag(size, imagePath);
+
+  if (index.lru.get(name) !== undefined) {
+    const file = path.join(index.dir, name);
+    try {
+      const body = await fs.readFile(file);
+      cacheLookupsTotal.inc({ tier: "disk", result: "hit" });
+      const now = new Date();
+      fs.utimes(file, now, now).catch(() => {});
+      return { body, contentType, etag };
+    } catch (e) {
+      // Evicted by another replica sharing the volume; fetch it again.
+      index.lru.delete(name);
+    }
+  }
+  cacheLookupsTotal.inc({ tier: "disk", result: "miss" });
+
+  let pending = inflight.get(name);
+  if (!pending) {
+    pending = downloadToCache(env, index, size, imagePath, name).finally(() => inflight.delete(name));
+    inflight.set(name, pending);
+  }
+  return { body: await pending, contentType, etag };
+}
+
+/**
+ * Builds the proxy URL for a TMDB image path.
+ *
+ * @param {string} base Public origin of this API (e.g. `IMAGE_PROXY_BASE`).
+ * @param {string} size One of `IMAGE_SIZES`.
+ * @param {string} imagePath TMDB path as returned in payloads (`/abc.jpg`).
+ * @returns {string} `{base}/v1/image/{size}/{file}`.
+ */
+export function buildImageProxyUrl(base, size, imagePath) {
+  return `${base.replace(/\/+$/, "")}/v1/image/${size}/${imagePath.replace(/^\/+/, "")}`;
+}
+
+/**
+ * Replaces TMDB image paths (`posterPath`, `profile_path`, `still_path`, ...)
+ * anywhere in a payload with proxy URLs. Values that are not TMDB paths (null,
+ * already absolute URLs) are left alone.
+ *
+ * @param {any} payload Parsed JSON payload; not modified.
+ * @param {string} base Public origin of this API.
+ * @returns {any} Copy of the payload with image URLs.
+ */
+export function rewriteImageUrls(payload, base) {
+  if (Array.isArray(payload)) return payload.map((item) => rewriteImageUrls(item, base));
+  if (payload === null || typeof payload !== "object") return payload;
+  const result = {};
+  for (const [key, value] of Object.entries(payload)) {
+    const size = IMAGE_FIELD_SIZES[key];
+    result[key] =
+      size && typeof value === "string" && value.startsWith("/")
+        ? buildImageProxyUrl(base, size, value)
+        : rewriteImageUrls(value, base);
+  }
+  return result;
+}
@@ -1,35 +1,128 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// JSON-lines logger. Every line carries the time, level and message; lines
+// written while a request is being handled also carry its `requestId` and
+// route template (see `runWithRequestContext`). Secrets are redacted from the
+// metadata before it is serialized.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = "info";
+const REDACTED = "[REDACTED]";
+// Header and field names whose values never reach the logs.
+const REDACTED_NAMES = new Set(["authorization", "cookie", "set-cookie", "x-api-key", "api_key"]);
+// `?api_key=` in logged URLs is the query-string form of `x-api-key`.
+const API_KEY_PARAM_PATTERN = /([?&]api_key=)[^&#\s"]*/gi;
+const MAX_REDACT_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+let threshold = resolveLevel(process.env.LOG_LEVEL);
+
+function resolveLevel(name) {
+  const key = String(name || "").trim().toLowerCase();
+  return LEVELS[key] ?? LEVELS[DEFAULT_LEVEL];
+}
+
+/**
+ * Returns a plain copy of request headers with credentials replaced by `[REDACTED]`.
+ *
+ * @param {Headers|Record<string, string>} headers Request or response headers.
+ * @returns {Record<string, string>} Lower-cased header map safe to log.
+ */
+export function redactHeadersForLog(headers) {
+  const entries =
+    typeof headers?.entries === "function" ? headers.entries() : Object.entries(headers || {});
+  const result = {};
+  for (const [name, value] of entries) {
+    const lowerName = name.toLowerCase();
+    result[lowerName] = REDACTED_NAMES.has(lowerName) ? REDACTED : value;
+  }
+  return result;
+}
+
+function redactValue(value, depth) {
+  if (typeof value === "string") {
+    return value.includes("api_key=") ? value.replace(API_KEY_PARAM_PATTERN, `$1${REDACTED}`) : value;
+  }
+  if (value === null || typeof value !== "object") return value;
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (value instanceof Headers) return redactHeadersForLog(value);
+  if (value instanceof URL) return redactValue(value.toString(), depth);
+  if (depth >= MAX_REDACT_DEPTH) return "[Truncated]";
+  if (Array.isArray(value)) return value.map((item) => redactValue(item, depth + 1));
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = REDACTED_NAMES.has(key.toLowerCase()) ? REDACTED : redactValue(item, depth + 1);
+  }
+  return result;
+}
+
+function write(level, msg, meta) {
+  if (LEVELS[level] < threshold) return;
+  const context = requestContext.getStore();
+  const fields =
+    meta === undefined
+      ? {}
+      : meta !== null && typeof meta === "object" && !Array.isArray(meta) && !(meta instanceof Error)
+        ? redactValue(meta, 0)
+        : { detail: redactValue(meta, 0) };
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactValue(String(msg), 0),
+    ...(context ? { requestId: context.requestId, route: context.route } : {}),
+  };
+  // Metadata never overrides the fields above.
+  for (const [key, value] of Object.entries(fields)) {
+    if (!(key in entry)) entry[key] = value;
+  }
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (e) {
+    line = JSON.stringify({ time: entry.time, level, msg: entry.msg, requestId: entry.requestId });
+  }
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Sets the minimum level written (`debug`, `info`, `warn`, `error` or `silent`).
+ * Unknown names fall back to `info`.
+ *
+ * @param {string} level Level name, usually `LOG_LEVEL`.
+ * @returns {void}
+ */
+export function setLogLevel(level) {
+  threshold = resolveLevel(level);
+}
+
+/**
+ * Runs `fn` with a request context; every log line written during it (including
+ * from awaited work) carries the request id and route.
+ *
+ * @template T
+ * @param {{ requestId: string, route: string }} context Request identity.
+ * @param {() => T} fn Work to run.
+ * @returns {T} Result of `fn`.
+ */
+export function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
 export const logger = {
   debug(msg, meta) {
-    try {
-      const m = meta !== undefined ? ` ${JSON.stringify(meta)}` : "";
-      console.log(`[${new Date().toISOString()}] [DEBUG] ${msg}${m}`);
-    } catch (e) {
-      console.log(`[${new Date().toISOString()}] [DEBUG] ${String(msg)}`);
-    }
+    write("debug", msg, meta);
   },
   info(msg, meta) {
-    try {
-      const m = meta !== undefined ? ` ${JSON.stringify(meta)}` : "";
-      console.log(`[${new Date().toISOString()}] [INFO] ${msg}${m}`);
-    } catch (e) {
-      console.log(`[${new Date().toISOString()}] [INFO] ${String(msg)}`);
-    }
+    write("info", msg, meta);
   },
   warn(msg, meta) {
-    try {
-      const m = meta !== undefined ? ` ${JSON.stringify(meta)}` : "";
-      console.warn(`[${new Date().toISOString()}] [WARN] ${msg}${m}`);
-    } catch (e) {
-      console.warn(`[${new Date().toISOString()}] [WARN] ${String(msg)}`);
-    }
+    write("warn", msg, meta);
   },
   error(msg, meta) {
-    try {
-      const m = meta !== undefined ? ` ${JSON.stringify(meta)}` : "";
-      console.error(`[${new Date().toISOString()}] [ERROR] ${msg}${m}`);
-    } catch (e) {
-      console.error(`[${new Date().toISOString()}] [ERROR] ${String(msg)}`);
-    }
+    write("error", msg, meta);
   },
 };
 
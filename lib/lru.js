@@ -0,0 +1,88 @@
+/**
+ * Size-bounded LRU map. Entries are evicted least-recently-used first once
+ * either `maxEntries` or `maxBytes` (sum of the caller-supplied entry sizes)
+ * is exceeded. Relies on `Map` iteration order: a hit is re-inserted at the end.
+ * `onEvict(key, value)` is called for entries dropped to make room (not for
+ * explicit `delete`/`clear`), e.g. to remove a backing file.
+ */
+export class LruCache {
+  /**
+   * @param {{ maxEntries: number, maxBytes: number,
+   *   onEvict?: (key: string, value: any) => void }} limits Eviction limits and callback.
+   */
+  constructor({ maxEntries, maxBytes, onEvict = null }) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.onEvict = onEvict;
+    this.bytes = 0;
+    this.map = new Map();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  /**
+   * @param {string} key Entry key.
+   * @returns {any} Stored value (marked most recently used), or undefined.
+   */
+  get(key) {
+    const entry = this.map.get(key);
+    if (!entry) return undefined;
+    this.map.delete(key);
+    this.map.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Same as `get` without touching the recency order.
+   *
+   * @param {string} key Entry key.
+   * @returns {any} Stored value, or undefined.
+   */
+  peek(key) {
+    return this.map.get(key)?.value;
+  }
+
+  /**
+   * Stores a value. Values larger than `maxBytes` on their own are not kept.
+   *
+   * @param {string} key Entry key.
+   * @param {any} value Value to store.
+   * @param {number} bytes Approximate size of the value.
+   * @returns {boolean} Whether the value was stored.
+   */
+  set(key, value, bytes) {
+    this.delete(key);
+    if (bytes > this.maxBytes || this.maxEntries <= 0) return false;
+    this.map.set(key, { value, bytes });
+    this.bytes += bytes;
+    while (this.map.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const [oldest, { value: evicted }] = this.map.entries().next().value;
+      this.delete(oldest);
+      if (this.onEvict) this.onEvict(oldest, evicted);
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} key Entry key.
+   * @returns {boolean} Whether an entry was removed.
+   */
+  delete(key) {
+    const entry = this.map.get(key);
+    if (!entry) return false;
+    this.map.delete(key);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  clear() {
+    this.map.clear();
+    this.bytes = 0;
+  }
+
+  keys() {
+    return this.map.keys();
+  }
+}
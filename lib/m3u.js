@@ -0,0 +1,135 @@
+// Parser for IPTV M3U/M3U8 playlists (the `#EXTM3U` + `#EXTINF` dialect used by
+// providers, not HLS media playlists).
+
+const ATTRIBUTE_PATTERN = /([A-Za-z0-9_-]+)="([^"]*)"/g;
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[match[1].toLowerCase()] = match[2].trim();
+  }
+  return attributes;
+}
+
+// The display name follows the first comma that is not inside a quoted attribute value.
+function splitExtinf(body) {
+  let inQuotes = false;
+  for (let i = 0; i < body.length; i += 1) {
+    const ch = body[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    if (ch === "," && !inQuotes) {
+      return { head: body.slice(0, i), name: body.slice(i + 1).trim() };
+    }
+  }
+  return { head: body, name: "" };
+}
+
+function toNumberOrNull(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function buildCatchup(attributes, defaults) {
+  const type = attributes["catchup"] || attributes["catchup-type"] || defaults.catchup || null;
+  const days = toNumberOrNull(
+    attributes["catchup-days"] ?? attributes["timeshift"] ?? attributes["tvg-rec"] ?? defaults.catchupDays
+  );
+  const source = attributes["catchup-source"] || defaults.catchupSource || null;
+  if (!type && !days && !source) return null;
+  return { type, days, source };
+}
+
+/**
+ * Parses an IPTV M3U/M3U8 playlist into channel entries.
+ *
+ * Recognised `#EXTINF` attributes: `tvg-id`, `tvg-name`, `tvg-logo`, `tvg-chno`,
+ * `group-title` and the catch-up family (`catchup`, `catchup-days`, `catchup-source`,
+ * `timeshift`, `tvg-rec`). Catch-up attributes on the `#EXTM3U` header act as defaults
+ * for every entry. `#EXTGRP` is used when `group-title` is absent and
+ * `#EXTVLCOPT:http-user-agent` / `http-referrer` are returned as `httpHeaders`.
+ * Entries without a URL line are skipped.
+ *
+ * @param {string} text Raw playlist content.
+ * @returns {{ header: Record<string, string>, entries: Array<Object>, skipped: number }}
+ *   Header attributes, parsed entries in playlist order and the number of dropped entries.
+ */
+export function parseM3u(text) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/);
+  let header = {};
+  const defaults = {};
+  const entries = [];
+  let pending = null;
+  let skipped = 0;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith("#EXTM3U")) {
+      header = parseAttributes(line.slice("#EXTM3U".length));
+      defaults.catchup = header["catchup"] || header["catchup-type"];
+      defaults.catchupDays = header["catchup-days"];
+      defaults.catchupSource = header["catchup-source"];
+      continue;
+    }
+
+    if (line.startsWith("#EXTINF:")) {
+      if (pending) skipped += 1;
+      const { head, name } = splitExtinf(line.slice("#EXTINF:".length));
+      const durationMatch = head.match(/^\s*(-?\d+(?:\.\d+)?)/);
+      pending = {
+        duration: durationMatch ? Number(durationMatch[1]) : -1,
+        name,
+        attributes: parseAttributes(head),
+        group: null,
+        httpHeaders: {},
+      };
+      continue;
+    }
+
+    if (line.startsWith("#EXTGRP:")) {
+      if (pending) pending.group = line.slice("#EXTGRP:".length).trim() || null;
+      continue;
+    }
+
+    if (line.startsWith("#EXTVLCOPT:")) {
+      if (!pending) continue;
+      const opt = line.slice("#EXTVLCOPT:".length);
+      const eq = opt.indexOf("=");
+      if (eq < 0) continue;
+      const key = opt.slice(0, eq).trim().toLowerCase();
+      const value = opt.slice(eq + 1).trim();
+      if (key === "http-user-agent") pending.httpHeaders["user-agent"] = value;
+      if (key === "http-referrer" || key === "http-referer") pending.httpHeaders["referer"] = value;
+      continue;
+    }
+
+    if (line.startsWith("#")) continue;
+
+    if (!pending) {
+      skipped += 1;
+      continue;
+    }
+
+    const { attributes } = pending;
+    entries.push({
+      name: pending.name || attributes["tvg-name"] || line,
+      url: line,
+      duration: pending.duration,
+      tvgId: attributes["tvg-id"] || null,
+      tvgName: attributes["tvg-name"] || null,
+      tvgLogo: attributes["tvg-logo"] || null,
+      tvgChno: toNumberOrNull(attributes["tvg-chno"]),
+      groupTitle: attributes["group-title"] || pending.group || null,
+      catchup: buildCatchup(attributes, defaults),
+      httpHeaders: pending.httpHeaders,
+    });
+    pending = null;
+  }
+  if (pending) skipped += 1;
+
+  return { header, entries, skipped };
+}
+
+export default parseM3u;
@@ -0,0 +1,319 @@
+import {
+  channelLayout,
+  frameRate,
+  parseAacConfig,
+  parseAv1Config,
+  parseAvcConfig,
+  parseHevcConfig,
+  pixelFormat,
+} from "./codecConfig.js";
+
+// Matroska/WebM header parser. Reads the EBML header and the Segment's Info
+// and Tracks elements with range reads; when Clusters come first, the SeekHead
+// says where the metadata lives, so no media data is downloaded.
+
+const EBML_MAGIC = 0x1a45dfa3;
+const ID = {
+  SEGMENT: 0x18538067,
+  SEEK_HEAD: 0x114d9b74,
+  SEEK: 0x4dbb,
+  SEEK_ID: 0x53ab,
+  SEEK_POSITION: 0x53ac,
+  INFO: 0x1549a966,
+  TIMESTAMP_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_TYPE: 0x83,
+  FLAG_FORCED: 0x55aa,
+  DEFAULT_DURATION: 0x23e383,
+  LANGUAGE: 0x22b59c,
+  LANGUAGE_BCP47: 0x22b59d,
+  CODEC_ID: 0x86,
+  CODEC_PRIVATE: 0x63a2,
+  VIDEO: 0xe0,
+  PIXEL_WIDTH: 0xb0,
+  PIXEL_HEIGHT: 0xba,
+  COLOUR: 0x55b0,
+  BITS_PER_CHANNEL: 0x55b2,
+  CHROMA_SUBSAMPLING_HORZ: 0x55b3,
+  CHROMA_SUBSAMPLING_VERT: 0x55b4,
+  AUDIO: 0xe1,
+  SAMPLING_FREQUENCY: 0xb5,
+  CHANNELS: 0x9f,
+  CLUSTER: 0x1f43b675,
+};
+const TRACK_TYPES = { 1: "video", 2: "audio", 17: "subtitle" };
+const MAX_SEGMENT_CHILDREN = 64;
+const MAX_ELEMENT_BYTES = 16 * 1024 * 1024;
+
+// CodecID to ffprobe codec name; A_AAC/* and A_PCM/* are matched by prefix.
+const CODEC_IDS = {
+  "V_MPEG4/ISO/AVC": "h264",
+  "V_MPEGH/ISO/HEVC": "hevc",
+  V_AV1: "av1",
+  V_VP9: "vp9",
+  V_VP8: "vp8",
+  "V_MPEG4/ISO/ASP": "mpeg4",
+  V_MPEG2: "mpeg2video",
+  A_AC3: "ac3",
+  A_EAC3: "eac3",
+  A_DTS: "dts",
+  A_TRUEHD: "truehd",
+  A_OPUS: "opus",
+  A_VORBIS: "vorbis",
+  A_FLAC: "flac",
+  "A_MPEG/L3": "mp3",
+  "A_MPEG/L2": "mp2",
+  "S_TEXT/UTF8": "subrip",
+  "S_TEXT/ASS": "ass",
+  "S_TEXT/SSA": "ass",
+  "S_TEXT/WEBVTT": "webvtt",
+  "S_HDMV/PGS": "hdmv_pgs_subtitle",
+  S_VOBSUB: "dvd_subtitle",
+  S_DVBSUB: "dvb_subtitle",
+};
+const AAC_CODEC_ID_PROFILES = { MAIN: "Main", LC: "LC", SSR: "SSR", LTP: "LTP", SBR: "HE-AAC" };
+
+// EBML variable-length integers: the leading zero bits give the length.
+function vintLength(firstByte) {
+  for (let length = 1; length <= 8; length += 1) {
+    if (firstByte & (0x80 >> (length - 1))) return length;
+  }
+  return 0;
+}
+
+function readElementHeader(buf, offset) {
+  if (offset >= buf.length) return null;
+  const idLength = vintLength(buf[offset]);
+  if (!idLength || idLength > 4 || offset + idLength >= buf.length) return null;
+  let id = 0;
+  for (let i = 0; i < idLength; i += 1) id = id * 256 + buf[offset + i];
+  const sizeOffset = offset + idLength;
+  const sizeLength = vintLength(buf[sizeOffset]);
+  if (!sizeLength || sizeOffset + sizeLength > buf.length) return null;
+  let size = buf[sizeOffset] & (0xff >> sizeLength);
+  let allOnes = size === 0xff >> sizeLength;
+  for (let i = 1; i < sizeLength; i += 1) {
+    size = size * 256 + buf[sizeOffset + i];
+    allOnes = allOnes && buf[sizeOffset + i] === 0xff;
+  }
+  return { id, start: sizeOffset + sizeLength, size: allOnes ? null : size };
+}
+
+function children(buf, start = 0, end = buf.length) {
+  const out = [];
+  for (let offset = start; offset < end; ) {
+    const el = readElementHeader(buf, offset);
+    if (!el || el.size === null) break;
+    out.push({ id: el.id, start: el.start, end: Math.min(el.start + el.size, end) });
+    offset = el.start + el.size;
+  }
+  return out;
+}
+
+function readUint(buf, el) {
+  let value = 0;
+  for (let i = el.start; i < el.end; i += 1) value = value * 256 + buf[i];
+  return value;
+}
+
+function readFloat(buf, el) {
+  const length = el.end - el.start;
+  if (length === 4) return buf.readFloatBE(el.start);
+  if (length === 8) return buf.readDoubleBE(el.start);
+  return null;
+}
+
+function readString(buf, el) {
+  return buf.toString("utf8", el.start, el.end).replace(/\0+$/, "");
+}
+
+function childMap(buf, el) {
+  const map = new Map();
+  for (const child of children(buf, el.start, el.end)) {
+    if (!map.has(child.id)) map.set(child.id, child);
+  }
+  return map;
+}
+
+function codecName(codecId) {
+  if (CODEC_IDS[codecId]) return CODEC_IDS[codecId];
+  if (codecId.startsWith("A_AAC")) return "aac";
+  if (codecId.startsWith("A_PCM/INT/LIT")) return "pcm_s16le";
+  if (codecId.startsWith("A_PCM/INT/BIG")) return "pcm_s16be";
+  if (codecId.startsWith("A_PCM/FLOAT")) return "pcm_f32le";
+  return codecId.toLowerCase() || null;
+}
+
+function parseTrackEntry(buf, entry, duration) {
+  const fields = childMap(buf, entry);
+  const type = TRACK_TYPES[fields.has(ID.TRACK_TYPE) ? readUint(buf, fields.get(ID.TRACK_TYPE)) : 0];
+  if (!type) return null;
+  const codecId = fields.has(ID.CODEC_ID) ? readString(buf, fields.get(ID.CODEC_ID)) : "";
+  const codecPrivate = fields.has(ID.CODEC_PRIVATE)
+    ? buf.subarray(fields.get(ID.CODEC_PRIVATE).start, fields.get(ID.CODEC_PRIVATE).end)
+    : null;
+  const track = {
+    type,
+    codec: codecName(codecId),
+    // Matroska's default language is English when the element is absent.
+    language: fields.has(ID.LANGUAGE)
+      ? readString(buf, fields.get(ID.LANGUAGE))
+      : fields.has(ID.LANGUAGE_BCP47)
+        ? readString(buf, fields.get(ID.LANGUAGE_BCP47))
+        : "eng",
+    forced: fields.has(ID.FLAG_FORCED) ? readUint(buf, fields.get(ID.FLAG_FORCED)) === 1 : false,
+    duration,
+  };
+
+  if (type === "video") {
+    const video = fields.has(ID.VIDEO) ? childMap(buf, fields.get(ID.VIDEO)) : new Map();
+    const colour = video.has(ID.COLOUR) ? childMap(buf, video.get(ID.COLOUR)) : new Map();
+    const configs = { h264: parseAvcConfig, hevc: parseHevcConfig, av1: parseAv1Config };
+    let info = { profile: null, level: null, pixFmt: null };
+    if (configs[track.codec] && codecPrivate) info = configs[track.codec](codecPrivate);
+    if (!info.pixFmt && colour.has(ID.BITS_PER_CHANNEL)) {
+      const uintOr = (id, fallback) => (colour.has(id) ? readUint(buf, colour.get(id)) : fallback);
+      const horz = uintOr(ID.CHROMA_SUBSAMPLING_HORZ, 1);
+      const vert = uintOr(ID.CHROMA_SUBSAMPLING_VERT, 1);
+      info.pixFmt = pixelFormat(horz && vert ? 1 : horz ? 2 : 3, uintOr(ID.BITS_PER_CHANNEL, 8));
+    }
+    // DefaultDuration is the frame duration in nanoseconds.
+    const rate = fields.has(ID.DEFAULT_DURATION)
+      ? frameRate(1e9, readUint(buf, fields.get(ID.DEFAULT_DURATION)))
+      : null;
+    return {
+      ...track,
+      width: video.has(ID.PIXEL_WIDTH) ? readUint(buf, video.get(ID.PIXEL_WIDTH)) : null,
+      height: video.has(ID.PIXEL_HEIGHT) ? readUint(buf, video.get(ID.PIXEL_HEIGHT)) : null,
+      ...info,
+      rFrameRate: rate,
+      avgFrameRate: rate,
+    };
+  }
+
+  if (type === "audio") {
+    const audio = fields.has(ID.AUDIO) ? childMap(buf, fields.get(ID.AUDIO)) : new Map();
+    let channels = audio.has(ID.CHANNELS) ? readUint(buf, audio.get(ID.CHANNELS)) : 1;
+    let sampleRate = audio.has(ID.SAMPLING_FREQUENCY)
+      ? readFloat(buf, audio.get(ID.SAMPLING_FREQUENCY))
+      : 8000;
+    let profile = null;
+    if (track.codec === "aac") {
+      const aac = codecPrivate ? parseAacConfig(codecPrivate) : null;
+      profile = aac?.profile ?? AAC_CODEC_ID_PROFILES[codecId.split("/").pop()] ?? null;
+      channels = channels || aac?.channels;
+      sampleRate = sampleRate || aac?.sampleRate;
+    }
+    return {
+      ...track,
+      profile,
+      channels: channels || null,
+      sampleRate: sampleRate ? Math.round(sampleRate) : null,
+      channelLayout: channelLayout(channels),
+    };
+  }
+
+  return track;
+}
+
+/**
+ * Tells whether the first bytes of a file are an EBML (Matroska/WebM) header.
+ *
+ * @param {Buffer} head First bytes of the file (at least 4).
+ * @returns {boolean} True for Matroska and WebM.
+ */
+export function isMatroska(head) {
+  return head.length >= 4 && head.readUInt32BE(0) === EBML_MAGIC;
+}
+
+/**
+ * Reads the stream layout of a Matroska/WebM file from its Info and Tracks
+ * elements.
+ *
+ * @param {(offset: number, length: number) => Promise<Buffer>} read Range reader;
+ *   may return fewer bytes at the end of the file.
+ * @param {number|null} size File size when known.
+ * @returns {Promise<{ formatName: string, formatLongName: string, duration: number|null,
+ *   tracks: Array<Object> }>} Container info and one entry per video/audio/subtitle track.
+ * @throws {Error} When the EBML header, Segment or Tracks element cannot be found.
+ */
+export async function parseMatroska(read, size) {
+  const head = await read(0, 64);
+  const ebml = readElementHeader(head, 0);
+  if (!ebml || ebml.id !== EBML_MAGIC || ebml.size === null) throw new Error("not a matroska file");
+  const header = await read(0, ebml.start + ebml.size + 16);
+
+  const segment = readElementHeader(header, ebml.start + ebml.size);
+  if (!segment || segment.id !== ID.SEGMENT) throw new Error("matroska segment not found");
+  const segmentStart = segment.start;
+  const segmentEnd = segment.size !== null ? segmentStart + segment.size : size ?? Infinity;
+
+  // Reads a top-level element at `offset`; null for clusters, unknown sizes and oversized elements.
+  const elementAt = async (offset) => {
+    const elHead = await read(offset, 12);
+    const el = readElementHeader(elHead, 0);
+    if (!el) return null;
+    const dataStart = offset + el.start;
+    return { id: el.id, dataStart, size: el.size };
+  };
+  const loadElement = async (el) => {
+    if (el.size === null || el.size > MAX_ELEMENT_BYTES) return null;
+    const data = await read(el.dataStart, el.size);
+    return data.length === el.size ? data : null;
+  };
+
+  const found = new Map();
+  const seekPositions = new Map();
+  let offset = segmentStart;
+  for (let i = 0; i < MAX_SEGMENT_CHILDREN && offset < segmentEnd; i += 1) {
+    const el = await elementAt(offset);
+    if (!el || el.id === ID.CLUSTER || el.size === null) break;
+    if (el.id === ID.INFO || el.id === ID.TRACKS) {
+      const data = await loadElement(el);
+      if (data) found.set(el.id, data);
+    } else if (el.id === ID.SEEK_HEAD) {
+      const data = await loadElement(el);
+      for (const seek of data ? children(data) : []) {
+        if (seek.id !== ID.SEEK) continue;
+        const fields = childMap(data, seek);
+        if (!fields.has(ID.SEEK_ID) || !fields.has(ID.SEEK_POSITION)) continue;
+        const position = readUint(data, fields.get(ID.SEEK_POSITION));
+        seekPositions.set(readUint(data, fields.get(ID.SEEK_ID)), position);
+      }
+    }
+    if (found.has(ID.INFO) && found.has(ID.TRACKS)) break;
+    offset = el.dataStart + el.size;
+  }
+  for (const id of [ID.INFO, ID.TRACKS]) {
+    if (found.has(id) || !seekPositions.has(id)) continue;
+    const el = await elementAt(segmentStart + seekPositions.get(id));
+    const data = el && el.id === id ? await loadElement(el) : null;
+    if (data) found.set(id, data);
+  }
+  if (!found.has(ID.TRACKS)) throw new Error("matroska tracks not found");
+
+  let duration = null;
+  const info = found.get(ID.INFO);
+  if (info) {
+    const fields = new Map(children(info).map((el) => [el.id, el]));
+    const scale = fields.has(ID.TIMESTAMP_SCALE) ? readUint(info, fields.get(ID.TIMESTAMP_SCALE)) : 1000000;
+    const value = fields.has(ID.DURATION) ? readFloat(info, fields.get(ID.DURATION)) : null;
+    duration = value ? (value * scale) / 1e9 : null;
+  }
+
+  const tracksData = found.get(ID.TRACKS);
+  const tracks = children(tracksData)
+    .filter((el) => el.id === ID.TRACK_ENTRY)
+    .map((entry) => parseTrackEntry(tracksData, entry, duration))
+    .filter(Boolean);
+  return {
+    formatName: "matroska,webm",
+    formatLongName: "Matroska / WebM",
+    duration,
+    tracks,
+  };
+}
+
+export default parseMatroska;
@@ -0,0 +1,230 @@
+// In-process Prometheus metrics, rendered in the text exposition format by
+// `/metrics`. Each replica exposes its own counters; aggregate in Prometheus.
+
+const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  // Labels are normalized to the declared names so `{ a, b }` and `{ b, a }`
+  // land in the same series; missing labels render as "".
+  seriesFor(labels, create) {
+    const normalized = {};
+    for (const name of this.labelNames) normalized[name] = labels[name] ?? "";
+    const id = this.labelNames.map((name) => normalized[name]).join("\u0000");
+    let series = this.series.get(id);
+    if (!series) {
+      series = create(normalized);
+      this.series.set(id, series);
+    }
+    return series;
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+}
+
+/** Monotonic counter. */
+export class Counter extends Metric {
+  /**
+   * @param {string} name Metric name.
+   * @param {string} help Help text.
+   * @param {string[]} [labelNames] Label names.
+   */
+  constructor(name, help, labelNames = []) {
+    super("counter", name, help, labelNames);
+  }
+
+  /**
+   * @param {Record<string, string|number>} [labels] Label values.
+   * @param {number} [value] Increment (default 1).
+   * @returns {void}
+   */
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, (normalized) => ({ labels: normalized, value: 0 })).value += value;
+  }
+
+  render() {
+    let out = this.header();
+    for (const { labels, value } of this.series.values()) {
+      out += `${this.name}${formatLabels(labels)} ${formatValue(value)}\n`;
+    }
+    return out;
+  }
+}
+
+/** Gauge that can go up and down. */
+export class Gauge extends Metric {
+  /**
+   * @param {string} name Metric name.
+   * @param {string} help Help text.
+   * @param {string[]} [labelNames] Label names.
+   */
+  constructor(name, help, labelNames = []) {
+    super("gauge", name, help, labelNames);
+  }
+
+  /**
+   * @param {Record<string, string|number>} labels Label values.
+   * @param {number} value New value.
+   * @returns {void}
+   */
+  set(labels, value) {
+    this.seriesFor(labels, (normalized) => ({ labels: normalized, value: 0 })).value = value;
+  }
+
+  render() {
+    let out = this.header();
+    for (const { labels, value } of this.series.values()) {
+      out += `${this.name}${formatLabels(labels)} ${formatValue(value)}\n`;
+    }
+    return out;
+  }
+}
+
+/** Histogram with cumulative buckets, `_sum` and `_count`. */
+export class Histogram extends Metric {
+  /**
+   * @param {string} name Metric name.
+   * @param {string} help Help text.
+   * @param {string[]} [labelNames] Label names.
+   * @param {number[]} [buckets] Upper bounds in ascending order.
+   */
+  constructor(name, help, labelNames = [], buckets = DEFAULT_DURATION_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Record<string, string|number>} labels Label values.
+   * @param {number} value Observed value (seconds for durations).
+   * @returns {void}
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, (normalized) => ({
+      labels: normalized,
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0,
+    }));
+    for (let i = 0; i < this.buckets.length; i += 1) {
+      if (value <= this.buckets[i]) series.counts[i] += 1;
+    }
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    let out = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        out += `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}\n`;
+      });
+      out += `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}\n`;
+      out += `${this.name}_sum${formatLabels(labels)} ${sum}\n`;
+      out += `${this.name}_count${formatLabels(labels)} ${count}\n`;
+    }
+    return out;
+  }
+}
+
+export const httpRequestsTotal = new Counter(
+  "http_requests_total",
+  "HTTP requests by route, method and status.",
+  ["route", "method", "status"]
+);
+
+export const httpRequestDurationSeconds = new Histogram(
+  "http_request_duration_seconds",
+  "Time until the response finished (whole stream for /proxy), by route.",
+  ["route", "method"]
+);
+
+export const cacheLookupsTotal = new Counter(
+  "cache_lookups_total",
+  "Cache lookups by tier (memory, redis, disk for images) and result (hit, stale, miss).",
+  ["tier", "result"]
+);
+
+export const tmdbRequestsTotal = new Counter(
+  "tmdb_requests_total",
+  "TMDB upstream attempts by HTTP status (`timeout` and `network_error` for failed attempts).",
+  ["status"]
+);
+
+export const ffprobeDurationSeconds = new Histogram(
+  "ffprobe_duration_seconds",
+  "ffprobe run time by outcome.",
+  ["outcome"],
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+);
+
+export const ffprobeFailuresTotal = new Counter("ffprobe_failures_total", "Failed ffprobe runs.");
+
+export const metadataProbesTotal = new Counter(
+  "metadata_probes_total",
+  "Media header probes by parser (`native` MP4/Matroska, `ffprobe`) and outcome (ok, error).",
+  ["parser", "outcome"]
+);
+
+export const ffmpegDurationSeconds = new Histogram(
+  "ffmpeg_duration_seconds",
+  "ffmpeg run time by kind of work (`thumbnail`, `sprite_frame`, `sprite_tile`, `subtitle`) and outcome.",
+  ["kind", "outcome"],
+  [0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300]
+);
+
+export const hlsSessionsActive = new Gauge("hls_sessions_active", "Open on-the-fly HLS sessions.");
+hlsSessionsActive.set({}, 0);
+
+export const hlsEncoderStartsTotal = new Counter(
+  "hls_encoder_starts_total",
+  "HLS session encoder starts by reason (`create`, `seek` when a far segment restarts it).",
+  ["reason"]
+);
+
+export const redisErrorsTotal = new Counter(
+  "redis_errors_total",
+  "Redis errors by source (`command` failures, `connection` errors).",
+  ["source"]
+);
+
+export const redisCircuitOpen = new Gauge(
+  "redis_circuit_open",
+  "1 while the Redis circuit breaker is open or probing, else 0."
+);
+redisCircuitOpen.set({}, 0);
+
+/**
+ * Renders every registered metric in the Prometheus text format.
+ *
+ * @returns {string} Exposition text (version 0.0.4).
+ */
+export function renderMetrics() {
+  return registry.map((metric) => metric.render()).join("");
+}
@@ -0,0 +1,56 @@
+import { getRedisClient } from "./cache.js";
+import { decodeHash, encodeHash } from "./redisHash.js";
+
+// Movie details persisted from TMDB responses. Key layout (`{lang}` is the
+// URI-encoded language, `_` when empty):
+//   /db/movies/{id}/{lang}  hash  `detail`, `credits` (JSON) and `updated_at`
+
+const RECORD_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+function movieKey(movieId, language) {
+  return `/db/movies/${movieId}/${encodeURIComponent(language || "") || "_"}`;
+}
+
+/**
+ * Returns the stored movie record.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {number} movieId TMDB movie id.
+ * @param {string} language Language the record was fetched in ("" for TMDB default).
+ * @returns {Promise<{ detail: Object, credits: Object, updated_at: number }|null>}
+ *   Movie payload as served by `/movies/id/{id}`, or null when not stored.
+ */
+export async function getMovie(env, movieId, language) {
+  const client = getRedisClient(env);
+  return decodeHash(await client.hgetall(movieKey(movieId, language)));
+}
+
+/**
+ * Upserts a movie payload (`{ detail, credits }`) atomically.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {number} movieId TMDB movie id.
+ * @param {string} language Language of the TMDB response.
+ * @param {{ detail: Object, credits: Object }} movie Mapped movie payload.
+ * @returns {Promise<void>}
+ * @throws {Error} On Redis errors.
+ */
+export async function upsertMovie(env, movieId, language, movie) {
+  const client = getRedisClient(env);
+  const key = movieKey(movieId, language);
+  const results = await client
+    .multi()
+    .hset(
+      key,
+      encodeHash({
+        detail: movie.detail,
+        credits: movie.credits,
+        updated_at: Math.floor(Date.now() / 1000),
+      })
+    )
+    .expire(key, RECORD_TTL_SECONDS)
+    .exec();
+  for (const [err] of results || []) {
+    if (err) throw err;
+  }
+}
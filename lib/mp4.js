@@ -0,0 +1,334 @@
+import {
+  channelLayout,
+  frameRate,
+  parseAacConfig,
+  parseAv1Config,
+  parseAvcConfig,
+  parseHevcConfig,
+  parseVpConfig,
+  rational,
+} from "./codecConfig.js";
+
+// ISO BMFF (MP4/MOV) header parser. Walks the top-level boxes with small range
+// reads, skipping `mdat` without downloading it, and reads only `moov` — so a
+// moov at the end of a multi-GB file costs a few requests, not the file.
+
+const MAX_TOP_LEVEL_BOXES = 64;
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+const TOP_LEVEL_TYPES = new Set(["ftyp", "styp", "moov", "moof", "mdat", "free", "skip", "wide", "sidx"]);
+
+// Sample entry fourcc to ffprobe codec name.
+const SAMPLE_ENTRY_CODECS = {
+  avc1: "h264",
+  avc3: "h264",
+  hvc1: "hevc",
+  hev1: "hevc",
+  dvh1: "hevc",
+  dvhe: "hevc",
+  av01: "av1",
+  vp09: "vp9",
+  vp08: "vp8",
+  mp4v: "mpeg4",
+  mp4a: "aac",
+  "ac-3": "ac3",
+  "ec-3": "eac3",
+  Opus: "opus",
+  fLaC: "flac",
+  alac: "alac",
+  ".mp3": "mp3",
+  tx3g: "mov_text",
+  wvtt: "webvtt",
+  stpp: "ttml",
+  c608: "eia_608",
+};
+const HANDLER_TYPES = {
+  vide: "video",
+  soun: "audio",
+  subt: "subtitle",
+  sbtl: "subtitle",
+  text: "subtitle",
+  clcp: "subtitle",
+};
+
+function readHeader(buf, offset, end) {
+  if (offset + 8 > end) return null;
+  let size = buf.readUInt32BE(offset);
+  const type = buf.toString("latin1", offset + 4, offset + 8);
+  let headerSize = 8;
+  if (size === 1) {
+    if (offset + 16 > end) return null;
+    size = Number(buf.readBigUInt64BE(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = end - offset;
+  }
+  if (size < headerSize || offset + size > end) return null;
+  return { type, start: offset + headerSize, end: offset + size };
+}
+
+function childBoxes(buf, start = 0, end = buf.length) {
+  const boxes = [];
+  for (let offset = start; ; ) {
+    const box = readHeader(buf, offset, end);
+    if (!box) break;
+    boxes.push(box);
+    offset = box.end;
+  }
+  return boxes;
+}
+
+function findBox(buf, parent, ...path) {
+  let box = parent;
+  for (const type of path) {
+    box = childBoxes(buf, box.start, box.end).find((b) => b.type === type);
+    if (!box) return null;
+  }
+  return box;
+}
+
+// mdhd packs ISO 639-2/T as three 5-bit letters offset from 0x60.
+function unpackLanguage(packed) {
+  if (!packed || packed === 0x7fff) return null;
+  const letters = [10, 5, 0].map((shift) => String.fromCharCode(((packed >> shift) & 0x1f) + 0x60));
+  return /^[a-z]{3}$/.test(letters.join("")) ? letters.join("") : null;
+}
+
+function parseMediaHeader(buf, box) {
+  const version = buf[box.start];
+  if (version === 1) {
+    return {
+      timescale: buf.readUInt32BE(box.start + 20),
+      duration: Number(buf.readBigUInt64BE(box.start + 24)),
+      language: box.end >= box.start + 34 ? unpackLanguage(buf.readUInt16BE(box.start + 32)) : null,
+    };
+  }
+  return {
+    timescale: buf.readUInt32BE(box.start + 12),
+    duration: buf.readUInt32BE(box.start + 16),
+    language: box.end >= box.start + 22 ? unpackLanguage(buf.readUInt16BE(box.start + 20)) : null,
+  };
+}
+
+// Descriptor lengths in esds use up to four 7-bit groups.
+function readDescriptor(buf, offset, end) {
+  if (offset + 2 > end) return null;
+  const tag = buf[offset];
+  let length = 0;
+  let cursor = offset + 1;
+  for (let i = 0; i < 4 && cursor < end; i += 1) {
+    const b = buf[cursor];
+    cursor += 1;
+    length = (length << 7) | (b & 0x7f);
+    if (!(b & 0x80)) break;
+  }
+  return { tag, start: cursor, end: Math.min(end, cursor + length) };
+}
+
+// MPEG-4 audio from esds: codec (objectTypeIndication) plus the AAC config.
+function parseEsds(buf, box) {
+  const es = readDescriptor(buf, box.start + 4, box.end);
+  if (!es || es.tag !== 0x03) return null;
+  const flags = buf[es.start + 2];
+  let offset = es.start + 3;
+  if (flags & 0x80) offset += 2;
+  if (flags & 0x40) offset += 1 + buf[offset];
+  if (flags & 0x20) offset += 2;
+  const config = readDescriptor(buf, offset, es.end);
+  if (!config || config.tag !== 0x04) return null;
+  const objectType = buf[config.start];
+  if (objectType === 0x69 || objectType === 0x6b) return { codec: "mp3", aac: null };
+  if (objectType === 0xa5) return { codec: "ac3", aac: null };
+  if (objectType === 0xa6) return { codec: "eac3", aac: null };
+  const specific = readDescriptor(buf, config.start + 13, config.end);
+  const aac = specific?.tag === 0x05 ? parseAacConfig(buf.subarray(specific.start, specific.end)) : null;
+  return { codec: "aac", aac };
+}
+
+// Protected entries (`encv`, `enca`) name the real format in sinf/frma.
+function originalFormat(buf, entry, childStart) {
+  const frma = findBox(buf, { start: childStart, end: entry.end }, "sinf", "frma");
+  return frma ? buf.toString("latin1", frma.start, frma.start + 4) : entry.type;
+}
+
+function parseVideoEntry(buf, entry) {
+  const childStart = entry.start + 78;
+  const type = originalFormat(buf, entry, childStart);
+  const configs = { avcC: parseAvcConfig, hvcC: parseHevcConfig, av1C: parseAv1Config };
+  let info = { profile: null, level: null, pixFmt: null };
+  for (const child of childBoxes(buf, childStart, entry.end)) {
+    if (configs[child.type]) info = configs[child.type](buf.subarray(child.start, child.end));
+    if (child.type === "vpcC") info = parseVpConfig(buf.subarray(child.start + 4, child.end));
+  }
+  return {
+    codec: SAMPLE_ENTRY_CODECS[type] || type,
+    width: buf.readUInt16BE(entry.start + 24),
+    height: buf.readUInt16BE(entry.start + 26),
+    ...info,
+  };
+}
+
+function parseAudioEntry(buf, entry) {
+  // QuickTime sound description versions 1 and 2 append 16 / 36 bytes.
+  const version = buf.readUInt16BE(entry.start + 8);
+  const childStart = entry.start + 28 + (version === 1 ? 16 : version === 2 ? 36 : 0);
+  const type = originalFormat(buf, entry, childStart);
+  let codec = SAMPLE_ENTRY_CODECS[type] || type;
+  let channels = buf.readUInt16BE(entry.start + 16);
+  let sampleRate = buf.readUInt32BE(entry.start + 24) >>> 16;
+  let profile = null;
+  const esds = childBoxes(buf, childStart, entry.end).find((b) => b.type === "esds");
+  const parsed = esds ? parseEsds(buf, esds) : null;
+  if (parsed) {
+    codec = parsed.codec;
+    profile = parsed.aac?.profile ?? null;
+    // The entry fields are often placeholders (2 ch) for multichannel AAC.
+    channels = parsed.aac?.channels ?? channels;
+    sampleRate = sampleRate || parsed.aac?.sampleRate || null;
+  }
+  return { codec, profile, channels: channels || null, sampleRate: sampleRate || null };
+}
+
+// Per-track defaults from mvex/trex, used by fragmented files with empty stts.
+function trackDefaults(buf, moov) {
+  const defaults = new Map();
+  const mvex = findBox(buf, moov, "mvex");
+  if (!mvex) return { defaults, fragmentDuration: null };
+  let fragmentDuration = null;
+  for (const box of childBoxes(buf, mvex.start, mvex.end)) {
+    if (box.type === "trex") {
+      defaults.set(buf.readUInt32BE(box.start + 4), buf.readUInt32BE(box.start + 12));
+    } else if (box.type === "mehd") {
+      fragmentDuration =
+        buf[box.start] === 1 ? Number(buf.readBigUInt64BE(box.start + 4)) : buf.readUInt32BE(box.start + 4);
+    }
+  }
+  return { defaults, fragmentDuration };
+}
+
+// Sample count, media duration and the most common sample delta from stts.
+function sampleTiming(buf, stbl) {
+  const stts = findBox(buf, stbl, "stts");
+  if (!stts) return { samples: 0, total: 0, commonDelta: 0 };
+  const count = buf.readUInt32BE(stts.start + 4);
+  let samples = 0;
+  let total = 0;
+  let commonDelta = 0;
+  let commonCount = 0;
+  for (let i = 0, offset = stts.start + 8; i < count && offset + 8 <= stts.end; i += 1, offset += 8) {
+    const n = buf.readUInt32BE(offset);
+    const delta = buf.readUInt32BE(offset + 4);
+    samples += n;
+    total += n * delta;
+    if (n > commonCount) {
+      commonCount = n;
+      commonDelta = delta;
+    }
+  }
+  return { samples, total, commonDelta };
+}
+
+function parseTrack(buf, trak, movie, trex) {
+  const hdlr = findBox(buf, trak, "mdia", "hdlr");
+  const type = hdlr ? HANDLER_TYPES[buf.toString("latin1", hdlr.start + 8, hdlr.start + 12)] : null;
+  const stbl = findBox(buf, trak, "mdia", "minf", "stbl");
+  const stsd = stbl && findBox(buf, stbl, "stsd");
+  if (!type || !stsd) return null;
+  const [entry] = childBoxes(buf, stsd.start + 8, stsd.end);
+  if (!entry) return null;
+
+  const mdhdBox = findBox(buf, trak, "mdia", "mdhd");
+  const mdhd = mdhdBox ? parseMediaHeader(buf, mdhdBox) : { timescale: 0, duration: 0, language: null };
+  const duration = mdhd.timescale && mdhd.duration ? mdhd.duration / mdhd.timescale : movie.duration;
+  const track = { type, language: mdhd.language, forced: false, duration };
+
+  if (type === "video") {
+    const tkhd = findBox(buf, trak, "tkhd");
+    const trackId = tkhd ? buf.readUInt32BE(tkhd.start + (buf[tkhd.start] === 1 ? 20 : 12)) : null;
+    const timing = sampleTiming(buf, stbl);
+    const delta = timing.commonDelta || trex.get(trackId) || 0;
+    return {
+      ...track,
+      ...parseVideoEntry(buf, entry),
+      rFrameRate: frameRate(mdhd.timescale, delta),
+      avgFrameRate:
+        timing.samples && timing.total
+          ? rational(timing.samples * mdhd.timescale, timing.total)
+          : frameRate(mdhd.timescale, delta),
+    };
+  }
+  if (type === "audio") {
+    const audio = parseAudioEntry(buf, entry);
+    return { ...track, ...audio, channelLayout: channelLayout(audio.channels) };
+  }
+  return { ...track, codec: SAMPLE_ENTRY_CODECS[entry.type] || entry.type };
+}
+
+/**
+ * Tells whether the first bytes of a file look like ISO BMFF (MP4, MOV, fMP4).
+ *
+ * @param {Buffer} head First bytes of the file (at least 8).
+ * @returns {boolean} True when the first box has a known top-level type.
+ */
+export function isMp4(head) {
+  return head.length >= 8 && TOP_LEVEL_TYPES.has(head.toString("latin1", 4, 8));
+}
+
+/**
+ * Reads the stream layout of an MP4/MOV file from its `moov` box.
+ *
+ * @param {(offset: number, length: number) => Promise<Buffer>} read Range reader;
+ *   may return fewer bytes at the end of the file.
+ * @param {number|null} size File size when known.
+ * @returns {Promise<{ formatName: string, formatLongName: string, duration: number|null,
+ *   tracks: Array<Object> }>} Container info and one entry per video/audio/subtitle track.
+ * @throws {Error} When no `moov` box is found or it exceeds 64MB.
+ */
+export async function parseMp4(read, size) {
+  let moov = null;
+  let moovHeaderSize = 8;
+  let offset = 0;
+  for (let i = 0; i < MAX_TOP_LEVEL_BOXES && (size === null || offset + 8 <= size); i += 1) {
+    const head = await read(offset, 16);
+    if (head.length < 8) break;
+    let boxSize = head.readUInt32BE(0);
+    const type = head.toString("latin1", 4, 8);
+    let headerSize = 8;
+    if (boxSize === 1 && head.length >= 16) {
+      boxSize = Number(head.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (boxSize === 0) {
+      boxSize = size !== null ? size - offset : Infinity;
+    }
+    if (boxSize < headerSize) throw new Error(`invalid mp4 box size at ${offset}`);
+    if (type === "moov") {
+      if (boxSize > MAX_MOOV_BYTES) throw new Error("moov box too large");
+      moov = await read(offset, boxSize);
+      moovHeaderSize = headerSize;
+      if (moov.length < boxSize) throw new Error("truncated moov box");
+      break;
+    }
+    if (!Number.isFinite(boxSize)) break;
+    offset += boxSize;
+  }
+  if (!moov) throw new Error("moov box not found");
+
+  const root = { start: moovHeaderSize, end: moov.length };
+  const mvhd = findBox(moov, root, "mvhd");
+  const header = mvhd ? parseMediaHeader(moov, mvhd) : { timescale: 0, duration: 0 };
+  const { defaults, fragmentDuration } = trackDefaults(moov, root);
+  const movieUnits = header.duration || fragmentDuration || 0;
+  const movie = { duration: header.timescale && movieUnits ? movieUnits / header.timescale : null };
+
+  const tracks = childBoxes(moov, root.start, root.end)
+    .filter((box) => box.type === "trak")
+    .map((trak) => parseTrack(moov, trak, movie, defaults))
+    .filter(Boolean);
+  return {
+    formatName: "mov,mp4,m4a,3gp,3g2,mj2",
+    formatLongName: "QuickTime / MOV",
+    duration: movie.duration,
+    tracks,
+  };
+}
+
+export default parseMp4;
@@ -0,0 +1,1585 @@
+import { readFileSync } from "fs";
+import { API_KEY_SCOPES } from "./apiKeys.js";
+import { isRateLimitExempt, routeScope } from "./apiAuth.js";
+import { PURGEABLE_PREFIXES } from "./cacheAdmin.js";
+import { IMAGE_PATH_PATTERN, IMAGE_SIZES } from "./images.js";
+import { DEVICE_PROFILE_IDS } from "./playbackPlan.js";
+import { PROGRESS_ITEM_TYPES } from "./progressRepository.js";
+import { SUBTITLE_FORMATS } from "./subtitles.js";
+import { MAX_SPRITE_WIDTH, MAX_THUMBNAIL_WIDTH, SPRITE_FILE_PATTERN } from "./thumbnails.js";
+import { assertValidSchema, coerceParameter, validateSchema } from "./schema.js";
+
+// OpenAPI 3 description of every route server.js dispatches. The same schemas
+// drive request parameter validation (before dispatch) and response
+// validation (after dispatch), so the document cannot drift from the code
+// without the server noticing.
+
+const { version: PACKAGE_VERSION } = JSON.parse(
+  readFileSync(new URL("../package.json", import.meta.url), "utf8")
+);
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+const str = (extra = {}) => ({ type: "string", ...extra });
+const int = (extra = {}) => ({ type: "integer", ...extra });
+const num = (extra = {}) => ({ type: "number", ...extra });
+const bool = (extra = {}) => ({ type: "boolean", ...extra });
+const arrayOf = (items, extra = {}) => ({ type: "array", items, ...extra });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// Strict objects: every property is listed and unknown ones are reported, so
+// renamed fields (`poster_path` vs `posterPath`) show up in validation.
+function strictObject(properties, required = Object.keys(properties)) {
+  return { type: "object", properties, required, additionalProperties: false };
+}
+
+const SERIES_SUMMARY_PROPERTIES = {
+  id: int(),
+  genre_ids: arrayOf(int()),
+  original_language: nullable(str()),
+  overview: nullable(str()),
+  original_name: nullable(str()),
+  posterPath: nullable(str()),
+  first_air_date: nullable(str()),
+  name: nullable(str()),
+  vote_average: nullable(num()),
+  vote_count: nullable(int()),
+};
+
+const API_KEY_PROPERTIES = {
+  id: str({ pattern: "^[0-9a-f]{16}$" }),
+  name: str(),
+  scopes: arrayOf(str({ enum: API_KEY_SCOPES })),
+  rate_limit: nullable(int({ minimum: 1 })),
+  created_at: int({ description: "Unix seconds." }),
+};
+
+const PROGRESS_ITEM_PROPERTIES = {
+  key: str({ description: "`movie:{id}`, `episode:{seriesId}:{season}:{episode}` or `channel:{id}`." }),
+  type: str({ enum: PROGRESS_ITEM_TYPES }),
+  movie_id: nullable(int()),
+  series_id: nullable(int()),
+  season_number: nullable(int()),
+  episode_number: nullable(int()),
+  channel_id: nullable(str()),
+  position: num({ description: "Seconds." }),
+  duration: nullable(num({ description: "Seconds; null when unknown (live)." })),
+  progress: nullable(num({ minimum: 0, maximum: 1, description: "`position / duration`." })),
+  completed: bool({ description: "Reported as completed or watched to 95%." }),
+  next_up: bool({
+    description:
+      "Queued after the previous episode was finished; not started yet, or watched before (`completed`, a rewatch).",
+  }),
+  updated_at: int({ description: "Unix seconds." }),
+};
+
+const SCHEMAS = {
+  Error: {
+    type: "object",
+    description: "Body of every error response. `details` is set on 400s from parameter validation.",
+    properties: {
+      error: str(),
+      details: arrayOf(ref("ParameterIssue")),
+    },
+    required: ["error"],
+  },
+  ParameterIssue: strictObject({
+    in: str({ enum: ["query", "path"] }),
+    name: str(),
+    message: str(),
+  }),
+  Health: strictObject({ ok: bool() }),
+
+  TmdbMovieSearchResult: {
+    type: "object",
+    description:
+      "Raw TMDB `search/movie` item, passed through unchanged (snake_case). " +
+      "Use `/v1/movie/lookup` or `/movies/id/{id}` for the mapped camelCase payload.",
+    properties: {
+      id: int(),
+      title: str(),
+      original_title: str(),
+      overview: nullable(str()),
+      release_date: nullable(str()),
+      poster_path: nullable(str()),
+      backdrop_path: nullable(str()),
+      genre_ids: arrayOf(int()),
+      vote_average: num(),
+      vote_count: int(),
+    },
+    required: ["id"],
+  },
+  TmdbMovieSearch: {
+    type: "object",
+    description: "Raw TMDB `search/movie` response.",
+    properties: {
+      page: int(),
+      results: arrayOf(ref("TmdbMovieSearchResult")),
+      total_pages: int(),
+      total_results: int(),
+    },
+    required: ["results"],
+  },
+
+  MovieDetail: strictObject({
+    id: int(),
+    title: nullable(str()),
+    overview: nullable(str()),
+    releaseDate: nullable(str()),
+    posterPath: nullable(str()),
+    genres: arrayOf(strictObject({ id: nullable(int()), name: nullable(str()) })),
+    voteAverage: nullable(num()),
+    voteCount: nullable(int()),
+  }),
+  MovieCredits: strictObject({
+    crew: arrayOf(strictObject({ name: nullable(str()), job: nullable(str()) }), {
+      description: "Directors only.",
+    }),
+    cast: arrayOf(
+      strictObject({ name: nullable(str()), order: nullable(int()), profilePath: nullable(str()) })
+    ),
+  }),
+  Movie: strictObject({ detail: ref("MovieDetail"), credits: ref("MovieCredits") }),
+  MovieCandidate: strictObject({
+    id: int(),
+    title: nullable(str()),
+    originalTitle: nullable(str()),
+    releaseDate: nullable(str()),
+    posterPath: nullable(str()),
+    score: num(),
+  }),
+  MovieLookup: strictObject({
+    detail: ref("MovieDetail"),
+    credits: ref("MovieCredits"),
+    matchConfidence: num({ minimum: 0, maximum: 1 }),
+    candidates: arrayOf(ref("MovieCandidate"), { description: "Runner-up matches." }),
+  }),
+  MovieLookupBatchItem: {
+    type: "object",
+    properties: { channelId: str(), title: str(), language: str() },
+    required: ["channelId", "title"],
+  },
+  MovieLookupBatchResult: strictObject(
+    {
+      index: int(),
+      channelId: str(),
+      title: str(),
+      ok: bool(),
+      status: int({ description: "HTTP status of the failed item." }),
+      error: str(),
+      cached: bool(),
+      data: ref("MovieLookup"),
+    },
+    ["index", "channelId", "title", "ok"]
+  ),
+  MovieLookupBatch: strictObject({ results: arrayOf(ref("MovieLookupBatchResult")) }),
+
+  SeriesSummary: strictObject(SERIES_SUMMARY_PROPERTIES),
+  Series: strictObject({
+    ...SERIES_SUMMARY_PROPERTIES,
+    created_by: arrayOf({ type: "object" }),
+    number_of_episodes: nullable(int()),
+    number_of_seasons: nullable(int()),
+    seasons: arrayOf({ type: "object", description: "TMDB season summary." }),
+  }),
+  SeriesCandidate: strictObject({ ...SERIES_SUMMARY_PROPERTIES, score: num() }),
+  GuestStar: strictObject({
+    series_id: int(),
+    id: int(),
+    name: nullable(str()),
+    original_name: nullable(str()),
+    character: nullable(str()),
+    profile_path: nullable(str()),
+    order: nullable(int()),
+  }),
+  Episode: strictObject({
+    series_id: int(),
+    id: int(),
+    episode_id: int({ description: "Same as `id`." }),
+    episode_number: int(),
+    name: nullable(str()),
+    overview: nullable(str()),
+    still_path: nullable(str()),
+    air_date: nullable(str()),
+    vote_average: num(),
+    vote_count: int(),
+    guest_stars: arrayOf(ref("GuestStar")),
+  }),
+  SeriesLookup: strictObject({
+    series: ref("SeriesSummary"),
+    seasonNumber: nullable(int()),
+    episodeNumber: nullable(int()),
+    episode: nullable(ref("Episode")),
+    matchConfidence: num({ minimum: 0, maximum: 1 }),
+    candidates: arrayOf(ref("SeriesCandidate")),
+  }),
+
+  StreamUrl: strictObject({
+    url: str({ description: "Signed `/proxy` URL." }),
+    exp: int({ description: "Expiry, unix seconds." }),
+    ttl: num(),
+  }),
+  MediaMetadata: strictObject(
+    {
+      format: strictObject({
+        format_name: nullable(str()),
+        format_long_name: nullable(str()),
+        duration: nullable(num()),
+        size: nullable(num()),
+        bit_rate: nullable(num()),
+      }),
+      video: nullable(
+        strictObject({
+          codec: nullable(str()),
+          profile: nullable(str()),
+          width: nullable(int()),
+          height: nullable(int()),
+          pix_fmt: nullable(str()),
+          r_frame_rate: nullable(str()),
+          avg_frame_rate: nullable(str()),
+          level: nullable(int()),
+          duration: nullable(num()),
+        })
+      ),
+      audio: arrayOf(
+        strictObject({
+          codec: nullable(str()),
+          profile: nullable(str()),
+          sample_rate: nullable(num()),
+          channels: nullable(int()),
+          channel_layout: nullable(str()),
+          language: nullable(str()),
+          duration: nullable(num()),
+        })
+      ),
+      subtitles: arrayOf(
+        strictObject({ codec: nullable(str()), language: nullable(str()), forced: bool() })
+      ),
+      probe_score: nullable(num()),
+      variants: arrayOf(ref("MediaVariant"), {
+        description: "HLS/DASH only, highest bandwidth first.",
+      }),
+    },
+    ["format", "video", "audio", "subtitles", "probe_score"]
+  ),
+  MediaVariant: strictObject({
+    url: nullable(str({ description: "Media playlist, or the file of a single-file DASH representation." })),
+    bandwidth: nullable(int()),
+    average_bandwidth: nullable(int()),
+    width: nullable(int()),
+    height: nullable(int()),
+    codecs: nullable(str({ description: "RFC 6381 codec string from the manifest." })),
+    frame_rate: nullable(num()),
+    audio_group: nullable(str()),
+    subtitle_group: nullable(str()),
+    audio: arrayOf(
+      strictObject({
+        name: nullable(str()),
+        language: nullable(str()),
+        codec: nullable(str()),
+        channels: nullable(int()),
+        default: bool(),
+      })
+    ),
+    subtitles: arrayOf(
+      strictObject({
+        name: nullable(str()),
+        language: nullable(str()),
+        codec: nullable(str()),
+        forced: bool(),
+        default: bool(),
+      })
+    ),
+    selected: bool({ description: "The variant whose segment was probed." }),
+  }),
+  PlaybackPlan: strictObject({
+    profile: str({ enum: DEVICE_PROFILE_IDS }),
+    decision: str({ enum: ["direct_play", "remux", "transcode"] }),
+    container: strictObject({
+      source: nullable(str({ description: "`mp4`, `mkv`, `webm`, `mpegts`, `hls`, `dash`, ..." })),
+      target: nullable(str()),
+    }),
+    video: nullable(
+      strictObject({
+        codec: nullable(str()),
+        action: str({ enum: ["copy", "transcode"] }),
+        target_codec: nullable(str()),
+      })
+    ),
+    audio: nullable(
+      strictObject({
+        index: int({ description: "Position in the metadata `audio` array." }),
+        codec: nullable(str()),
+        language: nullable(str()),
+        channels: nullable(int()),
+        action: str({ enum: ["copy", "transcode"] }),
+        target_codec: nullable(str()),
+        target_channels: nullable(int()),
+      })
+    ),
+    subtitle: nullable(
+      strictObject({
+        index: int({ description: "Position in the metadata `subtitles` array." }),
+        codec: nullable(str()),
+        language: nullable(str()),
+        forced: bool(),
+        delivery: nullable(str({ enum: ["embedded", "external", "burn_in"] })),
+      })
+    ),
+    reasons: arrayOf(strictObject({ code: str(), message: str() })),
+  }),
+  SpriteJob: strictObject({
+    id: str({ pattern: "^[0-9a-f]{20}$" }),
+    status: str({ enum: ["queued", "running", "done", "failed"] }),
+    progress: num({ minimum: 0, maximum: 1 }),
+    interval: int({ description: "Seconds per thumbnail; wider than requested for long files." }),
+    width: int(),
+    height: int(),
+    frames: int(),
+    sheets: int({ description: "Number of `sprite-N.jpg` sheets (10x10 tiles each)." }),
+    created_at: int({ description: "Unix seconds." }),
+    finished_at: nullable(int()),
+    error: nullable(str()),
+    vtt_path: nullable(str({ description: "`/v1/sprites/{id}/thumbnails.vtt` once done." })),
+  }),
+  HlsSession: strictObject({
+    id: str({ format: "uuid" }),
+    playlist_path: str({ description: "`/v1/hls-sessions/{id}/index.m3u8` (no API key needed)." }),
+    profile: str({ enum: DEVICE_PROFILE_IDS }),
+    decision: str({ enum: ["direct_play", "remux", "transcode"] }),
+    start: num({ description: "Seconds where encoding started." }),
+    duration: num(),
+    playlist_type: str({
+      enum: ["vod", "event"],
+      description:
+        "`vod` lists every segment up front and can be seeked anywhere; `event` (copied video, cut at source keyframes) grows as segments are written, starting at `start`.",
+    }),
+    segment_seconds: int({ description: "Exact for `vod`, a target length for `event`." }),
+    segments: int({ description: "Estimated from the duration for `event`." }),
+    video: nullable(strictObject({ codec: nullable(str()), action: str({ enum: ["copy", "transcode"] }) })),
+    audio: nullable(
+      strictObject({
+        index: int({ description: "Position in the metadata `audio` array." }),
+        codec: nullable(str()),
+        language: nullable(str()),
+        action: str({ enum: ["copy", "transcode"] }),
+        channels: int(),
+      })
+    ),
+    encoder_segment: nullable(int({ description: "Segment the encoder is working on; null when stopped." })),
+    error: nullable(str()),
+    created_at: int({ description: "Unix seconds." }),
+  }),
+  ProgressItem: strictObject(PROGRESS_ITEM_PROPERTIES),
+  ProgressUpdate: strictObject({
+    item: ref("ProgressItem"),
+    next: nullable(ref("ProgressItem")),
+  }),
+  ContinueWatchingItem: strictObject({
+    ...PROGRESS_ITEM_PROPERTIES,
+    movie: nullable(ref("Movie")),
+    series: nullable(ref("Series")),
+    episode: nullable(ref("Episode")),
+    channel: nullable(ref("Channel")),
+  }),
+
+  Channel: strictObject({
+    id: str({ description: "`{playlistId}:{tvg-id}` (or a group + name hash without one)." }),
+    playlistId: str(),
+    name: str(),
+    url: str(),
+    tvgId: nullable(str()),
+    tvgName: nullable(str()),
+    tvgLogo: nullable(str()),
+    tvgChno: nullable(num()),
+    groupTitle: nullable(str()),
+    catchup: nullable(
+      strictObject({ type: nullable(str()), days: nullable(num()), source: nullable(str()) })
+    ),
+    httpHeaders: { type: "object", additionalProperties: str() },
+    updatedAt: int({ description: "Unix seconds." }),
+  }),
+  ChannelPage: strictObject({
+    total: int(),
+    offset: int(),
+    limit: int(),
+    results: arrayOf(ref("Channel")),
+  }),
+  ChannelGroup: strictObject({ name: str(), count: int() }),
+  PlaylistImport: strictObject({
+    playlistId: str(),
+    imported: int(),
+    removed: int(),
+    groups: int(),
+    skipped: int(),
+  }),
+
+  EpgImport: strictObject({ channels: int(), programmes: int(), mapped: int() }),
+  EpgTmdbMatch: strictObject({
+    type: str({ enum: ["movie", "series"] }),
+    id: int(),
+    title: nullable(str()),
+    overview: nullable(str()),
+    posterPath: nullable(str()),
+  }),
+  Programme: {
+    type: "object",
+    properties: {
+      channel: str(),
+      start: int({ description: "Unix seconds." }),
+      stop: nullable(int()),
+      title: nullable(str()),
+      subTitle: nullable(str()),
+      desc: nullable(str()),
+      categories: arrayOf(str()),
+      episode: nullable(strictObject({ season: nullable(int()), episode: nullable(int()) })),
+      date: nullable(str()),
+      icon: nullable(str()),
+      tmdb: nullable(ref("EpgTmdbMatch")),
+    },
+    required: ["start"],
+  },
+  EpgSchedule: strictObject({
+    channelId: str(),
+    epgChannelId: str(),
+    from: int(),
+    to: int(),
+    programmes: arrayOf(ref("Programme")),
+  }),
+  EpgNowNext: strictObject({
+    channelId: str(),
+    epgChannelId: str(),
+    now: nullable(ref("Programme")),
+    next: nullable(ref("Programme")),
+  }),
+
+  CacheKeyPage: strictObject({
+    prefix: str(),
+    keys: arrayOf(strictObject({ key: str(), type: str(), ttl: int() })),
+    cursor: str({ description: "Pass back until it is \"0\"." }),
+  }),
+  CacheKeyInfo: strictObject(
+    {
+      key: str(),
+      type: str(),
+      ttl: int(),
+      value: { nullable: true, description: "Cached payload (string keys only)." },
+      meta: { type: "object", description: "Soft/hard expiry of the cache entry." },
+    },
+    ["key", "type", "ttl"]
+  ),
+  CacheKeyDeleted: strictObject({ key: str(), deleted: { type: "integer" } }),
+  CachePurge: strictObject({ patterns: arrayOf(str()), deleted: int() }),
+  CacheStats: strictObject({
+    routes: arrayOf(
+      strictObject({
+        route: str(),
+        hits: int(),
+        stale: int(),
+        misses: int(),
+        hitRatio: nullable(num()),
+      })
+    ),
+  }),
+  CacheStatsReset: strictObject({ reset: bool() }),
+  ApiKey: strictObject(API_KEY_PROPERTIES),
+  ApiKeyCreated: strictObject({
+    key: str({ description: "Plain key; only returned here." }),
+    ...API_KEY_PROPERTIES,
+  }),
+  ApiKeyList: strictObject({ keys: arrayOf(ref("ApiKey")) }),
+  ApiKeyRevoked: strictObject({ id: str(), revoked: bool() }),
+  ApiKeyCreate: {
+    type: "object",
+    properties: {
+      name: str({ minLength: 1 }),
+      scopes: arrayOf(str({ enum: API_KEY_SCOPES }), { minItems: 1 }),
+      rateLimit: nullable(int({ minimum: 1 })),
+    },
+    required: ["name", "scopes"],
+  },
+};
+
+function errorResponse(description) {
+  return { description, content: { "application/json": { schema: ref("Error") } } };
+}
+
+const RESPONSES = {
+  BadRequest: errorResponse("Invalid parameters (`details` lists each one) or body."),
+  Unauthorized: errorResponse("Missing or invalid API key / bearer token."),
+  Forbidden: errorResponse("API key lacks the route's scope."),
+  NotFound: errorResponse("Not found."),
+  TooManyRequests: {
+    ...errorResponse("Rate limited (per IP, per API key, or by TMDB)."),
+    headers: { "retry-after": { schema: int(), description: "Seconds to wait." } },
+  },
+  UpstreamError: errorResponse("TMDB or the media source failed."),
+  Error: errorResponse("Any other error."),
+};
+
+function query(name, schema, { required = false, description } = {}) {
+  return { name, in: "query", required, schema, ...(description ? { description } : {}) };
+}
+
+function pathParam(name, schema, description) {
+  return { name, in: "path", required: true, schema, ...(description ? { description } : {}) };
+}
+
+const LANGUAGE = query("language", str(), { description: "TMDB language, e.g. `tr-TR`." });
+const IMAGE_URLS = query("imageUrls", str({ enum: ["tmdb", "proxy"] }), {
+  description: "`proxy` turns TMDB image paths into `/v1/image/{size}/{path}` URLs.",
+});
+
+// Checked by the progress handlers rather than `validateParameters`.
+const RESUME_KEY = {
+  name: "x-resume-key",
+  in: "header",
+  required: true,
+  schema: str({ pattern: "^[\\w.:@-]{8,128}$" }),
+  description: "Viewer profile chosen by the client (e.g. a UUID per device user).",
+};
+const PROGRESS_FILTERS = [
+  query("movieId", int({ minimum: 0 })),
+  query("seriesId", int({ minimum: 0 })),
+  query("season", int({ minimum: 0 }), { description: "With `seriesId`." }),
+  query("episode", int({ minimum: 0 }), { description: "With `seriesId` and `season`." }),
+  query("channelId", str()),
+];
+
+function json(schema, description = "OK") {
+  return { description, content: { "application/json": { schema } } };
+}
+
+// Operations in dispatch order. `pattern` overrides the matcher derived from
+// the path template (only `/3/{path}`, whose parameter spans slashes).
+const OPERATIONS = [
+  {
+    method: "get",
+    path: "/v1/health",
+    operationId: "getHealth",
+    tags: ["system"],
+    summary: "Liveness check",
+    security: [],
+    responses: { 200: json(ref("Health")) },
+  },
+  {
+    method: "get",
+    path: "/v1/openapi.json",
+    operationId: "getOpenApi",
+    tags: ["system"],
+    summary: "This document",
+    security: [],
+    responses: { 200: json({ type: "object" }, "OpenAPI 3 document") },
+  },
+  {
+    method: "get",
+    path: "/metrics",
+    operationId: "getMetrics",
+    tags: ["system"],
+    summary: "Prometheus metrics",
+    description: "Requires `Authorization: Bearer <METRICS_TOKEN>` when `METRICS_TOKEN` is set.",
+    security: [{ MetricsToken: [] }, {}],
+    responses: {
+      200: { description: "Text exposition format", content: { "text/plain": { schema: str() } } },
+      401: responseRef("Unauthorized"),
+    },
+  },
+  {
+    method: "get",
+    path: "/v1/search",
+    operationId: "searchMovies",
+    tags: ["movies"],
+    summary: "TMDB movie search (raw TMDB response)",
+    parameters: [query("query", str({ minLength: 1 }), { required: true }), LANGUAGE, IMAGE_URLS],
+    responses: { 200: json(ref("TmdbMovieSearch")) },
+  },
+  {
+    method: "post",
+    path: "/v1/movie/lookup/batch",
+    operationId: "lookupMoviesBatch",
+    tags: ["movies"],
+    summary: "Look up many channel titles at once",
+    parameters: [IMAGE_URLS],
+    requestBody: {
+      required: true,
+      content: {
+        "application/json": {
+          schema: {
+            oneOf: [
+              arrayOf(ref("MovieLookupBatchItem"), { maxItems: 500 }),
+              {
+                type: "object",
+                properties: { items: arrayOf(ref("MovieLookupBatchItem"), { maxItems: 500 }) },
+                required: ["items"],
+              },
+            ],
+          },
+        },
+      },
+    },
+    responses: {
+      200: json(ref("MovieLookupBatch")),
+      413: errorResponse("More than 500 items."),
+    },
+  },
+  {
+    method: "get",
+    path: "/v1/movie/lookup",
+    operationId: "lookupMovie",
+    tags: ["movies"],
+    summary: "Match a channel/VOD title to a TMDB movie",
+    parameters: [
+      query("channelId", str({ minLength: 1 }), { required: true }),
+      query("title", str({ minLength: 1 }), { required: true, description: "Raw provider title." }),
+      LANGUAGE, IMAGE_URLS,
+    ],
+    responses: { 200: json(ref("MovieLookup")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/v1/movie",
+    operationId: "lookupMovieLegacy",
+    tags: ["movies"],
+    summary: "Alias of `/v1/movie/lookup`",
+    deprecated: true,
+    parameters: [
+      query("channelId", str({ minLength: 1 }), { required: true }),
+      query("title", str({ minLength: 1 }), { required: true }),
+      LANGUAGE, IMAGE_URLS,
+    ],
+    responses: { 200: json(ref("MovieLookup")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/v1/movie/{slug}",
+    operationId: "lookupMovieBySlug",
+    tags: ["movies"],
+    summary: "Alias of `/v1/movie/lookup`; the path segment is ignored",
+    deprecated: true,
+    parameters: [
+      pathParam("slug", str()),
+      query("channelId", str({ minLength: 1 }), { required: true }),
+      query("title", str({ minLength: 1 }), { required: true }),
+      LANGUAGE, IMAGE_URLS,
+    ],
+    responses: { 200: json(ref("MovieLookup")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/movies/id/{id}",
+    operationId: "getMovie",
+    tags: ["movies"],
+    summary: "Movie details and credits by TMDB id",
+    parameters: [pathParam("id", int({ minimum: 1 }), "TMDB movie id."), LANGUAGE, IMAGE_URLS],
+    responses: { 200: json(ref("Movie")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/proxy",
+    operationId: "streamProxy",
+    tags: ["streams"],
+    summary: "Stream a signed upstream URL (from `/v1/stream-url`)",
+    security: [],
+    parameters: [
+      query("url", str(), { required: true }),
+      query("exp", int(), { required: true }),
+      query("sig", str({ pattern: "^[0-9a-fA-F]+$" }), { required: true }),
+      query("fh", str(), { description: "Signed JSON of forwarded headers." }),
+    ],
+    responses: {
+      200: { description: "Upstream body", content: { "application/octet-stream": {} } },
+      206: { description: "Partial upstream body", content: { "application/octet-stream": {} } },
+      403: errorResponse("Bad signature or expired link."),
+    },
+  },
+  {
+    method: "get",
+    path: "/v1/stream-url",
+    operationId: "createStreamUrl",
+    tags: ["streams"],
+    summary: "Sign a proxy URL for an http stream",
+    parameters: [
+      query("url", str({ minLength: 1 }), { required: true }),
+      query("ttl", num({ minimum: 1 }), { description: "Link lifetime in seconds." }),
+    ],
+    responses: { 200: json(ref("StreamUrl")), 403: responseRef("Forbidden") },
+  },
+  {
+    method: "get",
+    path: "/v1/metadata",
+    operationId: "getMediaMetadata",
+    tags: ["streams"],
+    summary: "Container/stream metadata of a file or HLS/DASH manifest",
+    parameters: [
+      query("url", str({ minLength: 1 }), { required: true }),
+      query("variant", int({ minimum: 0 }), {
+        description: "Manifest variant to probe, 0 (default) is the highest bandwidth.",
+      }),
+    ],
+    responses: {
+      200: json(ref("MediaMetadata")),
+      415: errorResponse("Not MP4/Matroska and `FFPROBE_FALLBACK` is off."),
+      502: responseRef("UpstreamError"),
+    },
+  },
+  {
+    method: "get",
+    path: "/v1/playback-plan",
+    operationId: "getPlaybackPlan",
+    tags: ["streams"],
+    summary: "Direct play, remux or transcode decision for a device",
+    parameters: [
+      query("url", str({ minLength: 1 }), { required: true }),
+      query("profile", str({ enum: DEVICE_PROFILE_IDS }), { required: true }),
+      query("variant", int({ minimum: 0 }), { description: "Manifest variant, as in `/v1/metadata`." }),
+      query("audioLanguage", str(), { description: "Preferred audio language (`tr`, `tur`, ...)." }),
+      query("subtitleLanguage", str(), { description: "Subtitle language to recommend a track for." }),
+      query("maxBitrate", num({ minimum: 1 }), { description: "Bandwidth cap in bits/s." }),
+    ],
+    responses: {
+      200: json(ref("PlaybackPlan")),
+      415: errorResponse("Not MP4/Matroska and `FFPROBE_FALLBACK` is off."),
+      502: responseRef("UpstreamError"),
+    },
+  },
+  {
+    method: "get",
+    path: "/v1/thumbnail",
+    operationId: "getThumbnail",
+    tags: ["streams"],
+    summary: "One video frame as JPEG",
+    parameters: [
+      query("url", str({ minLength: 1 }), { required: true }),
+      query("t", num({ minimum: 0 }), { required: true, description: "Position in seconds." }),
+      query("width", int({ minimum: 16, maximum: MAX_THUMBNAIL_WIDTH }), { description: "Defaults to 320." }),
+    ],
+    responses: {
+      200: {
+        description: "JPEG (`cache-control: max-age=86400`)",
+        content: { "image/jpeg": { schema: str({ format: "binary" }) } },
+      },
+      502: responseRef("UpstreamError"),
+    },
+  },
+  {
+    method: "post",
+    path: "/v1/sprites",
+    operationId: "createSpriteJob",
+    tags: ["streams"],
+    summary: "Start a scrub-preview sprite sheet + WebVTT job",
+    parameters: [
+      query("url", str({ minLength: 1 }), { description: "Alternative to the JSON body." }),
+      query("interval", int({ minimum: 1, maximum: 600 }), { description: "Seconds between thumbnails, default 10." }),
+      query("width", int({ minimum: 32, maximum: MAX_SPRITE_WIDTH }), { description: "Tile width, default 160." }),
+    ],
+    requestBody: {
+      required: false,
+      content: {
+        "application/json": {
+          schema: {
+            type: "object",
+            properties: {
+              url: str({ minLength: 1 }),
+              interval: int({ minimum: 1, maximum: 600 }),
+              width: int({ minimum: 32, maximum: MAX_SPRITE_WIDTH }),
+            },
+          },
+        },
+      },
+    },
+    responses: {
+      200: json(ref("SpriteJob"), "Existing job for the same URL and options"),
+      202: json(ref("SpriteJob"), "Job queued"),
+      415: errorResponse("Not MP4/Matroska and `FFPROBE_FALLBACK` is off."),
+      422: errorResponse("No video stream or unknown duration (live)."),
+      502: responseRef("UpstreamError"),
+      503: {
+        ...errorResponse("`SPRITE_QUEUE_MAX` jobs are queued or running."),
+        headers: { "retry-after": { schema: int(), description: "Seconds to wait." } },
+      },
+    },
+  },
+  {
+    method: "get",
+    path: "/v1/sprites/{id}",
+    operationId: "getSpriteJob",
+    tags: ["streams"],
+    summary: "Sprite job state",
+    parameters: [pathParam("id", str({ pattern: "^[0-9a-f]{20}$" }))],
+    responses: { 200: json(ref("SpriteJob")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/v1/sprites/{id}/{file}",
+    operationId: "getSpriteFile",
+    tags: ["streams"],
+    summary: "WebVTT thumbnail track or sprite sheet of a finished job",
+    security: [],
+    parameters: [
+      pathParam("id", str({ pattern: "^[0-9a-f]{20}$" })),
+      pathParam("file", str({ pattern: SPRITE_FILE_PATTERN.source }), "`thumbnails.vtt` or `sprite-N.jpg`."),
+    ],
+    responses: {
+      200: {
+        description: "File (`cache-control: max-age=604800`, ETag)",
+        content: {
+          "text/vtt": { schema: str() },
+          "image/jpeg": { schema: str({ format: "binary" }) },
+        },
+      },
+      304: { description: "`If-None-Match` matched" },
+      404: responseRef("NotFound"),
+    },
+  },
+  {
+    method: "post",
+    path: "/v1/hls-sessions",
+    operationId: "createHlsSession",
+    tags: ["streams"],
+    summary: "Open an on-the-fly HLS remux/transcode session",
+    parameters: [
+      query("url", str({ minLength: 1 }), { description: "Alternative to the JSON body." }),
+      query("profile", str({ enum: DEVICE_PROFILE_IDS }), { description: "Defaults to `browser`." }),
+      query("audioLanguage", str(), { description: "ISO 639-1 or 639-2." }),
+      query("start", num({ minimum: 0 }), { description: "Seconds; where encoding starts." }),
+    ],
+    requestBody: {
+      required: false,
+      content: {
+        "application/json": {
+          schema: {
+            type: "object",
+            properties: {
+              url: str({ minLength: 1 }),
+              profile: str({ enum: DEVICE_PROFILE_IDS }),
+              audioLanguage: str(),
+              start: num({ minimum: 0 }),
+            },
+          },
+        },
+      },
+    },
+    responses: {
+      201: json(ref("HlsSession"), "Session opened"),
+      415: errorResponse("Not MP4/Matroska and `FFPROBE_FALLBACK` is off."),
+      422: errorResponse("No audio/video stream or unknown duration (live)."),
+      502: responseRef("UpstreamError"),
+      503: {
+        ...errorResponse("`HLS_MAX_SESSIONS` sessions are open."),
+        headers: { "retry-after": { schema: int(), description: "Seconds to wait." } },
+      },
+    },
+  },
+  {
+    method: "get",
+    path: "/v1/hls-sessions/{id}",
+    operationId: "getHlsSession",
+    tags: ["streams"],
+    summary: "HLS session state",
+    parameters: [pathParam("id", str())],
+    responses: { 200: json(ref("HlsSession")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "delete",
+    path: "/v1/hls-sessions/{id}",
+    operationId: "closeHlsSession",
+    tags: ["streams"],
+    summary: "Stop an HLS session and delete its segments",
+    parameters: [pathParam("id", str())],
+    responses: { 204: { description: "Closed" }, 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/v1/hls-sessions/{id}/{file}",
+    operationId: "getHlsSessionFile",
+    tags: ["streams"],
+    summary: "Playlist or segment of an HLS session",
+    security: [],
+    parameters: [
+      pathParam("id", str()),
+      pathParam("file", str({ pattern: "^(index\\.m3u8|seg-\\d+\\.ts)$" }), "`index.m3u8` or `seg-N.ts`."),
+    ],
+    responses: {
+      200: {
+        description: "VOD playlist or MPEG-TS segment (`cache-control: no-store`)",
+        content: {
+          "application/vnd.apple.mpegurl": { schema: str() },
+          "video/mp2t": { schema: str({ format: "binary" }) },
+        },
+      },
+      404: responseRef("NotFound"),
+      502: errorResponse("The encoder failed."),
+      504: errorResponse("The segment was not ready within 30 seconds."),
+    },
+  },
+  {
+    method: "get",
+    path: "/v1/subtitles",
+    operationId: "getSubtitleTrack",
+    tags: ["streams"],
+    summary: "Embedded text subtitle track as WebVTT",
+    parameters: [
+      query("url", str({ minLength: 1 }), { required: true }),
+      query("track", int({ minimum: 0 }), { description: "Index in the metadata `subtitles` array, default 0." }),
+      query("offset", num(), { description: "Seconds added to every cue; negative shows them earlier." }),
+    ],
+    responses: {
+      200: {
+        description: "WebVTT (`cache-control: max-age=86400`)",
+        content: { "text/vtt": { schema: str() } },
+      },
+      404: responseRef("NotFound"),
+      415: errorResponse("Not MP4/Matroska and `FFPROBE_FALLBACK` is off."),
+      422: errorResponse("Bitmap subtitle track (PGS, DVD) or an HLS/DASH manifest."),
+      502: responseRef("UpstreamError"),
+    },
+  },
+  {
+    method: "post",
+    path: "/v1/subtitles/convert",
+    operationId: "convertSubtitles",
+    tags: ["streams"],
+    summary: "Convert an uploaded or remote SRT/ASS file to WebVTT",
+    parameters: [
+      query("url", str({ minLength: 1 }), { description: "Remote file instead of a request body." }),
+      query("offset", num(), { description: "Seconds added to every cue; negative shows them earlier." }),
+      query("encoding", str(), { description: "Source encoding, e.g. `windows-1254`; detected when omitted." }),
+      query("format", str({ enum: SUBTITLE_FORMATS }), { description: "Source format; detected when omitted." }),
+    ],
+    requestBody: {
+      required: false,
+      content: {
+        "application/octet-stream": { schema: str({ format: "binary", description: "SRT, ASS/SSA or WebVTT file." }) },
+        "application/json": {
+          schema: {
+            type: "object",
+            properties: {
+              url: str({ minLength: 1 }),
+              offset: num(),
+              encoding: str(),
+              format: str({ enum: SUBTITLE_FORMATS }),
+            },
+          },
+        },
+      },
+    },
+    responses: {
+      200: {
+        description: "WebVTT; `x-subtitle-encoding` names the source encoding",
+        headers: { "x-subtitle-encoding": { schema: str() } },
+        content: { "text/vtt": { schema: str() } },
+      },
+      413: errorResponse("Larger than 5 MB."),
+      422: errorResponse("Not an SRT, ASS/SSA or WebVTT file, or no cues."),
+      502: responseRef("UpstreamError"),
+    },
+  },
+  {
+    method: "post",
+    path: "/v1/progress",
+    operationId: "updateProgress",
+    tags: ["progress"],
+    summary: "Report the playback position of a movie, episode or channel",
+    description:
+      "One of `movieId`, `seriesId` + `season` + `episode` or `channelId` (JSON body or query). " +
+      "Watching 95% of `duration` marks the item completed; a completed episode queues the next one.",
+    parameters: [
+      RESUME_KEY,
+      ...PROGRESS_FILTERS,
+      query("position", num({ minimum: 0 }), { description: "Seconds." }),
+      query("duration", num({ minimum: 0 }), { description: "Seconds; omit for live channels." }),
+      query("completed", bool()),
+      LANGUAGE,
+    ],
+    requestBody: {
+      required: false,
+      content: {
+        "application/json": {
+          schema: {
+            type: "object",
+            properties: {
+              movieId: int({ minimum: 0 }),
+              seriesId: int({ minimum: 0 }),
+              season: int({ minimum: 0 }),
+              episode: int({ minimum: 0 }),
+              channelId: str(),
+              position: num({ minimum: 0 }),
+              duration: nullable(num({ minimum: 0 })),
+              completed: bool(),
+              language: str({ description: "Language of the stored season data used to find the next episode." }),
+            },
+          },
+        },
+      },
+    },
+    responses: { 200: json(ref("ProgressUpdate")) },
+  },
+  {
+    method: "get",
+    path: "/v1/progress",
+    operationId: "listProgress",
+    tags: ["progress"],
+    summary: "Stored progress of a profile, newest first",
+    parameters: [RESUME_KEY, ...PROGRESS_FILTERS],
+    responses: { 200: json(strictObject({ items: arrayOf(ref("ProgressItem")) })) },
+  },
+  {
+    method: "delete",
+    path: "/v1/progress",
+    operationId: "deleteProgress",
+    tags: ["progress"],
+    summary: "Forget the progress matching a filter",
+    description: "One of `movieId`, `seriesId` (+ `season` [+ `episode`]) or `channelId` is required.",
+    parameters: [RESUME_KEY, ...PROGRESS_FILTERS],
+    responses: { 200: json(strictObject({ deleted: int({ minimum: 0 }) })) },
+  },
+  {
+    method: "get",
+    path: "/v1/continue-watching",
+    operationId: "continueWatching",
+    tags: ["progress"],
+    summary: "Started movies and channels and the current episode of each series",
+    parameters: [
+      RESUME_KEY,
+      LANGUAGE,
+      query("limit", int({ minimum: 1, maximum: 100 }), { description: "Default 20." }),
+      query("type", str({ enum: PROGRESS_ITEM_TYPES })),
+    ],
+    responses: { 200: json(strictObject({ items: arrayOf(ref("ContinueWatchingItem")) })) },
+  },
+  {
+    method: "get",
+    path: "/v1/image/{size}/{path}",
+    operationId: "getImage",
+    tags: ["images"],
+    summary: "TMDB image through the disk cache",
+    security: [],
+    parameters: [
+      pathParam("size", str({ enum: IMAGE_SIZES })),
+      pathParam("path", str({ pattern: IMAGE_PATH_PATTERN.source }), "TMDB file name, e.g. `abc.jpg`."),
+    ],
+    responses: {
+      200: {
+        description: "Image bytes (`cache-control: immutable`, strong ETag)",
+        content: { "image/*": { schema: str({ format: "binary" }) } },
+      },
+      304: { description: "`If-None-Match` matched" },
+      404: responseRef("NotFound"),
+      502: responseRef("UpstreamError"),
+    },
+  },
+  {
+    method: "post",
+    path: "/v1/playlists/import",
+    operationId: "importPlaylist",
+    tags: ["channels"],
+    summary: "Import an M3U playlist",
+    parameters: [
+      query("playlistId", str({ pattern: "^[A-Za-z0-9._-]{1,64}$" }), {
+        description: "Defaults to `default`.",
+      }),
+    ],
+    requestBody: {
+      required: true,
+      content: {
+        "text/plain": { schema: str({ description: "M3U content." }) },
+        "application/json": {
+          schema: {
+            type: "object",
+            properties: { playlistId: str(), content: str(), url: str() },
+          },
+        },
+      },
+    },
+    responses: {
+      200: json(ref("PlaylistImport")),
+      413: errorResponse("Playlist body or download over 50 MB."),
+      422: errorResponse("No channels found."),
+    },
+  },
+  {
+    method: "get",
+    path: "/v1/channels",
+    operationId: "listChannels",
+    tags: ["channels"],
+    summary: "Search and page the channel catalog",
+    parameters: [
+      query("q", str()),
+      query("group", str()),
+      query("offset", int({ minimum: 0 })),
+      query("limit", int({ minimum: 1 }), { description: "Default 50; values above 500 are capped." }),
+    ],
+    responses: { 200: json(ref("ChannelPage")) },
+  },
+  {
+    method: "get",
+    path: "/v1/channels/groups",
+    operationId: "listChannelGroups",
+    tags: ["channels"],
+    summary: "Channel groups with counts",
+    responses: { 200: json(arrayOf(ref("ChannelGroup"))) },
+  },
+  {
+    method: "get",
+    path: "/v1/channels/{id}",
+    operationId: "getChannel",
+    tags: ["channels"],
+    summary: "One channel",
+    parameters: [pathParam("id", str({ minLength: 1 }))],
+    responses: { 200: json(ref("Channel")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "post",
+    path: "/v1/epg/import",
+    operationId: "importEpg",
+    tags: ["epg"],
+    summary: "Import an XMLTV guide",
+    requestBody: {
+      required: true,
+      content: {
+        "application/xml": { schema: str({ description: "XMLTV, optionally gzipped." }) },
+        "application/json": {
+          schema: { type: "object", properties: { url: str() }, required: ["url"] },
+        },
+      },
+    },
+    responses: {
+      200: json(ref("EpgImport")),
+      413: errorResponse("Guide over 200 MB, downloaded or decompressed."),
+      422: errorResponse("No programmes in the guide."),
+      502: errorResponse("The guide URL could not be fetched."),
+    },
+  },
+  {
+    method: "get",
+    path: "/v1/epg/now",
+    operationId: "getEpgNowNext",
+    tags: ["epg"],
+    summary: "Current and next programme per channel",
+    parameters: [
+      query("channelIds", arrayOf(str()), {
+        description: "Comma-separated; all mapped channels when omitted.",
+      }),
+      LANGUAGE, IMAGE_URLS,
+      query("enrich", bool(), {
+        description:
+          "Omitted: attach TMDB matches already cached. true: also look up uncached titles on TMDB. false: no matches.",
+      }),
+    ],
+    responses: { 200: json(arrayOf(ref("EpgNowNext"))) },
+  },
+  {
+    method: "get",
+    path: "/v1/epg/{channelId}",
+    operationId: "getEpgSchedule",
+    tags: ["epg"],
+    summary: "Schedule of one channel",
+    parameters: [
+      pathParam("channelId", str({ minLength: 1 })),
+      query("from", str(), { description: "Unix seconds or ISO date; defaults to now." }),
+      query("to", str(), { description: "Unix seconds or ISO date; defaults to from + 24h." }),
+      LANGUAGE, IMAGE_URLS,
+      query("enrich", bool(), {
+        description:
+          "Omitted: attach TMDB matches already cached. true: also look up uncached titles on TMDB. false: no matches.",
+      }),
+    ],
+    responses: { 200: json(ref("EpgSchedule")) },
+  },
+  {
+    method: "get",
+    path: "/v1/series/search",
+    operationId: "searchSeries",
+    tags: ["series"],
+    summary: "TMDB series search",
+    parameters: [
+      query("query", str({ minLength: 1 }), { required: true }),
+      LANGUAGE, IMAGE_URLS,
+      query("top", int({ minimum: 1 }), { description: "Number of results (default 1)." }),
+    ],
+    responses: { 200: json(arrayOf(ref("SeriesSummary"))), 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/v1/series/lookup",
+    operationId: "lookupSeries",
+    tags: ["series"],
+    summary: "Match a VOD title (`Show S02E05`) to a series and episode",
+    parameters: [
+      query("channelId", str({ minLength: 1 }), { required: true }),
+      query("title", str({ minLength: 1 }), { required: true }),
+      LANGUAGE, IMAGE_URLS,
+    ],
+    responses: { 200: json(ref("SeriesLookup")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/v1/series",
+    operationId: "searchSeriesLegacy",
+    tags: ["series"],
+    summary: "Alias of `/v1/series/search`",
+    deprecated: true,
+    parameters: [
+      query("query", str({ minLength: 1 }), { required: true }),
+      LANGUAGE, IMAGE_URLS,
+      query("top", int({ minimum: 1 })),
+    ],
+    responses: { 200: json(arrayOf(ref("SeriesSummary"))), 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/v1/series/{id}/season/{season}/episode/{episode}",
+    operationId: "getSeriesEpisode",
+    tags: ["series"],
+    summary: "One episode with guest stars",
+    parameters: [
+      pathParam("id", int({ minimum: 1 })),
+      pathParam("season", int({ minimum: 0 })),
+      pathParam("episode", int({ minimum: 0 })),
+      LANGUAGE, IMAGE_URLS,
+    ],
+    responses: { 200: json(ref("Episode")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/v1/series/{id}/season/{season}",
+    operationId: "getSeriesSeason",
+    tags: ["series"],
+    summary: "Episodes of a season",
+    parameters: [pathParam("id", int({ minimum: 1 })), pathParam("season", int({ minimum: 0 })), LANGUAGE, IMAGE_URLS],
+    responses: { 200: json(arrayOf(ref("Episode"))), 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/v1/series/{id}",
+    operationId: "getSeries",
+    tags: ["series"],
+    summary: "Series details",
+    parameters: [pathParam("id", int({ minimum: 1 }), "TMDB series id."), LANGUAGE, IMAGE_URLS],
+    responses: { 200: json(ref("Series")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "delete",
+    path: "/admin/cache",
+    operationId: "purgeCache",
+    tags: ["admin"],
+    summary: "Purge cache keys by prefix, series id or movie id",
+    security: [{ AdminToken: [] }],
+    parameters: [
+      query("prefix", str(), {
+        description: `Must start with one of ${PURGEABLE_PREFIXES.map((p) => `\`${p}\``).join(", ")}.`,
+      }),
+      query("series", int({ minimum: 1 })),
+      query("movie", int({ minimum: 1 })),
+    ],
+    responses: { 200: json(ref("CachePurge")) },
+  },
+  {
+    method: "get",
+    path: "/admin/cache/keys",
+    operationId: "listCacheKeys",
+    tags: ["admin"],
+    summary: "List cache keys by prefix (SCAN)",
+    security: [{ AdminToken: [] }],
+    parameters: [
+      query("prefix", str()),
+      query("cursor", str({ pattern: "^\\d+$" })),
+      query("limit", int({ minimum: 1 })),
+    ],
+    responses: { 200: json(ref("CacheKeyPage")) },
+  },
+  {
+    method: "get",
+    path: "/admin/cache/key",
+    operationId: "getCacheKey",
+    tags: ["admin"],
+    summary: "Inspect one cache key",
+    security: [{ AdminToken: [] }],
+    parameters: [
+      query("key", str(), { description: "Redis key; or pass `url`." }),
+      query("url", str(), { description: "Request URL whose cache key to use." }),
+    ],
+    responses: { 200: json(ref("CacheKeyInfo")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "delete",
+    path: "/admin/cache/key",
+    operationId: "deleteCacheKey",
+    tags: ["admin"],
+    summary: "Delete one cache key",
+    description: `Only keys under ${PURGEABLE_PREFIXES.map((p) => `\`${p}\``).join(", ")}.`,
+    security: [{ AdminToken: [] }],
+    parameters: [query("key", str()), query("url", str())],
+    responses: { 200: json(ref("CacheKeyDeleted")) },
+  },
+  {
+    method: "get",
+    path: "/admin/cache/stats",
+    operationId: "getCacheStats",
+    tags: ["admin"],
+    summary: "Cache hit/miss counters per route",
+    security: [{ AdminToken: [] }],
+    responses: { 200: json(ref("CacheStats")) },
+  },
+  {
+    method: "delete",
+    path: "/admin/cache/stats",
+    operationId: "resetCacheStats",
+    tags: ["admin"],
+    summary: "Reset cache counters",
+    security: [{ AdminToken: [] }],
+    responses: { 200: json(ref("CacheStatsReset")) },
+  },
+  {
+    method: "get",
+    path: "/admin/api-keys",
+    operationId: "listApiKeys",
+    tags: ["admin"],
+    summary: "List API keys",
+    security: [{ AdminToken: [] }],
+    responses: { 200: json(ref("ApiKeyList")) },
+  },
+  {
+    method: "post",
+    path: "/admin/api-keys",
+    operationId: "createApiKey",
+    tags: ["admin"],
+    summary: "Create an API key",
+    security: [{ AdminToken: [] }],
+    requestBody: { required: true, content: { "application/json": { schema: ref("ApiKeyCreate") } } },
+    responses: { 201: json(ref("ApiKeyCreated"), "Created") },
+  },
+  {
+    method: "delete",
+    path: "/admin/api-keys",
+    operationId: "revokeApiKey",
+    tags: ["admin"],
+    summary: "Revoke an API key",
+    security: [{ AdminToken: [] }],
+    parameters: [query("id", str({ pattern: "^[0-9a-f]{16}$" }), { required: true })],
+    responses: { 200: json(ref("ApiKeyRevoked")), 404: responseRef("NotFound") },
+  },
+  {
+    method: "get",
+    path: "/3/{path}",
+    pattern: /^\/3\/(.+)$/,
+    operationId: "tmdbProxy",
+    tags: ["tmdb"],
+    summary: "TMDB v3 passthrough (cached); `path` may contain slashes",
+    parameters: [pathParam("path", str(), "TMDB v3 path, e.g. `movie/27205/images`.")],
+    responses: { 200: json({ type: "object" }, "TMDB response") },
+  },
+];
+
+function templateToPattern(template) {
+  const source = template
+    .split(/(\{[^}]+\})/)
+    .map((part) => (part.startsWith("{") ? "([^/]+)" : part.replace(/[.*+?^$()|[\]\\]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+function toDocumentOperation(op) {
+  const { method, path, pattern, ...rest } = op;
+  const scope = routeScope(path);
+  const responses = { ...rest.responses, default: responseRef("Error") };
+  if (op.parameters?.length || op.requestBody) {
+    responses[400] = responses[400] || responseRef("BadRequest");
+  }
+  const adminOnly = op.security?.some((requirement) => requirement.AdminToken);
+  if (op.security === undefined || adminOnly) {
+    responses[401] = responses[401] || responseRef("Unauthorized");
+  }
+  if (op.security === undefined) {
+    responses[403] = responses[403] || responseRef("Forbidden");
+  }
+  if (!isRateLimitExempt(path)) {
+    responses[429] = responseRef("TooManyRequests");
+  }
+  return { ...rest, ...(scope ? { "x-required-scope": scope } : {}), responses };
+}
+
+const ROUTES = OPERATIONS.map((op) => ({
+  op,
+  pattern: op.pattern || templateToPattern(op.path),
+  pathNames: (op.path.match(/\{[^}]+\}/g) || []).map((name) => name.slice(1, -1)),
+  documented: toDocumentOperation(op),
+}));
+
+// Compiles every schema of the document at startup, so a schema Ajv rejects
+// (e.g. a misspelt keyword) fails here instead of on a request.
+function assertValidSchemas() {
+  const contentSchemas = (where, content = {}) => {
+    for (const [type, media] of Object.entries(content)) {
+      if (media.schema) assertValidSchema(media.schema, SCHEMAS, `${where}/${type}`);
+    }
+  };
+  for (const [name, schema] of Object.entries(SCHEMAS)) {
+    assertValidSchema(schema, SCHEMAS, `#/components/schemas/${name}`);
+  }
+  for (const [name, response] of Object.entries(RESPONSES)) {
+    contentSchemas(`#/components/responses/${name}`, response.content);
+  }
+  for (const { op } of ROUTES) {
+    const where = `${op.method.toUpperCase()} ${op.path}`;
+    for (const parameter of op.parameters || []) {
+      assertValidSchema(parameter.schema, SCHEMAS, `${where} ${parameter.name}`);
+    }
+    contentSchemas(`${where} requestBody`, op.requestBody?.content);
+    for (const [status, response] of Object.entries(op.responses)) {
+      contentSchemas(`${where} ${status}`, response.content);
+    }
+  }
+}
+
+assertValidSchemas();
+
+let documentCache = null;
+
+/**
+ * Builds (once) the OpenAPI 3 document served at `/v1/openapi.json`.
+ *
+ * @returns {Object} OpenAPI 3.0 document.
+ */
+export function getOpenApiDocument() {
+  if (documentCache) return documentCache;
+  const paths = {};
+  for (const { op, documented } of ROUTES) {
+    paths[op.path] = paths[op.path] || {};
+    paths[op.path][op.method] = documented;
+  }
+  documentCache = {
+    openapi: "3.0.3",
+    info: {
+      title: "TMDB API server",
+      version: PACKAGE_VERSION,
+      description:
+        "Movie/series metadata, channel catalog, EPG and stream proxy. " +
+        "Parameters are validated against this document; invalid requests get 400 " +
+        "`{ error: \"invalid request\", details: [{ in, name, message }] }`.",
+    },
+    security: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      responses: RESPONSES,
+      securitySchemes: {
+        ApiKeyHeader: { type: "apiKey", in: "header", name: "x-api-key" },
+        ApiKeyQuery: {
+          type: "apiKey",
+          in: "query",
+          name: "api_key",
+          description:
+            "For TMDB clients and players that cannot set headers. Prefer `x-api-key`: URLs " +
+            "end up in proxy logs and browser history.",
+        },
+        AdminToken: { type: "http", scheme: "bearer", description: "`ADMIN_TOKEN`." },
+        MetricsToken: { type: "http", scheme: "bearer", description: "`METRICS_TOKEN`." },
+      },
+    },
+  };
+  return documentCache;
+}
+
+/**
+ * Finds the documented operation for a request. HEAD matches the GET operation.
+ *
+ * @param {string} method HTTP method.
+ * @param {string} pathname Request path; trailing slashes are ignored.
+ * @returns {{ operationId: string, path: string, parameters: Object[],
+ *   responses: Object, pathValues: Record<string, string> }|null} Operation with
+ *   the raw (still encoded) path parameter values, or null when undocumented.
+ */
+export function matchOperation(method, pathname) {
+  const wanted = method.toLowerCase() === "head" ? "get" : method.toLowerCase();
+  // The prefix-dispatched handlers (`/v1/movie/`, `/v1/series/`) also serve
+  // `/v1/movie/27205/`; match those against the template without the slash so
+  // they are validated like the canonical path.
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, "") : pathname;
+  // Templates without parameters win over parameterized ones (`/v1/epg/now`
+  // vs `/v1/epg/{channelId}`).
+  let candidate = null;
+  for (const route of ROUTES) {
+    if (route.op.method !== wanted) continue;
+    const m = path.match(route.pattern);
+    if (!m) continue;
+    const pathValues = {};
+    route.pathNames.forEach((name, i) => {
+      pathValues[name] = m[i + 1];
+    });
+    const found = {
+      operationId: route.op.operationId,
+      path: route.op.path,
+      parameters: route.op.parameters || [],
+      responses: route.documented.responses,
+      pathValues,
+    };
+    if (route.pathNames.length === 0) return found;
+    candidate = candidate || found;
+  }
+  return candidate;
+}
+
+/**
+ * Validates path and query parameters of a matched operation. Undeclared
+ * query parameters (e.g. `api_key`) are ignored; empty values count as absent.
+ * Header parameters are left to the handlers.
+ *
+ * @param {ReturnType<typeof matchOperation>} operation Matched operation.
+ * @param {URLSearchParams} searchParams Request query.
+ * @returns {Array<{ in: string, name: string, message: string }>} Problems; empty when valid.
+ */
+export function validateParameters(operation, searchParams) {
+  const details = [];
+  for (const parameter of operation.parameters) {
+    let raw;
+    if (parameter.in === "header") {
+      continue;
+    } else if (parameter.in === "path") {
+      try {
+        raw = decodeURIComponent(operation.pathValues[parameter.name] ?? "");
+      } catch (e) {
+        details.push({ in: "path", name: parameter.name, message: "is not valid percent-encoding" });
+        continue;
+      }
+    } else {
+      raw = searchParams.get(parameter.name);
+    }
+    if (raw === null || raw === "") {
+      if (parameter.required) {
+        details.push({ in: parameter.in, name: parameter.name, message: "is required" });
+      }
+      continue;
+    }
+    const value = coerceParameter(parameter.schema, raw, SCHEMAS);
+    for (const issue of validateSchema(parameter.schema, value, SCHEMAS)) {
+      details.push({
+        in: parameter.in,
+        // Parameters are scalars or arrays, so `path` is "" or an index like "[2]".
+        name: `${parameter.name}${issue.path}`,
+        message: issue.message,
+      });
+    }
+  }
+  return details;
+}
+
+/**
+ * Validates a JSON response body against the schema documented for its status
+ * (falling back to the `default` error response).
+ *
+ * @param {ReturnType<typeof matchOperation>} operation Matched operation.
+ * @param {number} status Response status.
+ * @param {any} body Parsed JSON body.
+ * @returns {Array<{ path: string, message: string }>} Violations; empty when valid
+ *   or when no JSON schema is documented for the status.
+ */
+export function validateResponseBody(operation, status, body) {
+  let response = operation.responses[status] || operation.responses.default;
+  if (response?.$ref) {
+    response = RESPONSES[response.$ref.split("/").pop()];
+  }
+  const schema = response?.content?.["application/json"]?.schema;
+  if (!schema) return [];
+  return validateSchema(schema, body, SCHEMAS);
+}
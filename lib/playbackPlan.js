@@ -0,0 +1,331 @@
+// Direct-play / remux / transcode decisions: compares the compact metadata of
+// `/v1/metadata` against what a client device can decode. Profiles describe
+// the platform player (AVPlay, webOS media pipeline, ExoPlayer, MSE + hls.js),
+// not a particular model, and stay on the conservative side.
+
+const H264_PROFILES = ["Constrained Baseline", "Baseline", "Main", "High"];
+
+/**
+ * Device capability profiles by id. Codec names, profiles and levels use
+ * ffprobe's vocabulary (`hevc`, `Main 10`, level 153 = 5.1). Subtitle codecs
+ * under `embedded` are rendered from inside the container; every other text
+ * subtitle is delivered as an external WebVTT track.
+ */
+export const DEVICE_PROFILES = {
+  tizen: {
+    name: "Samsung Tizen TV",
+    containers: ["mp4", "mkv", "webm", "mpegts", "hls", "dash"],
+    video: {
+      h264: { profiles: H264_PROFILES, maxLevel: 51, maxBitDepth: 8 },
+      hevc: { profiles: ["Main", "Main 10"], maxLevel: 153, maxBitDepth: 10 },
+      vp9: { profiles: ["Profile 0", "Profile 2"], maxBitDepth: 10 },
+      mpeg2video: { maxBitDepth: 8 },
+    },
+    maxWidth: 3840,
+    maxHeight: 2160,
+    audio: { codecs: ["aac", "mp3", "ac3", "eac3", "flac", "opus", "vorbis"], maxChannels: 8 },
+    subtitles: { embedded: ["subrip"] },
+    transcode: { video: "h264", audio: "aac", audioChannels: 6 },
+  },
+  webos: {
+    name: "LG webOS TV",
+    containers: ["mp4", "mkv", "webm", "mpegts", "hls", "dash"],
+    video: {
+      h264: { profiles: H264_PROFILES, maxLevel: 51, maxBitDepth: 8 },
+      hevc: { profiles: ["Main", "Main 10"], maxLevel: 153, maxBitDepth: 10 },
+      vp9: { profiles: ["Profile 0", "Profile 2"], maxBitDepth: 10 },
+      av1: { profiles: ["Main"], maxBitDepth: 10 },
+    },
+    maxWidth: 3840,
+    maxHeight: 2160,
+    audio: { codecs: ["aac", "mp3", "ac3", "eac3", "flac", "opus", "vorbis"], maxChannels: 8 },
+    subtitles: { embedded: ["subrip", "ass"] },
+    transcode: { video: "h264", audio: "aac", audioChannels: 6 },
+  },
+  androidtv: {
+    name: "Android TV (ExoPlayer)",
+    containers: ["mp4", "mkv", "webm", "mpegts", "hls", "dash"],
+    video: {
+      h264: { profiles: H264_PROFILES, maxLevel: 51, maxBitDepth: 8 },
+      hevc: { profiles: ["Main", "Main 10"], maxLevel: 153, maxBitDepth: 10 },
+      vp9: { profiles: ["Profile 0", "Profile 2"], maxBitDepth: 10 },
+    },
+    maxWidth: 3840,
+    maxHeight: 2160,
+    audio: { codecs: ["aac", "mp3", "ac3", "eac3", "flac", "opus", "vorbis"], maxChannels: 8 },
+    subtitles: {
+      embedded: ["subrip", "ass", "ssa", "webvtt", "mov_text", "ttml", "hdmv_pgs_subtitle", "dvb_subtitle"],
+    },
+    transcode: { video: "h264", audio: "aac", audioChannels: 6 },
+  },
+  browser: {
+    name: "Web browser (MSE, hls.js)",
+    containers: ["mp4", "webm", "hls"],
+    video: {
+      h264: { profiles: H264_PROFILES, maxLevel: 52, maxBitDepth: 8 },
+      vp8: { maxBitDepth: 8 },
+      vp9: { profiles: ["Profile 0", "Profile 2"], maxBitDepth: 10 },
+      av1: { profiles: ["Main"], maxBitDepth: 10 },
+    },
+    maxWidth: 3840,
+    maxHeight: 2160,
+    audio: { codecs: ["aac", "mp3", "opus", "vorbis", "flac"], maxChannels: 6 },
+    subtitles: { embedded: ["webvtt"] },
+    transcode: { video: "h264", audio: "aac", audioChannels: 2 },
+  },
+};
+
+export const DEVICE_PROFILE_IDS = Object.keys(DEVICE_PROFILES);
+
+// Remuxed and transcoded output is served as HLS.
+const OUTPUT_CONTAINER = "hls";
+const WEBM_CODECS = new Set(["vp8", "vp9", "av1", "opus", "vorbis", "webvtt"]);
+const TEXT_SUBTITLE_CODECS = new Set(["subrip", "ass", "ssa", "mov_text", "webvtt", "text", "ttml"]);
+
+// ISO 639-1 codes to the ISO 639-2/T code matroska, MP4 and ffprobe use.
+const LANGUAGE_CODES = {
+  tr: "tur",
+  en: "eng",
+  de: "deu",
+  fr: "fra",
+  es: "spa",
+  it: "ita",
+  ru: "rus",
+  ar: "ara",
+  fa: "fas",
+  az: "aze",
+  ku: "kur",
+  nl: "nld",
+  pl: "pol",
+  pt: "por",
+  sv: "swe",
+  el: "ell",
+  ja: "jpn",
+  ko: "kor",
+  zh: "zho",
+  hi: "hin",
+};
+// ISO 639-2/B variants that some muxers still write.
+const BIBLIOGRAPHIC_CODES = { ger: "deu", fre: "fra", dut: "nld", gre: "ell", per: "fas", chi: "zho" };
+
+function normalizeLanguage(value) {
+  const code = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  if (!code || code === "und") return null;
+  return LANGUAGE_CODES[code] || BIBLIOGRAPHIC_CODES[code] || code;
+}
+
+function sameLanguage(a, b) {
+  const left = normalizeLanguage(a);
+  return left !== null && left === normalizeLanguage(b);
+}
+
+function reason(code, message) {
+  return { code, message };
+}
+
+function sourceContainer(metadata) {
+  const name = metadata.format?.format_name || "";
+  if (name === "hls" || name === "dash" || name === "mpegts") return name;
+  if (name.startsWith("mov,mp4")) return "mp4";
+  if (name.includes("matroska")) {
+    // ffprobe reports WebM as `matroska,webm` too; the codecs tell them apart.
+    const codecs = [
+      metadata.video?.codec,
+      ...(metadata.audio || []).map((a) => a.codec),
+      ...(metadata.subtitles || []).map((s) => s.codec),
+    ];
+    return codecs.every((codec) => !codec || WEBM_CODECS.has(codec)) ? "webm" : "mkv";
+  }
+  return name.split(",")[0] || null;
+}
+
+// `yuv420p10le` -> 10; 8 when the format carries no depth.
+function bitDepthOf(pixFmt) {
+  const match = /(\d+)(?:le|be)$/.exec(pixFmt || "");
+  return match ? Number(match[1]) : 8;
+}
+
+function videoIssues(video, profile) {
+  if (!video.codec) return [];
+  const caps = profile.video[video.codec];
+  if (!caps) return [reason("video_codec_unsupported", `${video.codec} video is not supported`)];
+  const issues = [];
+  if (video.profile && caps.profiles && !caps.profiles.includes(video.profile)) {
+    issues.push(reason("video_profile_unsupported", `${video.codec} profile ${video.profile} is not supported`));
+  }
+  if (video.level && caps.maxLevel && video.level > caps.maxLevel) {
+    issues.push(
+      reason("video_level_unsupported", `${video.codec} level ${video.level} exceeds ${caps.maxLevel}`)
+    );
+  }
+  if (video.pix_fmt) {
+    const depth = bitDepthOf(video.pix_fmt);
+    if (depth > (caps.maxBitDepth ?? 8)) {
+      issues.push(reason("video_bit_depth_unsupported", `${depth}-bit ${video.codec} is not supported`));
+    }
+    if (!/^(yuvj?420p|nv12|p010)/.test(video.pix_fmt)) {
+      issues.push(reason("video_chroma_unsupported", `pixel format ${video.pix_fmt} is not supported`));
+    }
+  }
+  if ((video.width ?? 0) > profile.maxWidth || (video.height ?? 0) > profile.maxHeight) {
+    issues.push(
+      reason(
+        "video_resolution_too_high",
+        `${video.width}x${video.height} exceeds ${profile.maxWidth}x${profile.maxHeight}`
+      )
+    );
+  }
+  return issues;
+}
+
+function audioIssues(track, profile) {
+  if (!track.codec) return [];
+  if (!profile.audio.codecs.includes(track.codec)) {
+    return [reason("audio_codec_unsupported", `${track.codec} audio is not supported`)];
+  }
+  if ((track.channels ?? 0) > profile.audio.maxChannels) {
+    return [
+      reason(
+        "audio_channels_unsupported",
+        `${track.channels} audio channels exceed ${profile.audio.maxChannels}`
+      ),
+    ];
+  }
+  return [];
+}
+
+// The requested language, else (or when missing) the first track's; within it a
+// track that plays as is wins over the first one.
+function pickAudio(tracks, profile, language) {
+  const indexed = tracks.map((track, index) => ({ track, index }));
+  if (!indexed.length) return null;
+  const inLanguage = (wanted) => indexed.filter(({ track }) => sameLanguage(track.language, wanted));
+  let pool = language ? inLanguage(language) : [];
+  if (!pool.length) pool = inLanguage(indexed[0].track.language);
+  if (!pool.length) pool = indexed;
+  return pool.find(({ track }) => audioIssues(track, profile).length === 0) || pool[0];
+}
+
+// An explicitly requested language prefers full subtitles over forced ones;
+// otherwise only a forced track in the audio language is recommended.
+function pickSubtitle(tracks, language, audioLanguage) {
+  const indexed = tracks.map((track, index) => ({ track, index }));
+  if (language) {
+    const matching = indexed.filter(({ track }) => sameLanguage(track.language, language));
+    return matching.find(({ track }) => !track.forced) || matching[0] || null;
+  }
+  return indexed.find(({ track }) => track.forced && sameLanguage(track.language, audioLanguage)) || null;
+}
+
+/**
+ * Decides how a device should play a stream.
+ *
+ * - `direct_play`: the container and the selected streams play as they are.
+ * - `remux`: the streams play but the container does not; they are copied into HLS.
+ * - `transcode`: the video and/or the selected audio track must be re-encoded
+ *   (`video.action` / `audio.action` say which; the other is copied).
+ *
+ * The audio track follows `audioLanguage` (else the first track's language),
+ * preferring a track the device decodes. A subtitle is recommended for
+ * `subtitleLanguage`, for `audioLanguage` when no audio track has it, or when a
+ * forced track matches the audio language. Image subtitles the device cannot
+ * render force a video transcode (`burn_in`). Metadata fields that are null
+ * (unknown) are not held against the stream.
+ *
+ * @param {Object} metadata Compact metadata from `getMediaMetadata`.
+ * @param {string} profileId One of `DEVICE_PROFILE_IDS`.
+ * @param {{ audioLanguage?: string|null, subtitleLanguage?: string|null,
+ *   maxBitrate?: number|null }} [options] Viewer preferences and bandwidth cap (bits/s).
+ * @returns {Object} `{ profile, decision, container, video, audio, subtitle, reasons }`.
+ * @throws {Error} When the profile id is unknown.
+ */
+export function planPlayback(metadata, profileId, options = {}) {
+  const profile = DEVICE_PROFILES[profileId];
+  if (!profile) throw new Error(`unknown device profile: ${profileId}`);
+  const { audioLanguage = null, subtitleLanguage = null, maxBitrate = null } = options;
+  const reasons = [];
+
+  const source = sourceContainer(metadata);
+  const containerOk = source !== null && profile.containers.includes(source);
+  if (!containerOk) {
+    reasons.push(reason("container_unsupported", `${source || "unknown"} container is not supported`));
+  }
+
+  const video = metadata.video;
+  const videoReasons = video ? videoIssues(video, profile) : [];
+  const bitRate = metadata.format?.bit_rate;
+  if (maxBitrate && bitRate && bitRate > maxBitrate) {
+    videoReasons.push(reason("bitrate_too_high", `${bitRate} bit/s exceeds ${maxBitrate}`));
+  }
+
+  const audioChoice = pickAudio(metadata.audio || [], profile, audioLanguage);
+  const audioReasons = audioChoice ? audioIssues(audioChoice.track, profile) : [];
+
+  // Asked-for audio language missing: offer subtitles in it instead.
+  const audioLanguageMissing =
+    audioLanguage && audioChoice && !sameLanguage(audioChoice.track.language, audioLanguage);
+  const subtitleChoice = pickSubtitle(
+    metadata.subtitles || [],
+    subtitleLanguage || (audioLanguageMissing ? audioLanguage : null),
+    audioChoice?.track.language
+  );
+
+  let delivery = null;
+  if (subtitleChoice) {
+    const { codec } = subtitleChoice.track;
+    const streamsPlay = containerOk && videoReasons.length === 0 && audioReasons.length === 0;
+    if (streamsPlay && profile.subtitles.embedded.includes(codec)) {
+      delivery = "embedded";
+    } else if (TEXT_SUBTITLE_CODECS.has(codec)) {
+      delivery = "external";
+    } else if (video) {
+      delivery = "burn_in";
+      videoReasons.push(reason("subtitle_burn_in", `${codec} subtitles must be burned into the video`));
+    }
+  }
+
+  reasons.push(...videoReasons, ...audioReasons);
+  const transcodeVideo = videoReasons.length > 0;
+  const transcodeAudio = audioReasons.length > 0;
+  let decision = "direct_play";
+  if (transcodeVideo || transcodeAudio) decision = "transcode";
+  else if (!containerOk) decision = "remux";
+
+  return {
+    profile: profileId,
+    decision,
+    container: { source, target: decision === "direct_play" ? source : OUTPUT_CONTAINER },
+    video: video
+      ? {
+          codec: video.codec,
+          action: transcodeVideo ? "transcode" : "copy",
+          target_codec: transcodeVideo ? profile.transcode.video : video.codec,
+        }
+      : null,
+    audio: audioChoice
+      ? {
+          index: audioChoice.index,
+          codec: audioChoice.track.codec,
+          language: audioChoice.track.language,
+          channels: audioChoice.track.channels,
+          action: transcodeAudio ? "transcode" : "copy",
+          target_codec: transcodeAudio ? profile.transcode.audio : audioChoice.track.codec,
+          target_channels: transcodeAudio
+            ? Math.min(audioChoice.track.channels || 2, profile.transcode.audioChannels)
+            : audioChoice.track.channels,
+        }
+      : null,
+    subtitle: subtitleChoice
+      ? {
+          index: subtitleChoice.index,
+          codec: subtitleChoice.track.codec,
+          language: subtitleChoice.track.language,
+          forced: subtitleChoice.track.forced,
+          delivery,
+        }
+      : null,
+    reasons,
+  };
+}
+
+export default planPlayback;
@@ -0,0 +1,152 @@
+import { createHash } from "crypto";
+import { getRedisClient } from "./cache.js";
+import { decodeHash, encodeHash } from "./redisHash.js";
+
+// Watch progress per viewer profile. The profile is the client's
+// `x-resume-key`, stored hashed so the raw key never appears in key names:
+//   /db/progress/{sha256(resumeKey)[0..32]}  hash  item key -> JSON progress record
+// Item keys are `movie:{tmdbId}`, `episode:{seriesId}:{season}:{episode}` and
+// `channel:{channelId}`. Every write refreshes the TTL, so profiles that stop
+// watching expire; the oldest records are dropped past MAX_ITEMS_PER_PROFILE.
+
+const PROGRESS_TTL_SECONDS = 180 * 24 * 60 * 60;
+const MAX_ITEMS_PER_PROFILE = 500;
+const MAX_TRANSACTION_ATTEMPTS = 5;
+// Connections for progress transactions. A profile always uses the same one,
+// so its transactions run in order while other profiles proceed on the rest.
+const TRANSACTION_CONNECTIONS = 4;
+export const PROGRESS_ITEM_TYPES = ["movie", "episode", "channel"];
+
+// One `{ client, queue }` per connection, created on first use.
+const transactionSlots = Array.from({ length: TRANSACTION_CONNECTIONS }, () => ({
+  client: null,
+  queue: Promise.resolve(),
+}));
+
+function profileKey(resumeKey) {
+  return `/db/progress/${createHash("sha256").update(resumeKey).digest("hex").slice(0, 32)}`;
+}
+
+/**
+ * Key of a content item inside a profile.
+ *
+ * @param {{ type: string, movie_id?: number, series_id?: number,
+ *   season_number?: number, episode_number?: number, channel_id?: string }} item
+ *   Progress record or item reference.
+ * @returns {string} `movie:{id}`, `episode:{series}:{season}:{episode}` or `channel:{id}`.
+ */
+export function progressItemKey(item) {
+  if (item.type === "movie") return `movie:${item.movie_id}`;
+  if (item.type === "episode") return `episode:${item.series_id}:${item.season_number}:${item.episode_number}`;
+  return `channel:${encodeURIComponent(item.channel_id)}`;
+}
+
+/**
+ * Returns every progress record of a profile, most recently updated first.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} resumeKey Profile (`x-resume-key`).
+ * @returns {Promise<Array<Record<string, any>>>} Records with their `key`.
+ */
+export async function listProgress(env, resumeKey) {
+  return toRecordList(await getRedisClient(env).hgetall(profileKey(resumeKey)));
+}
+
+function toRecordList(raw) {
+  const records = decodeHash(raw) || {};
+  return Object.entries(records)
+    .filter(([, record]) => record && typeof record === "object")
+    .map(([key, record]) => ({ ...record, key }))
+    .sort((a, b) => b.updated_at - a.updated_at);
+}
+
+/**
+ * Stores progress records in one optimistic transaction (WATCH/MULTI): reads
+ * the profile, lets `update` derive the records to store from it, replaces
+ * records with the same item key and trims the profile to its newest
+ * MAX_ITEMS_PER_PROFILE records. A concurrent write to the profile re-runs
+ * `update` against the new state.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} resumeKey Profile (`x-resume-key`).
+ * @param {(stored: Array<Record<string, any>>) => Array<Record<string, any>>} update
+ *   Gets the stored records (as `listProgress` returns them) and returns the
+ *   records to store, each with `updated_at`. Must not have side effects.
+ * @returns {Promise<Array<Record<string, any>>>} The records stored.
+ * @throws {Error} On Redis errors, or when the profile kept changing for
+ *   MAX_TRANSACTION_ATTEMPTS attempts.
+ */
+export function updateProgress(env, resumeKey, update) {
+  // WATCH belongs to a connection, so transactions get connections of their
+  // own, picked by profile, and run one at a time on each.
+  const key = profileKey(resumeKey);
+  const slot = transactionSlots[parseInt(key.slice(-8), 16) % TRANSACTION_CONNECTIONS];
+  const run = slot.queue.then(() => runProgressTransaction(env, slot, key, update));
+  slot.queue = run.catch(() => {});
+  return run;
+}
+
+function slotClient(env, slot) {
+  if (slot.client) return slot.client;
+  const client = getRedisClient(env).duplicate();
+  // A closed connection (reconnects given up) is replaced on the next use.
+  client.once("end", () => releaseSlotClient(slot, client));
+  slot.client = client;
+  return client;
+}
+
+function releaseSlotClient(slot, client) {
+  if (slot.client !== client) return;
+  slot.client = null;
+  client.disconnect();
+}
+
+async function runProgressTransaction(env, slot, key, update) {
+  const client = slotClient(env, slot);
+  try {
+    for (let attempt = 0; attempt < MAX_TRANSACTION_ATTEMPTS; attempt += 1) {
+      await client.watch(key);
+      const stored = toRecordList(await client.hgetall(key));
+      const records = update(stored);
+      const fields = {};
+      for (const record of records) {
+        const { key: _ignored, ...rest } = record;
+        fields[progressItemKey(record)] = rest;
+      }
+      const kept = stored.filter((record) => !(record.key in fields));
+      const oldest = [...kept, ...records.map((record) => ({ ...record, key: progressItemKey(record) }))]
+        .sort((a, b) => b.updated_at - a.updated_at)
+        .slice(MAX_ITEMS_PER_PROFILE)
+        .map((record) => record.key);
+      const transaction = client.multi().hset(key, encodeHash(fields)).expire(key, PROGRESS_TTL_SECONDS);
+      if (oldest.length > 0) transaction.hdel(key, ...oldest);
+      const results = await transaction.exec();
+      // null: the profile changed after WATCH; nothing was written.
+      if (results === null) continue;
+      for (const [err] of results) {
+        if (err) throw err;
+      }
+      return records;
+    }
+  } catch (err) {
+    // The connection may still hold the WATCH or an open MULTI; the next
+    // transaction of this slot starts on a fresh one.
+    releaseSlotClient(slot, client);
+    throw err;
+  }
+  throw new Error("progress update kept conflicting with concurrent writes");
+}
+
+/**
+ * Deletes progress records by item key.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} resumeKey Profile (`x-resume-key`).
+ * @param {string[]} itemKeys Keys from `progressItemKey`.
+ * @returns {Promise<number>} Number of records deleted.
+ */
+export async function deleteProgress(env, resumeKey, itemKeys) {
+  if (itemKeys.length === 0) return 0;
+  const client = getRedisClient(env);
+  return client.hdel(profileKey(resumeKey), ...itemKeys);
+}
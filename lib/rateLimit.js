@@ -0,0 +1,71 @@
+import { randomUUID } from "crypto";
+import { getFailFastRedisClient, isRedisAvailable } from "./cache.js";
+import { logger } from "./logger.js";
+
+// Sliding-window rate limits shared by all replicas. Each window is a sorted
+// set of request timestamps under `/_ratelimit/{scope}/{id}`.
+
+// A check slower than this lets the request through.
+const CHECK_TIMEOUT_MS = 250;
+const ALLOW = { allowed: true, remaining: Infinity, retryAfterSeconds: 0 };
+
+// KEYS[1] window set; ARGV: now (ms), window (ms), limit, member.
+// Returns { allowed (1|0), count, retryAfterMs }.
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now - window)
+local count = redis.call("ZCARD", KEYS[1])
+if count < limit then
+  redis.call("ZADD", KEYS[1], now, ARGV[4])
+  redis.call("PEXPIRE", KEYS[1], window)
+  return { 1, count + 1, 0 }
+end
+local oldest = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")
+local retry = window
+if oldest[2] then
+  retry = tonumber(oldest[2]) + window - now
+end
+return { 0, count, retry }
+`;
+
+/**
+ * Counts one request against a sliding window.
+ *
+ * Fails open: while the Redis breaker is open, or when the check fails or takes
+ * longer than 250 ms, the request is allowed, since the memory/TMDB fallback
+ * must keep working during an outage. The check never waits for a reconnect.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} bucket Window identity, e.g. `ip/203.0.113.7` or `key/{id}`.
+ * @param {{ limit: number, windowSeconds: number }} options Requests allowed per window.
+ * @returns {Promise<{ allowed: boolean, remaining: number, retryAfterSeconds: number }>}
+ *   Outcome; `retryAfterSeconds` is set when the request is rejected.
+ */
+export async function consumeRateLimit(env, bucket, { limit, windowSeconds }) {
+  if (!(limit > 0) || !isRedisAvailable()) {
+    return ALLOW;
+  }
+  const windowMs = windowSeconds * 1000;
+  const client = getFailFastRedisClient(env, { timeoutMs: CHECK_TIMEOUT_MS });
+  try {
+    const [allowed, count, retryAfterMs] = await client.eval(
+      SLIDING_WINDOW_SCRIPT,
+      1,
+      `/_ratelimit/${bucket}`,
+      Date.now(),
+      windowMs,
+      limit,
+      randomUUID()
+    );
+    return {
+      allowed: allowed === 1,
+      remaining: Math.max(0, limit - count),
+      retryAfterSeconds: allowed === 1 ? 0 : Math.max(1, Math.ceil(retryAfterMs / 1000)),
+    };
+  } catch (e) {
+    logger.warn("rate limit check failed, allowing request", { bucket, err: e?.message ?? e });
+    return ALLOW;
+  }
+}
@@ -1,8 +1,9 @@
-import { cacheGet, cacheSet } from "./cache.js";
+import { cacheGet, cacheGetEntry, cacheSet } from "./cache.js";
 
 /**
  * Lightweight Redis client wrapper around existing cache helpers.
- * Keeps call sites simple and centralizes future Redis logic.
+ * Keeps call sites simple and centralizes future Redis logic. Reads and
+ * writes go through the in-process memory tier and the Redis circuit breaker.
  */
 export class RedisClient {
   constructor(env) {
@@ -13,8 +14,12 @@ export class RedisClient {
     return cacheGet(this.env, key);
   }
 
-  async set(key, value, ttlSeconds) {
-    return cacheSet(this.env, key, value, ttlSeconds);
+  async getEntry(key) {
+    return cacheGetEntry(this.env, key);
+  }
+
+  async set(key, value, ttlSeconds, options) {
+    return cacheSet(this.env, key, value, ttlSeconds, options);
   }
 }
 
@@ -0,0 +1,36 @@
+// Field codec for repository hashes: every field is stored JSON-encoded so
+// numbers, nulls and arrays survive the round trip through Redis strings.
+
+/**
+ * Encodes a record for HSET. `undefined` fields are skipped so partial
+ * records only overwrite the fields they carry.
+ *
+ * @param {Record<string, any>} record Plain object.
+ * @returns {Record<string, string>} Field map for HSET.
+ */
+export function encodeHash(record) {
+  const out = {};
+  for (const [field, value] of Object.entries(record)) {
+    if (value !== undefined) out[field] = JSON.stringify(value);
+  }
+  return out;
+}
+
+/**
+ * Decodes an HGETALL result written by `encodeHash`.
+ *
+ * @param {Record<string, string>|null} raw HGETALL result.
+ * @returns {Record<string, any>|null} Record, or null for a missing/empty hash.
+ */
+export function decodeHash(raw) {
+  if (!raw || Object.keys(raw).length === 0) return null;
+  const out = {};
+  for (const [field, value] of Object.entries(raw)) {
+    try {
+      out[field] = JSON.parse(value);
+    } catch (e) {
+      out[field] = value;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,208 @@
+import Ajv from "ajv";
+
+// Validation of the OpenAPI document's schemas with Ajv. The document is
+// written in the OpenAPI 3.0 flavour of JSON Schema (`nullable`, refs into
+// `#/components/schemas`, `example`); `toJsonSchema` maps that onto plain JSON
+// Schema before compiling. Ajv runs in strict mode, so a misspelt or unknown
+// keyword fails compilation instead of being silently ignored by validation.
+
+const REF_PREFIX = "#/components/schemas/";
+// Id the component schemas are registered under in each Ajv instance.
+const COMPONENTS_ID = "components";
+const NO_COMPONENTS = {};
+
+// Components object -> `{ ajv, compiled }`, where `compiled` maps schema
+// objects to their validate functions.
+const validators = new WeakMap();
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function resolveSchema(schema, components) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    if (!resolved.$ref.startsWith(REF_PREFIX)) {
+      throw new Error(`unsupported $ref: ${resolved.$ref}`);
+    }
+    const target = components[resolved.$ref.slice(REF_PREFIX.length)];
+    if (!target) throw new Error(`unknown $ref: ${resolved.$ref}`);
+    resolved = target;
+  }
+  return resolved || {};
+}
+
+function toJsonSchema(schema, components) {
+  const { $ref, nullable, ...out } = schema;
+  if (out.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(out.properties).map(([name, property]) => [name, toJsonSchema(property, components)])
+    );
+  }
+  for (const keyword of ["items", "additionalProperties", "not"]) {
+    if (out[keyword] && typeof out[keyword] === "object") out[keyword] = toJsonSchema(out[keyword], components);
+  }
+  for (const keyword of ["oneOf", "anyOf", "allOf"]) {
+    if (Array.isArray(out[keyword])) out[keyword] = out[keyword].map((branch) => toJsonSchema(branch, components));
+  }
+  if ($ref !== undefined) {
+    resolveSchema({ $ref }, components);
+    out.$ref = `${COMPONENTS_ID}#/definitions/${$ref.slice(REF_PREFIX.length)}`;
+  }
+  // Ajv's own `nullable` needs a `type` next to it and still applies `enum`
+  // to null, while the document also marks `$ref`s and enums nullable.
+  return nullable ? { if: { type: "null" }, else: out } : out;
+}
+
+function validatorsFor(components) {
+  let entry = validators.get(components);
+  if (!entry) {
+    const ajv = new Ajv({ allErrors: true, verbose: true, strict: true, strictRequired: false, validateFormats: false });
+    ajv.addVocabulary(["example"]);
+    ajv.addSchema({
+      $id: COMPONENTS_ID,
+      definitions: Object.fromEntries(
+        Object.entries(components).map(([name, schema]) => [name, toJsonSchema(schema, components)])
+      ),
+    });
+    entry = { ajv, compiled: new WeakMap() };
+    validators.set(components, entry);
+  }
+  return entry;
+}
+
+function compile(schema, components) {
+  const { ajv, compiled } = validatorsFor(components);
+  let validate = compiled.get(schema);
+  if (!validate) {
+    validate = ajv.compile(toJsonSchema(schema, components));
+    compiled.set(schema, validate);
+  }
+  return validate;
+}
+
+function joinPath(path, segment) {
+  if (typeof segment === "number") return `${path}[${segment}]`;
+  return path ? `${path}.${segment}` : segment;
+}
+
+// `/genres/1/id` -> `genres[1].id`.
+function toPropertyPath(instancePath) {
+  return instancePath
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((path, segment) => joinPath(path, /^\d+$/.test(segment) ? Number(segment) : segment), "");
+}
+
+function toViolation(error) {
+  const path = toPropertyPath(error.instancePath);
+  const { params } = error;
+  switch (error.keyword) {
+    case "type":
+      return {
+        path,
+        message: error.data === null ? "must not be null" : `must be ${params.type}, got ${describeType(error.data)}`,
+      };
+    case "required":
+      return { path: joinPath(path, params.missingProperty), message: "is required" };
+    case "additionalProperties":
+      return { path: joinPath(path, params.additionalProperty), message: "is not allowed" };
+    case "enum":
+      return { path, message: `must be one of: ${params.allowedValues.join(", ")}` };
+    case "minimum":
+    case "maximum":
+      return { path, message: `must be ${params.comparison} ${params.limit}` };
+    case "minLength":
+      return { path, message: `must be at least ${params.limit} characters` };
+    case "maxLength":
+      return { path, message: `must be at most ${params.limit} characters` };
+    case "minItems":
+      return { path, message: `must have at least ${params.limit} items` };
+    case "maxItems":
+      return { path, message: `must have at most ${params.limit} items` };
+    case "pattern":
+      return { path, message: `must match ${params.pattern}` };
+    case "oneOf":
+      return { path, message: `must match exactly one of ${error.schema.length} schemas` };
+    default:
+      return { path, message: error.message };
+  }
+}
+
+/**
+ * Validates a value against a schema. Validators are compiled on first use
+ * and cached per schema object.
+ *
+ * @param {Object} schema Schema (may be a `$ref`).
+ * @param {any} value Value to check.
+ * @param {Record<string, Object>} [components] Named schemas `$ref`s resolve against.
+ * @returns {Array<{ path: string, message: string }>} Violations; empty when valid.
+ *   `path` is a dotted property path (`detail.genres[0].id`), "" for the root.
+ *   A failed `oneOf` reports why each branch failed, then the `oneOf` itself.
+ * @throws {Error} On a `$ref` outside `#/components/schemas` or to a missing
+ *   component, or when Ajv cannot compile the schema.
+ */
+export function validateSchema(schema, value, components = NO_COMPONENTS) {
+  const validate = compile(schema, components);
+  if (validate(value)) return [];
+  // The "null, else the schema" wrapper of nullable schemas adds an error of
+  // its own next to the ones from the schema.
+  return validate.errors.filter((error) => error.keyword !== "if").map(toViolation);
+}
+
+/**
+ * Compiles a schema up front so a document error surfaces at startup rather
+ * than on the first request that uses the schema.
+ *
+ * @param {Object} schema Schema to check.
+ * @param {Record<string, Object>} [components] Named schemas `$ref`s resolve against.
+ * @param {string} [where] Location used in the error message.
+ * @throws {Error} When the schema does not compile, e.g. on an unknown keyword.
+ */
+export function assertValidSchema(schema, components = NO_COMPONENTS, where = "#") {
+  try {
+    compile(schema, components);
+  } catch (e) {
+    throw new Error(`invalid schema at ${where}: ${e.message}`);
+  }
+}
+
+/**
+ * Converts a raw query/path string to the type its schema declares, so it can
+ * be passed to `validateSchema`. Arrays use the comma-separated `form`
+ * style (`?channelIds=a,b`).
+ *
+ * @param {Object} schema Parameter schema (may be a `$ref`).
+ * @param {string} raw Raw parameter value.
+ * @param {Record<string, Object>} [components] Named schemas `$ref`s resolve against.
+ * @returns {any} Coerced value; strings that do not parse are returned unchanged
+ *   so validation reports the type mismatch.
+ */
+export function coerceParameter(schema, raw, components = NO_COMPONENTS) {
+  const resolved = resolveSchema(schema, components);
+  switch (resolved.type) {
+    case "integer":
+      return /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    case "number": {
+      const n = Number(raw);
+      return raw.trim() !== "" && Number.isFinite(n) ? n : raw;
+    }
+    case "boolean": {
+      const flag = raw.toLowerCase();
+      if (flag === "true" || flag === "1") return true;
+      if (flag === "false" || flag === "0") return false;
+      return raw;
+    }
+    case "array":
+      return raw
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+        .map((item) => (resolved.items ? coerceParameter(resolved.items, item, components) : item));
+    default:
+      return raw;
+  }
+}
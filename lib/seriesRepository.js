@@ -0,0 +1,262 @@
+import { getRedisClient } from "./cache.js";
+import { decodeHash, encodeHash } from "./redisHash.js";
+
+// Series, seasons, episodes and guest stars persisted from TMDB responses.
+// Key layout (`{lang}` is the URI-encoded language, `_` when empty):
+//   /db/series/{id}/{lang}                             hash  series fields
+//   /db/series/{id}/{lang}/seasons                     hash  season number -> JSON season
+//   /db/series/{id}/{lang}/season/{n}/episodes         zset  episode ids scored by episode number
+//   /db/series/{id}/{lang}/episode/{episodeId}         hash  episode fields
+//   /db/series/{id}/{lang}/episode/{episodeId}/guests  hash  guest id -> JSON guest star
+// Each upsert runs in one MULTI and refreshes the TTL of every key it touches.
+// Records are merged field by field, so concurrent season and episode upserts
+// never drop each other's episodes or guest stars.
+
+const RECORD_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+function seriesKey(seriesId, language) {
+  return `/db/series/${seriesId}/${encodeURIComponent(language || "") || "_"}`;
+}
+
+function seasonsKey(seriesId, language) {
+  return `${seriesKey(seriesId, language)}/seasons`;
+}
+
+function seasonEpisodesKey(seriesId, seasonNumber, language) {
+  return `${seriesKey(seriesId, language)}/season/${seasonNumber}/episodes`;
+}
+
+function episodeKey(seriesId, episodeId, language) {
+  return `${seriesKey(seriesId, language)}/episode/${episodeId}`;
+}
+
+function guestsKey(seriesId, episodeId, language) {
+  return `${episodeKey(seriesId, episodeId, language)}/guests`;
+}
+
+async function execOrThrow(tx) {
+  const results = await tx.exec();
+  for (const [err] of results || []) {
+    if (err) throw err;
+  }
+  return results;
+}
+
+function sortGuests(guests) {
+  return guests.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+}
+
+function parseGuests(raw) {
+  const guests = [];
+  for (const value of Object.values(raw || {})) {
+    try {
+      guests.push(JSON.parse(value));
+    } catch (e) {
+      // skip corrupt entries
+    }
+  }
+  return sortGuests(guests);
+}
+
+// Reads episode hashes and their guest stars in one round trip.
+async function readEpisodes(client, seriesId, language, episodeIds) {
+  if (episodeIds.length === 0) return [];
+  const pipeline = client.pipeline();
+  for (const episodeId of episodeIds) {
+    pipeline.hgetall(episodeKey(seriesId, episodeId, language));
+    pipeline.hgetall(guestsKey(seriesId, episodeId, language));
+  }
+  const results = await pipeline.exec();
+  const episodes = [];
+  episodeIds.forEach((episodeId, i) => {
+    const [episodeErr, episodeRaw] = results[i * 2];
+    const [guestsErr, guestsRaw] = results[i * 2 + 1];
+    if (episodeErr) throw episodeErr;
+    if (guestsErr) throw guestsErr;
+    const episode = decodeHash(episodeRaw);
+    if (!episode) return;
+    episodes.push({ ...episode, guest_stars: parseGuests(guestsRaw) });
+  });
+  return episodes;
+}
+
+/**
+ * Returns the stored series record.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {number} seriesId TMDB series id.
+ * @param {string} language Language the record was fetched in ("" for TMDB default).
+ * @returns {Promise<Record<string, any>|null>} Series fields plus `updated_at`
+ *   (epoch seconds), or null when not stored.
+ */
+export async function getSeries(env, seriesId, language) {
+  const client = getRedisClient(env);
+  return decodeHash(await client.hgetall(seriesKey(seriesId, language)));
+}
+
+/**
+ * Upserts a series and its season summaries atomically.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {number} seriesId TMDB series id.
+ * @param {string} language Language of the TMDB response.
+ * @param {Record<string, any>} series Series payload; `seasons` (TMDB season
+ *   summaries) are stored separately and merged by season number.
+ * @returns {Promise<void>}
+ * @throws {Error} On Redis errors.
+ */
+export async function upsertSeries(env, seriesId, language, series) {
+  const client = getRedisClient(env);
+  const now = Math.floor(Date.now() / 1000);
+  const { seasons, ...fields } = series;
+  const key = seriesKey(seriesId, language);
+
+  const tx = client.multi();
+  tx.hset(key, encodeHash({ ...fields, id: seriesId, updated_at: now }));
+  tx.expire(key, RECORD_TTL_SECONDS);
+  const seasonFields = {};
+  for (const season of Array.isArray(seasons) ? seasons : []) {
+    if (!season || !Number.isInteger(season.season_number)) continue;
+    seasonFields[season.season_number] = JSON.stringify(season);
+  }
+  if (Object.keys(seasonFields).length > 0) {
+    tx.hset(seasonsKey(seriesId, language), seasonFields);
+    tx.expire(seasonsKey(seriesId, language), RECORD_TTL_SECONDS);
+  }
+  await execOrThrow(tx);
+}
+
+/**
+ * Returns the stored season summaries of a series, ordered by season number.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {number} seriesId TMDB series id.
+ * @param {string} language Language of the stored records.
+ * @returns {Promise<Array<Record<string, any>>>} Seasons (empty when none are stored).
+ */
+export async function getSeasons(env, seriesId, language) {
+  const client = getRedisClient(env);
+  const raw = await client.hgetall(seasonsKey(seriesId, language));
+  const seasons = [];
+  for (const value of Object.values(raw || {})) {
+    try {
+      seasons.push(JSON.parse(value));
+    } catch (e) {
+      // skip corrupt entries
+    }
+  }
+  return seasons.sort((a, b) => a.season_number - b.season_number);
+}
+
+/**
+ * Returns the stored episodes of a season with their guest stars, ordered by
+ * episode number.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {number} seriesId TMDB series id.
+ * @param {number} seasonNumber Season number.
+ * @param {string} language Language of the stored records.
+ * @returns {Promise<Array<Record<string, any>>>} Episodes with `guest_stars` and `updated_at`.
+ */
+export async function getSeasonEpisodes(env, seriesId, seasonNumber, language) {
+  const client = getRedisClient(env);
+  const episodeIds = await client.zrange(seasonEpisodesKey(seriesId, seasonNumber, language), 0, -1);
+  return readEpisodes(client, seriesId, language, episodeIds);
+}
+
+/**
+ * Returns one stored episode with its guest stars.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {number} seriesId TMDB series id.
+ * @param {number} seasonNumber Season number.
+ * @param {number} episodeNumber Episode number within the season.
+ * @param {string} language Language of the stored records.
+ * @returns {Promise<Record<string, any>|null>} Episode with `guest_stars` and `updated_at`, or null.
+ */
+export async function getEpisode(env, seriesId, seasonNumber, episodeNumber, language) {
+  const client = getRedisClient(env);
+  const [episodeId] = await client.zrangebyscore(
+    seasonEpisodesKey(seriesId, seasonNumber, language),
+    episodeNumber,
+    episodeNumber,
+    "LIMIT",
+    0,
+    1
+  );
+  if (!episodeId) return null;
+  const [episode] = await readEpisodes(client, seriesId, language, [episodeId]);
+  return episode || null;
+}
+
+/**
+ * Upserts TMDB episodes of one season, with their guest stars, in one MULTI.
+ *
+ * Episode fields are merged into the stored record. A non-empty `guest_stars`
+ * list replaces the stored guest stars of that episode; an empty or missing
+ * list (TMDB season responses often omit them) keeps what is stored.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {number} seriesId TMDB series id.
+ * @param {number} seasonNumber Season number.
+ * @param {string} language Language of the TMDB response.
+ * @param {Array<Record<string, any>>} episodes TMDB episode objects.
+ * @returns {Promise<void>}
+ * @throws {Error} On Redis errors.
+ */
+export async function upsertEpisodes(env, seriesId, seasonNumber, language, episodes) {
+  if (!Array.isArray(episodes)) return;
+  const valid = episodes.filter((episode) => episode && typeof episode.id === "number");
+  if (valid.length === 0) return;
+
+  const client = getRedisClient(env);
+  const now = Math.floor(Date.now() / 1000);
+  const listKey = seasonEpisodesKey(seriesId, seasonNumber, language);
+  const tx = client.multi();
+  for (const episode of valid) {
+    const key = episodeKey(seriesId, episode.id, language);
+    tx.hset(
+      key,
+      encodeHash({
+        series_id: seriesId,
+        id: episode.id,
+        season_number: seasonNumber,
+        episode_number: episode.episode_number,
+        name: episode.name,
+        overview: episode.overview,
+        still_path: episode.still_path,
+        air_date: episode.air_date,
+        vote_average: episode.vote_average ?? 0,
+        vote_count: episode.vote_count ?? 0,
+        updated_at: now,
+      })
+    );
+    tx.expire(key, RECORD_TTL_SECONDS);
+    if (Number.isInteger(episode.episode_number)) {
+      tx.zadd(listKey, episode.episode_number, String(episode.id));
+    }
+
+    const guests = (Array.isArray(episode.guest_stars) ? episode.guest_stars : []).filter(
+      (guest) => guest && typeof guest.id === "number"
+    );
+    if (guests.length > 0) {
+      const gKey = guestsKey(seriesId, episode.id, language);
+      const fields = {};
+      for (const guest of guests) {
+        fields[guest.id] = JSON.stringify({
+          id: guest.id,
+          name: guest.name,
+          original_name: guest.original_name,
+          character: guest.character,
+          profile_path: guest.profile_path,
+          order: guest.order ?? null,
+        });
+      }
+      tx.del(gKey);
+      tx.hset(gKey, fields);
+      tx.expire(gKey, RECORD_TTL_SECONDS);
+    }
+  }
+  tx.expire(listKey, RECORD_TTL_SECONDS);
+  await execOrThrow(tx);
+}
@@ -0,0 +1,189 @@
+import { randomUUID } from "crypto";
+import { getRedisClient, isRedisAvailable } from "./cache.js";
+import { logger } from "./logger.js";
+
+// Request coalescing for cache misses. Keys are `buildCacheKeyFromUrl` output.
+//   /_singleflight/lock/{key}    lock held by the replica doing the upstream fetch
+//   /_singleflight/result/{key}  `{ ok, value | error }` published for waiters
+
+const DEFAULT_LOCK_TTL_MS = 15000;
+const DEFAULT_RESULT_TTL_MS = 5000;
+const DEFAULT_POLL_MS = 100;
+
+// Takes the lock and, in the same step, drops a result left by the previous
+// leader, so waiters of this flight cannot read an older flight's outcome.
+const ACQUIRE_SCRIPT = `if redis.call("set", KEYS[1], ARGV[1], "PX", ARGV[2], "NX") then redis.call("del", KEYS[2]) return 1 else return 0 end`;
+
+// Deletes the lock only if we still own it.
+const RELEASE_SCRIPT = `if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end`;
+
+const inFlight = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function serializeError(err) {
+  return {
+    name: err?.name || "Error",
+    message: err?.message ?? String(err),
+    status: Number.isInteger(err?.status) ? err.status : null,
+    retryAfter: err?.retryAfter ?? null,
+  };
+}
+
+// A published outcome, or null for anything that is not one (corrupt or
+// written by something else).
+function parseOutcome(raw) {
+  let outcome;
+  try {
+    outcome = JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+  if (outcome?.ok === true) return outcome;
+  if (outcome?.ok === false && typeof outcome.error === "object" && outcome.error) return outcome;
+  return null;
+}
+
+function reviveError(data) {
+  const err = new Error(data.message);
+  err.name = data.name;
+  if (data.status !== null) err.status = data.status;
+  if (data.retryAfter !== null) err.retryAfter = data.retryAfter;
+  return err;
+}
+
+/**
+ * Coalesces concurrent calls with the same key inside this process: the first
+ * caller runs `fn`, later callers await the same promise and get the same
+ * value or error.
+ *
+ * @template T
+ * @param {string} key Coalescing key.
+ * @param {() => Promise<T>} fn Work to run once per key at a time.
+ * @returns {Promise<T>} Shared result.
+ */
+export function singleFlight(key, fn) {
+  const existing = inFlight.get(key);
+  if (existing) return existing;
+  const promise = (async () => {
+    try {
+      return await fn();
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Coalesces calls with the same key across API replicas using a Redis lock.
+ *
+ * The replica that acquires `/_singleflight/lock/{key}` runs `fn` and publishes
+ * its JSON-serializable result (or error) for `resultTtlMs`; other replicas poll
+ * for it. Acquiring the lock clears the previous flight's result. If the
+ * leader disappears without publishing, a waiter takes over, and after
+ * `lockTtlMs` of waiting a caller runs `fn` itself. Redis errors and results
+ * that cannot be parsed fall back to calling `fn` directly. Errors seen by
+ * waiters are plain `Error`s carrying the leader's `name`, `message`, `status`
+ * and `retryAfter`.
+ *
+ * @template T
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} key Coalescing key.
+ * @param {() => Promise<T>} fn Work to run once per key across replicas.
+ * @param {{ lockTtlMs?: number, resultTtlMs?: number, pollMs?: number }} [options] Timing overrides.
+ * @returns {Promise<T>} Shared result.
+ */
+export async function redisSingleFlight(env, key, fn, options = {}) {
+  const lockTtlMs = options.lockTtlMs ?? DEFAULT_LOCK_TTL_MS;
+  const resultTtlMs = options.resultTtlMs ?? DEFAULT_RESULT_TTL_MS;
+  const pollMs = options.pollMs ?? DEFAULT_POLL_MS;
+  const lockKey = `/_singleflight/lock/${key}`;
+  const resultKey = `/_singleflight/result/${key}`;
+  const token = randomUUID();
+  const deadline = Date.now() + lockTtlMs;
+
+  // No cross-replica coordination while the Redis circuit breaker is open.
+  if (!isRedisAvailable()) {
+    return fn();
+  }
+
+  let client;
+  try {
+    client = getRedisClient(env);
+  } catch (e) {
+    return fn();
+  }
+
+  for (;;) {
+    let acquired;
+    try {
+      acquired = (await client.eval(ACQUIRE_SCRIPT, 2, lockKey, resultKey, token, lockTtlMs)) === 1;
+    } catch (e) {
+      logger.warn("singleflight lock failed", { key, err: e?.message ?? e });
+      return fn();
+    }
+
+    if (acquired) {
+      let outcome;
+      try {
+        const value = await fn();
+        outcome = { ok: true, value };
+        return value;
+      } catch (err) {
+        outcome = { ok: false, error: serializeError(err) };
+        throw err;
+      } finally {
+        try {
+          await client.set(resultKey, JSON.stringify(outcome), "PX", resultTtlMs);
+          await client.eval(RELEASE_SCRIPT, 1, lockKey, token);
+        } catch (e) {
+          logger.warn("singleflight publish failed", { key, err: e?.message ?? e });
+        }
+      }
+    }
+
+    logger.debug("singleflight waiting for leader", { key });
+    while (Date.now() < deadline) {
+      await sleep(pollMs);
+      let raw;
+      let lockHeld;
+      try {
+        [raw, lockHeld] = await Promise.all([client.get(resultKey), client.exists(lockKey)]);
+      } catch (e) {
+        return fn();
+      }
+      if (raw) {
+        const outcome = parseOutcome(raw);
+        if (!outcome) {
+          logger.warn("singleflight result unreadable", { key });
+          return fn();
+        }
+        if (outcome.ok) return outcome.value;
+        throw reviveError(outcome.error);
+      }
+      if (!lockHeld) break;
+    }
+    if (Date.now() >= deadline) {
+      logger.warn("singleflight wait timed out", { key });
+      return fn();
+    }
+  }
+}
+
+/**
+ * In-process coalescing in front of the Redis-lock variant: one upstream fetch
+ * per key per process, and one per key across replicas.
+ *
+ * @template T
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} key Coalescing key (`buildCacheKeyFromUrl` output).
+ * @param {() => Promise<T>} fn Work producing a JSON-serializable result.
+ * @returns {Promise<T>} Shared result.
+ */
+export function coalesce(env, key, fn) {
+  return singleFlight(key, () => redisSingleFlight(env, key, fn));
+}
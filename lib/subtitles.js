@@ -0,0 +1,286 @@
+import fs from "fs/promises";
+import path from "path";
+import { createTempDir, ffmpegCommand, runFfmpeg } from "./ffmpeg.js";
+
+// Subtitles to WebVTT for players: SRT and ASS/SSA files are parsed here (the
+// usual provider uploads, often in Windows-1254), embedded tracks are
+// extracted by ffmpeg's webvtt muxer. Cue times are kept in milliseconds.
+
+const EXTRACT_TIMEOUT_SECONDS = 300;
+// Legacy Turkish subtitles; used when the bytes are not valid UTF-8.
+const FALLBACK_ENCODING = "windows-1254";
+export const SUBTITLE_FORMATS = ["srt", "ass", "vtt"];
+// Text tracks ffmpeg can turn into WebVTT; bitmap ones (PGS, DVD) cannot.
+export const EXTRACTABLE_SUBTITLE_CODECS = new Set(["subrip", "srt", "ass", "ssa", "mov_text", "webvtt", "text"]);
+
+const SRT_TIMING_PATTERN =
+  /^\s*(\d+):(\d{1,2}):(\d{1,2})[,.](\d{1,3})\s*-->\s*(\d+):(\d{1,2}):(\d{1,2})[,.](\d{1,3})/;
+const VTT_TIMING_PATTERN =
+  /^\s*((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/;
+const ASS_TIME_PATTERN = /^(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d{1,3}))?$/;
+const SRT_TAG_PATTERN = /<\/?([a-z]+)\b[^>]*>/gi;
+const VTT_SIMPLE_TAGS = new Set(["i", "b", "u"]);
+
+/**
+ * Subtitle failure that maps to an HTTP status (400 unknown encoding, 422
+ * unrecognised or empty subtitle file).
+ */
+export class SubtitleError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "SubtitleError";
+    this.status = status;
+  }
+}
+
+function toMs(hours, minutes, seconds, fraction = "0", fractionDigits = fraction.length) {
+  const ms = Math.round((Number(fraction) * 1000) / 10 ** fractionDigits);
+  return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + ms;
+}
+
+function formatTimestamp(ms) {
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor(ms / 60000) % 60;
+  const seconds = Math.floor(ms / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+}
+
+function parseVttTimestamp(value) {
+  const parts = value.split(":");
+  if (parts.length === 2) parts.unshift("0");
+  const [seconds, fraction] = parts[2].split(".");
+  return toMs(parts[0], parts[1], seconds, fraction);
+}
+
+// `&` and `<` must be escaped in cue text; `-->` would end the cue.
+function escapeCueText(text) {
+  return text
+    .replace(/&(?!(?:[a-z]+|#\d+|#x[0-9a-f]+);)/gi, "&amp;")
+    .replace(/<(?!\/?[ibu]>)/g, "&lt;")
+    .replace(/-->/g, "--&gt;");
+}
+
+function splitBlocks(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n[ \t]*\n/)
+    .map((block) => block.replace(/^\s*\n/, "").split("\n"))
+    .filter((lines) => lines.some((line) => line.trim()));
+}
+
+// SRT markup: <i>/<b>/<u> survive, <font> and others are dropped, and so are
+// the `{\an8}` ASS overrides some SRT files carry.
+function srtCueText(lines) {
+  const text = lines
+    .join("\n")
+    .replace(/\{\\[^}]*\}/g, "")
+    .replace(SRT_TAG_PATTERN, (tag, name) => {
+      const lower = name.toLowerCase();
+      if (!VTT_SIMPLE_TAGS.has(lower)) return "";
+      return tag.startsWith("</") ? `</${lower}>` : `<${lower}>`;
+    });
+  return escapeCueText(text).trim();
+}
+
+function parseSrt(text) {
+  const cues = [];
+  for (const lines of splitBlocks(text)) {
+    const timingIndex = lines.findIndex((line) => SRT_TIMING_PATTERN.test(line));
+    if (timingIndex === -1) continue;
+    const m = SRT_TIMING_PATTERN.exec(lines[timingIndex]);
+    cues.push({
+      start: toMs(m[1], m[2], m[3], m[4].padEnd(3, "0"), 3),
+      end: toMs(m[5], m[6], m[7], m[8].padEnd(3, "0"), 3),
+      text: srtCueText(lines.slice(timingIndex + 1)),
+    });
+  }
+  return cues;
+}
+
+function parseVtt(text) {
+  const cues = [];
+  for (const lines of splitBlocks(text)) {
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    const m = timingIndex === -1 ? null : VTT_TIMING_PATTERN.exec(lines[timingIndex]);
+    // Header, NOTE, STYLE and REGION blocks have no timing line.
+    if (!m || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+    cues.push({
+      id: timingIndex > 0 ? lines[timingIndex - 1].trim() : null,
+      start: parseVttTimestamp(m[1]),
+      end: parseVttTimestamp(m[2]),
+      settings: m[3].trim(),
+      text: lines.slice(timingIndex + 1).join("\n").trim(),
+    });
+  }
+  return cues;
+}
+
+function parseAssTime(value) {
+  const m = ASS_TIME_PATTERN.exec(value.trim());
+  return m ? toMs(m[1], m[2], m[3], m[4] || "0") : null;
+}
+
+// Override blocks (`{\i1}`, `{\b0}`, `{\pos(...)}`) become <i>/<b>/<u> or
+// vanish; `\N` is a hard line break and `\h` a non-breaking space.
+function assCueText(raw) {
+  const open = { i: false, b: false, u: false };
+  let out = "";
+  for (const part of raw.split(/(\{[^}]*\})/)) {
+    if (part.startsWith("{") && part.endsWith("}")) {
+      for (const [, tag, value] of part.matchAll(/\\([ibu])(\d+)/g)) {
+        const on = value !== "0";
+        if (on !== open[tag]) out += on ? `<${tag}>` : `</${tag}>`;
+        open[tag] = on;
+      }
+    } else {
+      out += escapeCueText(part.replace(/\\[Nn]/g, "\n").replace(/\\h/g, "\u00a0"));
+    }
+  }
+  for (const tag of ["u", "b", "i"]) {
+    if (open[tag]) out += `</${tag}>`;
+  }
+  return out.trim();
+}
+
+function parseAss(text) {
+  const cues = [];
+  let inEvents = false;
+  let fields = null;
+  for (const line of text.replace(/\r\n?/g, "\n").split("\n")) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith("[")) {
+      inEvents = trimmed.toLowerCase() === "[events]";
+      continue;
+    }
+    if (!inEvents) continue;
+    const colon = trimmed.indexOf(":");
+    if (colon === -1) continue;
+    const kind = trimmed.slice(0, colon).toLowerCase();
+    const value = trimmed.slice(colon + 1).trim();
+    if (kind === "format") {
+      fields = value.split(",").map((field) => field.trim().toLowerCase());
+    } else if (kind === "dialogue" && fields) {
+      // Text is the last field and may itself contain commas.
+      const values = value.split(",");
+      const row = {};
+      fields.forEach((field, i) => {
+        row[field] = i === fields.length - 1 ? values.slice(i).join(",") : values[i];
+      });
+      const start = parseAssTime(row.start || "");
+      const end = parseAssTime(row.end || "");
+      // `\p1` switches to vector drawing; there is no text to show.
+      if (start === null || end === null || /\\p[1-9]/.test(row.text || "")) continue;
+      cues.push({ start, end, text: assCueText(row.text || "") });
+    }
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Decodes subtitle file bytes. A byte-order mark wins; otherwise valid UTF-8
+ * is taken as UTF-8 and anything else as Windows-1254 (Turkish).
+ *
+ * @param {Uint8Array} bytes File contents.
+ * @param {string|null} [encoding] WHATWG encoding label that overrides detection
+ *   (`windows-1254`, `iso-8859-9`, `utf-8`, ...).
+ * @returns {{ text: string, encoding: string }} Text and the encoding used.
+ * @throws {SubtitleError} 400 for an unknown encoding label.
+ */
+export function decodeSubtitle(bytes, encoding = null) {
+  let decoder;
+  if (encoding) {
+    try {
+      decoder = new TextDecoder(encoding);
+    } catch (e) {
+      throw new SubtitleError(400, `unsupported encoding: ${encoding}`);
+    }
+    return { text: decoder.decode(bytes), encoding: decoder.encoding };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    decoder = new TextDecoder("utf-16le");
+  } else if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    decoder = new TextDecoder("utf-16be");
+  } else {
+    try {
+      return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "utf-8" };
+    } catch (e) {
+      decoder = new TextDecoder(FALLBACK_ENCODING);
+    }
+  }
+  return { text: decoder.decode(bytes), encoding: decoder.encoding };
+}
+
+/**
+ * Recognises SRT, ASS/SSA and WebVTT text.
+ *
+ * @param {string} text Decoded subtitle file.
+ * @returns {"srt"|"ass"|"vtt"|null} Format, or null when unrecognised.
+ */
+export function detectSubtitleFormat(text) {
+  const head = text.replace(/^\uFEFF/, "").slice(0, 4096);
+  if (/^WEBVTT\b/.test(head)) return "vtt";
+  if (/^\s*\[Script Info\]/i.test(head) || /^\[Events\]/im.test(text)) return "ass";
+  if (SRT_TIMING_PATTERN.test(head.split(/\r?\n/).find((line) => line.includes("-->")) || "")) return "srt";
+  return null;
+}
+
+/**
+ * Converts an SRT, ASS/SSA or WebVTT file to WebVTT, shifting every cue by
+ * `offsetMs`. Cues that end before 0 after the shift are dropped; cues that
+ * straddle 0 start at 0.
+ *
+ * @param {string} text Decoded subtitle file.
+ * @param {{ format?: string|null, offsetMs?: number }} [options] Source format
+ *   (detected when missing) and timing offset in milliseconds (negative shows
+ *   subtitles earlier).
+ * @returns {{ vtt: string, format: string, cues: number }} WebVTT document,
+ *   the source format and the number of cues written.
+ * @throws {SubtitleError} 422 for unrecognised input or a file without cues.
+ */
+export function convertToWebVtt(text, { format = null, offsetMs = 0 } = {}) {
+  const source = format || detectSubtitleFormat(text);
+  if (!SUBTITLE_FORMATS.includes(source)) {
+    throw new SubtitleError(422, "not an SRT, ASS/SSA or WebVTT file");
+  }
+  const body = text.replace(/^\uFEFF/, "");
+  let cues = source === "srt" ? parseSrt(body) : source === "ass" ? parseAss(body) : parseVtt(body);
+  if (cues.length === 0) throw new SubtitleError(422, `no cues found in ${source} file`);
+
+  cues = cues
+    .map((cue) => ({ ...cue, start: Math.max(0, cue.start + offsetMs), end: cue.end + offsetMs }))
+    .filter((cue) => cue.end > cue.start && cue.text);
+  const blocks = cues.map((cue) => {
+    const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`;
+    const lines = [cue.id, cue.settings ? `${timing} ${cue.settings}` : timing, cue.text];
+    return lines.filter(Boolean).join("\n");
+  });
+  return { vtt: ["WEBVTT", ...blocks].join("\n\n") + "\n", format: source, cues: cues.length };
+}
+
+/**
+ * Extracts an embedded text subtitle track as WebVTT. ffmpeg reads the whole
+ * file for this (subtitle packets are interleaved with the media), so it gets
+ * a longer timeout than frame grabs.
+ *
+ * @param {string} fileUrl Media URL.
+ * @param {number} trackIndex Position in the metadata `subtitles` array
+ *   (ffmpeg's `0:s:N`).
+ * @returns {Promise<string>} WebVTT document.
+ * @throws {FfmpegError} When ffmpeg fails or times out.
+ */
+export async function extractSubtitleTrack(fileUrl, trackIndex) {
+  const { dir, cleanup } = await createTempDir("subtitle-");
+  try {
+    const file = path.join(dir, "track.vtt");
+    await runFfmpeg(
+      ffmpegCommand(fileUrl, { timeoutSeconds: EXTRACT_TIMEOUT_SECONDS })
+        .outputOptions(["-map", `0:s:${trackIndex}`, "-c:s", "webvtt"])
+        .output(file),
+      "subtitle"
+    );
+    return await fs.readFile(file, "utf8");
+  } finally {
+    cleanup();
+  }
+}
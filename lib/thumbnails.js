@@ -0,0 +1,400 @@
+import { createHash } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { mapWithConcurrency } from "./concurrency.js";
+import { createTempDir, ffmpegCommand, isHttpUrl, runFfmpeg } from "./ffmpeg.js";
+import { logger } from "./logger.js";
+import { LruCache } from "./lru.js";
+
+// Video thumbnails: single frames and scrub-preview sprite sheets with a WebVTT
+// track of `sprite-N.jpg#xywh=x,y,w,h` cues. ffmpeg seeks with `-ss` before
+// `-i`, so over HTTP it range-reads around each timestamp instead of
+// downloading the file. Sprite jobs run one at a time in the background; each
+// job owns `{SPRITE_DIR}/{id}/` (`job.json`, `thumbnails.vtt`, `sprite-N.jpg`)
+// on the `./data` volume, and its id is derived from the URL and options, so
+// asking again for the same sprites returns the existing job. At most
+// SPRITE_QUEUE_MAX jobs wait or run at once, and finished job directories are
+// kept under SPRITE_CACHE_MAX_MB by removing the least recently served first
+// (recency survives restarts through the `job.json` mtime, bumped on reads).
+
+const DEFAULT_SPRITE_DIR = "./data/sprites";
+const DEFAULT_SPRITE_QUEUE_MAX = 20;
+const DEFAULT_SPRITE_CACHE_MAX_MB = 512;
+// Suggested wait before retrying against a full queue.
+const QUEUE_FULL_RETRY_SECONDS = 60;
+const THUMBNAIL_TIMEOUT_SECONDS = 30;
+const FRAME_TIMEOUT_SECONDS = 30;
+const TILE_TIMEOUT_SECONDS = 120;
+export const DEFAULT_THUMBNAIL_WIDTH = 320;
+export const MAX_THUMBNAIL_WIDTH = 1280;
+export const DEFAULT_SPRITE_INTERVAL = 10;
+export const DEFAULT_SPRITE_WIDTH = 160;
+export const MAX_SPRITE_WIDTH = 480;
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+// Long films get a wider interval rather than hundreds of seeks.
+const MAX_SPRITE_FRAMES = 300;
+const FRAME_CONCURRENCY = 2;
+export const SPRITE_FILE_PATTERN = /^(thumbnails\.vtt|sprite-\d+\.jpg)$/;
+
+// Queued and running jobs only; finished ones are read back from `job.json`.
+const jobs = new Map();
+let queue = Promise.resolve();
+let indexPromise = null;
+
+/**
+ * Thumbnail failure that maps to an HTTP status (e.g. 400 when the stream
+ * has no frame at the requested time, 503 with `retryAfter` when the sprite
+ * queue is full).
+ */
+export class ThumbnailError extends Error {
+  constructor(status, message, retryAfter = null) {
+    super(message);
+    this.name = "ThumbnailError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function spriteDir(env) {
+  return path.resolve(env.SPRITE_DIR || DEFAULT_SPRITE_DIR);
+}
+
+function positiveNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+async function dirBytes(dir) {
+  let bytes = 0;
+  for (const name of await fs.readdir(dir)) {
+    try {
+      bytes += (await fs.stat(path.join(dir, name))).size;
+    } catch (e) {
+      // removed concurrently
+    }
+  }
+  return bytes;
+}
+
+function removeJobDir(env, id) {
+  // A job posted again after failing owns its directory anew.
+  if (jobs.has(id)) return;
+  fs.rm(path.join(spriteDir(env), id), { recursive: true, force: true }).catch((e) =>
+    logger.warn("sprite dir removal failed", { id, err: e?.message ?? e })
+  );
+}
+
+// LRU index of finished job directories, rebuilt from the disk once per
+// process, least recently read first.
+function loadIndex(env) {
+  if (indexPromise) return indexPromise;
+  indexPromise = (async () => {
+    const dir = spriteDir(env);
+    const lru = new LruCache({
+      maxEntries: Infinity,
+      maxBytes: positiveNumber(env.SPRITE_CACHE_MAX_MB, DEFAULT_SPRITE_CACHE_MAX_MB) * 1024 * 1024,
+      onEvict: (id) => removeJobDir(env, id),
+    });
+    await fs.mkdir(dir, { recursive: true });
+    const found = [];
+    for (const id of await fs.readdir(dir)) {
+      if (!/^[0-9a-f]{20}$/.test(id) || jobs.has(id)) continue;
+      try {
+        const { mtimeMs } = await fs.stat(path.join(dir, id, "job.json"));
+        found.push({ id, mtimeMs, bytes: await dirBytes(path.join(dir, id)) });
+      } catch (e) {
+        // not a job directory, or removed concurrently
+      }
+    }
+    found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const { id, bytes } of found) lru.set(id, bytes, bytes);
+    logger.info("sprite cache loaded", { dir, jobs: lru.size, bytes: lru.bytes });
+    return lru;
+  })();
+  indexPromise.catch(() => {
+    indexPromise = null;
+  });
+  return indexPromise;
+}
+
+async function indexJob(env, id) {
+  const lru = await loadIndex(env);
+  lru.set(id, id, await dirBytes(path.join(spriteDir(env), id)));
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Grabs one JPEG frame at `seconds`.
+ *
+ * @param {string} fileUrl http(s) media URL (file or HLS/DASH manifest).
+ * @param {number} seconds Position in seconds.
+ * @param {number} width Output width; the height keeps the aspect ratio.
+ * @returns {Promise<Buffer>} JPEG bytes.
+ * @throws {ThumbnailError|FfmpegError} 400 for a non-http(s) URL or when there
+ *   is no frame at `seconds`.
+ */
+export async function grabThumbnail(fileUrl, seconds, width) {
+  if (!isHttpUrl(fileUrl)) throw new ThumbnailError(400, "only http(s) media urls allowed");
+  const { dir, cleanup } = await createTempDir("thumbnail-");
+  try {
+    const file = path.join(dir, "thumbnail.jpg");
+    await runFfmpeg(
+      ffmpegCommand(fileUrl, { timeoutSeconds: THUMBNAIL_TIMEOUT_SECONDS })
+        .inputOptions(["-ss", String(seconds)])
+        .outputOptions(["-frames:v", "1", "-vf", `scale=${width}:-2`, "-q:v", "3"])
+        .output(file),
+      "thumbnail"
+    );
+    // Seeking past the end exits cleanly without writing anything.
+    if (!(await exists(file))) throw new ThumbnailError(400, "no frame at the requested time");
+    return await fs.readFile(file);
+  } finally {
+    cleanup();
+  }
+}
+
+/**
+ * Id of the sprite job for a URL and options.
+ *
+ * @param {string} fileUrl Media URL.
+ * @param {number} interval Requested seconds between thumbnails.
+ * @param {number} width Tile width in pixels.
+ * @returns {string} 20 hex characters.
+ */
+export function spriteJobId(fileUrl, interval, width) {
+  return createHash("sha1").update(`${fileUrl}\n${interval}\n${width}`).digest("hex").slice(0, 20);
+}
+
+function publicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    interval: job.interval,
+    width: job.width,
+    height: job.height,
+    frames: job.frames,
+    sheets: job.sheets,
+    created_at: job.created_at,
+    finished_at: job.finished_at,
+    error: job.error,
+  };
+}
+
+async function writeJob(env, job) {
+  const file = path.join(spriteDir(env), job.id, "job.json");
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify({ ...publicJob(job), url: job.url }));
+  await fs.rename(tmpFile, file);
+}
+
+function timestamp(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = String(Math.floor(ms / 3600000)).padStart(2, "0");
+  const m = String(Math.floor(ms / 60000) % 60).padStart(2, "0");
+  const s = String(Math.floor(ms / 1000) % 60).padStart(2, "0");
+  return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, "0")}`;
+}
+
+function buildVtt(job, duration) {
+  const perSheet = SPRITE_COLUMNS * SPRITE_ROWS;
+  const cues = ["WEBVTT", ""];
+  for (let i = 0; i < job.frames; i += 1) {
+    const position = i % perSheet;
+    const x = (position % SPRITE_COLUMNS) * job.width;
+    const y = Math.floor(position / SPRITE_COLUMNS) * job.height;
+    const start = i * job.interval;
+    const end = Math.min((i + 1) * job.interval, duration);
+    cues.push(`${timestamp(start)} --> ${timestamp(end)}`);
+    cues.push(`sprite-${Math.floor(i / perSheet)}.jpg#xywh=${x},${y},${job.width},${job.height}`, "");
+  }
+  return cues.join("\n");
+}
+
+async function runSpriteJob(env, job, duration) {
+  const jobDir = path.join(spriteDir(env), job.id);
+  let cleanup = () => {};
+  try {
+    job.status = "running";
+    await writeJob(env, job);
+    const temp = await createTempDir("sprite-");
+    cleanup = temp.cleanup;
+    const { dir } = temp;
+    const { width, height } = job;
+    const box = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+    const frameFile = (i) => path.join(dir, `frame-${String(i + 1).padStart(4, "0")}.jpg`);
+    let done = 0;
+    const grabbed = await mapWithConcurrency(
+      Array.from({ length: job.frames }, (_, i) => i),
+      FRAME_CONCURRENCY,
+      async (i) => {
+        // The middle of each cue's span, which skips the black first frame.
+        const seconds = Math.min(i * job.interval + job.interval / 2, Math.max(0, duration - 1));
+        try {
+          await runFfmpeg(
+            ffmpegCommand(job.url, { timeoutSeconds: FRAME_TIMEOUT_SECONDS })
+              .inputOptions(["-ss", seconds.toFixed(3)])
+              .outputOptions(["-frames:v", "1", "-vf", box, "-q:v", "5"])
+              .output(frameFile(i)),
+            "sprite_frame"
+          );
+          return await exists(frameFile(i));
+        } catch (e) {
+          return false;
+        } finally {
+          done += 1;
+          job.progress = Math.round((done / job.frames) * 100) / 100;
+        }
+      }
+    );
+    if (!grabbed.some(Boolean)) throw new Error("no frames could be extracted");
+
+    // The tile pass needs an unbroken sequence: a failed seek reuses a neighbour.
+    const firstGood = grabbed.indexOf(true);
+    for (let i = 0; i < job.frames; i += 1) {
+      if (!grabbed[i]) await fs.copyFile(frameFile(i < firstGood ? firstGood : i - 1), frameFile(i));
+    }
+
+    await runFfmpeg(
+      ffmpegCommand(path.join(dir, "frame-%04d.jpg"), { timeoutSeconds: TILE_TIMEOUT_SECONDS })
+        .outputOptions(["-vf", `tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`, "-q:v", "5", "-start_number", "0"])
+        .output(path.join(jobDir, "sprite-%d.jpg")),
+      "sprite_tile"
+    );
+    await fs.writeFile(path.join(jobDir, "thumbnails.vtt"), buildVtt(job, duration));
+    job.status = "done";
+    job.progress = 1;
+    logger.info("sprite job done", { id: job.id, frames: job.frames, sheets: job.sheets });
+  } catch (e) {
+    job.status = "failed";
+    job.error = e?.detail || e?.message || String(e);
+    logger.warn("sprite job failed", { id: job.id, err: job.error });
+  } finally {
+    cleanup();
+    job.finished_at = Math.floor(Date.now() / 1000);
+    await writeJob(env, job).catch((e) =>
+      logger.warn("sprite job write failed", { id: job.id, err: e?.message ?? e })
+    );
+    jobs.delete(job.id);
+    await indexJob(env, job.id).catch((e) =>
+      logger.warn("sprite cache update failed", { id: job.id, err: e?.message ?? e })
+    );
+  }
+}
+
+/**
+ * Current state of a sprite job: in memory while queued or running, else
+ * from its `job.json`. A job left queued or running by a previous process is
+ * reported as failed, so posting it again restarts it.
+ *
+ * @param {Record<string, any>} env Environment bindings (`SPRITE_DIR`).
+ * @param {string} id Job id.
+ * @returns {Promise<Object|null>} `{ id, status, progress, interval, width, height,
+ *   frames, sheets, created_at, finished_at, error }`, or null when unknown.
+ */
+export async function getSpriteJob(env, id) {
+  if (!/^[0-9a-f]{20}$/.test(id)) return null;
+  if (jobs.has(id)) return publicJob(jobs.get(id));
+  let stored;
+  try {
+    stored = JSON.parse(await fs.readFile(path.join(spriteDir(env), id, "job.json"), "utf8"));
+  } catch (e) {
+    return null;
+  }
+  if (stored.status === "queued" || stored.status === "running") {
+    return { ...publicJob(stored), status: "failed", error: "interrupted by a restart" };
+  }
+  return publicJob(stored);
+}
+
+/**
+ * Queues a sprite job unless one for the same URL and options exists and has
+ * not failed.
+ *
+ * @param {Record<string, any>} env Environment bindings (`SPRITE_DIR`,
+ *   `SPRITE_QUEUE_MAX`, `SPRITE_CACHE_MAX_MB`).
+ * @param {{ fileUrl: string, interval: number, width: number, duration: number,
+ *   videoWidth: number|null, videoHeight: number|null }} options Media URL, requested
+ *   interval and tile width, and the probed duration and frame size.
+ * @returns {Promise<{ job: Object, created: boolean }>} Public job state.
+ * @throws {ThumbnailError} 400 for a non-http(s) URL, 503 when
+ *   `SPRITE_QUEUE_MAX` jobs are queued or running.
+ */
+export async function startSpriteJob(env, { fileUrl, interval, width, duration, videoWidth, videoHeight }) {
+  if (!isHttpUrl(fileUrl)) throw new ThumbnailError(400, "only http(s) media urls allowed");
+  const id = spriteJobId(fileUrl, interval, width);
+  const existing = await getSpriteJob(env, id);
+  if (existing && existing.status !== "failed") return { job: existing, created: false };
+  // Queued by a concurrent request while the job file was read.
+  if (jobs.has(id)) return { job: publicJob(jobs.get(id)), created: false };
+  if (jobs.size >= positiveNumber(env.SPRITE_QUEUE_MAX, DEFAULT_SPRITE_QUEUE_MAX)) {
+    throw new ThumbnailError(503, "sprite queue is full", QUEUE_FULL_RETRY_SECONDS);
+  }
+
+  const effectiveInterval = Math.max(interval, Math.ceil(duration / MAX_SPRITE_FRAMES));
+  const aspect = videoWidth && videoHeight ? videoHeight / videoWidth : 9 / 16;
+  const frames = Math.max(1, Math.ceil(duration / effectiveInterval));
+  const job = {
+    id,
+    url: fileUrl,
+    status: "queued",
+    progress: 0,
+    interval: effectiveInterval,
+    width,
+    height: Math.max(2, Math.round((width * aspect) / 2) * 2),
+    frames,
+    sheets: Math.ceil(frames / (SPRITE_COLUMNS * SPRITE_ROWS)),
+    created_at: Math.floor(Date.now() / 1000),
+    finished_at: null,
+    error: null,
+  };
+  // Registered before the first await so a concurrent request finds it.
+  jobs.set(id, job);
+  try {
+    (await loadIndex(env)).delete(id);
+    await fs.rm(path.join(spriteDir(env), id), { recursive: true, force: true });
+    await fs.mkdir(path.join(spriteDir(env), id), { recursive: true });
+    await writeJob(env, job);
+  } catch (e) {
+    jobs.delete(id);
+    throw e;
+  }
+  // runSpriteJob records its own failures; the catch only keeps the queue alive.
+  queue = queue.then(() => runSpriteJob(env, job, duration)).catch(() => {});
+  logger.info("sprite job queued", { id, frames, interval: effectiveInterval });
+  return { job: publicJob(job), created: true };
+}
+
+/**
+ * Reads an output file of a finished sprite job and marks the job as
+ * recently used, which keeps it from being evicted first.
+ *
+ * @param {Record<string, any>} env Environment bindings (`SPRITE_DIR`).
+ * @param {string} id Job id.
+ * @param {string} name `thumbnails.vtt` or `sprite-N.jpg`.
+ * @returns {Promise<{ body: Buffer, contentType: string, mtime: Date }|null>} File, or
+ *   null when the job or file does not exist (yet).
+ */
+export async function readSpriteFile(env, id, name) {
+  if (!/^[0-9a-f]{20}$/.test(id) || !SPRITE_FILE_PATTERN.test(name)) return null;
+  const file = path.join(spriteDir(env), id, name);
+  try {
+    const [body, stat] = await Promise.all([fs.readFile(file), fs.stat(file)]);
+    const contentType = name.endsWith(".vtt") ? "text/vtt; charset=utf-8" : "image/jpeg";
+    (await loadIndex(env)).get(id);
+    const now = new Date();
+    fs.utimes(path.join(spriteDir(env), id, "job.json"), now, now).catch(() => {});
+    return { body, contentType, mtime: stat.mtime };
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,269 @@
+// Release-name aware title parsing and fuzzy matching for provider VOD titles such as
+// `Inception.2010.1080p.BluRay.x264.TR-DUAL` or `[4K] Dune Part Two (2024) Altyazılı`.
+
+const YEAR_PATTERN = /^(19|20)\d{2}$/;
+
+// Compared against lowercased words with surrounding punctuation removed.
+const JUNK_TOKENS = new Set([
+  // resolution / quality
+  "2160p", "1080p", "1080i", "720p", "576p", "480p", "4k", "8k", "uhd", "fhd",
+  "hdr", "hdr10", "hdr10+", "dovi", "sdr", "60fps",
+  // source
+  "bluray", "blu-ray", "bdrip", "brrip", "bdremux", "remux", "webrip", "web-dl", "webdl",
+  "hdtv", "hdrip", "dvdrip", "dvdscr", "hdcam", "amzn", "dsnp", "hmax", "atvp",
+  // codecs / audio
+  "x264", "x265", "h264", "h265", "hevc", "avc", "xvid", "divx", "10bit", "8bit", "aac",
+  "ac3", "eac3", "dts", "dts-hd", "truehd", "atmos", "ddp", "ddp5", "dd5", "5.1",
+  "7.1", "mp3", "flac",
+  // language / subtitles
+  "dublaj", "dubbed", "altyazı", "altyazılı", "altyazili", "altyazi", "türkçe", "turkce",
+  "subbed",
+]);
+
+// Tokens that are also ordinary title words ("Charlotte's Web", "The Complete ...").
+// They only count as junk in dotted release names or right after a year/junk token;
+// language codes additionally count as the very last word ("Film Adı TR").
+const AMBIGUOUS_TOKENS = new Set([
+  "hd", "sd", "dv", "hq", "web", "dvd", "cam", "ts", "tc", "nf", "dd", "2.0",
+  "tr", "en", "eng", "tur", "dual", "multi", "sub", "subs", "dub",
+  "extended", "unrated", "remastered", "proper", "repack", "internal", "limited", "imax",
+  "uncut", "complete",
+]);
+
+const LANGUAGE_TOKENS = new Set(["tr", "en", "eng", "tur", "dual", "multi"]);
+
+// IPTV providers prefix titles with country or quality tags: `TR: `, `EN | `, `4K - `.
+const PROVIDER_PREFIX_PATTERN = /^(?:[A-Za-z]{2,3}|4K|VIP|VOD)\s*[:|]\s*/;
+
+/**
+ * Folds a title for comparison: lowercase, Turkish dotless i, diacritics and
+ * punctuation removed, whitespace collapsed.
+ *
+ * @param {string} value Raw title.
+ * @returns {string} Folded title.
+ */
+export function foldTitle(value) {
+  return String(value || "")
+    .replace(/ı/g, "i")
+    .replace(/İ/g, "i")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function stripWord(word) {
+  return word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}+]+$/gu, "");
+}
+
+function tokenKind(word) {
+  const w = stripWord(word);
+  if (!w) return null;
+  if (JUNK_TOKENS.has(w)) return "junk";
+  if (AMBIGUOUS_TOKENS.has(w)) return LANGUAGE_TOKENS.has(w) ? "language" : "ambiguous";
+  // `x264-SPARKS`, `TR-DUAL`, `DDP5.1-GROUP`: a junk token followed by a release group.
+  if (w.includes("-")) {
+    const [head] = w.split("-");
+    if (JUNK_TOKENS.has(head) || AMBIGUOUS_TOKENS.has(head)) return "junk";
+  }
+  return null;
+}
+
+function isJunkPhrase(text) {
+  const words = text.split(/[\s._-]+/).filter(Boolean);
+  return (
+    words.length > 0 &&
+    words.every((w) => tokenKind(w) !== null || YEAR_PATTERN.test(stripWord(w)))
+  );
+}
+
+/**
+ * Parses a provider/release title into a clean search title and release year.
+ *
+ * Removes provider prefixes, bracketed tags, quality/source/codec/language tokens
+ * and release groups. Dotted release names are split on `.`/`_`. The year is taken
+ * from brackets when present, otherwise from the last bare year after the first
+ * word (so `2012 (2009)` and `Blade Runner 2049 2017` keep their title numbers).
+ *
+ * @param {string} raw Title as supplied by the provider.
+ * @returns {{ title: string, year: number|null, tags: string[] }} Clean title,
+ *   release year (or null) and the removed bracketed tags.
+ */
+export function parseReleaseTitle(raw) {
+  let s = String(raw || "").normalize("NFC").trim();
+  s = s.replace(PROVIDER_PREFIX_PATTERN, "");
+
+  const tags = [];
+  let bracketYear = null;
+  s = s.replace(/[[{]([^\]}]*)[\]}]/g, (_, inner) => {
+    tags.push(inner.trim());
+    return " ";
+  });
+  s = s.replace(/\(([^)]*)\)/g, (match, inner) => {
+    const trimmed = inner.trim();
+    if (YEAR_PATTERN.test(trimmed)) {
+      bracketYear = Number(trimmed);
+      return " ";
+    }
+    if (isJunkPhrase(trimmed)) {
+      tags.push(trimmed);
+      return " ";
+    }
+    return match;
+  });
+  for (const tag of tags) {
+    const m = tag.match(/^(19|20)\d{2}$/);
+    if (m && bracketYear === null) bracketYear = Number(m[0]);
+  }
+
+  const dots = (s.match(/[._]/g) || []).length;
+  const spaces = (s.trim().match(/\s/g) || []).length;
+  const releaseStyle = dots > spaces;
+  if (releaseStyle) {
+    // Keep channel layouts like `5.1` together so they are recognised as audio tokens.
+    s = s
+      .replace(/(?<!\d)(\d)\.(\d)(?!\d)/g, "$1\u0000$2")
+      .replace(/[._]+/g, " ")
+      .replace(/\u0000/g, ".");
+  }
+
+  const words = s.split(/\s+/).filter(Boolean);
+  const isJunkAt = (i) => {
+    const kind = tokenKind(words[i]);
+    if (kind === "junk") return true;
+    if (!kind) return false;
+    if (releaseStyle) return true;
+    const prev = stripWord(words[i - 1] || "");
+    if (YEAR_PATTERN.test(prev) || tokenKind(words[i - 1] || "") === "junk") return true;
+    return kind === "language" && i === words.length - 1;
+  };
+
+  let cut = words.length;
+  for (let i = 1; i < words.length; i += 1) {
+    if (isJunkAt(i)) {
+      cut = i;
+      break;
+    }
+  }
+
+  let year = bracketYear;
+  if (year === null) {
+    for (let i = cut - 1; i >= 1; i -= 1) {
+      if (YEAR_PATTERN.test(stripWord(words[i]))) {
+        year = Number(stripWord(words[i]));
+        cut = i;
+        break;
+      }
+    }
+  }
+
+  const titleWords = words.slice(0, cut).filter((w) => tokenKind(w) !== "junk");
+  const title = titleWords
+    .join(" ")
+    .replace(/\s*[-–|:]+\s*$/, "")
+    .replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, "")
+    .trim();
+
+  return { title: title || String(raw || "").trim(), year, tags };
+}
+
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, " ");
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i += 1) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient over character bigrams of the folded titles.
+ *
+ * @param {string} a First title.
+ * @param {string} b Second title.
+ * @returns {number} Similarity between 0 and 1 (1 for identical folded titles).
+ */
+export function titleSimilarity(a, b) {
+  const fa = foldTitle(a);
+  const fb = foldTitle(b);
+  if (!fa || !fb) return 0;
+  if (fa === fb) return 1;
+  if (fa.length < 2 || fb.length < 2) return 0;
+  const ga = bigrams(fa);
+  const gb = bigrams(fb);
+  let overlap = 0;
+  let total = 0;
+  for (const [gram, count] of ga) {
+    overlap += Math.min(count, gb.get(gram) || 0);
+    total += count;
+  }
+  for (const count of gb.values()) total += count;
+  return total > 0 ? (2 * overlap) / total : 0;
+}
+
+/**
+ * Scores a TMDB search candidate against a parsed title.
+ *
+ * Title similarity uses the better of the localized and original title; the year
+ * scores 1 for an exact match and 0.5 for ±1 (festival vs. release dates);
+ * popularity is log-scaled and only breaks near-ties.
+ *
+ * @param {{ title: string, year: number|null }} query Parsed provider title.
+ * @param {{ title?: string, originalTitle?: string, year?: number|null, popularity?: number }} candidate
+ *   Candidate fields normalized from the TMDB result.
+ * @returns {number} Score between 0 and 1.
+ */
+export function scoreCandidate(query, candidate) {
+  const similarity = Math.max(
+    titleSimilarity(query.title, candidate.title),
+    titleSimilarity(query.title, candidate.originalTitle)
+  );
+  const popularity = Math.min(1, Math.log10(1 + (Number(candidate.popularity) || 0)) / 3);
+
+  if (!query.year) {
+    return 0.85 * similarity + 0.15 * popularity;
+  }
+  let yearScore = 0;
+  if (candidate.year) {
+    const diff = Math.abs(candidate.year - query.year);
+    yearScore = diff === 0 ? 1 : diff === 1 ? 0.5 : 0;
+  }
+  return 0.65 * similarity + 0.25 * yearScore + 0.1 * popularity;
+}
+
+// Ordered by specificity; each captures (season, episode).
+const EPISODE_PATTERNS = [
+  /\bS(\d{1,2})\s*[ ._-]?\s*E(\d{1,3})(?!\d)/i,
+  /\b(?:Season|Sezon)\s*(\d{1,2})\s*[,.\-–]?\s*(?:Episode|Ep\.?|Bölüm|Bolum)\s*(\d{1,3})(?!\d)/i,
+  /\b(\d{1,2})\s*\.?\s*Sezon\s*(\d{1,3})\s*\.?\s*B[öo]l[üu]m/i,
+  /(?<![\dx])(\d{1,2})x(\d{1,3})(?!\d)/i,
+];
+
+/**
+ * Parses a series VOD title such as `Show S02E05`, `Show 2x05`,
+ * `Show Sezon 2 Bölüm 5`, `Show 2. Sezon 5. Bölüm` or `Show Season 2 Episode 5`.
+ *
+ * The series title is the text before the episode marker, cleaned with
+ * `parseReleaseTitle`; season/episode are null when no marker is found.
+ *
+ * @param {string} raw Title as supplied by the provider.
+ * @returns {{ title: string, year: number|null, season: number|null, episode: number|null }}
+ *   Parsed series title, year and episode coordinates.
+ */
+export function parseEpisodeTitle(raw) {
+  const text = String(raw || "").replace(/[._]+/g, " ");
+  for (const pattern of EPISODE_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const { title, year } = parseReleaseTitle(text.slice(0, match.index));
+    // `Show S01E10 (2022)`: the year may follow the marker.
+    const trailingYear = year ?? parseReleaseTitle(text.slice(match.index + match[0].length)).year;
+    return { title, year: trailingYear, season: Number(match[1]), episode: Number(match[2]) };
+  }
+  const { title, year } = parseReleaseTitle(raw);
+  return { title, year, season: null, episode: null };
+}
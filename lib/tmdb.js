@@ -0,0 +1,234 @@
+import { logger } from "./logger.js";
+import { tmdbRequestsTotal } from "./metrics.js";
+
+// Shared TMDB client: every route goes through one in-process token bucket so
+// bursts of lookups are smoothed out instead of turning into 429s.
+
+export const TMDB_ORIGIN = "https://api.themoviedb.org";
+
+const DEFAULT_RATE_PER_SECOND = 35;
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 8000;
+const DEFAULT_RETRY_AFTER_SECONDS = 1;
+
+/**
+ * Base class for TMDB failures. `status` is the HTTP status our API should
+ * answer with; `upstreamStatus` is what TMDB returned (null for network errors).
+ */
+export class TmdbError extends Error {
+  constructor(message, { status = 502, upstreamStatus = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = "TmdbError";
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** TMDB has no such resource (404). */
+export class TmdbNotFoundError extends TmdbError {
+  constructor(message = "TMDB resource not found") {
+    super(message, { status: 404, upstreamStatus: 404 });
+    this.name = "TmdbNotFoundError";
+  }
+}
+
+/** TMDB kept rate limiting after all retries; surfaced as 429 with `retryAfter` seconds. */
+export class TmdbRateLimitError extends TmdbError {
+  constructor(retryAfter) {
+    super("TMDB rate limit exceeded", { status: 429, upstreamStatus: 429, retryAfter });
+    this.name = "TmdbRateLimitError";
+  }
+}
+
+/** TMDB did not answer within the per-request timeout. */
+export class TmdbTimeoutError extends TmdbError {
+  constructor(timeoutMs) {
+    super(`TMDB request timed out after ${timeoutMs}ms`, { status: 504 });
+    this.name = "TmdbTimeoutError";
+  }
+}
+
+/** TMDB returned an unexpected error (5xx after retries, 401, other 4xx) or was unreachable. */
+export class TmdbUpstreamError extends TmdbError {
+  constructor(message, upstreamStatus = null) {
+    super(message, { status: 502, upstreamStatus });
+    this.name = "TmdbUpstreamError";
+  }
+}
+
+const bucket = {
+  tokens: null,
+  lastRefill: 0,
+  pausedUntil: 0,
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function ratePerSecond(env) {
+  const rate = Number(env?.TMDB_RATE_LIMIT_PER_SECOND);
+  return Number.isFinite(rate) && rate > 0 ? rate : DEFAULT_RATE_PER_SECOND;
+}
+
+async function acquireToken(env) {
+  const rate = ratePerSecond(env);
+  for (;;) {
+    const now = Date.now();
+    if (now < bucket.pausedUntil) {
+      await sleep(bucket.pausedUntil - now);
+      continue;
+    }
+    if (bucket.tokens === null) {
+      bucket.tokens = rate;
+      bucket.lastRefill = now;
+    }
+    bucket.tokens = Math.min(rate, bucket.tokens + ((now - bucket.lastRefill) / 1000) * rate);
+    bucket.lastRefill = now;
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+    await sleep(Math.ceil(((1 - bucket.tokens) / rate) * 1000));
+  }
+}
+
+function parseRetryAfter(value) {
+  if (!value) return DEFAULT_RETRY_AFTER_SECONDS;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) return seconds;
+  const date = Date.parse(value);
+  if (Number.isFinite(date)) return Math.max(0, (date - Date.now()) / 1000);
+  return DEFAULT_RETRY_AFTER_SECONDS;
+}
+
+function backoffMs(attempt) {
+  const base = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return base / 2 + Math.random() * (base / 2);
+}
+
+function buildTmdbUrl(path, query, env) {
+  const url = new URL(TMDB_ORIGIN);
+  url.pathname = path.startsWith("/") ? path : `/3/${path}`;
+  const params = query instanceof URLSearchParams ? query : null;
+  if (params) {
+    params.forEach((value, key) => {
+      if (key.toLowerCase() !== "api_key") url.searchParams.append(key, value);
+    });
+  } else {
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== "") {
+        url.searchParams.set(key, String(value));
+      }
+    });
+  }
+  url.searchParams.set("api_key", env.TMDB_API_KEY);
+  return url;
+}
+
+function redactUrl(url) {
+  const copy = new URL(url);
+  copy.searchParams.delete("api_key");
+  return copy.toString();
+}
+
+/**
+ * Performs a rate-limited TMDB request and returns the final upstream response.
+ *
+ * Waits for a token from the shared bucket, aborts each attempt after
+ * `TMDB_TIMEOUT_MS`, retries 5xx and network errors with exponential backoff and
+ * retries 429s after pausing the whole bucket for `Retry-After`. Non-retryable
+ * statuses (and the last retry) are returned as-is so proxies can pass them through.
+ *
+ * @param {string} path `movie/123` (relative to `/3/`) or an absolute path like `/3/movie/123`.
+ * @param {Record<string, any>|URLSearchParams} query Query parameters (`api_key` is always replaced).
+ * @param {Record<string, any>} env Environment bindings (`TMDB_API_KEY`, limits).
+ * @param {{ headers?: Record<string, string> }} [options] Extra request headers.
+ * @returns {Promise<Response>} Upstream response.
+ * @throws {TmdbError} When the key is missing, or on timeout/network failure after all retries.
+ */
+export async function tmdbRequest(path, query, env, { headers } = {}) {
+  if (!env.TMDB_API_KEY) {
+    throw new TmdbError("TMDB_API_KEY is missing", { status: 500 });
+  }
+  const url = buildTmdbUrl(path, query, env);
+  const timeoutMs = Number(env.TMDB_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const maxRetries = Number.isInteger(Number(env.TMDB_MAX_RETRIES))
+    ? Number(env.TMDB_MAX_RETRIES)
+    : DEFAULT_MAX_RETRIES;
+
+  for (let attempt = 0; ; attempt += 1) {
+    await acquireToken(env);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    let response;
+    try {
+      response = await fetch(url.toString(), { headers, signal: controller.signal });
+    } catch (e) {
+      const timedOut = controller.signal.aborted;
+      tmdbRequestsTotal.inc({ status: timedOut ? "timeout" : "network_error" });
+      if (attempt < maxRetries) {
+        logger.warn("tmdb request failed, retrying", {
+          url: redactUrl(url),
+          attempt,
+          err: timedOut ? "timeout" : e?.message ?? String(e),
+        });
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      throw timedOut
+        ? new TmdbTimeoutError(timeoutMs)
+        : new TmdbUpstreamError(`TMDB unreachable: ${e?.message ?? e}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+    tmdbRequestsTotal.inc({ status: response.status });
+
+    if (response.status === 429 && attempt < maxRetries) {
+      const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+      bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + retryAfter * 1000);
+      logger.warn("tmdb rate limited, pausing", { url: redactUrl(url), retryAfter, attempt });
+      continue;
+    }
+    if (response.status >= 500 && attempt < maxRetries) {
+      logger.warn("tmdb server error, retrying", {
+        url: redactUrl(url),
+        status: response.status,
+        attempt,
+      });
+      await sleep(backoffMs(attempt));
+      continue;
+    }
+    return response;
+  }
+}
+
+/**
+ * Fetches a TMDB JSON resource through the shared client.
+ *
+ * @param {string} path Path relative to `/3/`, e.g. `search/movie`.
+ * @param {Record<string, any>} query Query parameters; empty values are skipped.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<any>} Parsed JSON body.
+ * @throws {TmdbNotFoundError} On 404.
+ * @throws {TmdbRateLimitError} When still rate limited after retries.
+ * @throws {TmdbTimeoutError|TmdbUpstreamError|TmdbError} On other failures.
+ */
+export async function tmdbFetch(path, query, env) {
+  const response = await tmdbRequest(path, query, env);
+  if (response.ok) {
+    return response.json();
+  }
+  const body = await response.text();
+  if (response.status === 404) {
+    throw new TmdbNotFoundError(`TMDB resource not found: ${path}`);
+  }
+  if (response.status === 429) {
+    throw new TmdbRateLimitError(parseRetryAfter(response.headers.get("retry-after")));
+  }
+  logger.warn("tmdb error response", { path, status: response.status, body });
+  throw new TmdbUpstreamError(`TMDB error ${response.status}`, response.status);
+}
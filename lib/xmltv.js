@@ -0,0 +1,136 @@
+// Minimal XMLTV parser. XMLTV files are flat and machine-generated, so a tag-level
+// scanner is enough and avoids holding a DOM for guides with 100k+ programmes.
+
+const CHANNEL_PATTERN = /<channel\b([^>]*)>([\s\S]*?)<\/channel>/g;
+const PROGRAMME_PATTERN = /<programme\b([^>]*?)(?:\/>|>([\s\S]*?)<\/programme>)/g;
+const ATTRIBUTE_PATTERN = /([A-Za-z_:][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decodeEntities(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of (text || "").matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3] ?? "");
+  }
+  return attributes;
+}
+
+// Returns every `<tag ...>text</tag>` (or self-closing `<tag .../>`) inside `body`.
+function childElements(body, tag) {
+  const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/${tag}>)`, "g");
+  const out = [];
+  for (const match of (body || "").matchAll(pattern)) {
+    out.push({
+      attributes: parseAttributes(match[1]),
+      text: match[2] !== undefined ? decodeEntities(match[2]).trim() : "",
+    });
+  }
+  return out;
+}
+
+function firstText(body, tag) {
+  const [element] = childElements(body, tag);
+  return element && element.text ? element.text : null;
+}
+
+/**
+ * Parses an XMLTV timestamp (`YYYYMMDDhhmmss +hhmm`; seconds, minutes and the
+ * offset are optional, a missing offset means UTC).
+ *
+ * @param {string} value XMLTV timestamp.
+ * @returns {number|null} Unix epoch seconds, or null when unparseable.
+ */
+export function parseXmltvTime(value) {
+  const match = String(value || "")
+    .trim()
+    .match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?\s*(?:([+-])(\d{2}):?(\d{2}))?/);
+  if (!match) return null;
+  const [, y, mo, d, h = "0", mi = "0", s = "0", sign, oh, om] = match;
+  let epochMs = Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+  if (sign) {
+    const offsetMinutes = Number(oh) * 60 + Number(om);
+    epochMs -= (sign === "+" ? 1 : -1) * offsetMinutes * 60 * 1000;
+  }
+  return Number.isFinite(epochMs) ? Math.floor(epochMs / 1000) : null;
+}
+
+// xmltv_ns is "season.episode.part", zero-based, each part optionally "n/total".
+function parseEpisodeNum(elements) {
+  for (const el of elements) {
+    const system = (el.attributes.system || "").toLowerCase();
+    if (system === "xmltv_ns") {
+      const [season, episode] = el.text.split(".").map((p) => p.split("/")[0].trim());
+      return {
+        season: season !== "" && season !== undefined ? Number(season) + 1 : null,
+        episode: episode !== "" && episode !== undefined ? Number(episode) + 1 : null,
+      };
+    }
+    if (system === "onscreen") {
+      const m = el.text.match(/S(\d+)\s*E(\d+)/i);
+      if (m) return { season: Number(m[1]), episode: Number(m[2]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses an XMLTV document into channels and programmes.
+ *
+ * @param {string} xml Raw XMLTV content.
+ * @returns {{ channels: Array<{ id: string, displayNames: string[], icon: string|null }>,
+ *   programmes: Array<Object> }} Parsed guide. Programmes without a channel or a valid
+ *   start time are dropped; `stop` is null when absent.
+ */
+export function parseXmltv(xml) {
+  const text = String(xml || "");
+  const channels = [];
+  for (const match of text.matchAll(CHANNEL_PATTERN)) {
+    const attributes = parseAttributes(match[1]);
+    if (!attributes.id) continue;
+    const [icon] = childElements(match[2], "icon");
+    channels.push({
+      id: attributes.id,
+      displayNames: childElements(match[2], "display-name")
+        .map((el) => el.text)
+        .filter(Boolean),
+      icon: icon?.attributes.src || null,
+    });
+  }
+
+  const programmes = [];
+  for (const match of text.matchAll(PROGRAMME_PATTERN)) {
+    const attributes = parseAttributes(match[1]);
+    const body = match[2] || "";
+    const start = parseXmltvTime(attributes.start);
+    if (!attributes.channel || start === null) continue;
+    const [icon] = childElements(body, "icon");
+    programmes.push({
+      channel: attributes.channel,
+      start,
+      stop: parseXmltvTime(attributes.stop),
+      title: firstText(body, "title"),
+      subTitle: firstText(body, "sub-title"),
+      desc: firstText(body, "desc"),
+      categories: childElements(body, "category")
+        .map((el) => el.text)
+        .filter(Boolean),
+      episode: parseEpisodeNum(childElements(body, "episode-num")),
+      date: firstText(body, "date"),
+      icon: icon?.attributes.src || null,
+    });
+  }
+
+  return { channels, programmes };
+}
+
+export default parseXmltv;
@@ -0,0 +1,243 @@
+import { createHash, timingSafeEqual } from "crypto";
+import { API_KEY_SCOPES, createApiKey, listApiKeys, revokeApiKey } from "../lib/apiKeys.js";
+import { buildCacheKeyFromUrl, cacheGetEntry } from "../lib/cache.js";
+import {
+  deleteCacheKey,
+  describeCacheKey,
+  getCacheStats,
+  isPurgeable,
+  listCacheKeys,
+  movieKeyPatterns,
+  prefixPattern,
+  PURGEABLE_PREFIXES,
+  purgeCacheKeys,
+  resetCacheStats,
+  seriesKeyPatterns,
+} from "../lib/cacheAdmin.js";
+import { logger } from "../lib/logger.js";
+import { errorResponse, jsonResponse } from "../lib/response.js";
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+function digest(value) {
+  return createHash("sha256").update(String(value)).digest();
+}
+
+// `Authorization: Bearer <ADMIN_TOKEN>`; the API is disabled without a token.
+function checkAdminAuth(request, env) {
+  if (!env.ADMIN_TOKEN) {
+    return errorResponse(403, "admin api disabled");
+  }
+  const header = request.headers.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match || !timingSafeEqual(digest(match[1].trim()), digest(env.ADMIN_TOKEN))) {
+    return errorResponse(401, "unauthorized");
+  }
+  return null;
+}
+
+// `?key=` is used verbatim; `?url=` is normalized like the routes do, so the
+// request URL of a bad response can be pasted as-is.
+function resolveKey(url) {
+  const key = url.searchParams.get("key");
+  if (key) return key;
+  const target = url.searchParams.get("url");
+  if (!target) return null;
+  try {
+    return buildCacheKeyFromUrl(new URL(target, url.origin));
+  } catch (e) {
+    return null;
+  }
+}
+
+function parsePositiveId(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Lists cache keys by prefix: `GET /admin/cache/keys?prefix=&cursor=&limit=`.
+ *
+ * @param {Request} request Incoming request (admin bearer token required).
+ * @param {Record<string, any>} env Environment bindings (`ADMIN_TOKEN`).
+ * @returns {Promise<Response>} JSON `{ prefix, keys: [{ key, type, ttl }], cursor }`;
+ *   pass `cursor` back until it is "0".
+ */
+export async function handleAdminCacheKeys(request, env) {
+  const denied = checkAdminAuth(request, env);
+  if (denied) return denied;
+  const url = new URL(request.url);
+  logger.info("request received: /admin/cache/keys", { url: url.toString() });
+  const prefix = url.searchParams.get("prefix") || "/";
+  const cursor = url.searchParams.get("cursor") || "0";
+  if (!/^\d+$/.test(cursor)) {
+    return errorResponse(400, "invalid cursor");
+  }
+  const limitRaw = Number(url.searchParams.get("limit") || DEFAULT_LIST_LIMIT);
+  const limit = Number.isInteger(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, MAX_LIST_LIMIT) : DEFAULT_LIST_LIMIT;
+
+  const page = await listCacheKeys(env, { prefix, cursor, limit });
+  return jsonResponse({ prefix, ...page });
+}
+
+/**
+ * Inspects or deletes one cache key: `GET|DELETE /admin/cache/key?key=` (or `?url=`).
+ *
+ * GET returns the Redis type and TTL; for cache entries also the value and the
+ * soft/hard expiry metadata. DELETE removes the key, which must lie inside a
+ * route-cache namespace (`PURGEABLE_PREFIXES`).
+ *
+ * @param {Request} request Incoming request (admin bearer token required).
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} JSON `{ key, type, ttl, value?, meta? }` or `{ key, deleted }`.
+ */
+export async function handleAdminCacheKey(request, env) {
+  const denied = checkAdminAuth(request, env);
+  if (denied) return denied;
+  const url = new URL(request.url);
+  logger.info("request received: /admin/cache/key", { url: url.toString() });
+  const key = resolveKey(url);
+  if (!key) {
+    return errorResponse(400, "key or url is required");
+  }
+
+  if (request.method === "DELETE") {
+    if (!isPurgeable(key)) {
+      return errorResponse(400, `only cache keys under ${PURGEABLE_PREFIXES.join(", ")} can be deleted`);
+    }
+    const deleted = await deleteCacheKey(env, key);
+    logger.info("redis <- purged key (admin)", { key, deleted });
+    return jsonResponse({ key, deleted });
+  }
+
+  const { type, ttl } = await describeCacheKey(env, key);
+  if (type === "none") {
+    return errorResponse(404, "key not found");
+  }
+  if (type !== "string") {
+    return jsonResponse({ key, type, ttl });
+  }
+  const entry = await cacheGetEntry(env, key, { trackStats: false });
+  if (!entry) {
+    return jsonResponse({ key, type, ttl, value: null });
+  }
+  const { value, ...meta } = entry;
+  return jsonResponse({ key, type, ttl, value, meta });
+}
+
+/**
+ * Purges cache keys: `DELETE /admin/cache?prefix=`, `?series={tmdbId}` or `?movie={tmdbId}`.
+ *
+ * `prefix` must lie inside a route-cache namespace (`PURGEABLE_PREFIXES`).
+ * `series`/`movie` remove every cached entry of that TMDB id across languages
+ * (route caches, repository records and TMDB proxy responses) without also matching
+ * longer ids that share the prefix.
+ *
+ * @param {Request} request Incoming DELETE request (admin bearer token required).
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} JSON `{ patterns, deleted }`.
+ */
+export async function handleAdminCachePurge(request, env) {
+  const denied = checkAdminAuth(request, env);
+  if (denied) return denied;
+  if (request.method !== "DELETE") {
+    return errorResponse(405, "method not allowed");
+  }
+  const url = new URL(request.url);
+  logger.info("request received: /admin/cache (purge)", { url: url.toString() });
+
+  let patterns;
+  if (url.searchParams.has("series")) {
+    const seriesId = parsePositiveId(url.searchParams.get("series"));
+    if (!seriesId) return errorResponse(400, "invalid series id");
+    patterns = seriesKeyPatterns(seriesId);
+  } else if (url.searchParams.has("movie")) {
+    const movieId = parsePositiveId(url.searchParams.get("movie"));
+    if (!movieId) return errorResponse(400, "invalid movie id");
+    patterns = movieKeyPatterns(movieId);
+  } else {
+    const prefix = url.searchParams.get("prefix") || "";
+    // Channels, EPG, progress and API keys share the keyspace with the caches.
+    if (!isPurgeable(prefix)) {
+      return errorResponse(400, `prefix must start with one of ${PURGEABLE_PREFIXES.join(", ")}`);
+    }
+    patterns = [prefixPattern(prefix)];
+  }
+
+  const deleted = await purgeCacheKeys(env, patterns);
+  logger.info("redis <- purged (admin)", { patterns, deleted });
+  return jsonResponse({ patterns, deleted });
+}
+
+/**
+ * Cache hit/miss counters per route: `GET /admin/cache/stats`; `DELETE` resets them.
+ *
+ * @param {Request} request Incoming request (admin bearer token required).
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} JSON `{ routes: [{ route, hits, stale, misses, hitRatio }] }`.
+ */
+export async function handleAdminCacheStats(request, env) {
+  const denied = checkAdminAuth(request, env);
+  if (denied) return denied;
+  logger.info("request received: /admin/cache/stats");
+  if (request.method === "DELETE") {
+    await resetCacheStats(env);
+    return jsonResponse({ reset: true });
+  }
+  return jsonResponse({ routes: await getCacheStats(env) });
+}
+
+/**
+ * Manages API keys: `GET /admin/api-keys` lists them, `POST` with
+ * `{ name, scopes, rateLimit? }` creates one, `DELETE ?id=` revokes one.
+ *
+ * The plain key is only returned by POST; Redis stores its SHA-256 digest.
+ *
+ * @param {Request} request Incoming request (admin bearer token required).
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} JSON `{ keys }`, the created key (201) or `{ id, revoked }`.
+ */
+export async function handleAdminApiKeys(request, env) {
+  const denied = checkAdminAuth(request, env);
+  if (denied) return denied;
+  const url = new URL(request.url);
+  logger.info("request received: /admin/api-keys", { method: request.method });
+
+  if (request.method === "DELETE") {
+    const id = url.searchParams.get("id");
+    if (!id || !/^[0-9a-f]{16}$/.test(id)) {
+      return errorResponse(400, "invalid key id");
+    }
+    const revoked = await revokeApiKey(env, id);
+    logger.info("api key revoked (admin)", { id, revoked });
+    return revoked ? jsonResponse({ id, revoked }) : errorResponse(404, "key not found");
+  }
+
+  if (request.method === "POST") {
+    let body;
+    try {
+      body = await request.json();
+    } catch (e) {
+      return errorResponse(400, "invalid JSON body");
+    }
+    const name = typeof body?.name === "string" ? body.name.trim() : "";
+    const scopes = Array.isArray(body?.scopes) ? body.scopes : null;
+    if (!name || !scopes || scopes.length === 0) {
+      return errorResponse(400, "name and scopes are required");
+    }
+    const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return errorResponse(400, { error: "unknown scopes", unknown, allowed: API_KEY_SCOPES });
+    }
+    const rateLimit = body.rateLimit ?? null;
+    if (rateLimit !== null && !(Number.isInteger(rateLimit) && rateLimit > 0)) {
+      return errorResponse(400, "rateLimit must be a positive integer");
+    }
+    const created = await createApiKey(env, { name, scopes, rateLimit });
+    logger.info("api key created (admin)", { id: created.id, name, scopes });
+    return jsonResponse(created, 201);
+  }
+
+  return jsonResponse({ keys: await listApiKeys(env) });
+}
@@ -0,0 +1,184 @@
+import { BodyTooLargeError, readBodyLimited } from "../lib/body.js";
+import { getChannel, importChannels, listChannels, listGroups } from "../lib/channels.js";
+import { logger } from "../lib/logger.js";
+import { parseM3u } from "../lib/m3u.js";
+import { errorResponse, jsonResponse } from "../lib/response.js";
+
+const DEFAULT_PLAYLIST_ID = "default";
+const PLAYLIST_FETCH_TIMEOUT_MS = 30000;
+const MAX_PLAYLIST_BYTES = 50 * 1024 * 1024;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function parsePaging(url) {
+  const offsetRaw = Number(url.searchParams.get("offset") || 0);
+  const limitRaw = Number(url.searchParams.get("limit") || DEFAULT_PAGE_SIZE);
+  const offset = Number.isFinite(offsetRaw) && offsetRaw > 0 ? Math.floor(offsetRaw) : 0;
+  const limit =
+    Number.isFinite(limitRaw) && limitRaw > 0
+      ? Math.min(Math.floor(limitRaw), MAX_PAGE_SIZE)
+      : DEFAULT_PAGE_SIZE;
+  return { offset, limit };
+}
+
+async function fetchPlaylist(playlistUrl) {
+  let upstream;
+  try {
+    upstream = new URL(playlistUrl);
+  } catch {
+    return { error: errorResponse(400, "invalid url") };
+  }
+  if (upstream.protocol !== "http:" && upstream.protocol !== "https:") {
+    return { error: errorResponse(400, "only http(s) playlists allowed") };
+  }
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PLAYLIST_FETCH_TIMEOUT_MS);
+  try {
+    const resp = await fetch(upstream.toString(), { signal: controller.signal });
+    if (!resp.ok) {
+      return { error: errorResponse(502, `playlist fetch failed: ${resp.status}`) };
+    }
+    return { content: (await readBodyLimited(resp, MAX_PLAYLIST_BYTES, "playlist")).toString("utf8") };
+  } catch (e) {
+    if (e instanceof BodyTooLargeError) return { error: errorResponse(413, e.message) };
+    logger.warn("playlist fetch failed", e?.message ?? e);
+    return { error: errorResponse(502, "playlist fetch failed") };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Imports an M3U/M3U8 playlist into the channel catalog.
+ *
+ * Accepts either a raw playlist body (`?playlistId=` optional) or a JSON body
+ * `{ url?, content?, playlistId? }`; with `url` the playlist is downloaded first.
+ * Re-importing the same `playlistId` replaces its channel set.
+ *
+ * @param {Request} request Incoming POST request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} JSON import summary.
+ */
+export async function handlePlaylistImport(request, env) {
+  if (request.method !== "POST") {
+    return errorResponse(405, "method not allowed");
+  }
+  const url = new URL(request.url);
+  logger.info("request received: /v1/playlists/import", { url: url.toString() });
+
+  let playlistId = url.searchParams.get("playlistId") || DEFAULT_PLAYLIST_ID;
+  let content;
+  const contentType = (request.headers.get("content-type") || "").toLowerCase();
+  try {
+    // A JSON body carries the playlist in `content`, so the same cap applies.
+    const raw = (await readBodyLimited(request, MAX_PLAYLIST_BYTES, "playlist")).toString("utf8");
+    if (contentType.startsWith("application/json")) {
+      const body = JSON.parse(raw);
+      if (body?.playlistId) playlistId = String(body.playlistId);
+      if (typeof body?.content === "string") {
+        content = body.content;
+      } else if (typeof body?.url === "string") {
+        const fetched = await fetchPlaylist(body.url);
+        if (fetched.error) return fetched.error;
+        content = fetched.content;
+      }
+    } else {
+      content = raw;
+    }
+  } catch (e) {
+    if (e instanceof BodyTooLargeError) return errorResponse(413, e.message);
+    return errorResponse(400, "invalid request body");
+  }
+
+  if (!/^[A-Za-z0-9._-]{1,64}$/.test(playlistId)) {
+    return errorResponse(400, "invalid playlistId");
+  }
+  if (!content || !content.trim()) {
+    return errorResponse(400, "playlist content or url is required");
+  }
+
+  const { entries, skipped } = parseM3u(content);
+  if (entries.length === 0) {
+    return errorResponse(422, "no channels found in playlist");
+  }
+
+  try {
+    const summary = await importChannels(env, playlistId, entries);
+    logger.info("redis <- imported playlist", { playlistId, ...summary, skipped });
+    return jsonResponse({ playlistId, ...summary, skipped });
+  } catch (err) {
+    logger.error("playlist import failed", err?.message ?? err);
+    return errorResponse(500, "playlist import failed");
+  }
+}
+
+/**
+ * Lists channels from the catalog: `?q=` name search, `?group=` group filter,
+ * `?offset=`/`?limit=` paging.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} JSON `{ total, offset, limit, results }`.
+ */
+export async function handleChannels(request, env) {
+  const url = new URL(request.url);
+  logger.info("request received: /v1/channels", { url: url.toString() });
+  const q = url.searchParams.get("q") || "";
+  const group = url.searchParams.get("group") || "";
+  const { offset, limit } = parsePaging(url);
+  try {
+    const { total, results } = await listChannels(env, { q, group, offset, limit });
+    return jsonResponse({ total, offset, limit, results });
+  } catch (err) {
+    logger.error("channel list failed", err?.message ?? err);
+    return errorResponse(500, "channel list failed");
+  }
+}
+
+/**
+ * Lists channel groups with channel counts.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} JSON array of `{ name, count }`.
+ */
+export async function handleChannelGroups(request, env) {
+  logger.info("request received: /v1/channels/groups");
+  try {
+    return jsonResponse(await listGroups(env));
+  } catch (err) {
+    logger.error("channel groups failed", err?.message ?? err);
+    return errorResponse(500, "channel groups failed");
+  }
+}
+
+/**
+ * Returns a single channel by catalog id.
+ *
+ * @param {Request} request Incoming request for `/v1/channels/{id}`.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} JSON channel, or 404.
+ */
+export async function handleChannelById(request, env) {
+  const url = new URL(request.url);
+  logger.info("request received: /v1/channels/{id}", { url: url.toString() });
+  let id = "";
+  try {
+    id = decodeURIComponent(url.pathname.split("/").pop() || "");
+  } catch {
+    // Malformed percent-encoding, e.g. `%E0%A4%A`.
+  }
+  if (!id) {
+    return errorResponse(400, "invalid channel id");
+  }
+  try {
+    const channel = await getChannel(env, id);
+    if (!channel) {
+      return errorResponse(404, "channel not found");
+    }
+    return jsonResponse(channel);
+  } catch (err) {
+    logger.error("channel lookup failed", err?.message ?? err);
+    return errorResponse(500, "channel lookup failed");
+  }
+}
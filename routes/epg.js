@@ -0,0 +1,286 @@
+import { BodyTooLargeError, gunzipLimited, readBodyLimited } from "../lib/body.js";
+import { mapWithConcurrency } from "../lib/concurrency.js";
+import { getNowNext, getSchedule, importEpg } from "../lib/epg.js";
+import { logger } from "../lib/logger.js";
+import { errorResponse, jsonResponse } from "../lib/response.js";
+import { parseXmltv } from "../lib/xmltv.js";
+import { handleMovieLookup, readCachedMovieLookup } from "./movie.js";
+import { handleSeriesSearch, readCachedSeriesSearch } from "./series.js";
+
+const EPG_FETCH_TIMEOUT_MS = 60000;
+const DEFAULT_WINDOW_SECONDS = 24 * 60 * 60;
+const MAX_WINDOW_SECONDS = 14 * 24 * 60 * 60;
+const DEFAULT_RETENTION_DAYS = 7;
+const ENRICH_CONCURRENCY = 4;
+// Caps both the transferred and the decompressed guide.
+const MAX_GUIDE_BYTES = 200 * 1024 * 1024;
+const MAX_JSON_BODY_BYTES = 64 * 1024;
+
+const MOVIE_CATEGORY_PATTERN = /\b(movie|film|sinema)\b/i;
+const SERIES_CATEGORY_PATTERN = /\b(series|dizi|show|episode|bölüm)\b/i;
+
+function isGzip(bytes) {
+  return bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+async function decodeGuide(bytes) {
+  return (isGzip(bytes) ? await gunzipLimited(bytes, MAX_GUIDE_BYTES, "guide") : bytes).toString("utf8");
+}
+
+async function fetchGuide(guideUrl) {
+  let upstream;
+  try {
+    upstream = new URL(guideUrl);
+  } catch {
+    return { error: errorResponse(400, "invalid url") };
+  }
+  if (upstream.protocol !== "http:" && upstream.protocol !== "https:") {
+    return { error: errorResponse(400, "only http(s) guides allowed") };
+  }
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), EPG_FETCH_TIMEOUT_MS);
+  try {
+    const resp = await fetch(upstream.toString(), { signal: controller.signal });
+    if (!resp.ok) {
+      return { error: errorResponse(502, `epg fetch failed: ${resp.status}`) };
+    }
+    return { content: await decodeGuide(await readBodyLimited(resp, MAX_GUIDE_BYTES, "guide")) };
+  } catch (e) {
+    if (e instanceof BodyTooLargeError) return { error: errorResponse(413, e.message) };
+    logger.warn("epg fetch failed", e?.message ?? e);
+    return { error: errorResponse(502, "epg fetch failed") };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Accepts epoch seconds, epoch milliseconds or anything `Date.parse` understands.
+function parseTimeParam(value, fallback) {
+  if (!value) return fallback;
+  if (/^\d+$/.test(value)) {
+    const n = Number(value);
+    return n > 1e12 ? Math.floor(n / 1000) : n;
+  }
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+function parseFlag(value, fallback) {
+  if (value === null || value === undefined || value === "") return fallback;
+  return value === "1" || value.toLowerCase() === "true";
+}
+
+function classifyProgramme(programme) {
+  const categories = (programme.categories || []).join(" ");
+  if (MOVIE_CATEGORY_PATTERN.test(categories)) return "movie";
+  if (programme.episode || SERIES_CATEGORY_PATTERN.test(categories)) return "series";
+  return null;
+}
+
+function toTmdbMatch(type, detail) {
+  if (!detail) return null;
+  return {
+    type,
+    id: detail.id,
+    title: type === "movie" ? detail.title : detail.name,
+    overview: detail.overview,
+    posterPath: detail.posterPath,
+  };
+}
+
+// Runs the programme title through the same handlers clients call directly, so
+// matches share their Redis cache entries. With `cachedOnly` only those entries
+// are read and a miss stays unmatched instead of costing a TMDB search.
+async function lookupTmdb(origin, env, ctx, { type, title, channelId }, language, cachedOnly) {
+  try {
+    if (type === "movie") {
+      const lookupUrl = new URL("/v1/movie/lookup", origin);
+      lookupUrl.searchParams.set("channelId", channelId);
+      lookupUrl.searchParams.set("title", title);
+      if (language) lookupUrl.searchParams.set("language", language);
+      if (cachedOnly) return toTmdbMatch(type, (await readCachedMovieLookup(env, lookupUrl))?.detail);
+      const resp = await handleMovieLookup(new Request(lookupUrl), env, ctx);
+      if (!resp.ok) return null;
+      return toTmdbMatch(type, (await resp.json()).detail);
+    }
+    if (cachedOnly) return toTmdbMatch(type, await readCachedSeriesSearch(env, title, language));
+    const searchUrl = new URL("/v1/series/search", origin);
+    searchUrl.searchParams.set("query", title);
+    if (language) searchUrl.searchParams.set("language", language);
+    const resp = await handleSeriesSearch(new Request(searchUrl), env, ctx);
+    if (!resp.ok) return null;
+    const [series] = await resp.json();
+    return toTmdbMatch(type, series);
+  } catch (e) {
+    logger.warn("epg enrichment failed", { title, err: e?.message ?? e });
+    return null;
+  }
+}
+
+async function enrichProgrammes(origin, env, ctx, items, language, cachedOnly) {
+  const lookups = new Map();
+  const jobs = [];
+  for (const { programme, channelId } of items) {
+    const type = classifyProgramme(programme);
+    if (!type || !programme.title) continue;
+    const key = `${type}|${programme.title}`;
+    if (!lookups.has(key)) {
+      lookups.set(key, null);
+      jobs.push({ key, type, title: programme.title, channelId });
+    }
+  }
+  await mapWithConcurrency(jobs, ENRICH_CONCURRENCY, async (job) => {
+    lookups.set(job.key, await lookupTmdb(origin, env, ctx, job, language, cachedOnly));
+  });
+  for (const { programme } of items) {
+    const type = classifyProgramme(programme);
+    programme.tmdb = type && programme.title ? lookups.get(`${type}|${programme.title}`) : null;
+  }
+}
+
+/**
+ * Imports an XMLTV guide (optionally gzipped).
+ *
+ * Accepts the raw XMLTV body or a JSON body `{ url }`. Guide channels are mapped
+ * onto catalog channels by `tvg-id`, falling back to display name. Guides over
+ * 200 MB (downloaded or decompressed) are rejected with 413.
+ *
+ * @param {Request} request Incoming POST request.
+ * @param {Record<string, any>} env Environment bindings (`EPG_RETENTION_DAYS`).
+ * @returns {Promise<Response>} JSON import summary.
+ */
+export async function handleEpgImport(request, env) {
+  if (request.method !== "POST") {
+    return errorResponse(405, "method not allowed");
+  }
+  logger.info("request received: /v1/epg/import");
+
+  let content;
+  const contentType = (request.headers.get("content-type") || "").toLowerCase();
+  try {
+    if (contentType.startsWith("application/json")) {
+      const body = JSON.parse((await readBodyLimited(request, MAX_JSON_BODY_BYTES)).toString("utf8"));
+      if (typeof body?.url !== "string") {
+        return errorResponse(400, "url is required");
+      }
+      const fetched = await fetchGuide(body.url);
+      if (fetched.error) return fetched.error;
+      content = fetched.content;
+    } else {
+      content = await decodeGuide(await readBodyLimited(request, MAX_GUIDE_BYTES, "guide"));
+    }
+  } catch (e) {
+    if (e instanceof BodyTooLargeError) return errorResponse(413, e.message);
+    return errorResponse(400, "invalid request body");
+  }
+
+  const guide = parseXmltv(content);
+  if (guide.programmes.length === 0) {
+    return errorResponse(422, "no programmes found in guide");
+  }
+
+  const retentionDays = Number(env.EPG_RETENTION_DAYS || DEFAULT_RETENTION_DAYS);
+  try {
+    const summary = await importEpg(env, guide, {
+      retentionSeconds: Math.floor(retentionDays * 24 * 60 * 60),
+    });
+    logger.info("redis <- imported epg", summary);
+    return jsonResponse(summary);
+  } catch (err) {
+    logger.error("epg import failed", err?.message ?? err);
+    return errorResponse(500, "epg import failed");
+  }
+}
+
+/**
+ * Returns the schedule of one channel: `/v1/epg/{channelId}?from=&to=&language=&enrich=`.
+ * `from`/`to` default to now and now + 24h. Programmes are matched against
+ * cached TMDB lookups by default; `enrich=1` also looks up uncached titles (one
+ * TMDB search per distinct title) and `enrich=0` skips matching.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {{ waitUntil: (promise: Promise<any>) => void }} ctx Background-task context.
+ * @returns {Promise<Response>} JSON `{ channelId, epgChannelId, from, to, programmes }`.
+ */
+export async function handleEpgSchedule(request, env, ctx) {
+  const url = new URL(request.url);
+  logger.info("request received: /v1/epg/{channelId}", { url: url.toString() });
+  let channelId = "";
+  try {
+    channelId = decodeURIComponent(url.pathname.split("/").pop() || "");
+  } catch {
+    // Malformed percent-encoding, e.g. `%E0%A4%A`.
+  }
+  if (!channelId) {
+    return errorResponse(400, "invalid channel id");
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const from = parseTimeParam(url.searchParams.get("from"), now);
+  const to = parseTimeParam(url.searchParams.get("to"), (from ?? now) + DEFAULT_WINDOW_SECONDS);
+  if (from === null || to === null || to <= from) {
+    return errorResponse(400, "invalid from/to");
+  }
+  if (to - from > MAX_WINDOW_SECONDS) {
+    return errorResponse(400, "window too large");
+  }
+  const language = (url.searchParams.get("language") || "").trim();
+  // null: cached matches only.
+  const enrich = parseFlag(url.searchParams.get("enrich"), null);
+
+  try {
+    const { epgChannelId, programmes } = await getSchedule(env, channelId, from, to);
+    if (enrich !== false) {
+      await enrichProgrammes(
+        url.origin,
+        env,
+        ctx,
+        programmes.map((programme) => ({ programme, channelId })),
+        language,
+        enrich === null
+      );
+    }
+    return jsonResponse({ channelId, epgChannelId, from, to, programmes });
+  } catch (err) {
+    logger.error("epg schedule failed", err?.message ?? err);
+    return errorResponse(500, "epg schedule failed");
+  }
+}
+
+/**
+ * Returns now/next for every mapped channel, or for `?channelIds=a,b,c`.
+ * Enrichment works as on the schedule: cached matches by default, `enrich=1` for
+ * TMDB lookups of uncached titles (fanning out over every channel), `enrich=0` for none.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {{ waitUntil: (promise: Promise<any>) => void }} ctx Background-task context.
+ * @returns {Promise<Response>} JSON array of `{ channelId, epgChannelId, now, next }`.
+ */
+export async function handleEpgNow(request, env, ctx) {
+  const url = new URL(request.url);
+  logger.info("request received: /v1/epg/now", { url: url.toString() });
+  const channelIds = (url.searchParams.get("channelIds") || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const language = (url.searchParams.get("language") || "").trim();
+  // null: cached matches only.
+  const enrich = parseFlag(url.searchParams.get("enrich"), null);
+
+  try {
+    const entries = await getNowNext(env, channelIds.length > 0 ? channelIds : null);
+    if (enrich !== false) {
+      const items = [];
+      for (const entry of entries) {
+        if (entry.now) items.push({ programme: entry.now, channelId: entry.channelId });
+        if (entry.next) items.push({ programme: entry.next, channelId: entry.channelId });
+      }
+      await enrichProgrammes(url.origin, env, ctx, items, language, enrich === null);
+    }
+    return jsonResponse(entries);
+  } catch (err) {
+    logger.error("epg now failed", err?.message ?? err);
+    return errorResponse(500, "epg now failed");
+  }
+}
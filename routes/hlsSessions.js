@@ -0,0 +1,132 @@
+import fs from "fs";
+import { Readable } from "stream";
+import {
+  closeHlsSession,
+  createHlsSession,
+  getHlsSession,
+  hlsSessionPlaylist,
+  hlsSessionSegment,
+  SEGMENT_NAME_PATTERN,
+} from "../lib/hlsSessions.js";
+import { isHttpUrl } from "../lib/ffmpeg.js";
+import { logger } from "../lib/logger.js";
+import { DEVICE_PROFILE_IDS, planPlayback } from "../lib/playbackPlan.js";
+import { errorResponse, jsonResponse } from "../lib/response.js";
+import { getMediaMetadata } from "./metadata.js";
+
+// A restarted encoder rewrites segments under the same names, so neither the
+// playlist nor segments may be cached.
+const NO_STORE = "no-store";
+
+/**
+ * Opens an on-the-fly HLS session: `POST /v1/hls-sessions` with JSON
+ * `{ url, profile?, audioLanguage?, start? }` (or the same as query
+ * parameters). The source is probed like `/v1/metadata` and planned like
+ * `/v1/playback-plan` for `profile` (default `browser`): streams the device
+ * plays are copied, the rest re-encoded to H.264/AAC. `start` (seconds) is
+ * where encoding begins; players can still seek anywhere in a `vod` playlist,
+ * while an `event` playlist (copied video) begins at `start`.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} 201 with the session and its `playlist_path`.
+ * @throws {HlsSessionError} 503 at the `HLS_MAX_SESSIONS` cap.
+ */
+export async function handleHlsSessionCreate(request, env) {
+  if (request.method !== "POST") {
+    return errorResponse(405, "method not allowed");
+  }
+  const url = new URL(request.url);
+  logger.info("request received: /v1/hls-sessions", { url: url.toString() });
+
+  let body = {};
+  if ((request.headers.get("content-type") || "").toLowerCase().startsWith("application/json")) {
+    try {
+      body = (await request.json()) || {};
+    } catch (e) {
+      return errorResponse(400, "invalid request body");
+    }
+  }
+  const param = (name) => body[name] ?? url.searchParams.get(name);
+  const fileUrl = param("url");
+  if (typeof fileUrl !== "string" || !fileUrl) return errorResponse(400, "url is required");
+  if (!isHttpUrl(fileUrl)) return errorResponse(400, "only http(s) media urls allowed");
+  const profileId = param("profile") || "browser";
+  if (!DEVICE_PROFILE_IDS.includes(profileId)) {
+    return errorResponse(400, `profile must be one of ${DEVICE_PROFILE_IDS.join(", ")}`);
+  }
+  const start = Number(param("start") ?? 0);
+  if (!Number.isFinite(start) || start < 0) {
+    return errorResponse(400, "start must be a non-negative number of seconds");
+  }
+
+  const metadata = await getMediaMetadata(fileUrl, 0, env);
+  const duration = metadata.format?.duration;
+  if (!metadata.video && !metadata.audio?.length) return errorResponse(422, "no audio or video stream");
+  if (!duration) return errorResponse(422, "unknown duration (live stream?)");
+
+  const plan = planPlayback(metadata, profileId, { audioLanguage: param("audioLanguage") || null });
+  const session = await createHlsSession(env, {
+    url: fileUrl,
+    duration,
+    start,
+    profile: profileId,
+    decision: plan.decision,
+    video: plan.video && { codec: plan.video.target_codec, action: plan.video.action },
+    audio: plan.audio && {
+      index: plan.audio.index,
+      codec: plan.audio.target_codec,
+      language: plan.audio.language,
+      action: plan.audio.action,
+      channels: plan.audio.target_channels,
+    },
+  });
+  return jsonResponse(session, 201);
+}
+
+/**
+ * Session state: `GET /v1/hls-sessions/{id}`, or `DELETE` to stop it early
+ * (sessions otherwise close after `HLS_SESSION_IDLE_SECONDS` without requests).
+ *
+ * @param {Request} request Incoming request.
+ * @returns {Promise<Response>} The session (GET), 204 (DELETE), or 404.
+ */
+export async function handleHlsSession(request) {
+  const id = new URL(request.url).pathname.split("/")[3];
+  if (request.method === "DELETE") {
+    if (!(await closeHlsSession(id))) return errorResponse(404, "hls session not found");
+    return new Response(null, { status: 204 });
+  }
+  const session = getHlsSession(id);
+  if (!session) return errorResponse(404, "hls session not found");
+  return jsonResponse(session);
+}
+
+/**
+ * Session media: `GET /v1/hls-sessions/{id}/index.m3u8` and the `seg-N.ts`
+ * segments it lists (relative URLs). No API key is needed: players fetch these
+ * without custom headers, and the random session id is the credential. In a
+ * VOD playlist a segment far from the encoder's position restarts it there
+ * (seek); the request waits until the segment is written.
+ *
+ * @param {Request} request Incoming request.
+ * @returns {Promise<Response>} Playlist or MPEG-TS segment, or 404.
+ * @throws {HlsSessionError} 404 unknown session, 502 encoder failure, 504 slow segment.
+ */
+export async function handleHlsSessionFile(request) {
+  const [, , , id, name] = new URL(request.url).pathname.split("/");
+  if (name === "index.m3u8") {
+    return new Response(await hlsSessionPlaylist(id), {
+      status: 200,
+      headers: { "content-type": "application/vnd.apple.mpegurl", "cache-control": NO_STORE },
+    });
+  }
+  const match = SEGMENT_NAME_PATTERN.exec(name || "");
+  if (!match) return errorResponse(404, "not found");
+  const file = await hlsSessionSegment(id, Number(match[1]));
+  const { size } = await fs.promises.stat(file);
+  return new Response(Readable.toWeb(fs.createReadStream(file)), {
+    status: 200,
+    headers: { "content-type": "video/mp2t", "content-length": String(size), "cache-control": NO_STORE },
+  });
+}
@@ -0,0 +1,38 @@
+import { getImage, IMAGE_PATH_PATTERN, IMAGE_SIZES, imageEtag } from "../lib/images.js";
+import { logger } from "../lib/logger.js";
+import { errorResponse } from "../lib/response.js";
+
+// Paths are content addressed by TMDB, so clients may cache forever.
+const IMAGE_CACHE_CONTROL = "public, max-age=31536000, immutable";
+
+/**
+ * Serves a TMDB image through the disk cache: `GET /v1/image/{size}/{path}`,
+ * e.g. `/v1/image/w500/8IB2e4r4oVhHnANbnm7O3Tj6tF8.jpg`.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} Image bytes with ETag and long-lived cache
+ *   headers, 304 for a matching `If-None-Match`, or a JSON error.
+ */
+export async function handleImage(request, env) {
+  const url = new URL(request.url);
+  const [, , , size, imagePath] = url.pathname.split("/");
+  if (!IMAGE_SIZES.includes(size)) {
+    return errorResponse(400, "invalid image size");
+  }
+  if (!IMAGE_PATH_PATTERN.test(imagePath || "")) {
+    return errorResponse(400, "invalid image path");
+  }
+  logger.debug("request received: /v1/image/{size}/{path}", { size, path: imagePath });
+
+  const etag = imageEtag(size, imagePath);
+  const headers = { etag, "cache-control": IMAGE_CACHE_CONTROL };
+  if ((request.headers.get("if-none-match") || "").split(/\s*,\s*/).includes(etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+  const { body, contentType } = await getImage(env, size, imagePath);
+  return new Response(body, {
+    status: 200,
+    headers: { ...headers, "content-type": contentType, "content-length": String(body.length) },
+  });
+}
@@ -8,258 +8,783 @@ import { errorResponse, jsonResponse } from "../lib/response.js";
 import { RedisClient } from "../lib/redisClient.js";
 import { buildCacheKeyFromUrl } from "../lib/cache.js";
 import { CACHE_TTL_SECONDS } from "../lib/config.js";
+import { locateSegment, parseMpd } from "../lib/dash.js";
+import { isHlsPlaylist, parseHlsPlaylist } from "../lib/hls.js";
+import { isMatroska, parseMatroska } from "../lib/matroska.js";
+import { ffprobeDurationSeconds, ffprobeFailuresTotal, metadataProbesTotal } from "../lib/metrics.js";
+import { isMp4, parseMp4 } from "../lib/mp4.js";
 
 const execFileAsync = promisify(execFile);
 
-/**
- * Handle metadata extraction from remote video using HTTP range requests.
- * Expects `?url=` query parameter pointing to a direct video file (mp4/mkv).
- * Steps:
- *  - HEAD request to verify `Accept-Ranges: bytes` and get content-length
- *  - Range request for first ~2MB
- *  - Optionally Range request for last ~2MB (for MP4s with moov at end)
- *  - Write merged sample to a temp file and call `ffprobe` to get JSON metadata
- */
-export async function handleMetadata(request, env) {
-  const url = new URL(request.url);
-  logger.info("request received: /v1/metadata", { url: url.toString() });
-  const fileUrl = url.searchParams.get("url");
-  if (!fileUrl) return errorResponse(400, "url is required");
+const SAMPLE_BYTES = 2 * 1024 * 1024; // 2MB
+// Native parsers read headers in small pieces; each request fetches at least a block.
+const READ_BLOCK_BYTES = 256 * 1024;
+const MAX_RANGE_REQUESTS = 16;
+const MANIFEST_MAX_BYTES = 5 * 1024 * 1024;
+const MANIFEST_FETCH_TIMEOUT_MS = 10000;
+// Live manifests change renditions more often than files change streams.
+const LIVE_METADATA_TTL_SECONDS = 5 * 60;
 
-  // cache key based on request URL (path + relevant query params)
-  const cacheKey = buildCacheKeyFromUrl(url);
-  const redis = new RedisClient(env);
+const HLS_CONTENT_TYPES = [
+  "application/vnd.apple.mpegurl",
+  "application/x-mpegurl",
+  "audio/mpegurl",
+  "audio/x-mpegurl",
+];
+const DASH_CONTENT_TYPE = "application/dash+xml";
+
+// RFC 6381 codec prefixes (manifest `CODECS`) to ffprobe codec names.
+const CODEC_NAMES = {
+  avc1: "h264",
+  avc3: "h264",
+  hvc1: "hevc",
+  hev1: "hevc",
+  dvh1: "hevc",
+  dvhe: "hevc",
+  av01: "av1",
+  vp09: "vp9",
+  vp8: "vp8",
+  mp4a: "aac",
+  "ac-3": "ac3",
+  "ec-3": "eac3",
+  "ac-4": "ac4",
+  opus: "opus",
+  flac: "flac",
+  wvtt: "webvtt",
+  stpp: "ttml",
+};
+const VIDEO_CODECS = new Set(["h264", "hevc", "av1", "vp9", "vp8"]);
+const AUDIO_CODECS = new Set(["aac", "mp3", "ac3", "eac3", "ac4", "opus", "flac"]);
+
+class MetadataError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "MetadataError";
+    this.status = status;
+  }
+}
+
+// Read up to maxBytes from a response stream safely (cancels if server sends more)
+async function readUpTo(response, maxBytes) {
+  if (!response.body || typeof response.body.getReader !== "function") {
+    // fallback to arrayBuffer (may allocate full response)
+    const ab = await response.arrayBuffer();
+    return Buffer.from(ab).slice(0, maxBytes);
+  }
+  const reader = response.body.getReader();
+  const parts = [];
+  let received = 0;
   try {
-    const cached = await redis.get(cacheKey);
-    if (cached) {
-      logger.info("redis -> responded (metadata)", { key: cacheKey });
-      return jsonResponse(cached);
+    while (received < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = Buffer.from(value);
+      parts.push(chunk);
+      received += chunk.length;
+      if (received >= maxBytes) {
+        // stop reading further
+        await reader.cancel();
+        break;
+      }
     }
   } catch (e) {
-    logger.warn("redis get failed", e?.message ?? e);
+    try {
+      await reader.cancel();
+    } catch (er) {}
   }
+  return Buffer.concat(parts).slice(0, Math.min(received, maxBytes));
+}
 
-  try {
-    // HEAD
-    const headResp = await fetch(fileUrl, { method: "HEAD" });
-    if (!headResp.ok) {
-      return errorResponse(502, `upstream HEAD failed: ${headResp.status}`);
+// duration helper: prefer numeric duration fields, fallback to format.duration or tags.DURATION strings
+function parseDurationString(d) {
+  if (d == null) return null;
+  if (typeof d === "number") return d;
+  // ffprobe sometimes emits strings like "02:13:38.803000000"
+  if (typeof d === "string" && d.includes(":")) {
+    const parts = d.split(":").map((p) => p.trim());
+    // HH:MM:SS(.ms) or MM:SS
+    let secs = 0;
+    if (parts.length === 3) {
+      const h = Number(parts[0]) || 0;
+      const m = Number(parts[1]) || 0;
+      const s = Number(parts[2]) || 0;
+      secs = h * 3600 + m * 60 + s;
+      return secs;
+    }
+    if (parts.length === 2) {
+      const m = Number(parts[0]) || 0;
+      const s = Number(parts[1]) || 0;
+      secs = m * 60 + s;
+      return secs;
     }
+  }
+  // numeric string
+  const n = Number(d);
+  return Number.isFinite(n) ? n : null;
+}
 
-    const acceptRanges = (
-      headResp.headers.get("accept-ranges") || ""
-    ).toLowerCase();
-    const contentLengthHeader = headResp.headers.get("content-length");
-    const contentLength = contentLengthHeader
-      ? Number(contentLengthHeader)
-      : null;
-
-    const rangesSupported = acceptRanges.includes("bytes");
-    if (!rangesSupported) {
-      logger.info("upstream did not advertise Accept-Ranges; will still attempt Range requests as a fallback", {
-        url: fileUrl,
-      });
+// Compact the ffprobe output to only fields our app needs
+function compactProbe(raw) {
+  const format = raw.format || {};
+  const streams = Array.isArray(raw.streams) ? raw.streams : [];
+
+  const videoStream = streams.find((s) => s.codec_type === "video") || null;
+  const audioStreams = streams.filter((s) => s.codec_type === "audio");
+  const subtitleStreams = streams.filter((s) => s.codec_type === "subtitle");
+
+  return {
+    format: {
+      format_name: format.format_name || null,
+      format_long_name: format.format_long_name || null,
+      duration: format.duration ? Number(format.duration) : null,
+      size: format.size ? Number(format.size) : null,
+      bit_rate: format.bit_rate ? Number(format.bit_rate) : null,
+    },
+    video: videoStream
+      ? {
+          codec: videoStream.codec_name || null,
+          profile: videoStream.profile || null,
+          width: videoStream.width || null,
+          height: videoStream.height || null,
+          pix_fmt: videoStream.pix_fmt || null,
+          r_frame_rate: videoStream.r_frame_rate || null,
+          avg_frame_rate: videoStream.avg_frame_rate || null,
+          level: videoStream.level || null,
+          // try stream.duration -> tags.DURATION (stream or format) -> format.duration
+          duration:
+            (videoStream.duration && Number(videoStream.duration)) ||
+            parseDurationString(videoStream.tags?.DURATION) ||
+            parseDurationString(format.tags?.DURATION) ||
+            (format.duration ? Number(format.duration) : null),
+        }
+      : null,
+    audio: audioStreams.map((a) => ({
+      codec: a.codec_name || null,
+      profile: a.profile || null,
+      sample_rate: a.sample_rate ? Number(a.sample_rate) : null,
+      channels: a.channels || null,
+      channel_layout: a.channel_layout || null,
+      language: a.tags?.language || null,
+      duration:
+        (a.duration && Number(a.duration)) ||
+        parseDurationString(a.tags?.DURATION) ||
+        parseDurationString(format.tags?.DURATION) ||
+        (format.duration ? Number(format.duration) : null),
+    })),
+    subtitles: subtitleStreams.map((s) => ({
+      codec: s.codec_name || null,
+      language: s.tags?.language || s.tags?.LANGUAGE || null,
+      forced: !!s.disposition?.forced,
+    })),
+    probe_score: raw.format?.probe_score ?? raw.probe_score ?? null,
+  };
+}
+
+// Write sample to a temp file and run ffprobe on it; returns the compacted output.
+async function probeSample(sample, ext) {
+  const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "livo-meta-"));
+  const tmpPath = path.join(tmpDir, `sample${ext}`);
+  const probeStartedAt = Date.now();
+  let probed = false;
+  try {
+    await fs.promises.writeFile(tmpPath, sample);
+    const { stdout } = await execFileAsync(
+      "ffprobe",
+      ["-v", "quiet", "-print_format", "json", "-show_format", "-show_streams", tmpPath],
+      { maxBuffer: 10 * 1024 * 1024 }
+    );
+    ffprobeDurationSeconds.observe({ outcome: "ok" }, (Date.now() - probeStartedAt) / 1000);
+    probed = true;
+    const compact = compactProbe(JSON.parse(stdout));
+    metadataProbesTotal.inc({ parser: "ffprobe", outcome: "ok" });
+    return compact;
+  } catch (e) {
+    ffprobeFailuresTotal.inc();
+    metadataProbesTotal.inc({ parser: "ffprobe", outcome: "error" });
+    if (!probed) {
+      ffprobeDurationSeconds.observe({ outcome: "error" }, (Date.now() - probeStartedAt) / 1000);
     }
+    throw e;
+  } finally {
+    try {
+      await fs.promises.unlink(tmpPath);
+      await fs.promises.rmdir(tmpDir);
+    } catch (e) {
+      // ignore cleanup errors
+    }
+  }
+}
 
-    const chunkSize = 2 * 1024 * 1024; // 2MB
+// Same shape as `compactProbe`, from the native MP4/Matroska parsers.
+function compactNative(parsed, size) {
+  const byType = (type) => parsed.tracks.filter((t) => t.type === type);
+  const [video] = byType("video");
+  return {
+    format: {
+      format_name: parsed.formatName,
+      format_long_name: parsed.formatLongName,
+      duration: parsed.duration,
+      size: size ?? null,
+      bit_rate: size && parsed.duration ? Math.round((size * 8) / parsed.duration) : null,
+    },
+    video: video
+      ? {
+          codec: video.codec || null,
+          profile: video.profile || null,
+          width: video.width || null,
+          height: video.height || null,
+          pix_fmt: video.pixFmt || null,
+          r_frame_rate: video.rFrameRate || null,
+          avg_frame_rate: video.avgFrameRate || null,
+          level: video.level || null,
+          duration: video.duration ?? parsed.duration,
+        }
+      : null,
+    audio: byType("audio").map((a) => ({
+      codec: a.codec || null,
+      profile: a.profile || null,
+      sample_rate: a.sampleRate || null,
+      channels: a.channels || null,
+      channel_layout: a.channelLayout || null,
+      language: a.language || null,
+      duration: a.duration ?? parsed.duration,
+    })),
+    subtitles: byType("subtitle").map((s) => ({
+      codec: s.codec || null,
+      language: s.language || null,
+      forced: !!s.forced,
+    })),
+    probe_score: null,
+  };
+}
 
-    // Helper: read up to maxBytes from a response stream safely (cancels if server sends more)
-    async function readUpTo(response, maxBytes) {
-      if (!response.body || typeof response.body.getReader !== "function") {
-        // fallback to arrayBuffer (may allocate full response)
-        const ab = await response.arrayBuffer();
-        return Buffer.from(ab).slice(0, maxBytes);
-      }
-      const reader = response.body.getReader();
-      const parts = [];
-      let received = 0;
+// Parses MP4 or Matroska headers through `read`; 415 for other containers.
+async function probeNative(read, size) {
+  const head = await read(0, 16);
+  const parse = isMp4(head) ? parseMp4 : isMatroska(head) ? parseMatroska : null;
+  if (!parse) throw new MetadataError(415, "unsupported container");
+  let parsed;
+  try {
+    parsed = await parse(read, size);
+  } catch (e) {
+    metadataProbesTotal.inc({ parser: "native", outcome: "error" });
+    if (e instanceof MetadataError) throw e;
+    throw new MetadataError(502, `media header parse failed: ${e?.message ?? e}`);
+  }
+  metadataProbesTotal.inc({ parser: "native", outcome: "ok" });
+  return compactNative(parsed, size);
+}
+
+// Range reader over a remote file for the native parsers. Reads are widened to
+// READ_BLOCK_BYTES and the blocks kept, so the many small header reads of a
+// parse cost a handful of requests.
+function createRangeReader(fileUrl, contentLength) {
+  const blocks = [];
+  let requests = 0;
+  return async function read(offset, length) {
+    const end = contentLength ? Math.min(offset + length, contentLength) : offset + length;
+    if (end <= offset) return Buffer.alloc(0);
+    const cached = blocks.find((b) => b.start <= offset && b.start + b.data.length >= end);
+    if (cached) return cached.data.subarray(offset - cached.start, end - cached.start);
+
+    requests += 1;
+    if (requests > MAX_RANGE_REQUESTS) throw new MetadataError(502, "too many range requests");
+    let last = Math.max(end, offset + READ_BLOCK_BYTES) - 1;
+    if (contentLength) last = Math.min(last, contentLength - 1);
+    const response = await fetch(fileUrl, { headers: { Range: `bytes=${offset}-${last}` } });
+    // A full-body 200 is only usable for a read that starts at the beginning.
+    if (!(response.status === 206 || (response.status === 200 && offset === 0))) {
       try {
-        while (received < maxBytes) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          const chunk = Buffer.from(value);
-          parts.push(chunk);
-          received += chunk.length;
-          if (received >= maxBytes) {
-            // stop reading further
-            await reader.cancel();
-            break;
-          }
-        }
-      } catch (e) {
-        try {
-          await reader.cancel();
-        } catch (er) {}
-      }
-      return Buffer.concat(parts).slice(0, Math.min(received, maxBytes));
+        await response.body?.cancel();
+      } catch (e) {}
+      throw new MetadataError(502, `range fetch failed: ${response.status}`);
     }
+    const data = await readUpTo(response, last - offset + 1);
+    blocks.push({ start: offset, data });
+    return data.subarray(0, end - offset);
+  };
+}
 
-    // Fetch first chunk (try Range even if not advertised)
-    const firstRange = `bytes=0-${chunkSize - 1}`;
-    const firstResp = await fetch(fileUrl, { headers: { Range: firstRange } });
-    if (!(firstResp.status === 206 || firstResp.status === 200)) {
-      return errorResponse(502, `range fetch failed: ${firstResp.status}`);
+/**
+ * Progressive files (mp4/mkv):
+ *  - HEAD request for content-length (and `Accept-Ranges: bytes`)
+ *  - Native MP4 (`moov`) / Matroska (Info, Tracks) header parsing with targeted
+ *    range reads, wherever the headers sit in the file
+ *  - With `FFPROBE_FALLBACK`, files the native parsers cannot read are sampled
+ *    (first and last ~2MB) and probed with `ffprobe`
+ * Returns `{ manifestType }` instead when the first bytes turn out to be an
+ * HLS/DASH manifest served without a telling extension or content type.
+ */
+async function describeProgressive(fileUrl, headResp, env) {
+  const acceptRanges = (headResp.headers.get("accept-ranges") || "").toLowerCase();
+  const contentLengthHeader = headResp.headers.get("content-length");
+  const contentLength = contentLengthHeader ? Number(contentLengthHeader) : null;
+
+  const rangesSupported = acceptRanges.includes("bytes");
+  if (!rangesSupported) {
+    logger.info("upstream did not advertise Accept-Ranges; will still attempt Range requests as a fallback", {
+      url: fileUrl,
+    });
+  }
+
+  // Fetch first block (try Range even if not advertised)
+  const read = createRangeReader(fileUrl, contentLength);
+  const head = await read(0, READ_BLOCK_BYTES);
+  const manifestType = manifestTypeOf(null, null, head);
+  if (manifestType) return { manifestType };
+
+  try {
+    return { metadata: await probeNative(read, contentLength) };
+  } catch (e) {
+    if (!env.FFPROBE_FALLBACK) throw e;
+    logger.info("native header parse failed; falling back to ffprobe", {
+      url: fileUrl,
+      err: e?.message ?? e,
+    });
+  }
+
+  const buffers = [await read(0, SAMPLE_BYTES)];
+  // Optionally fetch tail if content-length suggests it may be needed
+  if (contentLength && contentLength > SAMPLE_BYTES) {
+    try {
+      buffers.push(await read(contentLength - SAMPLE_BYTES, SAMPLE_BYTES));
+    } catch (e) {
+      // non-fatal; server didn't honor the tail range, continue with first chunk
+      logger.info("tail range fetch failed; skipping tail sample", { url: fileUrl, err: e?.message ?? e });
     }
-    const firstBuf = await readUpTo(firstResp, chunkSize);
+  }
 
-    // Optionally fetch tail if content-length suggests it may be needed
-    let buffers = [firstBuf];
-    if (contentLength && contentLength > chunkSize) {
-      const tailStart = Math.max(0, contentLength - chunkSize);
-      const tailRange = `bytes=${tailStart}-${contentLength - 1}`;
-      try {
-        const tailResp = await fetch(fileUrl, {
-          headers: { Range: tailRange },
-        });
-        if (tailResp.status === 206) {
-          buffers.push(await readUpTo(tailResp, chunkSize));
-        } else {
-          // server didn't honor tail range; ignore tail (can't safely download whole file)
-          logger.info("tail range not supported or returned whole file; skipping tail sample", {
-            status: tailResp.status,
-            url: fileUrl,
-          });
-        }
-      } catch (e) {
-        // non-fatal; continue with first chunk
-        logger.warn("tail range fetch failed", e?.message ?? e);
-      }
+  const ext = fileUrl.toLowerCase().endsWith(".mkv") ? ".mkv" : ".mp4";
+  try {
+    return { metadata: await probeSample(Buffer.concat(buffers), ext) };
+  } catch (e) {
+    logger.warn("ffprobe failed", e?.message ?? e);
+    throw new MetadataError(500, "ffprobe failed");
+  }
+}
+
+// "hls", "dash" or null, from the URL extension, the content type or the first bytes.
+function manifestTypeOf(fileUrl, contentType, head) {
+  if (fileUrl) {
+    let pathname = "";
+    try {
+      pathname = new URL(fileUrl).pathname.toLowerCase();
+    } catch (e) {
+      // not absolute; fetch will reject it
     }
+    if (pathname.endsWith(".m3u8")) return "hls";
+    if (pathname.endsWith(".mpd")) return "dash";
+  }
+  const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+  if (HLS_CONTENT_TYPES.includes(type)) return "hls";
+  if (type === DASH_CONTENT_TYPE) return "dash";
+  if (head) {
+    const text = head.subarray(0, 4096).toString("utf8");
+    if (isHlsPlaylist(text)) return "hls";
+    if (/<MPD\b/.test(text)) return "dash";
+  }
+  return null;
+}
 
-    const sample = Buffer.concat(buffers);
+async function fetchManifest(manifestUrl) {
+  let response;
+  try {
+    response = await fetch(manifestUrl, { signal: AbortSignal.timeout(MANIFEST_FETCH_TIMEOUT_MS) });
+  } catch (e) {
+    throw new MetadataError(502, `manifest fetch failed: ${e?.message ?? e}`);
+  }
+  if (!response.ok) {
+    throw new MetadataError(502, `manifest fetch failed: ${response.status}`);
+  }
+  const body = await readUpTo(response, MANIFEST_MAX_BYTES + 1);
+  if (body.length > MANIFEST_MAX_BYTES) {
+    throw new MetadataError(502, "manifest too large");
+  }
+  // Redirects move the base for relative URIs.
+  return { text: body.toString("utf8"), url: response.url || manifestUrl };
+}
 
-    // Write sample to temp file
-    const tmpDir = await fs.promises.mkdtemp(
-      path.join(os.tmpdir(), "livo-meta-")
-    );
-    const ext = fileUrl.toLowerCase().endsWith(".mkv") ? ".mkv" : ".mp4";
-    const tmpPath = path.join(tmpDir, `sample${ext}`);
-    await fs.promises.writeFile(tmpPath, sample);
+// `{ url, range }` where range is `first-last` (DASH) or `{ offset, length }` (HLS).
+async function fetchSample({ url, range }) {
+  let rangeHeader = `bytes=0-${SAMPLE_BYTES - 1}`;
+  if (typeof range === "string") {
+    rangeHeader = `bytes=${range}`;
+  } else if (range) {
+    rangeHeader = `bytes=${range.offset}-${range.offset + Math.min(range.length, SAMPLE_BYTES) - 1}`;
+  }
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Range: rangeHeader },
+      signal: AbortSignal.timeout(MANIFEST_FETCH_TIMEOUT_MS),
+    });
+  } catch (e) {
+    throw new MetadataError(502, `segment fetch failed: ${e?.message ?? e}`);
+  }
+  if (!(response.status === 206 || response.status === 200)) {
+    throw new MetadataError(502, `segment fetch failed: ${response.status}`);
+  }
+  return readUpTo(response, SAMPLE_BYTES);
+}
+
+// Temp file extension ffprobe should see for a segment URL.
+function segmentExtension(segmentUrl, hasInit) {
+  if (hasInit) return ".mp4";
+  let ext = "";
+  try {
+    ext = path.extname(new URL(segmentUrl).pathname).toLowerCase();
+  } catch (e) {
+    // keep default
+  }
+  if ([".m4s", ".m4v", ".m4a", ".cmfv", ".cmfa", ".mp4"].includes(ext)) return ".mp4";
+  if ([".aac", ".ac3", ".ec3", ".mp3", ".webm", ".vtt"].includes(ext)) return ext;
+  return ".ts";
+}
 
+// Fetches the init section (if any) plus the head of one segment and probes them,
+// natively for fMP4/WebM, with ffprobe (MPEG-TS) when `FFPROBE_FALLBACK` is on.
+// Failures are logged and yield null: the manifest alone still describes the stream.
+async function probeSegment(segment, initialization, env) {
+  try {
+    const parts = [];
+    if (initialization) parts.push(await fetchSample(initialization));
+    parts.push(await fetchSample(segment));
+    const sample = Buffer.concat(parts);
     try {
-      const { stdout } = await execFileAsync(
-        "ffprobe",
-        [
-          "-v",
-          "quiet",
-          "-print_format",
-          "json",
-          "-show_format",
-          "-show_streams",
-          tmpPath,
-        ],
-        { maxBuffer: 10 * 1024 * 1024 }
-      );
-      const raw = JSON.parse(stdout);
-
-      // Compact the ffprobe output to only fields our app needs
-      function pick(v, keys) {
-        const out = {};
-        for (const k of keys) if (v?.[k] !== undefined) out[k] = v[k];
-        return out;
-      }
+      const read = async (offset, length) => sample.subarray(offset, offset + length);
+      return await probeNative(read, sample.length);
+    } catch (e) {
+      if (!env.FFPROBE_FALLBACK) throw e;
+    }
+    return await probeSample(sample, segmentExtension(segment.url, !!initialization));
+  } catch (e) {
+    logger.warn("segment probe failed", { url: segment.url, err: e?.message ?? e });
+    return null;
+  }
+}
 
-      const format = raw.format || {};
-      const streams = Array.isArray(raw.streams) ? raw.streams : [];
-
-      const videoStream = streams.find((s) => s.codec_type === "video") || null;
-      const audioStreams = streams.filter((s) => s.codec_type === "audio");
-      const subtitleStreams = streams.filter((s) => s.codec_type === "subtitle");
-
-      // duration helper: prefer numeric duration fields, fallback to format.duration or tags.DURATION strings
-      function parseDurationString(d) {
-        if (d == null) return null;
-        if (typeof d === "number") return d;
-        // ffprobe sometimes emits strings like "02:13:38.803000000"
-        if (typeof d === "string" && d.includes(":")) {
-          const parts = d.split(":").map((p) => p.trim());
-          // HH:MM:SS(.ms) or MM:SS
-          let secs = 0;
-          if (parts.length === 3) {
-            const h = Number(parts[0]) || 0;
-            const m = Number(parts[1]) || 0;
-            const s = Number(parts[2]) || 0;
-            secs = h * 3600 + m * 60 + s;
-            return secs;
-          }
-          if (parts.length === 2) {
-            const m = Number(parts[0]) || 0;
-            const s = Number(parts[1]) || 0;
-            secs = m * 60 + s;
-            return secs;
-          }
-        }
-        // numeric string
-        const n = Number(d);
-        return Number.isFinite(n) ? n : null;
-      }
+function codecName(codec) {
+  const [prefix, objectType] = String(codec || "").trim().toLowerCase().split(".");
+  if (!prefix) return null;
+  // mp4a.40.x is AAC; mp4a.69 / mp4a.6B are MPEG audio layer 3.
+  if (prefix === "mp4a" && (objectType === "69" || objectType === "6b")) return "mp3";
+  return CODEC_NAMES[prefix] || prefix;
+}
 
-      const compact = {
-        format: {
-          format_name: format.format_name || null,
-          format_long_name: format.format_long_name || null,
-          duration: format.duration ? Number(format.duration) : null,
-          size: format.size ? Number(format.size) : null,
-          bit_rate: format.bit_rate ? Number(format.bit_rate) : null,
-        },
-        video: videoStream
-          ? {
-              codec: videoStream.codec_name || null,
-              profile: videoStream.profile || null,
-              width: videoStream.width || null,
-              height: videoStream.height || null,
-              pix_fmt: videoStream.pix_fmt || null,
-              r_frame_rate: videoStream.r_frame_rate || null,
-              avg_frame_rate: videoStream.avg_frame_rate || null,
-              level: videoStream.level || null,
-              // try stream.duration -> tags.DURATION (stream or format) -> format.duration
-              duration:
-                (videoStream.duration && Number(videoStream.duration)) ||
-                parseDurationString(videoStream.tags?.DURATION) ||
-                parseDurationString(format.tags?.DURATION) ||
-                (format.duration ? Number(format.duration) : null),
-            }
-          : null,
-        audio: audioStreams.map((a) => ({
-          codec: a.codec_name || null,
-          profile: a.profile || null,
-          sample_rate: a.sample_rate ? Number(a.sample_rate) : null,
-          channels: a.channels || null,
-          channel_layout: a.channel_layout || null,
-          language: a.tags?.language || null,
-          duration:
-            (a.duration && Number(a.duration)) ||
-            parseDurationString(a.tags?.DURATION) ||
-            parseDurationString(format.tags?.DURATION) ||
-            (format.duration ? Number(format.duration) : null),
+function splitCodecs(codecs) {
+  const names = String(codecs || "")
+    .split(",")
+    .map(codecName)
+    .filter(Boolean);
+  return {
+    video: names.find((name) => VIDEO_CODECS.has(name)) || null,
+    audio: names.find((name) => AUDIO_CODECS.has(name)) || null,
+  };
+}
+
+function dashTextCodec(rep) {
+  const mimeType = (rep.mimeType || "").toLowerCase();
+  if (mimeType === "text/vtt") return "webvtt";
+  if (mimeType === "application/ttml+xml") return "ttml";
+  return codecName((rep.codecs || "").split(",")[0]);
+}
+
+function videoFromVariant(variant, duration) {
+  const codec = splitCodecs(variant?.codecs).video;
+  if (!variant || (!codec && !variant.height)) return null;
+  return {
+    codec,
+    profile: null,
+    width: variant.width,
+    height: variant.height,
+    pix_fmt: null,
+    r_frame_rate: variant.frame_rate ? String(variant.frame_rate) : null,
+    avg_frame_rate: null,
+    level: null,
+    duration,
+  };
+}
+
+function audioFromRenditions(renditions, duration) {
+  const seen = new Set();
+  const audio = [];
+  for (const r of renditions) {
+    const id = `${r.codec}|${r.language}|${r.channels}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    audio.push({
+      codec: r.codec,
+      profile: null,
+      sample_rate: null,
+      channels: r.channels,
+      channel_layout: null,
+      language: r.language,
+      duration,
+    });
+  }
+  return audio;
+}
+
+// Merges the manifest description with the probe of one segment into the
+// compact `{ format, video, audio, subtitles }` shape plus `variants`. Segment
+// durations are meaningless, so stream durations come from the manifest.
+function buildManifestMetadata({ formatName, formatLongName, duration, variants, probe }) {
+  const selected = variants.find((v) => v.selected) || null;
+  const video = probe?.video
+    ? { ...probe.video, duration }
+    : videoFromVariant(selected, duration);
+  let audio = (probe?.audio || []).map((a) => ({ ...a, duration }));
+  if (!audio.length && selected) {
+    audio = audioFromRenditions(selected.audio, duration);
+    const muxed = splitCodecs(selected.codecs).audio;
+    if (!audio.length && muxed) audio = audioFromRenditions([{ codec: muxed, language: null, channels: null }], duration);
+  }
+  return {
+    format: {
+      format_name: formatName,
+      format_long_name: formatLongName,
+      duration,
+      size: null,
+      bit_rate: selected?.bandwidth ?? probe?.format.bit_rate ?? null,
+    },
+    video,
+    audio,
+    subtitles: [
+      ...(probe?.subtitles || []),
+      ...(selected?.subtitles || []).map((s) => ({ codec: s.codec, language: s.language, forced: s.forced })),
+    ],
+    probe_score: probe?.probe_score ?? null,
+    variants,
+  };
+}
+
+// Highest bandwidth first, so `variant=0` (the default) is the best rendition.
+function selectVariant(variants, variantIndex) {
+  variants.sort((a, b) => (b.bandwidth ?? 0) - (a.bandwidth ?? 0));
+  if (variants.length && variantIndex >= variants.length) {
+    throw new MetadataError(400, `variant must be below ${variants.length}`);
+  }
+  variants.forEach((v, i) => {
+    v.selected = i === variantIndex;
+  });
+  return variants[variantIndex] || null;
+}
+
+async function describeHls(manifestUrl, variantIndex, env) {
+  const manifest = await fetchManifest(manifestUrl);
+  let playlist = parseHlsPlaylist(manifest.text, manifest.url);
+  const variants = [];
+  if (playlist.kind === "master") {
+    const renditionsOf = (type, groupId) =>
+      playlist.renditions.filter((r) => r.type === type && groupId && r.groupId === groupId);
+    for (const v of playlist.variants) {
+      const audioCodec = splitCodecs(v.codecs).audio;
+      variants.push({
+        url: v.uri,
+        bandwidth: v.bandwidth,
+        average_bandwidth: v.averageBandwidth,
+        width: v.width,
+        height: v.height,
+        codecs: v.codecs,
+        frame_rate: v.frameRate,
+        audio_group: v.audioGroup,
+        subtitle_group: v.subtitleGroup,
+        audio: renditionsOf("AUDIO", v.audioGroup).map((r) => ({
+          name: r.name,
+          language: r.language,
+          codec: audioCodec,
+          channels: r.channels,
+          default: r.default,
         })),
-        subtitles: subtitleStreams.map((s) => ({
-          codec: s.codec_name || null,
-          language: s.tags?.language || s.tags?.LANGUAGE || null,
-          forced: !!s.disposition?.forced,
+        subtitles: renditionsOf("SUBTITLES", v.subtitleGroup).map((r) => ({
+          name: r.name,
+          language: r.language,
+          codec: "webvtt",
+          forced: r.forced,
+          default: r.default,
         })),
-        probe_score: raw.format?.probe_score ?? raw.probe_score ?? null,
-      };
+        selected: false,
+      });
+    }
+    const selected = selectVariant(variants, variantIndex);
+    if (!selected) throw new MetadataError(502, "master playlist has no variants");
+    const media = await fetchManifest(selected.url);
+    playlist = parseHlsPlaylist(media.text, media.url);
+    if (playlist.kind !== "media") throw new MetadataError(502, "variant is not a media playlist");
+  }
 
-      try {
-        await redis.set(cacheKey, compact, CACHE_TTL_SECONDS);
-        logger.info("redis <- cached (metadata)", { key: cacheKey, ttl: CACHE_TTL_SECONDS });
-      } catch (e) {
-        logger.warn("redis set failed", e?.message ?? e);
-      }
-      return jsonResponse(compact);
-    } catch (e) {
-      logger.warn("ffprobe failed", e?.message ?? e);
-      return errorResponse(500, "ffprobe failed");
-    } finally {
-      try {
-        await fs.promises.unlink(tmpPath);
-        await fs.promises.rmdir(tmpDir);
-      } catch (e) {
-        // ignore cleanup errors
-      }
+  // A live window's first segments may already be gone from the origin; take the newest.
+  const segment = playlist.live ? playlist.segments[playlist.segments.length - 1] : playlist.segments[0];
+  let probe = null;
+  if (segment && segment.key?.method === "AES-128") {
+    logger.info("hls segments are encrypted; describing from the manifest only", { url: manifestUrl });
+  } else if (segment) {
+    probe = await probeSegment(
+      { url: segment.uri, range: segment.byteRange },
+      segment.map ? { url: segment.map.uri, range: segment.map.byteRange } : null,
+      env
+    );
+  }
+  return {
+    live: playlist.live,
+    metadata: buildManifestMetadata({
+      formatName: "hls",
+      formatLongName: "Apple HTTP Live Streaming",
+      duration: playlist.duration,
+      variants,
+      probe,
+    }),
+  };
+}
+
+async function describeDash(manifestUrl, variantIndex, env) {
+  const { text, url } = await fetchManifest(manifestUrl);
+  const manifest = parseMpd(text, url);
+  const byType = (type) => manifest.representations.filter((r) => r.type === type);
+  const videoReps = byType("video");
+  const audioReps = byType("audio");
+  const audio = audioReps.map((r) => ({
+    name: r.id,
+    language: r.language,
+    codec: codecName(r.codecs),
+    channels: r.channels,
+    default: r.role === "main",
+  }));
+  const subtitles = byType("text").map((r) => ({
+    name: r.id,
+    language: r.language,
+    codec: dashTextCodec(r),
+    forced: r.role === "forced-subtitle",
+    default: r.role === "main",
+  }));
+  // Audio-only MPDs expose their audio representations as the variants.
+  const variantReps = videoReps.length ? videoReps : audioReps;
+  const variants = variantReps.map((r) => ({
+    // Only single-file representations have a URL of their own.
+    url: r.segmentTemplate || r.segmentList ? null : r.baseUrl,
+    bandwidth: r.bandwidth,
+    average_bandwidth: null,
+    width: r.width,
+    height: r.height,
+    codecs: r.codecs,
+    frame_rate: r.frameRate,
+    audio_group: null,
+    subtitle_group: null,
+    audio,
+    subtitles,
+    selected: false,
+    rep: r,
+  }));
+  const selected = selectVariant(variants, variantIndex);
+  let probe = null;
+  if (selected) {
+    const { initialization, media } = locateSegment(manifest, selected.rep);
+    if (media) probe = await probeSegment(media, initialization, env);
+  }
+  for (const v of variants) delete v.rep;
+  return {
+    live: manifest.live,
+    metadata: buildManifestMetadata({
+      formatName: "dash",
+      formatLongName: "MPEG-DASH",
+      duration: manifest.duration,
+      variants,
+      probe,
+    }),
+  };
+}
+
+/**
+ * Compact metadata of a remote file or HLS/DASH manifest, through the Redis
+ * cache `/v1/metadata` uses (live manifests for 5 minutes, everything else for
+ * `CACHE_TTL_SECONDS`).
+ *
+ * Progressive MP4/Matroska files are described from their headers, read with
+ * targeted HTTP range requests; `ffprobe` is only used when `FFPROBE_FALLBACK`
+ * is enabled, for files (and MPEG-TS segments) the native parsers cannot read.
+ * HLS (`.m3u8`) and DASH (`.mpd`) manifests, recognised by extension, content
+ * type or first bytes, are parsed for their variants (sorted by bandwidth,
+ * highest first); one segment of the selected variant is probed and the
+ * result carries a `variants` array.
+ *
+ * @param {string} fileUrl Media or manifest URL.
+ * @param {number} variantIndex Manifest variant to probe (0 is the highest bandwidth).
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Object>} Compact `{ format, video, audio, subtitles, probe_score }` metadata.
+ * @throws {Error} With a `status` (400 bad variant, 415 unsupported container,
+ *   502 upstream or parse failure).
+ */
+export async function getMediaMetadata(fileUrl, variantIndex, env) {
+  const params = new URLSearchParams({ url: fileUrl });
+  if (variantIndex) params.set("variant", String(variantIndex));
+  const cacheKey = buildCacheKeyFromUrl(`/v1/metadata?${params}`);
+  const redis = new RedisClient(env);
+  try {
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      logger.info("redis -> responded (metadata)", { key: cacheKey });
+      return cached;
     }
+  } catch (e) {
+    logger.warn("redis get failed", e?.message ?? e);
+  }
+
+  let manifestType = manifestTypeOf(fileUrl);
+  let compact = null;
+  let live = false;
+
+  // Live manifest origins often reject HEAD, so manifests skip it.
+  if (!manifestType) {
+    const headResp = await fetch(fileUrl, { method: "HEAD" });
+    if (!headResp.ok) {
+      throw new MetadataError(502, `upstream HEAD failed: ${headResp.status}`);
+    }
+    manifestType = manifestTypeOf(null, headResp.headers.get("content-type"));
+    if (!manifestType) {
+      ({ metadata: compact, manifestType } = await describeProgressive(fileUrl, headResp, env));
+    }
+  }
+  if (manifestType === "hls") {
+    ({ metadata: compact, live } = await describeHls(fileUrl, variantIndex, env));
+  } else if (manifestType === "dash") {
+    ({ metadata: compact, live } = await describeDash(fileUrl, variantIndex, env));
+  }
+
+  const ttl = live ? LIVE_METADATA_TTL_SECONDS : CACHE_TTL_SECONDS;
+  try {
+    await redis.set(cacheKey, compact, ttl);
+    logger.info("redis <- cached (metadata)", { key: cacheKey, ttl });
+  } catch (e) {
+    logger.warn("redis set failed", e?.message ?? e);
+  }
+  return compact;
+}
+
+/**
+ * Handle metadata extraction from a remote video: `GET /v1/metadata?url=`,
+ * with `?variant=` (default 0) selecting the manifest variant to probe. See
+ * `getMediaMetadata`.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} Compact `{ format, video, audio, subtitles }` metadata.
+ */
+export async function handleMetadata(request, env) {
+  const url = new URL(request.url);
+  logger.info("request received: /v1/metadata", { url: url.toString() });
+  const fileUrl = url.searchParams.get("url");
+  if (!fileUrl) return errorResponse(400, "url is required");
+  const variantIndex = Number(url.searchParams.get("variant") || 0);
+  if (!Number.isInteger(variantIndex) || variantIndex < 0) {
+    return errorResponse(400, "variant must be a non-negative integer");
+  }
+
+  try {
+    return jsonResponse(await getMediaMetadata(fileUrl, variantIndex, env));
   } catch (err) {
+    if (err instanceof MetadataError) {
+      return errorResponse(err.status, err.message);
+    }
     logger.error("metadata handler error", err?.message ?? err);
     return errorResponse(500, err?.message ?? String(err));
   }
@@ -0,0 +1,30 @@
+import { createHash, timingSafeEqual } from "crypto";
+import { renderMetrics } from "../lib/metrics.js";
+import { errorResponse } from "../lib/response.js";
+
+function digest(value) {
+  return createHash("sha256").update(String(value)).digest();
+}
+
+/**
+ * Prometheus scrape endpoint: `GET /metrics`.
+ *
+ * Open unless `METRICS_TOKEN` is set, in which case the scraper must send
+ * `Authorization: Bearer <METRICS_TOKEN>`.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings (`METRICS_TOKEN`).
+ * @returns {Promise<Response>} Text exposition format, or 401.
+ */
+export async function handleMetrics(request, env) {
+  if (env.METRICS_TOKEN) {
+    const match = (request.headers.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+    if (!match || !timingSafeEqual(digest(match[1].trim()), digest(env.METRICS_TOKEN))) {
+      return errorResponse(401, "unauthorized");
+    }
+  }
+  return new Response(renderMetrics(), {
+    status: 200,
+    headers: { "content-type": "text/plain; version=0.0.4; charset=utf-8" },
+  });
+}
@@ -1,12 +1,27 @@
-import { buildCacheKeyFromUrl } from "../lib/cache.js";
-import { CACHE_TTL_SECONDS } from "../lib/config.js";
+import { buildCacheKeyFromUrl, revalidateInBackground } from "../lib/cache.js";
+import { mapWithConcurrency } from "../lib/concurrency.js";
+import { CACHE_TTL_SECONDS, getSoftTtlSeconds } from "../lib/config.js";
 import { logger } from "../lib/logger.js";
+import { upsertMovie } from "../lib/movieRepository.js";
 import { RedisClient } from "../lib/redisClient.js";
 import { errorResponse, jsonResponse } from "../lib/response.js";
+import { coalesce } from "../lib/singleFlight.js";
+import { parseReleaseTitle, scoreCandidate } from "../lib/titleParser.js";
+import { tmdbFetch } from "../lib/tmdb.js";
 
-const TMDB_BASE_URL = "https://api.themoviedb.org/3";
 const CACHE_INTERVAL_SECONDS = 30 * 24 * 60 * 60;
 const MAX_CAST = 10;
+const MAX_BATCH_ITEMS = 500;
+const MOVIE_BATCH_CONCURRENCY = 5;
+const MAX_RUNNER_UP_CANDIDATES = 4;
+// What clients see of a failed lookup, by status. TMDB paths, upstream
+// statuses and network errors stay in the logs.
+const LOOKUP_ERROR_MESSAGES = {
+  404: "TMDB movie not found",
+  429: "TMDB rate limit exceeded",
+  502: "TMDB request failed",
+  504: "TMDB request timed out",
+};
 
 function normalizeLanguage(raw) {
   return raw ? raw.trim() : "";
@@ -23,22 +38,6 @@ function safeDecode(value) {
   }
 }
 
-function extractYear(title) {
-  const match = title.match(/(?<!\d)(19|20)\d{2}(?!\d)/);
-  return match ? Number(match[0]) : null;
-}
-
-function removeYear(title) {
-  return title
-    .replace(/(?<!\d)(19|20)\d{2}(?!\d)/g, "")
-    .replace(/\(\)/g, "")
-    .replace(/\[\]/g, "")
-    .replace(/\{\}/g, "")
-    .replace(/\s{2,}/g, " ")
-    .trim()
-    .replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, "");
-}
-
 function parseJsonArray(value) {
   if (!value) {
     return [];
@@ -68,26 +67,6 @@ function ensureArray(v) {
   return [v];
 }
 
-async function tmdbFetch(path, query, env) {
-  if (!env.TMDB_API_KEY) {
-    throw new Error("TMDB_API_KEY is missing");
-  }
-  const url = new URL(`${TMDB_BASE_URL}/${path}`);
-  url.searchParams.set("api_key", env.TMDB_API_KEY);
-  Object.entries(query || {}).forEach(([key, value]) => {
-    if (value !== undefined && value !== null && value !== "") {
-      url.searchParams.set(key, String(value));
-    }
-  });
-  const response = await fetch(url.toString());
-  if (!response.ok) {
-    const body = await response.text();
-    const message = `TMDB error ${response.status}: ${body}`;
-    throw new Error(message);
-  }
-  return response.json();
-}
-
 async function cacheMatch(request) {
   const cache = caches.default;
   return cache.match(request);
@@ -107,39 +86,46 @@ export async function handleSearch(request, env, ctx) {
   }
   const cacheKey = buildCacheKeyFromUrl(url);
   const redis = new RedisClient(env);
+  const language = normalizeLanguage(url.searchParams.get("language"));
+  const load = () => coalesce(env, cacheKey, async () => {
+    const result = await tmdbFetch(
+      "search/movie",
+      {
+        query,
+        include_adult: "false",
+        language: language || undefined,
+      },
+      env
+    );
+    logger.info("tmdb -> responded (search)", { query, language });
+    try {
+      const ttl = CACHE_TTL_SECONDS;
+      await redis.set(cacheKey, result, ttl, {
+        softTtlSeconds: getSoftTtlSeconds(env, "search"),
+      });
+      logger.info("redis <- cached (search)", { key: cacheKey, ttl });
+    } catch (e) {
+      logger.warn("redis set failed", e?.message ?? e);
+    }
+    return result;
+  });
+
   try {
-    const cached = await redis.get(cacheKey);
+    const cached = await redis.getEntry(cacheKey);
     if (cached) {
       logger.info("redis -> responded (search)", {
         key: cacheKey,
         url: url.toString(),
+        stale: cached.stale,
       });
-      return jsonResponse(cached);
+      if (cached.stale) revalidateInBackground(ctx, cacheKey, load);
+      return jsonResponse(cached.value);
     }
   } catch (e) {
     logger.warn("redis get failed", e?.message ?? e);
   }
 
-  const language = normalizeLanguage(url.searchParams.get("language"));
-  const data = await tmdbFetch(
-    "search/movie",
-    {
-      query,
-      include_adult: "false",
-      language: language || undefined,
-    },
-    env
-  );
-  logger.info("tmdb -> responded (search)", { query, language });
-  const response = jsonResponse(data);
-  try {
-    const ttl = CACHE_TTL_SECONDS;
-    await redis.set(cacheKey, data, ttl);
-    logger.info("redis <- cached (search)", { key: cacheKey, ttl });
-  } catch (e) {
-    logger.warn("redis set failed", e?.message ?? e);
-  }
-  return response;
+  return jsonResponse(await load());
 }
 
 function mapTmdbToMovie(details, credits) {
@@ -186,10 +172,29 @@ async function fetchMovieDetails(movieId, language, env) {
     tmdbFetch(`movie/${movieId}`, { language: language || undefined }, env),
     tmdbFetch(`movie/${movieId}/credits`, {}, env),
   ]);
-  return mapTmdbToMovie(details, credits);
+  const movie = mapTmdbToMovie(details, credits);
+  try {
+    await upsertMovie(env, movieId, language, movie);
+    logger.info("db <- stored (movie)", { movieId, language });
+  } catch (e) {
+    logger.warn("db write failed (movie)", { movieId, language, err: e?.message ?? e });
+  }
+  return movie;
+}
+
+// Status, public message and `retryAfter` of a lookup error. Works on errors
+// revived by single-flight waiters too, which keep only name, message,
+// status and retryAfter.
+function publicLookupError(err) {
+  const status = Number.isInteger(err?.status) ? err.status : 500;
+  return {
+    status,
+    error: LOOKUP_ERROR_MESSAGES[status] || "movie lookup failed",
+    retryAfter: err?.retryAfter ?? null,
+  };
 }
 
-export async function handleMovieLookup(request, env) {
+export async function handleMovieLookup(request, env, ctx) {
   const url = new URL(safeDecode(request.url));
   logger.info("request received: /v1/movie/lookup", { url: url.toString() });
   const channelId = url.searchParams.get("channelId");
@@ -200,55 +205,222 @@ export async function handleMovieLookup(request, env) {
   }
 
   const cacheKey = buildCacheKeyFromUrl(url);
-  const redis = new RedisClient(env);
+  let result;
   try {
-    const cached = await redis.get(cacheKey);
-    if (cached) {
-      logger.info("redis -> responded (movie lookup)", {
-        key: cacheKey,
-        url: url.toString(),
-      });
-      return jsonResponse(cached);
-    }
-  } catch (e) {
-    logger.warn("redis get failed", e?.message ?? e);
+    result = await lookupMovie(env, ctx, cacheKey, title, language);
+  } catch (err) {
+    const { status, error, retryAfter } = publicLookupError(err);
+    if (status >= 500) logger.error("movie lookup failed", { status, err });
+    else logger.warn("movie lookup failed", { status, err: err?.message ?? err });
+    const response = errorResponse(status, error);
+    if (retryAfter != null) response.headers.set("retry-after", String(Math.ceil(retryAfter)));
+    return response;
+  }
+  if (!result) {
+    return errorResponse(404, LOOKUP_ERROR_MESSAGES[404]);
   }
+  return jsonResponse(result.payload);
+}
 
-  const cleanTitle = title.trim();
-  const releaseYear = extractYear(cleanTitle);
-  const strippedTitle = removeYear(cleanTitle);
-
-  const search = await tmdbFetch(
-    "search/movie",
-    {
-      query: strippedTitle,
-      include_adult: "false",
-      language: language || undefined,
-      year: releaseYear || undefined,
-    },
-    env
-  );
+function rankMovieCandidates(parsed, results) {
+  return results
+    .filter((r) => r && typeof r.id === "number")
+    .map((r) => {
+      const year = r.release_date ? Number(String(r.release_date).slice(0, 4)) : null;
+      const candidate = {
+        id: r.id,
+        title: r.title,
+        originalTitle: r.original_title,
+        releaseDate: r.release_date || null,
+        posterPath: r.poster_path ?? null,
+        year: Number.isFinite(year) ? year : null,
+        popularity: r.popularity,
+      };
+      return { ...candidate, score: scoreCandidate(parsed, candidate) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Cache-miss half of `lookupMovie`: TMDB search, ranking, details and cache write.
+async function fetchLookupPayload(env, redis, cacheKey, title, language) {
+  const parsed = parseReleaseTitle(title);
+  const searchMovies = (year) =>
+    tmdbFetch(
+      "search/movie",
+      {
+        query: parsed.title,
+        include_adult: "false",
+        language: language || undefined,
+        year: year || undefined,
+      },
+      env
+    );
+
+  let search = await searchMovies(parsed.year);
+  if (parsed.year && !(search.results?.length > 0)) {
+    // Provider years are often off (festival vs. release) or part of the title.
+    search = await searchMovies(null);
+  }
   logger.info("tmdb -> search for lookup", {
-    strippedTitle,
-    releaseYear,
+    title: parsed.title,
+    year: parsed.year,
     language,
   });
-  const first = search.results?.[0];
-  if (!first) {
-    return errorResponse(404, "TMDB movie not found");
+  const ranked = rankMovieCandidates(parsed, search.results || []);
+  const best = ranked[0];
+  if (!best) {
+    return null;
   }
 
-  const moviePayload = await fetchMovieDetails(first.id, language, env);
+  const moviePayload = {
+    ...(await fetchMovieDetails(best.id, language, env)),
+    matchConfidence: Number(best.score.toFixed(3)),
+    candidates: ranked.slice(1, 1 + MAX_RUNNER_UP_CANDIDATES).map((c) => ({
+      id: c.id,
+      title: c.title,
+      originalTitle: c.originalTitle,
+      releaseDate: c.releaseDate,
+      posterPath: c.posterPath,
+      score: Number(c.score.toFixed(3)),
+    })),
+  };
 
   try {
     const ttl = CACHE_TTL_SECONDS;
-    await redis.set(cacheKey, moviePayload, ttl);
+    await redis.set(cacheKey, moviePayload, ttl, {
+      softTtlSeconds: getSoftTtlSeconds(env, "movieLookup"),
+    });
     logger.info("redis <- cached (movie lookup)", { key: cacheKey, ttl });
   } catch (e) {
     logger.warn("redis set failed", e?.message ?? e);
   }
 
-  return jsonResponse(moviePayload);
+  return moviePayload;
+}
+
+// Shared by single and batch lookups: Redis hit under `cacheKey` (stale hits
+// are refreshed in the background), otherwise TMDB search on the parsed release
+// title, candidates ranked by `scoreCandidate`, details of the best match cached
+// under the same key. Returns null when TMDB has no match.
+async function lookupMovie(env, ctx, cacheKey, title, language) {
+  const redis = new RedisClient(env);
+  // Concurrent misses for the same key (across replicas too) share one TMDB lookup.
+  const load = () =>
+    coalesce(env, cacheKey, () => fetchLookupPayload(env, redis, cacheKey, title, language));
+  try {
+    const cached = await redis.getEntry(cacheKey);
+    if (cached) {
+      logger.info("redis -> responded (movie lookup)", { key: cacheKey, stale: cached.stale });
+      if (cached.stale) revalidateInBackground(ctx, cacheKey, load);
+      return { payload: cached.value, cached: true };
+    }
+  } catch (e) {
+    logger.warn("redis get failed", e?.message ?? e);
+  }
+
+  const moviePayload = await load();
+  if (!moviePayload) {
+    return null;
+  }
+  return { payload: moviePayload, cached: false };
+}
+
+/**
+ * Cached `/v1/movie/lookup` payload, read without falling through to TMDB.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {URL} lookupUrl Lookup URL (`channelId`, `title`, `language`) whose
+ *   cache entry to read.
+ * @returns {Promise<Record<string, any>|null>} Payload (stale entries too), or
+ *   null when nothing is cached.
+ */
+export async function readCachedMovieLookup(env, lookupUrl) {
+  try {
+    const cached = await new RedisClient(env).getEntry(buildCacheKeyFromUrl(lookupUrl));
+    return cached ? cached.value : null;
+  } catch (e) {
+    logger.warn("redis get failed", e?.message ?? e);
+    return null;
+  }
+}
+
+/**
+ * Looks up many channel titles in one call (e.g. a whole VOD category).
+ *
+ * Body: `[{ channelId, title, language? }, ...]` or `{ items: [...] }`. Each item
+ * goes through the same pipeline and cache key as `/v1/movie/lookup`, with at
+ * most `MOVIE_BATCH_CONCURRENCY` TMDB lookups in flight. Results come back in
+ * input order; a failing item yields `{ ok: false, status, error }` instead of
+ * failing the batch, with the same public message `/v1/movie/lookup` answers
+ * that status with.
+ *
+ * @param {Request} request Incoming POST request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {{ waitUntil: (promise: Promise<any>) => void }} ctx Background-task context
+ *   (stale cache entries are refreshed through it).
+ * @returns {Promise<Response>} JSON `{ results }`.
+ */
+export async function handleMovieLookupBatch(request, env, ctx) {
+  if (request.method !== "POST") {
+    return errorResponse(405, "method not allowed");
+  }
+  const url = new URL(request.url);
+  logger.info("request received: /v1/movie/lookup/batch", { url: url.toString() });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return errorResponse(400, "invalid JSON body");
+  }
+  const items = Array.isArray(body) ? body : body?.items;
+  if (!Array.isArray(items) || items.length === 0) {
+    return errorResponse(400, "items array is required");
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return errorResponse(413, `at most ${MAX_BATCH_ITEMS} items per batch`);
+  }
+
+  const results = await mapWithConcurrency(
+    items,
+    MOVIE_BATCH_CONCURRENCY,
+    async (item, index) => {
+      // Checked per item: one malformed item must not fail the batch.
+      const rawChannelId = item?.channelId;
+      const channelId =
+        typeof rawChannelId === "string" || typeof rawChannelId === "number" ? String(rawChannelId).trim() : "";
+      const title = typeof item?.title === "string" ? safeDecode(item.title) : "";
+      const base = { index, channelId, title };
+      if (!channelId || !title) {
+        return { ...base, ok: false, status: 400, error: "channelId and title are required" };
+      }
+      if (item.language != null && typeof item.language !== "string") {
+        return { ...base, ok: false, status: 400, error: "language must be a string" };
+      }
+      const language = normalizeLanguage(item.language);
+
+      // Same key `/v1/movie/lookup?channelId=&title=&language=` would produce.
+      const lookupUrl = new URL("/v1/movie/lookup", url.origin);
+      lookupUrl.searchParams.set("channelId", channelId);
+      lookupUrl.searchParams.set("title", title);
+      if (item.language != null) lookupUrl.searchParams.set("language", item.language);
+      const cacheKey = buildCacheKeyFromUrl(lookupUrl);
+
+      try {
+        const result = await lookupMovie(env, ctx, cacheKey, title, language);
+        if (!result) {
+          return { ...base, ok: false, status: 404, error: LOOKUP_ERROR_MESSAGES[404] };
+        }
+        return { ...base, ok: true, cached: result.cached, data: result.payload };
+      } catch (err) {
+        logger.warn("batch movie lookup failed", { index, title, err: err?.message ?? err });
+        const { status, error } = publicLookupError(err);
+        return { ...base, ok: false, status, error };
+      }
+    }
+  );
+
+  return jsonResponse({ results });
 }
 
 export async function handleMovieById(request, env, ctx) {
@@ -263,28 +435,34 @@ export async function handleMovieById(request, env, ctx) {
 
   const cacheKey = buildCacheKeyFromUrl(url);
   const redis = new RedisClient(env);
+  const load = () => coalesce(env, cacheKey, async () => {
+    const payload = await fetchMovieDetails(movieId, language, env);
+    try {
+      const ttl = CACHE_TTL_SECONDS;
+      await redis.set(cacheKey, payload, ttl, {
+        softTtlSeconds: getSoftTtlSeconds(env, "movie"),
+      });
+      logger.info("redis <- cached (movie)", { key: cacheKey, ttl });
+    } catch (e) {
+      logger.warn("redis set failed", e?.message ?? e);
+    }
+    return payload;
+  });
+
   try {
-    const cached = await redis.get(cacheKey);
+    const cached = await redis.getEntry(cacheKey);
     if (cached) {
       logger.info("redis -> responded (movie)", {
         key: cacheKey,
         url: url.toString(),
+        stale: cached.stale,
       });
-      return jsonResponse(cached);
+      if (cached.stale) revalidateInBackground(ctx, cacheKey, load);
+      return jsonResponse(cached.value);
     }
   } catch (e) {
     logger.warn("redis get failed", e?.message ?? e);
   }
 
-  const moviePayload = await fetchMovieDetails(movieId, language, env);
-
-  const response = jsonResponse(moviePayload);
-  try {
-    const ttl = CACHE_TTL_SECONDS;
-    await redis.set(cacheKey, moviePayload, ttl);
-    logger.info("redis <- cached (movie)", { key: cacheKey, ttl });
-  } catch (e) {
-    logger.warn("redis set failed", e?.message ?? e);
-  }
-  return response;
+  return jsonResponse(await load());
 }
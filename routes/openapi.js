@@ -0,0 +1,15 @@
+import { getOpenApiDocument } from "../lib/openapi.js";
+import { jsonResponse } from "../lib/response.js";
+
+/**
+ * OpenAPI 3 document of this API: `GET /v1/openapi.json`.
+ *
+ * Public, like `/v1/health`, so client generators can fetch it without a key.
+ *
+ * @param {Request} request Incoming request.
+ * @returns {Promise<Response>} JSON document; `servers` points at the requesting origin.
+ */
+export async function handleOpenApi(request) {
+  const { origin } = new URL(request.url);
+  return jsonResponse({ ...getOpenApiDocument(), servers: [{ url: origin }] });
+}
@@ -0,0 +1,54 @@
+import { logger } from "../lib/logger.js";
+import { DEVICE_PROFILE_IDS, planPlayback } from "../lib/playbackPlan.js";
+import { errorResponse, jsonResponse } from "../lib/response.js";
+import { getMediaMetadata } from "./metadata.js";
+
+/**
+ * Playback plan for a device: `GET /v1/playback-plan?url=&profile=`.
+ *
+ * Probes the file or manifest like `/v1/metadata` (same cache, same
+ * `?variant=`) and compares its streams with the device profile (`tizen`,
+ * `webos`, `androidtv`, `browser`). Optional `audioLanguage` and
+ * `subtitleLanguage` (ISO 639-1 or 639-2) steer the track choice; `maxBitrate`
+ * (bits/s) caps the source bitrate.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} `{ profile, decision, container, video, audio,
+ *   subtitle, reasons }` where `decision` is `direct_play`, `remux` or `transcode`.
+ */
+export async function handlePlaybackPlan(request, env) {
+  const url = new URL(request.url);
+  logger.info("request received: /v1/playback-plan", { url: url.toString() });
+  const fileUrl = url.searchParams.get("url");
+  if (!fileUrl) return errorResponse(400, "url is required");
+  const profileId = url.searchParams.get("profile");
+  if (!DEVICE_PROFILE_IDS.includes(profileId)) {
+    return errorResponse(400, `profile must be one of ${DEVICE_PROFILE_IDS.join(", ")}`);
+  }
+  const variantIndex = Number(url.searchParams.get("variant") || 0);
+  if (!Number.isInteger(variantIndex) || variantIndex < 0) {
+    return errorResponse(400, "variant must be a non-negative integer");
+  }
+  const maxBitrate = url.searchParams.has("maxBitrate") ? Number(url.searchParams.get("maxBitrate")) : null;
+  if (maxBitrate !== null && !(maxBitrate > 0)) {
+    return errorResponse(400, "maxBitrate must be a positive number");
+  }
+
+  let metadata;
+  try {
+    metadata = await getMediaMetadata(fileUrl, variantIndex, env);
+  } catch (err) {
+    if (err?.status) return errorResponse(err.status, err.message);
+    logger.error("playback plan probe error", err?.message ?? err);
+    return errorResponse(500, err?.message ?? String(err));
+  }
+
+  return jsonResponse(
+    planPlayback(metadata, profileId, {
+      audioLanguage: url.searchParams.get("audioLanguage"),
+      subtitleLanguage: url.searchParams.get("subtitleLanguage"),
+      maxBitrate,
+    })
+  );
+}
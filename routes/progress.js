@@ -0,0 +1,339 @@
+import { getChannel } from "../lib/channels.js";
+import { logger } from "../lib/logger.js";
+import { getMovie } from "../lib/movieRepository.js";
+import {
+  deleteProgress,
+  listProgress,
+  PROGRESS_ITEM_TYPES,
+  progressItemKey,
+  updateProgress,
+} from "../lib/progressRepository.js";
+import { errorResponse, jsonResponse } from "../lib/response.js";
+import { getEpisode, getSeasonEpisodes, getSeasons, getSeries } from "../lib/seriesRepository.js";
+import { buildEpisodePayload, recordToSeries } from "./series.js";
+
+const RESUME_KEY_HEADER = "x-resume-key";
+// Opaque per-profile id chosen by the client (e.g. a UUID); long enough not to
+// be guessed, since it is the only thing separating profiles.
+const RESUME_KEY_PATTERN = /^[\w.:@-]{8,128}$/;
+// Credits usually start in the last few percent.
+const COMPLETION_RATIO = 0.95;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function normalizeLanguage(raw) {
+  return raw ? String(raw).trim() : "";
+}
+
+function resumeKeyOf(request) {
+  const value = (request.headers.get(RESUME_KEY_HEADER) || "").trim();
+  return RESUME_KEY_PATTERN.test(value) ? value : null;
+}
+
+function missingResumeKey() {
+  return errorResponse(400, `${RESUME_KEY_HEADER} header is required (8-128 characters of [A-Za-z0-9_.:@-])`);
+}
+
+function idParam(value) {
+  if (value === null || value === undefined || value === "") return undefined;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+// Item reference from `movieId`, `seriesId` + `season` + `episode` or
+// `channelId`. With `partial`, a series (and season) without an episode is
+// accepted as a filter.
+function parseItem(param, { partial = false } = {}) {
+  const movieId = idParam(param("movieId"));
+  const seriesId = idParam(param("seriesId"));
+  const season = idParam(param("season"));
+  const episode = idParam(param("episode"));
+  const channelId = param("channelId");
+  const kinds = [movieId !== undefined, seriesId !== undefined, Boolean(channelId)].filter(Boolean).length;
+  if (kinds > 1) return { error: "give only one of movieId, seriesId or channelId" };
+  if ([movieId, seriesId, season, episode].includes(null)) {
+    return { error: "movieId, seriesId, season and episode must be non-negative integers" };
+  }
+  if (seriesId === undefined && (season !== undefined || episode !== undefined)) {
+    return { error: "season and episode require seriesId" };
+  }
+  if (movieId !== undefined) return { item: { type: "movie", movie_id: movieId } };
+  if (channelId) {
+    if (typeof channelId !== "string") return { error: "channelId must be a string" };
+    return { item: { type: "channel", channel_id: channelId } };
+  }
+  if (seriesId !== undefined) {
+    if (!partial && (season === undefined || episode === undefined)) {
+      return { error: "season and episode are required with seriesId" };
+    }
+    if (episode !== undefined && season === undefined) return { error: "episode requires season" };
+    return { item: { type: "episode", series_id: seriesId, season_number: season, episode_number: episode } };
+  }
+  return partial ? { item: null } : { error: "movieId, seriesId or channelId is required" };
+}
+
+function matchesFilter(record, filter) {
+  if (!filter) return true;
+  if (record.type !== filter.type) return false;
+  if (filter.type === "movie") return record.movie_id === filter.movie_id;
+  if (filter.type === "channel") return record.channel_id === filter.channel_id;
+  return (
+    record.series_id === filter.series_id &&
+    (filter.season_number === undefined || record.season_number === filter.season_number) &&
+    (filter.episode_number === undefined || record.episode_number === filter.episode_number)
+  );
+}
+
+function publicRecord(record) {
+  const duration = record.duration ?? null;
+  return {
+    key: progressItemKey(record),
+    type: record.type,
+    movie_id: record.movie_id ?? null,
+    series_id: record.series_id ?? null,
+    season_number: record.season_number ?? null,
+    episode_number: record.episode_number ?? null,
+    channel_id: record.channel_id ?? null,
+    position: record.position ?? 0,
+    duration,
+    progress: duration ? Math.min(1, Math.round(((record.position ?? 0) / duration) * 1000) / 1000) : null,
+    completed: Boolean(record.completed),
+    next_up: Boolean(record.next_up),
+    updated_at: record.updated_at,
+  };
+}
+
+async function readOrNull(label, meta, read) {
+  try {
+    return await read();
+  } catch (e) {
+    logger.warn(`db read failed (${label})`, { ...meta, err: e?.message ?? e });
+    return null;
+  }
+}
+
+// The episode after `season`/`episode` from the series repository: a later
+// stored episode of the same season, else one within the season's episode
+// count, else episode 1 of the next season that has aired. Null when the
+// series is not stored or this was its last aired episode.
+async function findNextEpisode(env, seriesId, season, episode, language) {
+  const meta = { seriesId, season, episode, language };
+  const episodes = (await readOrNull("progress next episode", meta, () =>
+    getSeasonEpisodes(env, seriesId, season, language)
+  )) || [];
+  const later = episodes.find((item) => item.episode_number > episode);
+  if (later) return { season, episode: later.episode_number };
+
+  const seasons = (await readOrNull("progress next season", meta, () => getSeasons(env, seriesId, language))) || [];
+  const current = seasons.find((item) => item.season_number === season);
+  if (current && current.episode_count > episode) return { season, episode: episode + 1 };
+  const today = new Date().toISOString().slice(0, 10);
+  const following = seasons.find(
+    (item) => item.season_number > season && item.episode_count > 0 && (!item.air_date || item.air_date <= today)
+  );
+  return following ? { season: following.season_number, episode: 1 } : null;
+}
+
+/**
+ * Reports playback progress: `POST /v1/progress` with JSON `{ movieId }`,
+ * `{ seriesId, season, episode }` or `{ channelId }` plus `position` and
+ * `duration` (seconds) and optionally `completed` (or the same as query
+ * parameters). The profile is the `x-resume-key` header. An item counts as
+ * completed at 95% of `duration` or when `completed` is true; a completed
+ * episode queues the next one (`next_up`) from the stored season data in
+ * `language`.
+ *
+ * @param {Request} request Incoming POST request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} `{ item, next }` where `next` is the queued
+ *   next episode or null.
+ */
+export async function handleProgressUpdate(request, env) {
+  if (request.method !== "POST") {
+    return errorResponse(405, "method not allowed");
+  }
+  const url = new URL(request.url);
+  logger.info("request received: /v1/progress", { url: url.toString() });
+  const resumeKey = resumeKeyOf(request);
+  if (!resumeKey) return missingResumeKey();
+
+  let body = {};
+  if ((request.headers.get("content-type") || "").toLowerCase().startsWith("application/json")) {
+    try {
+      body = (await request.json()) || {};
+    } catch (e) {
+      return errorResponse(400, "invalid request body");
+    }
+  }
+  const param = (name) => body[name] ?? url.searchParams.get(name);
+  const { item, error } = parseItem(param);
+  if (error) return errorResponse(400, error);
+  const position = Number(param("position") ?? 0);
+  if (!Number.isFinite(position) || position < 0) {
+    return errorResponse(400, "position must be a non-negative number of seconds");
+  }
+  const rawDuration = param("duration");
+  const duration = rawDuration === null || rawDuration === undefined || rawDuration === "" ? null : Number(rawDuration);
+  if (duration !== null && !(duration > 0)) return errorResponse(400, "duration must be a positive number of seconds");
+  const completedParam = param("completed");
+  const completed =
+    completedParam === true ||
+    completedParam === "true" ||
+    (item.type !== "channel" && duration !== null && position >= duration * COMPLETION_RATIO);
+
+  const now = Math.floor(Date.now() / 1000);
+  const record = { ...item, position, duration, completed, updated_at: now };
+  let next = null;
+  try {
+    let following = null;
+    if (completed && item.type === "episode") {
+      const language = normalizeLanguage(param("language"));
+      const found = await findNextEpisode(env, item.series_id, item.season_number, item.episode_number, language);
+      if (found) {
+        following = {
+          type: "episode",
+          series_id: item.series_id,
+          season_number: found.season,
+          episode_number: found.episode,
+        };
+      }
+    }
+    // The queued record depends on the stored one, so both are decided and
+    // written in the same transaction.
+    [, next = null] = await updateProgress(env, resumeKey, (stored) => {
+      if (!following) return [record];
+      const existing = stored.find((entry) => entry.key === progressItemKey(following));
+      // A started or already watched next episode keeps its position and
+      // completion; only an unseen one is queued from the start.
+      let queued;
+      if (!existing) {
+        queued = { ...following, position: 0, duration: null, completed: false, next_up: true, updated_at: now };
+      } else if (existing.completed) {
+        queued = { ...existing, next_up: true, updated_at: now };
+      } else {
+        queued = { ...existing, updated_at: now };
+      }
+      return [record, queued];
+    });
+  } catch (err) {
+    logger.error("progress update failed", err?.message ?? err);
+    return errorResponse(500, "progress update failed");
+  }
+  return jsonResponse({ item: publicRecord(record), next: next ? publicRecord(next) : null });
+}
+
+/**
+ * Stored progress of the `x-resume-key` profile: `GET /v1/progress`,
+ * optionally filtered by `movieId`, `seriesId` (+ `season` [+ `episode`]) or
+ * `channelId`. `DELETE` with the same filters (one is required) forgets the
+ * matching items.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} `{ items }` newest first (GET) or `{ deleted }` (DELETE).
+ */
+export async function handleProgress(request, env) {
+  const url = new URL(request.url);
+  logger.info("request received: /v1/progress", { url: url.toString() });
+  const resumeKey = resumeKeyOf(request);
+  if (!resumeKey) return missingResumeKey();
+  const { item: filter, error } = parseItem((name) => url.searchParams.get(name), { partial: true });
+  if (error) return errorResponse(400, error);
+  if (request.method === "DELETE" && !filter) {
+    return errorResponse(400, "movieId, seriesId or channelId is required");
+  }
+
+  try {
+    const matching = (await listProgress(env, resumeKey)).filter((record) => matchesFilter(record, filter));
+    if (request.method === "DELETE") {
+      const deleted = await deleteProgress(env, resumeKey, matching.map((record) => record.key));
+      return jsonResponse({ deleted });
+    }
+    return jsonResponse({ items: matching.map(publicRecord) });
+  } catch (err) {
+    logger.error("progress lookup failed", err?.message ?? err);
+    return errorResponse(500, "progress lookup failed");
+  }
+}
+
+async function enrich(env, record, language) {
+  const out = { ...publicRecord(record), movie: null, series: null, episode: null, channel: null };
+  const meta = { key: out.key, language };
+  if (record.type === "movie") {
+    const movie = await readOrNull("progress movie", meta, () => getMovie(env, record.movie_id, language));
+    out.movie = movie ? { detail: movie.detail, credits: movie.credits } : null;
+  } else if (record.type === "episode") {
+    const [series, seasons, episode] = await Promise.all([
+      readOrNull("progress series", meta, () => getSeries(env, record.series_id, language)),
+      readOrNull("progress seasons", meta, () => getSeasons(env, record.series_id, language)),
+      readOrNull("progress episode", meta, () =>
+        getEpisode(env, record.series_id, record.season_number, record.episode_number, language)
+      ),
+    ]);
+    out.series = recordToSeries(series, seasons || []);
+    out.episode = episode ? buildEpisodePayload(record.series_id, episode) : null;
+  } else {
+    out.channel = (await readOrNull("progress channel", meta, () => getChannel(env, record.channel_id))) ?? null;
+  }
+  return out;
+}
+
+/**
+ * Continue-watching row of the `x-resume-key` profile:
+ * `GET /v1/continue-watching?language=&limit=&type=`. Started, unfinished
+ * movies and channels, and per series only its latest episode: the one in
+ * progress, or the next one queued after a finished episode. Series whose
+ * latest episode is finished without a successor drop out. Items carry the
+ * stored movie (`/movies/id/{id}`), series and episode payloads in `language`
+ * (null when not stored) and the channel.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} `{ items }` newest first.
+ */
+export async function handleContinueWatching(request, env) {
+  const url = new URL(request.url);
+  logger.info("request received: /v1/continue-watching", { url: url.toString() });
+  const resumeKey = resumeKeyOf(request);
+  if (!resumeKey) return missingResumeKey();
+  const language = normalizeLanguage(url.searchParams.get("language"));
+  const rawLimit = url.searchParams.get("limit");
+  const limit = rawLimit ? Number(rawLimit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return errorResponse(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  const type = url.searchParams.get("type");
+  if (type && !PROGRESS_ITEM_TYPES.includes(type)) {
+    return errorResponse(400, `type must be one of ${PROGRESS_ITEM_TYPES.join(", ")}`);
+  }
+
+  let records;
+  try {
+    records = await listProgress(env, resumeKey);
+  } catch (err) {
+    logger.error("continue watching failed", err?.message ?? err);
+    return errorResponse(500, "continue watching failed");
+  }
+  // Same-second updates (a finished episode and its queued successor) go to
+  // the later episode.
+  records.sort(
+    (a, b) =>
+      b.updated_at - a.updated_at ||
+      (b.season_number ?? 0) - (a.season_number ?? 0) ||
+      (b.episode_number ?? 0) - (a.episode_number ?? 0)
+  );
+  const seenSeries = new Set();
+  const items = [];
+  for (const record of records) {
+    if (record.type === "episode") {
+      if (seenSeries.has(record.series_id)) continue;
+      seenSeries.add(record.series_id);
+    }
+    // A finished episode queued again after its predecessor is a rewatch.
+    if ((record.completed && !record.next_up) || (type && record.type !== type)) continue;
+    if (record.type !== "channel" && !(record.position > 0) && !record.next_up) continue;
+    items.push(record);
+    if (items.length >= limit) break;
+  }
+  return jsonResponse({ items: await Promise.all(items.map((record) => enrich(env, record, language))) });
+}
@@ -1,44 +1,56 @@
-import { buildCacheKeyFromUrl, cacheGet, cacheSet } from "../lib/cache.js";
+import {
+  buildCacheKeyFromUrl,
+  cacheGetEntry,
+  cacheSet,
+  revalidateInBackground,
+} from "../lib/cache.js";
+import { getSoftTtlSeconds } from "../lib/config.js";
 import { logger } from "../lib/logger.js";
 import { errorResponse, jsonResponse } from "../lib/response.js";
+import {
+  getEpisode,
+  getSeasonEpisodes,
+  getSeasons,
+  getSeries,
+  upsertEpisodes,
+  upsertSeries,
+} from "../lib/seriesRepository.js";
+import { coalesce } from "../lib/singleFlight.js";
+import { parseEpisodeTitle, scoreCandidate } from "../lib/titleParser.js";
+import { tmdbFetch } from "../lib/tmdb.js";
 
-const TMDB_BASE_URL = "https://api.themoviedb.org/3";
 const CACHE_INTERVAL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_RUNNER_UP_CANDIDATES = 4;
 
 function normalizeLanguage(raw) {
   return raw ? raw.trim() : "";
 }
 
-function parseJsonArray(value) {
-  if (!value) {
-    return [];
-  }
-  try {
-    const parsed = JSON.parse(value);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch {
-    return [];
-  }
-}
-
-function rowToSeries(row, seasons) {
-  if (!row) {
+/**
+ * Series payload (as served by `/v1/series/{id}`) from a repository record.
+ *
+ * @param {Record<string, any>|null} record Record from `getSeries`.
+ * @param {Array<Record<string, any>>} seasons Season summaries from `getSeasons`.
+ * @returns {Record<string, any>|null} Payload, or null without a record.
+ */
+export function recordToSeries(record, seasons) {
+  if (!record) {
     return null;
   }
   return {
-    id: row.tmdb_id,
-    genre_ids: parseJsonArray(row.genre_ids),
-    original_language: row.original_language,
-    overview: row.overview,
-    original_name: row.original_name,
-    created_by: parseJsonArray(row.created_by),
-    number_of_episodes: row.number_of_episodes ?? 0,
-    number_of_seasons: row.number_of_seasons ?? 0,
-    posterPath: row.poster_path,
-    first_air_date: row.first_air_date,
-    name: row.name,
-    vote_average: row.vote_average ?? 0,
-    vote_count: row.vote_count ?? 0,
+    id: record.id,
+    genre_ids: Array.isArray(record.genre_ids) ? record.genre_ids : [],
+    original_language: record.original_language,
+    overview: record.overview,
+    original_name: record.original_name,
+    created_by: Array.isArray(record.created_by) ? record.created_by : [],
+    number_of_episodes: record.number_of_episodes ?? 0,
+    number_of_seasons: record.number_of_seasons ?? 0,
+    posterPath: record.posterPath,
+    first_air_date: record.first_air_date,
+    name: record.name,
+    vote_average: record.vote_average ?? 0,
+    vote_count: record.vote_count ?? 0,
     seasons: Array.isArray(seasons) ? seasons : [],
   };
 }
@@ -86,185 +98,61 @@ function extractGenreIdsFromDetails(details) {
     .filter((genreId) => genreId !== null);
 }
 
-function shouldRefresh(row) {
-  if (!row) {
+function shouldRefresh(record) {
+  if (!record || !record.updated_at) {
     return true;
   }
-  const ageSeconds = Math.floor(Date.now() / 1000) - row.updated_at;
+  const ageSeconds = Math.floor(Date.now() / 1000) - record.updated_at;
   return ageSeconds > CACHE_INTERVAL_SECONDS;
 }
 
-function isExtendedDataMissing(row) {
-  const createdBy = parseJsonArray(row.created_by);
-  const episodes = row.number_of_episodes;
-  const seasonsCount = row.number_of_seasons;
+function isExtendedDataMissing(record) {
+  const createdBy = Array.isArray(record.created_by) ? record.created_by : [];
+  const episodes = record.number_of_episodes;
+  const seasonsCount = record.number_of_seasons;
   const looksLikeSearchOnly =
     createdBy.length === 0 &&
     (episodes === 0 || episodes === null) &&
     (seasonsCount === 0 || seasonsCount === null);
   return (
-    row.created_by === undefined ||
-    row.created_by === null ||
-    row.seasons === undefined ||
-    row.seasons === null ||
-    row.number_of_episodes === undefined ||
-    row.number_of_episodes === null ||
-    row.number_of_seasons === undefined ||
-    row.number_of_seasons === null ||
+    record.created_by === undefined ||
+    record.created_by === null ||
+    record.number_of_episodes === undefined ||
+    record.number_of_episodes === null ||
+    record.number_of_seasons === undefined ||
+    record.number_of_seasons === null ||
     looksLikeSearchOnly
   );
 }
 
-async function tmdbFetch(path, query, env) {
-  if (!env.TMDB_API_KEY) {
-    throw new Error("TMDB_API_KEY is missing");
-  }
-  const url = new URL(`${TMDB_BASE_URL}/${path}`);
-  url.searchParams.set("api_key", env.TMDB_API_KEY);
-  Object.entries(query || {}).forEach(([key, value]) => {
-    if (value !== undefined && value !== null && value !== "") {
-      url.searchParams.set(key, String(value));
-    }
-  });
-  const response = await fetch(url.toString());
-  if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`TMDB error ${response.status}: ${body}`);
-  }
-  return response.json();
-}
-
-async function upsertSeasons(env, seriesId, language, seasons) {
-  const now = Math.floor(Date.now() / 1000);
-  if (!Array.isArray(seasons)) {
-    return;
-  }
-  for (const season of seasons) {
-    if (!season || typeof season.id !== "number") {
-      continue;
-    }
+// Repository reads degrade to "not stored" so a Redis hiccup falls through to
+// the route cache and TMDB; writes are logged and never fail the request.
+async function readRepository(label, meta, fallback, read) {
+  try {
+    return await read();
+  } catch (e) {
+    logger.warn(`db read failed (${label})`, { ...meta, err: e?.message ?? e });
+    return fallback;
   }
 }
 
-async function getSeasonCacheMeta(env, seriesId, seasonNumber, language) {
-  const row = await env.DB.prepare(
-    `SELECT COUNT(1) as count, MAX(updated_at) as updated_at
-     FROM series_episodes
-     WHERE series_id = ? AND language = ? AND season_number = ?`
-  )
-    .bind(seriesId, language, seasonNumber)
-    .first();
-  return row || { count: 0, updated_at: null };
-}
-
-async function readSeasonEpisodes(env, seriesId, seasonNumber, language) {
-  const episodesResult = await env.DB.prepare(
-    `SELECT episode_id as id, episode_number, name, overview, still_path, air_date,
-            vote_average, vote_count
-     FROM series_episodes
-     WHERE series_id = ? AND language = ? AND season_number = ?
-     ORDER BY episode_number ASC`
-  )
-    .bind(seriesId, language, seasonNumber)
-    .all();
-  const episodes = episodesResult.results || [];
-
-  const guestResult = await env.DB.prepare(
-    `SELECT episode_id, episode_number, guest_id as id, name, original_name, character, profile_path, order_index
-     FROM episode_guest_stars
-     WHERE series_id = ? AND language = ? AND season_number = ?
-     ORDER BY order_index ASC`
-  )
-    .bind(seriesId, language, seasonNumber)
-    .all();
-  const guests = guestResult.results || [];
-
-  const byEpisode = new Map();
-  for (const guest of guests) {
-    const key = guest.episode_id;
-    const list = byEpisode.get(key) || [];
-    list.push({
-      series_id: seriesId,
-      id: guest.id,
-      name: guest.name,
-      original_name: guest.original_name,
-      character: guest.character,
-      profile_path: guest.profile_path,
-      order: guest.order_index,
-    });
-    byEpisode.set(key, list);
-  }
-
-  return episodes.map((episode) => ({
-    series_id: seriesId,
-    id: episode.id,
-    episode_id: episode.id,
-    episode_number: episode.episode_number,
-    name: episode.name,
-    overview: episode.overview,
-    still_path: episode.still_path,
-    air_date: episode.air_date,
-    vote_average: episode.vote_average ?? 0,
-    vote_count: episode.vote_count ?? 0,
-    guest_stars: byEpisode.get(episode.id) || [],
-  }));
-}
-
-async function readEpisode(
-  env,
-  seriesId,
-  seasonNumber,
-  episodeNumber,
-  language
-) {
-  const episodeRow = await env.DB.prepare(
-    `SELECT episode_id as id, episode_number, name, overview, still_path, air_date,
-            vote_average, vote_count, updated_at
-     FROM series_episodes
-     WHERE series_id = ? AND language = ? AND season_number = ? AND episode_number = ?
-     LIMIT 1`
-  )
-    .bind(seriesId, language, seasonNumber, episodeNumber)
-    .first();
-  if (!episodeRow) {
-    return null;
+async function writeRepository(label, meta, write) {
+  try {
+    await write();
+    logger.info(`db <- stored (${label})`, meta);
+  } catch (e) {
+    logger.warn(`db write failed (${label})`, { ...meta, err: e?.message ?? e });
   }
-
-  const guestResult = await env.DB.prepare(
-    `SELECT guest_id as id, name, original_name, character, profile_path, order_index
-     FROM episode_guest_stars
-     WHERE series_id = ? AND language = ? AND season_number = ? AND episode_number = ?
-     ORDER BY order_index ASC`
-  )
-    .bind(seriesId, language, seasonNumber, episodeRow.episode_number)
-    .all();
-  const guests = (guestResult.results || []).map((guest) => ({
-    series_id: seriesId,
-    id: guest.id,
-    name: guest.name,
-    original_name: guest.original_name,
-    character: guest.character,
-    profile_path: guest.profile_path,
-    order: guest.order_index,
-  }));
-
-  return {
-    series_id: seriesId,
-    id: episodeRow.id,
-    episode_id: episodeRow.id,
-    episode_number: episodeRow.episode_number,
-    name: episodeRow.name,
-    overview: episodeRow.overview,
-    still_path: episodeRow.still_path,
-    air_date: episodeRow.air_date,
-    vote_average: episodeRow.vote_average ?? 0,
-    vote_count: episodeRow.vote_count ?? 0,
-    guest_stars: guests,
-    updated_at: episodeRow.updated_at,
-  };
 }
 
-function buildEpisodePayload(seriesId, episode) {
+/**
+ * Episode payload (as served by `/v1/series/{id}/season/{s}/episode/{e}`).
+ *
+ * @param {number} seriesId TMDB series id.
+ * @param {Record<string, any>} episode TMDB episode or repository record.
+ * @returns {Record<string, any>} Payload with `guest_stars`.
+ */
+export function buildEpisodePayload(seriesId, episode) {
   return {
     series_id: seriesId,
     id: episode.id,
@@ -290,122 +178,56 @@ function buildEpisodePayload(seriesId, episode) {
   };
 }
 
-async function upsertSeasonEpisodes(
-  env,
-  seriesId,
-  seasonNumber,
-  language,
-  episodes
-) {
-  if (!Array.isArray(episodes)) {
-    return;
-  }
-  const now = Math.floor(Date.now() / 1000);
-  for (const episode of episodes) {
-    if (!episode || typeof episode.id !== "number") {
-      continue;
-    }
-    await env.DB.prepare(
-      `INSERT INTO series_episodes (
-        series_id, language, season_number, episode_id, episode_number, name, overview,
-        still_path, air_date, vote_average, vote_count, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT DO UPDATE SET
-        episode_number = excluded.episode_number,
-        name = excluded.name,
-        overview = excluded.overview,
-        still_path = excluded.still_path,
-        air_date = excluded.air_date,
-        vote_average = excluded.vote_average,
-        vote_count = excluded.vote_count,
-        updated_at = excluded.updated_at`
-    )
-      .bind(
-        seriesId,
-        language,
-        seasonNumber,
-        episode.id,
-        episode.episode_number,
-        episode.name,
-        episode.overview,
-        episode.still_path,
-        episode.air_date,
-        episode.vote_average ?? 0,
-        episode.vote_count ?? 0,
-        now
-      )
-      .run();
-
-    if (Array.isArray(episode.guest_stars)) {
-      for (const guest of episode.guest_stars) {
-        if (!guest || typeof guest.id !== "number") {
-          continue;
-        }
-        await env.DB.prepare(
-          `INSERT INTO episode_guest_stars (
-            series_id, language, season_number, episode_id, episode_number, guest_id, name,
-            original_name, character, profile_path, order_index, updated_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          ON CONFLICT DO UPDATE SET
-            name = excluded.name,
-            original_name = excluded.original_name,
-            character = excluded.character,
-            profile_path = excluded.profile_path,
-            order_index = excluded.order_index,
-            updated_at = excluded.updated_at`
-        )
-          .bind(
-            seriesId,
-            language,
-            seasonNumber,
-            episode.id,
-            episode.episode_number,
-            guest.id,
-            guest.name,
-            guest.original_name,
-            guest.character,
-            guest.profile_path,
-            guest.order ?? null,
-            now
-          )
-          .run();
-      }
-    }
-  }
+function searchCacheKey(query, language) {
+  return `/series/search?query=${encodeURIComponent(
+    query
+  )}&language=${encodeURIComponent(language || "")}`;
 }
 
 async function cacheSearch(env, query, language, body) {
   try {
-    const key = `/series/search?query=${encodeURIComponent(
-      query
-    )}&language=${encodeURIComponent(language || "")}`;
     await cacheSet(
       env,
-      key,
+      searchCacheKey(query, language),
       { body, updated_at: Math.floor(Date.now() / 1000) },
-      CACHE_INTERVAL_SECONDS
+      CACHE_INTERVAL_SECONDS,
+      { softTtlSeconds: getSoftTtlSeconds(env, "seriesSearch") }
     );
   } catch (e) {
     // ignore cache write errors
   }
 }
 
+// Returns `{ body, stale }` or null.
 async function readSearchCache(env, query, language) {
   try {
-    const key = `/series/search?query=${encodeURIComponent(
-      query
-    )}&language=${encodeURIComponent(language || "")}`;
-    const cached = await cacheGet(env, key);
-    if (!cached || !cached.body || !cached.updated_at) return null;
-    const ageSeconds = Math.floor(Date.now() / 1000) - cached.updated_at;
+    const cached = await cacheGetEntry(env, searchCacheKey(query, language));
+    const value = cached?.value;
+    if (!value || !value.body || !value.updated_at) return null;
+    const ageSeconds = Math.floor(Date.now() / 1000) - value.updated_at;
     if (ageSeconds > CACHE_INTERVAL_SECONDS) return null;
-    return cached.body;
+    return { body: value.body, stale: cached.stale };
   } catch (e) {
     return null;
   }
 }
 
-export async function handleSeriesSearch(request, env) {
+/**
+ * Best cached `/v1/series/search` match, read without falling through to TMDB.
+ *
+ * @param {Record<string, any>} env Environment bindings.
+ * @param {string} query Search query.
+ * @param {string} [language] TMDB language.
+ * @returns {Promise<Record<string, any>|null>} Series payload as served by the
+ *   search (stale entries too), or null when nothing is cached.
+ */
+export async function readCachedSeriesSearch(env, query, language) {
+  const cached = await readSearchCache(env, query, normalizeLanguage(language));
+  const first = Array.isArray(cached?.body.results) ? cached.body.results[0] : null;
+  return first && typeof first.id === "number" ? buildSeriesPayloadFromSearch(first) : null;
+}
+
+export async function handleSeriesSearch(request, env, ctx) {
   if (request.method !== "GET") {
     return errorResponse(405, "method not allowed");
   }
@@ -419,10 +241,8 @@ export async function handleSeriesSearch(request, env) {
   const topRaw = Number(url.searchParams.get("top") || 1);
   const top = Number.isFinite(topRaw) && topRaw > 0 ? Math.floor(topRaw) : 1;
 
-  const cached = await readSearchCache(env, query, language);
-  const data =
-    cached ||
-    (await tmdbFetch(
+  const fetchSearch = async () => {
+    const fresh = await tmdbFetch(
       "search/tv",
       {
         query,
@@ -430,14 +250,27 @@ export async function handleSeriesSearch(request, env) {
         language: language || undefined,
       },
       env
-    ));
+    );
+    logger.info("tmdb -> responded (series search)", { query, language });
+    await cacheSearch(env, query, language, fresh);
+    logger.info("redis <- cached (series search)", { query, language });
+    return fresh;
+  };
 
+  const cached = await readSearchCache(env, query, language);
+  let data;
   if (cached) {
-    logger.info("redis -> responded (series search)", { query, language });
+    logger.info("redis -> responded (series search)", {
+      query,
+      language,
+      stale: cached.stale,
+    });
+    if (cached.stale) {
+      revalidateInBackground(ctx, searchCacheKey(query, language), fetchSearch);
+    }
+    data = cached.body;
   } else {
-    logger.info("tmdb -> responded (series search)", { query, language });
-    await cacheSearch(env, query, language, data);
-    logger.info("redis <- cached (series search)", { query, language });
+    data = await fetchSearch();
   }
 
   const results = Array.isArray(data.results) ? data.results : [];
@@ -453,7 +286,7 @@ export async function handleSeriesSearch(request, env) {
   return jsonResponse(payload);
 }
 
-export async function handleSeriesById(request, env) {
+export async function handleSeriesById(request, env, ctx) {
   if (request.method !== "GET") {
     return errorResponse(405, "method not allowed");
   }
@@ -466,61 +299,73 @@ export async function handleSeriesById(request, env) {
   const language = normalizeLanguage(url.searchParams.get("language"));
   logger.info("request received: /v1/series/{id}", { url: url.toString() });
 
-  const cachedRow = await env.DB.prepare(
-    `SELECT * FROM series_by_id WHERE tmdb_id = ? AND language = ? LIMIT 1`
-  )
-    .bind(seriesId, language)
-    .first();
-  if (
-    cachedRow &&
-    !shouldRefresh(cachedRow) &&
-    !isExtendedDataMissing(cachedRow)
-  ) {
-    const seasons = await readSeasons(env, seriesId, language);
+  const cacheKey = buildCacheKeyFromUrl(url);
+  const load = () => coalesce(env, cacheKey, async () => {
+    const data = await tmdbFetch(
+      `tv/${seriesId}`,
+      { language: language || undefined },
+      env
+    );
+    const genreIds = extractGenreIdsFromDetails(data);
+    const fresh = buildSeriesPayload(data, genreIds);
+    await writeRepository("series by id", { seriesId, language }, () =>
+      upsertSeries(env, seriesId, language, fresh)
+    );
+
+    try {
+      const ttl = Number(
+        env.TMDB_CACHE_SECONDS || env.REDIS_CACHE_TTL || CACHE_INTERVAL_SECONDS
+      );
+      await cacheSet(
+        env,
+        cacheKey,
+        { ...fresh, seasons: fresh.seasons },
+        ttl,
+        { softTtlSeconds: getSoftTtlSeconds(env, "series") }
+      );
+      logger.info("redis <- cached (series by id)", { key: cacheKey, ttl });
+    } catch (e) {
+      logger.warn("redis set failed", { key: cacheKey, err: e?.message ?? e });
+    }
+    return fresh;
+  });
+
+  const stored = await readRepository("series by id", { seriesId, language }, null, () =>
+    getSeries(env, seriesId, language)
+  );
+  if (stored && !shouldRefresh(stored) && !isExtendedDataMissing(stored)) {
+    const seasons = await readRepository("series seasons", { seriesId, language }, [], () =>
+      getSeasons(env, seriesId, language)
+    );
     if (seasons.length > 0) {
       logger.info("db -> responded (series by id)", { seriesId, language });
-      return jsonResponse(rowToSeries(cachedRow, seasons));
+      const ageSeconds = Math.floor(Date.now() / 1000) - stored.updated_at;
+      if (ageSeconds > getSoftTtlSeconds(env, "series")) {
+        revalidateInBackground(ctx, cacheKey, load);
+      }
+      return jsonResponse(recordToSeries(stored, seasons));
     }
   }
 
-  const cacheKey = buildCacheKeyFromUrl(url);
   try {
-    const cached = await cacheGet(env, cacheKey);
+    const cached = await cacheGetEntry(env, cacheKey);
     if (cached) {
-      logger.info("redis -> responded (series by id)", { key: cacheKey });
-      return jsonResponse(cached);
+      logger.info("redis -> responded (series by id)", {
+        key: cacheKey,
+        stale: cached.stale,
+      });
+      if (cached.stale) revalidateInBackground(ctx, cacheKey, load);
+      return jsonResponse(cached.value);
     }
   } catch (e) {
     logger.warn("redis get failed", { key: cacheKey, err: e?.message ?? e });
   }
 
-  const data = await tmdbFetch(
-    `tv/${seriesId}`,
-    { language: language || undefined },
-    env
-  );
-  const genreIds = extractGenreIdsFromDetails(data);
-  const payload = buildSeriesPayload(data, genreIds);
-
-  try {
-    const ttl = Number(
-      env.TMDB_CACHE_SECONDS || env.REDIS_CACHE_TTL || CACHE_INTERVAL_SECONDS
-    );
-    await cacheSet(
-      env,
-      cacheKey,
-      { ...payload, seasons: payload.seasons },
-      ttl
-    );
-    logger.info("redis <- cached (series by id)", { key: cacheKey, ttl });
-  } catch (e) {
-    logger.warn("redis set failed", { key: cacheKey, err: e?.message ?? e });
-  }
-
+  const payload = await load();
   return jsonResponse({ ...payload, seasons: payload.seasons });
 }
 
-export async function handleSeriesSeason(request, env) {
+export async function handleSeriesSeason(request, env, ctx) {
   if (request.method !== "GET") {
     return errorResponse(405, "method not allowed");
   }
@@ -536,81 +381,73 @@ export async function handleSeriesSeason(request, env) {
     url: url.toString(),
   });
 
-  const cacheMeta = await getSeasonCacheMeta(
-    env,
-    seriesId,
-    seasonNumber,
-    language
+  const cacheKey = buildCacheKeyFromUrl(url);
+  const load = () => coalesce(env, cacheKey, async () => {
+    const data = await tmdbFetch(
+      `tv/${seriesId}/season/${seasonNumber}`,
+      { language: language || undefined },
+      env
+    );
+    const fetched = Array.isArray(data.episodes) ? data.episodes : [];
+    await writeRepository("series season", { seriesId, seasonNumber, language }, () =>
+      upsertEpisodes(env, seriesId, seasonNumber, language, fetched)
+    );
+    try {
+      const ttl = Number(
+        env.TMDB_CACHE_SECONDS || env.REDIS_CACHE_TTL || CACHE_INTERVAL_SECONDS
+      );
+      await cacheSet(env, cacheKey, fetched, ttl, {
+        softTtlSeconds: getSoftTtlSeconds(env, "season"),
+      });
+      logger.info("redis <- cached (series season)", { key: cacheKey, ttl });
+    } catch (e) {
+      logger.warn("redis set failed", { key: cacheKey, err: e?.message ?? e });
+    }
+    return fetched;
+  });
+
+  const stored = await readRepository(
+    "series season",
+    { seriesId, seasonNumber, language },
+    [],
+    () => getSeasonEpisodes(env, seriesId, seasonNumber, language)
   );
-  if (cacheMeta.count > 0) {
-    const ageSeconds = Math.floor(Date.now() / 1000) - cacheMeta.updated_at;
+  if (stored.length > 0) {
+    const updatedAt = Math.max(...stored.map((episode) => episode.updated_at || 0));
+    const ageSeconds = Math.floor(Date.now() / 1000) - updatedAt;
     if (ageSeconds <= CACHE_INTERVAL_SECONDS) {
-      const cached = await readSeasonEpisodes(
-        env,
-        seriesId,
-        seasonNumber,
-        language
-      );
-      if (cached.length > 0) {
-        return jsonResponse(cached);
+      logger.info("db -> responded (series season)", { seriesId, seasonNumber, language });
+      if (ageSeconds > getSoftTtlSeconds(env, "season")) {
+        revalidateInBackground(ctx, cacheKey, load);
       }
+      return jsonResponse(
+        stored.map((episode) => buildEpisodePayload(seriesId, episode))
+      );
     }
   }
 
-  const cacheKey = buildCacheKeyFromUrl(url);
   try {
-    const cached = await cacheGet(env, cacheKey);
+    const cached = await cacheGetEntry(env, cacheKey);
     if (cached) {
-      logger.info("redis -> responded (series season)", { key: cacheKey });
-      return jsonResponse(cached);
+      logger.info("redis -> responded (series season)", {
+        key: cacheKey,
+        stale: cached.stale,
+      });
+      if (cached.stale) revalidateInBackground(ctx, cacheKey, load);
+      // The cache holds raw TMDB episodes; map them like every other path.
+      return jsonResponse(
+        cached.value.map((episode) => buildEpisodePayload(seriesId, episode))
+      );
     }
   } catch (e) {
     logger.warn("redis get failed", { key: cacheKey, err: e?.message ?? e });
   }
 
-  const data = await tmdbFetch(
-    `tv/${seriesId}/season/${seasonNumber}`,
-    { language: language || undefined },
-    env
-  );
-  const episodes = Array.isArray(data.episodes) ? data.episodes : [];
-  await upsertSeasonEpisodes(env, seriesId, seasonNumber, language, episodes);
-  try {
-    const ttl = Number(
-      env.TMDB_CACHE_SECONDS || env.REDIS_CACHE_TTL || CACHE_INTERVAL_SECONDS
-    );
-    await cacheSet(env, cacheKey, episodes, ttl);
-    logger.info("redis <- cached (series season)", { key: cacheKey, ttl });
-  } catch (e) {
-    console.warn("redis set failed", { key: cacheKey, err: e?.message ?? e });
-  }
-  const payload = episodes.map((episode) => ({
-    series_id: seriesId,
-    id: episode.id,
-    episode_number: episode.episode_number,
-    name: episode.name,
-    overview: episode.overview,
-    still_path: episode.still_path,
-    air_date: episode.air_date,
-    vote_average: episode.vote_average ?? 0,
-    vote_count: episode.vote_count ?? 0,
-    guest_stars: Array.isArray(episode.guest_stars)
-      ? episode.guest_stars.map((guest) => ({
-          series_id: seriesId,
-          id: guest.id,
-          name: guest.name,
-          original_name: guest.original_name,
-          character: guest.character,
-          profile_path: guest.profile_path,
-          order: guest.order ?? null,
-        }))
-      : [],
-  }));
-
-  return jsonResponse(payload);
+  const episodes = await load();
+  return jsonResponse(episodes.map((episode) => buildEpisodePayload(seriesId, episode)));
 }
 
-export async function handleSeriesEpisode(request, env) {
+export async function handleSeriesEpisode(request, env, ctx) {
   if (request.method !== "GET") {
     return errorResponse(405, "method not allowed");
   }
@@ -631,51 +468,251 @@ export async function handleSeriesEpisode(request, env) {
     url: url.toString(),
   });
 
-  const cached = await readEpisode(
+  const cacheKey = buildCacheKeyFromUrl(url);
+  const payload = await loadEpisode(
     env,
+    ctx,
     seriesId,
     seasonNumber,
     episodeNumber,
-    language
+    language,
+    cacheKey
+  );
+  return jsonResponse(payload);
+}
+
+// Episode data path shared by `/v1/series/{id}/season/{s}/episode/{e}` and
+// `/v1/series/lookup`: the series repository, then Redis under `cacheKey`, then TMDB. Hits
+// past the episode soft TTL are refreshed in the background.
+async function loadEpisode(
+  env,
+  ctx,
+  seriesId,
+  seasonNumber,
+  episodeNumber,
+  language,
+  cacheKey
+) {
+  const softTtl = getSoftTtlSeconds(env, "episode");
+  const load = () => coalesce(env, cacheKey, async () => {
+    const data = await tmdbFetch(
+      `tv/${seriesId}/season/${seasonNumber}/episode/${episodeNumber}`,
+      { language: language || undefined },
+      env
+    );
+    const payload = buildEpisodePayload(seriesId, data);
+    await writeRepository(
+      "series episode",
+      { seriesId, seasonNumber, episodeNumber, language },
+      () => upsertEpisodes(env, seriesId, seasonNumber, language, [data])
+    );
+
+    try {
+      const ttl = Number(
+        env.TMDB_CACHE_SECONDS || env.REDIS_CACHE_TTL || CACHE_INTERVAL_SECONDS
+      );
+      await cacheSet(env, cacheKey, payload, ttl, { softTtlSeconds: softTtl });
+      logger.info("redis <- cached (series episode)", { key: cacheKey, ttl });
+    } catch (e) {
+      logger.warn("redis set failed", { key: cacheKey, err: e?.message ?? e });
+    }
+    return payload;
+  });
+
+  const cached = await readRepository(
+    "series episode",
+    { seriesId, seasonNumber, episodeNumber, language },
+    null,
+    () => getEpisode(env, seriesId, seasonNumber, episodeNumber, language)
   );
   if (cached) {
     const ageSeconds = Math.floor(Date.now() / 1000) - cached.updated_at;
-    const hasGuestStars = Array.isArray(cached.guest_stars)
-      ? cached.guest_stars.length > 0
-      : false;
+    const hasGuestStars = cached.guest_stars.length > 0;
     if (ageSeconds <= CACHE_INTERVAL_SECONDS && hasGuestStars) {
-      const { updated_at, ...payload } = cached;
-      return jsonResponse(payload);
+      logger.info("db -> responded (series episode)", {
+        seriesId,
+        seasonNumber,
+        episodeNumber,
+        language,
+      });
+      if (ageSeconds > softTtl) revalidateInBackground(ctx, cacheKey, load);
+      return buildEpisodePayload(seriesId, cached);
     }
   }
 
-  const cacheKey = buildCacheKeyFromUrl(url);
   try {
-    const cached = await cacheGet(env, cacheKey);
+    const cached = await cacheGetEntry(env, cacheKey);
     if (cached) {
-      logger.info("redis -> responded (series episode)", { key: cacheKey });
-      return jsonResponse(cached);
+      logger.info("redis -> responded (series episode)", {
+        key: cacheKey,
+        stale: cached.stale,
+      });
+      if (cached.stale) revalidateInBackground(ctx, cacheKey, load);
+      return cached.value;
     }
   } catch (e) {
     logger.warn("redis get failed", { key: cacheKey, err: e?.message ?? e });
   }
 
-  const data = await tmdbFetch(
-    `tv/${seriesId}/season/${seasonNumber}/episode/${episodeNumber}`,
-    { language: language || undefined },
+  return load();
+}
+
+function rankSeriesCandidates(parsed, results) {
+  return results
+    .filter((item) => item && typeof item.id === "number")
+    .map((item) => {
+      const year = item.first_air_date
+        ? Number(String(item.first_air_date).slice(0, 4))
+        : null;
+      const score = scoreCandidate(parsed, {
+        title: item.name,
+        originalTitle: item.original_name,
+        year: Number.isFinite(year) ? year : null,
+        popularity: item.popularity,
+      });
+      return { item, score };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Cache-miss half of `handleSeriesLookup`; returns null when TMDB has no match.
+async function fetchSeriesLookup(env, ctx, url, cacheKey, title, language) {
+  const parsed = parseEpisodeTitle(title);
+  let data = await tmdbFetch(
+    "search/tv",
+    {
+      query: parsed.title,
+      include_adult: "false",
+      language: language || undefined,
+      first_air_date_year: parsed.year || undefined,
+    },
     env
   );
-  const payload = buildEpisodePayload(seriesId, data);
-  await upsertSeasonEpisodes(env, seriesId, seasonNumber, language, [data]);
+  if (parsed.year && !(data.results?.length > 0)) {
+    data = await tmdbFetch(
+      "search/tv",
+      {
+        query: parsed.title,
+        include_adult: "false",
+        language: language || undefined,
+      },
+      env
+    );
+  }
+  logger.info("tmdb -> search for series lookup", { parsed, language });
+
+  const ranked = rankSeriesCandidates(parsed, data.results || []);
+  if (ranked.length === 0) {
+    return null;
+  }
+  const best = ranked[0];
+  const seriesId = best.item.id;
+
+  let episode = null;
+  if (parsed.season !== null && parsed.episode !== null) {
+    const episodeUrl = new URL(
+      `/v1/series/${seriesId}/season/${parsed.season}/episode/${parsed.episode}`,
+      url.origin
+    );
+    if (url.searchParams.has("language")) {
+      episodeUrl.searchParams.set("language", url.searchParams.get("language"));
+    }
+    try {
+      episode = await loadEpisode(
+        env,
+        ctx,
+        seriesId,
+        parsed.season,
+        parsed.episode,
+        language,
+        buildCacheKeyFromUrl(episodeUrl)
+      );
+    } catch (e) {
+      // Status rather than `instanceof`: errors replayed by single-flight waiters are plain.
+      if (e?.status !== 404) throw e;
+      logger.info("tmdb -> episode not found (series lookup)", {
+        seriesId,
+        season: parsed.season,
+        episode: parsed.episode,
+      });
+    }
+  }
+
+  const payload = {
+    series: buildSeriesPayloadFromSearch(best.item),
+    seasonNumber: parsed.season,
+    episodeNumber: parsed.episode,
+    episode,
+    matchConfidence: Number(best.score.toFixed(3)),
+    candidates: ranked
+      .slice(1, 1 + MAX_RUNNER_UP_CANDIDATES)
+      .map(({ item, score }) => ({
+        ...buildSeriesPayloadFromSearch(item),
+        score: Number(score.toFixed(3)),
+      })),
+  };
 
   try {
     const ttl = Number(
       env.TMDB_CACHE_SECONDS || env.REDIS_CACHE_TTL || CACHE_INTERVAL_SECONDS
     );
-    await cacheSet(env, cacheKey, payload, ttl);
-    logger.info("redis <- cached (series episode)", { key: cacheKey, ttl });
+    await cacheSet(env, cacheKey, payload, ttl, {
+      softTtlSeconds: getSoftTtlSeconds(env, "seriesLookup"),
+    });
+    logger.info("redis <- cached (series lookup)", { key: cacheKey, ttl });
   } catch (e) {
     logger.warn("redis set failed", { key: cacheKey, err: e?.message ?? e });
   }
+  return payload;
+}
+
+/**
+ * Resolves a raw series VOD title (`Show S02E05`, `Show 2x05`,
+ * `Show Sezon 2 Bölüm 5`, `Show Season 2 Episode 5`) to a TMDB series and,
+ * when an episode marker is present, the episode payload served by
+ * `/v1/series/{id}/season/{s}/episode/{e}`.
+ *
+ * @param {Request} request Incoming request with `channelId`, `title`, optional `language`.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} JSON `{ series, seasonNumber, episodeNumber, episode,
+ *   matchConfidence, candidates }`; `episode` is null when no marker was found or
+ *   TMDB has no such episode.
+ */
+export async function handleSeriesLookup(request, env, ctx) {
+  if (request.method !== "GET") {
+    return errorResponse(405, "method not allowed");
+  }
+  const url = new URL(request.url);
+  logger.info("request received: /v1/series/lookup", { url: url.toString() });
+  const channelId = url.searchParams.get("channelId");
+  const title = url.searchParams.get("title");
+  const language = normalizeLanguage(url.searchParams.get("language"));
+  if (!channelId || !title) {
+    return errorResponse(400, "channelId and title are required");
+  }
+
+  const cacheKey = buildCacheKeyFromUrl(url);
+  const load = () =>
+    coalesce(env, cacheKey, () =>
+      fetchSeriesLookup(env, ctx, url, cacheKey, title, language)
+    );
+  try {
+    const cached = await cacheGetEntry(env, cacheKey);
+    if (cached) {
+      logger.info("redis -> responded (series lookup)", {
+        key: cacheKey,
+        stale: cached.stale,
+      });
+      if (cached.stale) revalidateInBackground(ctx, cacheKey, load);
+      return jsonResponse(cached.value);
+    }
+  } catch (e) {
+    logger.warn("redis get failed", { key: cacheKey, err: e?.message ?? e });
+  }
+
+  const payload = await load();
+  if (!payload) {
+    return errorResponse(404, "TMDB series not found");
+  }
   return jsonResponse(payload);
 }
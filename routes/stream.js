@@ -1,5 +1,7 @@
+import { timingSafeEqual } from "crypto";
+import { BodyTooLargeError, readBodyLimited } from "../lib/body.js";
 import { errorResponse, jsonResponse } from "../lib/response.js";
-import { logger } from "../lib/logger.js";
+import { logger, redactHeadersForLog } from "../lib/logger.js";
 
 const DEFAULT_TTL_SECONDS = 300;
 
@@ -23,6 +25,32 @@ const DEFAULT_FORWARD_HEADER_LIST = [
 
 const REDIRECT_RESOLVE_MAX_TIME_MS = 8000;
 
+// Client request headers replayed to the upstream on every proxied request,
+// in addition to the signed `fh` headers.
+const PROXY_CLIENT_HEADER_LIST = ["range", "if-range"];
+
+// Upstream response headers passed back to the client by `/proxy`.
+const PROXY_RESPONSE_HEADER_LIST = [
+  "content-type",
+  "content-length",
+  "content-range",
+  "accept-ranges",
+  "last-modified",
+  "etag",
+  "cache-control",
+];
+
+const HLS_CONTENT_TYPES = [
+  "application/vnd.apple.mpegurl",
+  "application/x-mpegurl",
+  "audio/mpegurl",
+  "audio/x-mpegurl",
+];
+
+const HLS_CONTENT_TYPE = "application/vnd.apple.mpegurl";
+// Playlists are rewritten in memory; long VOD playlists stay well below this.
+const MAX_HLS_PLAYLIST_BYTES = 8 * 1024 * 1024;
+
 /**
  * Builds a signed, time-limited stream proxy URL for a given upstream HTTP resource.
  *
@@ -86,27 +114,276 @@ export async function handleStreamUrl(request, env) {
     Object.keys(forwardedHeadersPayload).length > 0
       ? JSON.stringify(forwardedHeadersPayload)
       : "";
-  const payload = fh
-    ? `${resolvedUpstream.toString()}|${exp}|${fh}`
-    : `${resolvedUpstream.toString()}|${exp}`;
-  const sig = await hmacHex(env.STREAM_SIGNING_SECRET, payload);
-
-  const proxyBase = new URL(env.STREAM_PROXY_BASE);
-  proxyBase.pathname = "/proxy";
-  proxyBase.searchParams.set("url", resolvedUpstream.toString());
-  proxyBase.searchParams.set("exp", String(exp));
-  proxyBase.searchParams.set("sig", sig);
-  if (fh) {
-    proxyBase.searchParams.set("fh", fh);
-  }
+  const proxyUrl = await buildSignedProxyUrl(
+    env,
+    env.STREAM_PROXY_BASE,
+    resolvedUpstream.toString(),
+    exp,
+    fh
+  );
 
   return jsonResponse({
-    url: proxyBase.toString(),
+    url: proxyUrl,
     exp,
     ttl: ttlSeconds,
   });
 }
 
+/**
+ * Verifies a signed `/proxy` URL produced by `handleStreamUrl` and streams the
+ * upstream resource back to the client.
+ *
+ * The `url|exp|fh` payload is checked against `sig` with `STREAM_SIGNING_SECRET`,
+ * expired links are rejected, and the signed `fh` headers are replayed to the
+ * upstream together with the client's `Range`/`If-Range` headers so partial
+ * content (206) is passed through unchanged.
+ *
+ * @param {Request} request Incoming request (GET or HEAD).
+ * @param {Record<string, any>} env Worker environment bindings.
+ * @returns {Promise<Response>} Streaming upstream response, or a JSON error.
+ */
+export async function handleStreamProxy(request, env) {
+  const url = new URL(request.url);
+  if (request.method !== "GET" && request.method !== "HEAD") {
+    return errorResponse(405, "method not allowed");
+  }
+  if (!env.STREAM_SIGNING_SECRET) {
+    return errorResponse(500, "STREAM_SIGNING_SECRET is missing");
+  }
+
+  const target = url.searchParams.get("url");
+  const expRaw = url.searchParams.get("exp");
+  const sig = url.searchParams.get("sig");
+  const fh = url.searchParams.get("fh") || "";
+  if (!target || !expRaw || !sig) {
+    return errorResponse(400, "url, exp and sig are required");
+  }
+
+  const exp = Number(expRaw);
+  if (!Number.isInteger(exp)) {
+    return errorResponse(400, "invalid exp");
+  }
+
+  const expected = await signStreamPayload(
+    env.STREAM_SIGNING_SECRET,
+    target,
+    exp,
+    fh
+  );
+  if (!safeEqualHex(expected, sig)) {
+    logger.warn("stream-proxy-bad-signature", { path: url.pathname });
+    return errorResponse(403, "invalid signature");
+  }
+  if (exp < Math.floor(Date.now() / 1000)) {
+    return errorResponse(403, "link expired");
+  }
+
+  let upstream;
+  try {
+    upstream = new URL(target);
+  } catch {
+    return errorResponse(400, "invalid url");
+  }
+  if (upstream.protocol !== "http:") {
+    return errorResponse(403, "only http sources allowed");
+  }
+
+  let forwarded = {};
+  if (fh) {
+    try {
+      forwarded = JSON.parse(fh) || {};
+    } catch {
+      return errorResponse(400, "invalid fh");
+    }
+  }
+
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(forwarded)) {
+    const lowerName = name.toLowerCase();
+    if (DISALLOWED_FORWARDED_HEADERS.has(lowerName)) {
+      continue;
+    }
+    if (typeof value === "string" && value) {
+      headers.set(lowerName, value);
+    }
+  }
+  // Playlists are rewritten as a whole, so never ask for a partial one.
+  const looksLikeHls = isHlsPath(upstream.pathname);
+  for (const headerName of PROXY_CLIENT_HEADER_LIST) {
+    const value = request.headers.get(headerName);
+    if (value && !looksLikeHls) {
+      headers.set(headerName, value);
+    }
+  }
+
+  const fetchUpstream = () =>
+    fetch(upstream.toString(), {
+      method: request.method,
+      redirect: "follow",
+      headers,
+      signal: request.signal,
+    });
+  let upstreamResp;
+  try {
+    upstreamResp = await fetchUpstream();
+    // A playlist recognised only by its content-type or a redirect to an
+    // .m3u8 was asked for the client's range; fetch it whole instead.
+    if (
+      request.method === "GET" &&
+      upstreamResp.status === 206 &&
+      isHlsResponse(upstream, upstreamResp)
+    ) {
+      await upstreamResp.body?.cancel().catch(() => {});
+      for (const headerName of PROXY_CLIENT_HEADER_LIST) {
+        headers.delete(headerName);
+      }
+      upstreamResp = await fetchUpstream();
+    }
+  } catch (error) {
+    logger.warn(
+      "stream-proxy-upstream-failed",
+      error instanceof Error ? error.message : String(error)
+    );
+    return errorResponse(502, "upstream fetch failed");
+  }
+
+  logger.info("stream-proxy-upstream", {
+    status: upstreamResp.status,
+    range: headers.get("range") || null,
+  });
+
+  if (
+    request.method === "GET" &&
+    upstreamResp.status === 200 &&
+    isHlsResponse(upstream, upstreamResp)
+  ) {
+    // `upstreamResp.url` is the final URL after redirects, i.e. the same base
+    // `resolveFinalUpstreamUrl` produced when the link was signed.
+    const baseUrl = upstreamResp.url ? new URL(upstreamResp.url) : upstream;
+    const proxyBase = env.STREAM_PROXY_BASE || url.origin;
+    let playlist;
+    try {
+      playlist = (await readBodyLimited(upstreamResp, MAX_HLS_PLAYLIST_BYTES, "upstream playlist")).toString("utf8");
+    } catch (error) {
+      if (error instanceof BodyTooLargeError) {
+        logger.warn("stream-proxy-playlist-too-large", { maxBytes: MAX_HLS_PLAYLIST_BYTES });
+        return errorResponse(502, error.message);
+      }
+      logger.warn("stream-proxy-upstream-failed", error instanceof Error ? error.message : String(error));
+      return errorResponse(502, "upstream fetch failed");
+    }
+    const rewritten = await rewriteHlsPlaylist(playlist, baseUrl, (uri) =>
+      buildSignedProxyUrl(env, proxyBase, uri, exp, fh)
+    );
+    const playlistHeaders = new Headers({ "content-type": HLS_CONTENT_TYPE });
+    const cacheControl = upstreamResp.headers.get("cache-control");
+    if (cacheControl) {
+      playlistHeaders.set("cache-control", cacheControl);
+    }
+    return new Response(rewritten, { status: 200, headers: playlistHeaders });
+  }
+
+  // fetch decodes gzip/br bodies, so an encoded upstream's content-length
+  // describes bytes the client never receives.
+  const decoded = Boolean(upstreamResp.headers.get("content-encoding"));
+  const responseHeaders = new Headers();
+  for (const headerName of PROXY_RESPONSE_HEADER_LIST) {
+    const value = upstreamResp.headers.get(headerName);
+    if (value && !(decoded && headerName === "content-length")) {
+      responseHeaders.set(headerName, value);
+    }
+  }
+
+  return new Response(request.method === "HEAD" ? null : upstreamResp.body, {
+    status: upstreamResp.status,
+    headers: responseHeaders,
+  });
+}
+
+function isHlsPath(pathname) {
+  const lower = pathname.toLowerCase();
+  return lower.endsWith(".m3u8") || lower.endsWith(".m3u");
+}
+
+function isHlsResponse(upstream, response) {
+  const contentType = (response.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (HLS_CONTENT_TYPES.includes(contentType)) {
+    return true;
+  }
+  const finalPath = response.url ? new URL(response.url).pathname : "";
+  return isHlsPath(upstream.pathname) || isHlsPath(finalPath);
+}
+
+/**
+ * Rewrites every URI referenced by an HLS playlist (variant playlists, media
+ * segments and `URI="..."` attributes such as `#EXT-X-KEY`, `#EXT-X-MAP` and
+ * `#EXT-X-MEDIA`) through `signUri`. Relative URIs are resolved against
+ * `baseUrl` first; non-http URIs (`data:`, `skd://`, https) are left as-is
+ * because the proxy only serves http sources.
+ *
+ * @param {string} playlist Raw playlist text.
+ * @param {URL} baseUrl Final upstream URL of the playlist.
+ * @param {(uri: string) => Promise<string>} signUri Builds the proxied URL.
+ * @returns {Promise<string>} Rewritten playlist.
+ */
+async function rewriteHlsPlaylist(playlist, baseUrl, signUri) {
+  async function rewriteUri(raw) {
+    let resolved;
+    try {
+      resolved = new URL(raw.trim(), baseUrl);
+    } catch {
+      return raw;
+    }
+    if (resolved.protocol !== "http:") {
+      return raw;
+    }
+    return signUri(resolved.toString());
+  }
+
+  const lines = playlist.split(/\r?\n/);
+  const out = [];
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      out.push(line);
+      continue;
+    }
+    if (trimmed.startsWith("#")) {
+      const matches = [...line.matchAll(/URI="([^"]*)"/g)];
+      let rewrittenLine = line;
+      for (const match of matches) {
+        const signed = await rewriteUri(match[1]);
+        rewrittenLine = rewrittenLine.replace(match[0], `URI="${signed}"`);
+      }
+      out.push(rewrittenLine);
+      continue;
+    }
+    out.push(await rewriteUri(trimmed));
+  }
+  return out.join("\n");
+}
+
+async function buildSignedProxyUrl(env, proxyBaseUrl, upstreamUrl, exp, fh) {
+  const sig = await signStreamPayload(
+    env.STREAM_SIGNING_SECRET,
+    upstreamUrl,
+    exp,
+    fh
+  );
+  const proxyUrl = new URL(proxyBaseUrl);
+  proxyUrl.pathname = "/proxy";
+  proxyUrl.searchParams.set("url", upstreamUrl);
+  proxyUrl.searchParams.set("exp", String(exp));
+  proxyUrl.searchParams.set("sig", sig);
+  if (fh) {
+    proxyUrl.searchParams.set("fh", fh);
+  }
+  return proxyUrl.toString();
+}
+
 async function resolveFinalUpstreamUrl(initialUpstreamUrl, forwardedHeadersPayload) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), REDIRECT_RESOLVE_MAX_TIME_MS);
@@ -168,23 +445,18 @@ function buildForwardedHeadersPayload(request, forwardHeaderEnv) {
   return result;
 }
 
-function redactHeadersForLog(headers) {
-  const redactedNames = new Set([
-    "authorization",
-    "cookie",
-    "set-cookie",
-    "x-api-key",
-  ]);
-  const result = {};
-  for (const [name, value] of headers.entries()) {
-    const lowerName = name.toLowerCase();
-    if (redactedNames.has(lowerName)) {
-      result[lowerName] = "[REDACTED]";
-      continue;
-    }
-    result[lowerName] = value;
+function signStreamPayload(secret, upstreamUrl, exp, fh) {
+  const payload = fh ? `${upstreamUrl}|${exp}|${fh}` : `${upstreamUrl}|${exp}`;
+  return hmacHex(secret, payload);
+}
+
+// `sig` comes from the URL: anything but hex of the expected length fails
+// before timingSafeEqual, which throws on buffers of different byte lengths.
+function safeEqualHex(expected, actual) {
+  if (typeof actual !== "string" || actual.length !== expected.length || !/^[0-9a-f]+$/i.test(actual)) {
+    return false;
   }
-  return result;
+  return timingSafeEqual(Buffer.from(expected), Buffer.from(actual.toLowerCase()));
 }
 
 async function hmacHex(secret, payload) {
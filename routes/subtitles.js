@@ -0,0 +1,176 @@
+import { BodyTooLargeError, readBodyLimited } from "../lib/body.js";
+import { buildCacheKeyFromUrl } from "../lib/cache.js";
+import { CACHE_TTL_SECONDS } from "../lib/config.js";
+import { logger } from "../lib/logger.js";
+import { RedisClient } from "../lib/redisClient.js";
+import { errorResponse } from "../lib/response.js";
+import {
+  convertToWebVtt,
+  decodeSubtitle,
+  EXTRACTABLE_SUBTITLE_CODECS,
+  extractSubtitleTrack,
+  SUBTITLE_FORMATS,
+} from "../lib/subtitles.js";
+import { getMediaMetadata } from "./metadata.js";
+
+const SUBTITLE_FETCH_TIMEOUT_MS = 15000;
+const MAX_SUBTITLE_BYTES = 5 * 1024 * 1024;
+const MAX_JSON_BODY_BYTES = 64 * 1024;
+const VTT_CONTENT_TYPE = "text/vtt; charset=utf-8";
+// An embedded track of a given URL does not change; see `/v1/thumbnail`.
+const TRACK_CACHE_CONTROL = "public, max-age=86400";
+const MAX_OFFSET_SECONDS = 24 * 60 * 60;
+
+// `offset` is in seconds and may be negative; null when invalid.
+function offsetParam(value) {
+  if (value === null || value === undefined || value === "") return 0;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || Math.abs(seconds) > MAX_OFFSET_SECONDS) return null;
+  return Math.round(seconds * 1000);
+}
+
+function vttResponse(vtt, headers = {}) {
+  return new Response(vtt, { status: 200, headers: { "content-type": VTT_CONTENT_TYPE, ...headers } });
+}
+
+async function fetchSubtitleFile(fileUrl) {
+  let upstream;
+  try {
+    upstream = new URL(fileUrl);
+  } catch {
+    return { error: errorResponse(400, "invalid url") };
+  }
+  if (upstream.protocol !== "http:" && upstream.protocol !== "https:") {
+    return { error: errorResponse(400, "only http(s) subtitle files allowed") };
+  }
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), SUBTITLE_FETCH_TIMEOUT_MS);
+  try {
+    const resp = await fetch(upstream.toString(), { signal: controller.signal });
+    if (!resp.ok) {
+      return { error: errorResponse(502, `subtitle fetch failed: ${resp.status}`) };
+    }
+    return { bytes: await readBodyLimited(resp, MAX_SUBTITLE_BYTES, "subtitle file") };
+  } catch (e) {
+    if (e instanceof BodyTooLargeError) return { error: errorResponse(413, e.message) };
+    logger.warn("subtitle fetch failed", e?.message ?? e);
+    return { error: errorResponse(502, "subtitle fetch failed") };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Embedded subtitle track as WebVTT: `GET /v1/subtitles?url=&track=&offset=`.
+ * `track` is the position in the `/v1/metadata` `subtitles` array (also the
+ * `subtitle.index` of a playback plan); SRT, ASS/SSA and mov_text tracks can be
+ * extracted, bitmap ones (PGS, DVD) cannot. The extracted track is cached in
+ * Redis; `offset` (seconds, may be negative) shifts every cue.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} `text/vtt`, 404 for a missing track, 422 for a
+ *   bitmap track or a manifest.
+ * @throws {FfmpegError} 502 when ffmpeg cannot read the source.
+ */
+export async function handleSubtitleTrack(request, env) {
+  const url = new URL(request.url);
+  logger.info("request received: /v1/subtitles", { url: url.toString() });
+  const fileUrl = url.searchParams.get("url");
+  if (!fileUrl) return errorResponse(400, "url is required");
+  const trackIndex = Number(url.searchParams.get("track") || 0);
+  if (!Number.isInteger(trackIndex) || trackIndex < 0) {
+    return errorResponse(400, "track must be a non-negative integer");
+  }
+  const offsetMs = offsetParam(url.searchParams.get("offset"));
+  if (offsetMs === null) return errorResponse(400, "offset must be a number of seconds");
+
+  const metadata = await getMediaMetadata(fileUrl, 0, env);
+  if (metadata.variants) {
+    return errorResponse(422, "HLS/DASH subtitles are separate renditions; use their playlists");
+  }
+  const track = metadata.subtitles?.[trackIndex];
+  if (!track) return errorResponse(404, "subtitle track not found");
+  if (!EXTRACTABLE_SUBTITLE_CODECS.has(track.codec)) {
+    return errorResponse(422, `${track.codec || "unknown"} subtitles cannot be converted to WebVTT`);
+  }
+
+  const cacheKey = buildCacheKeyFromUrl(`/v1/subtitles?${new URLSearchParams({ url: fileUrl, track: String(trackIndex) })}`);
+  const redis = new RedisClient(env);
+  let vtt = null;
+  try {
+    vtt = (await redis.get(cacheKey))?.vtt ?? null;
+    if (vtt) logger.info("redis -> responded (subtitles)", { key: cacheKey });
+  } catch (e) {
+    logger.warn("redis get failed", e?.message ?? e);
+  }
+  if (!vtt) {
+    vtt = await extractSubtitleTrack(fileUrl, trackIndex);
+    try {
+      await redis.set(cacheKey, { vtt }, CACHE_TTL_SECONDS);
+      logger.info("redis <- cached (subtitles)", { key: cacheKey, ttl: CACHE_TTL_SECONDS });
+    } catch (e) {
+      logger.warn("redis set failed", e?.message ?? e);
+    }
+  }
+  if (offsetMs !== 0) vtt = convertToWebVtt(vtt, { format: "vtt", offsetMs }).vtt;
+  return vttResponse(vtt, { "cache-control": TRACK_CACHE_CONTROL });
+}
+
+/**
+ * Converts an SRT, ASS/SSA (or WebVTT, to shift it) file to WebVTT:
+ * `POST /v1/subtitles/convert`. The file is the raw request body, or is
+ * downloaded from `url` (query parameter or JSON `{ url, offset?, encoding?,
+ * format? }`). The text encoding is detected (BOM, UTF-8, else Windows-1254)
+ * unless `encoding` names one; the format is detected unless `format` is set.
+ * `offset` (seconds, may be negative) shifts every cue.
+ *
+ * @param {Request} request Incoming POST request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} `text/vtt` with the detected source encoding in
+ *   `x-subtitle-encoding`.
+ * @throws {SubtitleError} 400 for an unknown encoding, 422 for input that is
+ *   not a subtitle file.
+ */
+export async function handleSubtitleConvert(request, env) {
+  if (request.method !== "POST") {
+    return errorResponse(405, "method not allowed");
+  }
+  const url = new URL(request.url);
+  logger.info("request received: /v1/subtitles/convert", { url: url.toString() });
+
+  let body = {};
+  let bytes = null;
+  const contentType = (request.headers.get("content-type") || "").toLowerCase();
+  try {
+    if (contentType.startsWith("application/json")) {
+      body = JSON.parse((await readBodyLimited(request, MAX_JSON_BODY_BYTES)).toString("utf8")) || {};
+    } else {
+      bytes = await readBodyLimited(request, MAX_SUBTITLE_BYTES, "subtitle file");
+    }
+  } catch (e) {
+    if (e instanceof BodyTooLargeError) return errorResponse(413, e.message);
+    return errorResponse(400, "invalid request body");
+  }
+  const param = (name) => body[name] ?? url.searchParams.get(name);
+  const offsetMs = offsetParam(param("offset"));
+  if (offsetMs === null) return errorResponse(400, "offset must be a number of seconds");
+  const format = param("format") || null;
+  if (format !== null && !SUBTITLE_FORMATS.includes(format)) {
+    return errorResponse(400, `format must be one of ${SUBTITLE_FORMATS.join(", ")}`);
+  }
+
+  const fileUrl = param("url");
+  if (typeof fileUrl === "string" && fileUrl) {
+    const fetched = await fetchSubtitleFile(fileUrl);
+    if (fetched.error) return fetched.error;
+    bytes = fetched.bytes;
+  } else if (!bytes?.length) {
+    return errorResponse(400, "subtitle file body or url is required");
+  }
+
+  const { text, encoding } = decodeSubtitle(bytes, param("encoding") || null);
+  const result = convertToWebVtt(text, { format, offsetMs });
+  logger.info("subtitle converted", { format: result.format, encoding, cues: result.cues });
+  return vttResponse(result.vtt, { "x-subtitle-encoding": encoding });
+}
@@ -0,0 +1,162 @@
+import { isHttpUrl } from "../lib/ffmpeg.js";
+import { logger } from "../lib/logger.js";
+import { errorResponse, jsonResponse } from "../lib/response.js";
+import {
+  DEFAULT_SPRITE_INTERVAL,
+  DEFAULT_SPRITE_WIDTH,
+  DEFAULT_THUMBNAIL_WIDTH,
+  getSpriteJob,
+  grabThumbnail,
+  MAX_SPRITE_WIDTH,
+  MAX_THUMBNAIL_WIDTH,
+  readSpriteFile,
+  startSpriteJob,
+} from "../lib/thumbnails.js";
+import { getMediaMetadata } from "./metadata.js";
+
+// A frame at a given time of a given URL does not change; providers rotate
+// URLs more often than they replace files.
+const THUMBNAIL_CACHE_CONTROL = "public, max-age=86400";
+const SPRITE_CACHE_CONTROL = "public, max-age=604800";
+
+function intParam(value, fallback, min, max) {
+  if (value === null || value === undefined || value === "") return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+function withPaths(job) {
+  return {
+    ...job,
+    vtt_path: job.status === "done" ? `/v1/sprites/${job.id}/thumbnails.vtt` : null,
+  };
+}
+
+/**
+ * Single video frame as JPEG: `GET /v1/thumbnail?url=&t=&width=`. `t` is the
+ * position in seconds; ffmpeg seeks with range requests, so only the part of
+ * the file around `t` is read.
+ *
+ * @param {Request} request Incoming request.
+ * @returns {Promise<Response>} `image/jpeg` with a one-day `cache-control`.
+ * @throws {ThumbnailError|FfmpegError} 400 when there is no frame at `t`,
+ *   502 when ffmpeg cannot read the source.
+ */
+export async function handleThumbnail(request) {
+  const url = new URL(request.url);
+  logger.info("request received: /v1/thumbnail", { url: url.toString() });
+  const fileUrl = url.searchParams.get("url");
+  if (!fileUrl) return errorResponse(400, "url is required");
+  if (!isHttpUrl(fileUrl)) return errorResponse(400, "only http(s) media urls allowed");
+  const seconds = Number(url.searchParams.get("t"));
+  if (!url.searchParams.get("t") || !Number.isFinite(seconds) || seconds < 0) {
+    return errorResponse(400, "t must be a non-negative number of seconds");
+  }
+  const width = intParam(url.searchParams.get("width"), DEFAULT_THUMBNAIL_WIDTH, 16, MAX_THUMBNAIL_WIDTH);
+  if (width === null) return errorResponse(400, `width must be an integer between 16 and ${MAX_THUMBNAIL_WIDTH}`);
+
+  const body = await grabThumbnail(fileUrl, seconds, width - (width % 2));
+  return new Response(body, {
+    status: 200,
+    headers: {
+      "content-type": "image/jpeg",
+      "content-length": String(body.length),
+      "cache-control": THUMBNAIL_CACHE_CONTROL,
+    },
+  });
+}
+
+/**
+ * Starts a scrub-preview sprite job: `POST /v1/sprites` with JSON
+ * `{ url, interval?, width? }` (or the same as query parameters). `interval`
+ * is the seconds between thumbnails (default 10, widened for long files),
+ * `width` the tile width (default 160). The file is probed first; live streams
+ * have no duration and are rejected.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} 202 with the queued job, or 200 with an existing
+ *   queued, running or finished job for the same URL and options.
+ */
+export async function handleSpriteJobCreate(request, env) {
+  if (request.method !== "POST") {
+    return errorResponse(405, "method not allowed");
+  }
+  const url = new URL(request.url);
+  logger.info("request received: /v1/sprites", { url: url.toString() });
+
+  let body = {};
+  if ((request.headers.get("content-type") || "").toLowerCase().startsWith("application/json")) {
+    try {
+      body = (await request.json()) || {};
+    } catch (e) {
+      return errorResponse(400, "invalid request body");
+    }
+  }
+  const param = (name) => body[name] ?? url.searchParams.get(name);
+  const fileUrl = param("url");
+  if (typeof fileUrl !== "string" || !fileUrl) return errorResponse(400, "url is required");
+  if (!isHttpUrl(fileUrl)) return errorResponse(400, "only http(s) media urls allowed");
+  const interval = intParam(param("interval"), DEFAULT_SPRITE_INTERVAL, 1, 600);
+  if (interval === null) return errorResponse(400, "interval must be an integer between 1 and 600");
+  const width = intParam(param("width"), DEFAULT_SPRITE_WIDTH, 32, MAX_SPRITE_WIDTH);
+  if (width === null) return errorResponse(400, `width must be an integer between 32 and ${MAX_SPRITE_WIDTH}`);
+
+  const metadata = await getMediaMetadata(fileUrl, 0, env);
+  const duration = metadata.format?.duration;
+  if (!metadata.video) return errorResponse(422, "no video stream");
+  if (!duration) return errorResponse(422, "unknown duration (live stream?)");
+
+  const { job, created } = await startSpriteJob(env, {
+    fileUrl,
+    interval,
+    width: width - (width % 2),
+    duration,
+    videoWidth: metadata.video.width,
+    videoHeight: metadata.video.height,
+  });
+  return jsonResponse(withPaths(job), created ? 202 : 200);
+}
+
+/**
+ * Sprite job state: `GET /v1/sprites/{id}`.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} Job with `vtt_path` once done, or 404.
+ */
+export async function handleSpriteJob(request, env) {
+  const id = new URL(request.url).pathname.split("/")[3];
+  const job = await getSpriteJob(env, id);
+  if (!job) return errorResponse(404, "sprite job not found");
+  return jsonResponse(withPaths(job));
+}
+
+/**
+ * Output of a finished sprite job: `GET /v1/sprites/{id}/thumbnails.vtt` and
+ * the `sprite-N.jpg` sheets its cues point at (relative URLs). No API key is
+ * needed: players load these like images, without custom headers.
+ *
+ * @param {Request} request Incoming request.
+ * @param {Record<string, any>} env Environment bindings.
+ * @returns {Promise<Response>} File with ETag and a one-week `cache-control`,
+ *   304 for a matching `If-None-Match`, or 404.
+ */
+export async function handleSpriteFile(request, env) {
+  const [, , , id, name] = new URL(request.url).pathname.split("/");
+  const file = await readSpriteFile(env, id, name);
+  if (!file) return errorResponse(404, "not found");
+  const etag = `"${id}-${file.mtime.getTime().toString(16)}"`;
+  const headers = {
+    etag,
+    "cache-control": SPRITE_CACHE_CONTROL,
+    "last-modified": file.mtime.toUTCString(),
+  };
+  if ((request.headers.get("if-none-match") || "").split(/\s*,\s*/).includes(etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(file.body, {
+    status: 200,
+    headers: { ...headers, "content-type": file.contentType, "content-length": String(file.body.length) },
+  });
+}
@@ -1,9 +1,15 @@
-import { getRedisClient, buildCacheKeyFromUrl, cacheGet, cacheSet } from "../lib/cache.js";
+import {
+  getRedisClient,
+  buildCacheKeyFromUrl,
+  cacheGetEntry,
+  cacheSet,
+  revalidateInBackground,
+} from "../lib/cache.js";
+import { getSoftTtlSeconds } from "../lib/config.js";
 import { logger } from "../lib/logger.js";
+import { tmdbRequest } from "../lib/tmdb.js";
 
-const TMDB_ORIGIN = "https://api.themoviedb.org";
-
-export async function handleTmdbProxy(request, env) {
+export async function handleTmdbProxy(request, env, ctx) {
   if (!env.TMDB_API_KEY) {
     return new Response("TMDB_API_KEY is missing", { status: 500 });
   }
@@ -15,52 +21,58 @@ export async function handleTmdbProxy(request, env) {
   // TTL: prefer explicit env, fall back to tmdb_cache default
   const ttl = Number(env.TMDB_CACHE_SECONDS || env.REDIS_CACHE_TTL || 24 * 60 * 60 * 30);
 
+  // Goes through the shared client (rate limit, retries, timeouts); TMDB
+  // statuses such as 404 are passed through unchanged.
+  const fetchUpstream = async () => {
+    const response = await tmdbRequest(incomingUrl.pathname, incomingUrl.searchParams, env, {
+      headers: {
+        "accept-language": request.headers.get("accept-language") || "",
+      },
+    });
+    logger.info("tmdb -> fetched", { key: cacheKey, status: response.status });
+    const body = await response.text();
+    const contentType = response.headers.get("content-type") || "";
+
+    // cache the response (best-effort); transient failures are not cached
+    if (response.status !== 429 && response.status < 500) {
+      try {
+        await cacheSet(env, cacheKey, { body, status: response.status, content_type: contentType }, ttl, {
+          softTtlSeconds: getSoftTtlSeconds(env, "tmdbProxy"),
+        });
+        logger.info("redis <- cached (tmdb proxy)", { key: cacheKey, ttl });
+      } catch (e) {
+        logger.warn("redis set failed", { key: cacheKey, err: e?.message ?? e });
+      }
+    }
+    return { body, status: response.status, contentType, retryAfter: response.headers.get("retry-after") };
+  };
+
   try {
-    const cached = await cacheGet(env, cacheKey);
-    if (cached && cached.body !== undefined) {
-      logger.info("redis -> responded (tmdb proxy)", { key: cacheKey });
-      return new Response(cached.body, {
-        status: cached.status || 200,
+    const cached = await cacheGetEntry(env, cacheKey);
+    if (cached && cached.value?.body !== undefined) {
+      logger.info("redis -> responded (tmdb proxy)", { key: cacheKey, stale: cached.stale });
+      if (cached.stale) revalidateInBackground(ctx, cacheKey, fetchUpstream);
+      return new Response(cached.value.body, {
+        status: cached.value.status || 200,
         headers: {
-          "content-type": cached.content_type || "application/json; charset=utf-8",
+          "content-type": cached.value.content_type || "application/json; charset=utf-8",
         },
       });
     }
   } catch (e) {
     // redis failure should not block proxying
-    console.warn("redis get failed", { key: cacheKey, err: e?.message ?? e });
+    logger.warn("redis get failed", { key: cacheKey, err: e?.message ?? e });
   }
 
-  const targetUrl = new URL(TMDB_ORIGIN);
-  targetUrl.pathname = incomingUrl.pathname;
-  incomingUrl.searchParams.forEach((value, key) => {
-    if (key.toLowerCase() === "api_key") return;
-    targetUrl.searchParams.append(key, value);
-  });
-  targetUrl.searchParams.set("api_key", env.TMDB_API_KEY);
-
-  const response = await fetch(targetUrl.toString(), {
-    method: "GET",
-    headers: {
-      "accept-language": request.headers.get("accept-language") || "",
-    },
-  });
-  logger.info("tmdb -> fetched", { url: targetUrl.toString() });
-  const body = await response.text();
-  const contentType = response.headers.get("content-type") || "";
-
-  // cache the response (best-effort)
-  try {
-    await cacheSet(env, cacheKey, { body, status: response.status, content_type: contentType }, ttl);
-    logger.info("redis <- cached (tmdb proxy)", { key: cacheKey, ttl });
-  } catch (e) {
-    console.warn("redis set failed", { key: cacheKey, err: e?.message ?? e });
+  const { body, status, contentType, retryAfter } = await fetchUpstream();
+  const headers = {
+    "content-type": contentType || "application/json; charset=utf-8",
+  };
+  if (retryAfter) {
+    headers["retry-after"] = retryAfter;
   }
-
   return new Response(body, {
-    status: response.status,
-    headers: {
-      "content-type": contentType || "application/json; charset=utf-8",
-    },
+    status,
+    headers,
   });
 }
@@ -1,25 +1,68 @@
 import dotenv from "dotenv";
 import express from "express";
-import { logger } from "./lib/logger.js";
+import { randomUUID } from "crypto";
+import { Readable } from "stream";
+import { authorizeRequest } from "./lib/apiAuth.js";
+import { logger, runWithRequestContext, setLogLevel } from "./lib/logger.js";
+import { httpRequestDurationSeconds, httpRequestsTotal } from "./lib/metrics.js";
 import { getRedisClient } from "./lib/cache.js";
-import { createDbShim } from "./lib/db_shim.js";
+import { rewriteImageUrls } from "./lib/images.js";
+import { matchOperation, validateParameters, validateResponseBody } from "./lib/openapi.js";
 import { errorResponse, jsonResponse } from "./lib/response.js";
 import {
   handleMovieById,
   handleMovieLookup,
+  handleMovieLookupBatch,
   handleSearch,
 } from "./routes/movie.js";
 import {
   handleSeriesById,
   handleSeriesEpisode,
+  handleSeriesLookup,
   handleSeriesSearch,
   handleSeriesSeason,
 } from "./routes/series.js";
-import { handleStreamUrl } from "./routes/stream.js";
+import { handleStreamProxy, handleStreamUrl } from "./routes/stream.js";
 import { handleTmdbProxy } from "./routes/tmdb_proxy.js";
 import { handleMetadata } from "./routes/metadata.js";
+import { handleMetrics } from "./routes/metrics.js";
+import { handlePlaybackPlan } from "./routes/playback.js";
+import {
+  handleSpriteFile,
+  handleSpriteJob,
+  handleSpriteJobCreate,
+  handleThumbnail,
+} from "./routes/thumbnails.js";
+import {
+  handleHlsSession,
+  handleHlsSessionCreate,
+  handleHlsSessionFile,
+} from "./routes/hlsSessions.js";
+import { handleSubtitleConvert, handleSubtitleTrack } from "./routes/subtitles.js";
+import { handleContinueWatching, handleProgress, handleProgressUpdate } from "./routes/progress.js";
+import { handleOpenApi } from "./routes/openapi.js";
+import { handleImage } from "./routes/image.js";
+import {
+  handleChannelById,
+  handleChannelGroups,
+  handleChannels,
+  handlePlaylistImport,
+} from "./routes/channels.js";
+import {
+  handleEpgImport,
+  handleEpgNow,
+  handleEpgSchedule,
+} from "./routes/epg.js";
+import {
+  handleAdminApiKeys,
+  handleAdminCacheKey,
+  handleAdminCacheKeys,
+  handleAdminCachePurge,
+  handleAdminCacheStats,
+} from "./routes/admin.js";
 
 dotenv.config();
+setLogLevel(process.env.LOG_LEVEL);
 
 // Provide a simple caches.default shim used by some route code (no-op cache)
 global.caches = {
@@ -35,6 +78,16 @@ global.caches = {
 
 const app = express();
 
+// Behind a reverse proxy `req.ip` (used for per-IP rate limits) must come from
+// X-Forwarded-For: TRUST_PROXY=true, a hop count or a list of trusted subnets.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+  );
+}
+
 const env = {
   TMDB_API_KEY: process.env.TMDB_API_KEY,
   STREAM_SIGNING_SECRET: process.env.STREAM_SIGNING_SECRET,
@@ -45,18 +98,41 @@ const env = {
   TMDB_CACHE_SECONDS: Number(
     process.env.TMDB_CACHE_SECONDS || 24 * 60 * 60 * 30
   ),
+  EPG_RETENTION_DAYS: Number(process.env.EPG_RETENTION_DAYS || 7),
+  TMDB_RATE_LIMIT_PER_SECOND: Number(
+    process.env.TMDB_RATE_LIMIT_PER_SECOND || 35
+  ),
+  TMDB_TIMEOUT_MS: Number(process.env.TMDB_TIMEOUT_MS || 8000),
+  TMDB_MAX_RETRIES: Number(process.env.TMDB_MAX_RETRIES ?? 3),
+  CACHE_SOFT_TTLS: process.env.CACHE_SOFT_TTLS,
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN,
+  CACHE_MEMORY_MAX_ENTRIES: process.env.CACHE_MEMORY_MAX_ENTRIES,
+  CACHE_MEMORY_MAX_MB: process.env.CACHE_MEMORY_MAX_MB,
+  CACHE_MEMORY_TTL_SECONDS: process.env.CACHE_MEMORY_TTL_SECONDS,
+  REDIS_BREAKER_FAILURES: process.env.REDIS_BREAKER_FAILURES,
+  REDIS_BREAKER_COOLDOWN_MS: process.env.REDIS_BREAKER_COOLDOWN_MS,
+  // On unless explicitly turned off.
+  API_KEYS_REQUIRED: process.env.API_KEYS_REQUIRED !== "false",
+  METRICS_TOKEN: process.env.METRICS_TOKEN,
+  RATE_LIMIT_PER_IP: Number(process.env.RATE_LIMIT_PER_IP ?? 300),
+  RATE_LIMIT_PER_KEY: Number(process.env.RATE_LIMIT_PER_KEY ?? 1200),
+  RATE_LIMIT_WINDOW_SECONDS: Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60),
+  OPENAPI_RESPONSE_VALIDATION: process.env.OPENAPI_RESPONSE_VALIDATION || "warn",
+  IMAGE_CACHE_DIR: process.env.IMAGE_CACHE_DIR,
+  IMAGE_CACHE_MAX_MB: process.env.IMAGE_CACHE_MAX_MB,
+  TMDB_IMAGE_BASE: process.env.TMDB_IMAGE_BASE,
+  IMAGE_PROXY_BASE: process.env.IMAGE_PROXY_BASE,
+  FFPROBE_FALLBACK: process.env.FFPROBE_FALLBACK === "true",
+  SPRITE_DIR: process.env.SPRITE_DIR,
+  HLS_MAX_SESSIONS: process.env.HLS_MAX_SESSIONS,
+  HLS_SESSION_IDLE_SECONDS: process.env.HLS_SESSION_IDLE_SECONDS,
 };
 
-// If a real env.DB is not provided (sqlite removed), provide a Redis-backed shim
-if (!env.DB) {
-  env.DB = createDbShim(env);
-}
-
 // Warm up redis client (lazy-creates if REDIS_URL provided)
 try {
   getRedisClient(env);
 } catch (e) {
-  console.warn("redis client init failed", e?.message ?? e);
+  logger.warn("redis client init failed", e?.message ?? e);
 }
 
 async function ensureRedisReady(env) {
@@ -94,8 +170,11 @@ function makeCtx() {
 function corsHeaders() {
   return {
     "access-control-allow-origin": "*",
-    "access-control-allow-methods": "GET,OPTIONS",
-    "access-control-allow-headers": "content-type,authorization",
+    "access-control-allow-methods": "GET,HEAD,POST,DELETE,OPTIONS",
+    "access-control-allow-headers":
+      "content-type,authorization,range,x-api-key,x-request-id,x-resume-key",
+    "access-control-expose-headers":
+      "content-length,content-range,accept-ranges,retry-after,x-request-id,x-subtitle-encoding",
   };
 }
 
@@ -109,15 +188,171 @@ function withCors(response) {
   });
 }
 
-app.use(async (req, res) => {
+// Routes that accept a request body; every other route is GET-only.
+const POST_ROUTES = new Set([
+  "/v1/playlists/import",
+  "/v1/epg/import",
+  "/v1/movie/lookup/batch",
+  "/v1/sprites",
+  "/v1/hls-sessions",
+  "/v1/subtitles/convert",
+  "/v1/progress",
+  "/admin/api-keys",
+]);
+
+// Routes that also accept DELETE.
+const DELETE_ROUTES = new Set([
+  "/v1/progress",
+  "/admin/cache",
+  "/admin/cache/key",
+  "/admin/cache/stats",
+  "/admin/api-keys",
+]);
+
+// HLS sessions accept DELETE too (closing them early).
+const HLS_SESSION_PATTERN = /^\/v1\/hls-sessions\/[^/]+$/;
+
+const STATIC_ROUTE_LABELS = new Set([
+  "/v1/health",
+  "/v1/openapi.json",
+  "/v1/search",
+  "/v1/movie",
+  "/v1/movie/lookup",
+  "/v1/movie/lookup/batch",
+  "/proxy",
+  "/v1/stream-url",
+  "/v1/metadata",
+  "/v1/playback-plan",
+  "/v1/thumbnail",
+  "/v1/sprites",
+  "/v1/hls-sessions",
+  "/v1/subtitles",
+  "/v1/subtitles/convert",
+  "/v1/progress",
+  "/v1/continue-watching",
+  "/v1/playlists/import",
+  "/v1/channels",
+  "/v1/channels/groups",
+  "/v1/epg/import",
+  "/v1/epg/now",
+  "/v1/series",
+  "/v1/series/search",
+  "/v1/series/lookup",
+  "/admin/cache",
+  "/admin/cache/keys",
+  "/admin/cache/key",
+  "/admin/cache/stats",
+  "/admin/api-keys",
+  "/metrics",
+]);
+
+const PATTERN_ROUTE_LABELS = [
+  [/^\/v1\/series\/\d+\/season\/\d+\/episode\/\d+$/, "/v1/series/{id}/season/{season}/episode/{episode}"],
+  [/^\/v1\/series\/\d+\/season\/\d+$/, "/v1/series/{id}/season/{season}"],
+  [/^\/v1\/series\/[^/]+$/, "/v1/series/{id}"],
+  [/^\/v1\/movie\/[^/]+$/, "/v1/movie/{id}"],
+  [/^\/movies\/id\/[^/]+$/, "/movies/id/{id}"],
+  [/^\/v1\/channels\/[^/]+$/, "/v1/channels/{id}"],
+  [/^\/v1\/epg\/[^/]+$/, "/v1/epg/{channelId}"],
+  [/^\/v1\/image\/[^/]+\/[^/]+$/, "/v1/image/{size}/{path}"],
+  [/^\/v1\/sprites\/[^/]+$/, "/v1/sprites/{id}"],
+  [/^\/v1\/sprites\/[^/]+\/[^/]+$/, "/v1/sprites/{id}/{file}"],
+  [HLS_SESSION_PATTERN, "/v1/hls-sessions/{id}"],
+  [/^\/v1\/hls-sessions\/[^/]+\/[^/]+$/, "/v1/hls-sessions/{id}/{file}"],
+  [/^\/3\//, "/3/*"],
+];
+
+// Route templates keep the metrics label set bounded.
+function routeLabel(pathname) {
+  if (STATIC_ROUTE_LABELS.has(pathname)) return pathname;
+  for (const [pattern, label] of PATTERN_ROUTE_LABELS) {
+    if (pattern.test(pathname)) return label;
+  }
+  return "other";
+}
+
+// Incoming ids are kept when they are short and printable, so a gateway's id
+// can be followed through our logs; otherwise a new one is generated.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function resolveRequestId(incoming) {
+  return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+}
+
+// Routes that serve upstream or on-disk bytes. Their bodies are always piped,
+// whatever content-type they carry: IPTV providers often label `.ts` segments
+// and live streams `text/plain`, and buffering those would corrupt them (and
+// never end for a live stream).
+const PASS_THROUGH_ROUTE_PATTERN =
+  /^\/(?:proxy$|v1\/image\/|v1\/sprites\/[^/]+\/[^/]+$|v1\/hls-sessions\/[^/]+\/[^/]+$)/;
+
+// JSON and text bodies of our own handlers are buffered; anything else is
+// piped through so large and ranged responses are never held in memory.
+function isBufferedContentType(contentType) {
+  const type = (contentType || "").toLowerCase();
+  return type.startsWith("application/json") || type.startsWith("text/");
+}
+
+// Checks a buffered JSON body against the schema the OpenAPI document declares
+// for its status. Returns the violations (empty when it conforms).
+function checkResponseContract(operation, status, body) {
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (e) {
+    return [{ path: "", message: "body is not valid JSON" }];
+  }
+  return validateResponseBody(operation, status, parsed);
+}
+
+// Logged once: requests arriving through a proxy TRUST_PROXY does not describe.
+let forwardedWarningLogged = false;
+
+app.use((req, res) => {
+  const requestId = resolveRequestId(req.get("x-request-id"));
+  const route = routeLabel(req.path);
+  res.setHeader("x-request-id", requestId);
+  return runWithRequestContext({ requestId, route }, () => handleRequest(req, res, route));
+});
+
+async function handleRequest(req, res, route) {
+  const startedAt = process.hrtime.bigint();
+  let observed = false;
+  const observe = () => {
+    if (observed) return;
+    observed = true;
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    httpRequestsTotal.inc({ route, method: req.method, status: res.statusCode });
+    httpRequestDurationSeconds.observe({ route, method: req.method }, seconds);
+    const completed = {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      // "close" before "finish": the client went away mid-response.
+      aborted: !res.writableFinished,
+    };
+    if (res.statusCode >= 500) logger.warn("request completed", completed);
+    else logger.info("request completed", completed);
+  };
+  res.on("finish", observe);
+  res.on("close", observe);
+
   try {
     const proto = req.protocol;
     const host = req.get("host");
     const fullUrl = `${proto}://${host}${req.originalUrl}`;
 
+    // Abort upstream work (e.g. proxied streams) once the client goes away.
+    const abortController = new AbortController();
+    res.on("close", () => abortController.abort());
+
+    const hasBody = req.method !== "GET" && req.method !== "HEAD";
     const request = new Request(fullUrl, {
       method: req.method,
       headers: req.headers,
+      signal: abortController.signal,
+      ...(hasBody ? { body: Readable.toWeb(req), duplex: "half" } : {}),
     });
 
     const ctx = makeCtx();
@@ -129,7 +364,19 @@ app.use(async (req, res) => {
       return res.status(204).send();
     }
 
-    if (request.method !== "GET") {
+    const pathname = new URL(request.url).pathname;
+    const isStreamProxy = pathname === "/proxy";
+    const allowHead = isStreamProxy && request.method === "HEAD";
+    const allowPost = POST_ROUTES.has(pathname) && request.method === "POST";
+    const allowDelete =
+      (DELETE_ROUTES.has(pathname) || HLS_SESSION_PATTERN.test(pathname)) &&
+      request.method === "DELETE";
+    if (
+      request.method !== "GET" &&
+      !allowHead &&
+      !allowPost &&
+      !allowDelete
+    ) {
       const resp = withCors(errorResponse(405, "method not allowed"));
       for (const [k, v] of resp.headers) res.setHeader(k, v);
       res.status(resp.status);
@@ -137,61 +384,194 @@ app.use(async (req, res) => {
     }
 
     const url = new URL(request.url);
+    if (!forwardedWarningLogged && !process.env.TRUST_PROXY && req.get("x-forwarded-for")) {
+      forwardedWarningLogged = true;
+      logger.warn("x-forwarded-for received but TRUST_PROXY is unset; per-IP rate limits see the proxy's address");
+    }
+    const denied = await authorizeRequest(request, env, { clientIp: req.ip });
+    const operation = matchOperation(request.method, url.pathname);
+    const invalid = operation && !denied ? validateParameters(operation, url.searchParams) : [];
     let response;
-    if (url.pathname === "/v1/health") {
+    if (denied) {
+      response = withCors(denied);
+    } else if (invalid.length > 0) {
+      logger.info("request rejected by schema", { operationId: operation.operationId, invalid });
+      response = withCors(errorResponse(400, { error: "invalid request", details: invalid }));
+    } else if (url.pathname === "/v1/health") {
       response = withCors(jsonResponse({ ok: true }));
+    } else if (url.pathname === "/v1/openapi.json") {
+      response = withCors(await handleOpenApi(request));
+    } else if (url.pathname.startsWith("/v1/image/")) {
+      response = withCors(await handleImage(request, env));
+    } else if (url.pathname === "/metrics") {
+      response = withCors(await handleMetrics(request, env));
     } else if (url.pathname === "/v1/search") {
       response = withCors(await handleSearch(request, env, ctx));
+    } else if (url.pathname === "/v1/movie/lookup/batch") {
+      response = withCors(await handleMovieLookupBatch(request, env, ctx));
     } else if (url.pathname === "/v1/movie/lookup") {
-      response = withCors(await handleMovieLookup(request, env));
+      response = withCors(await handleMovieLookup(request, env, ctx));
     } else if (url.pathname === "/v1/movie") {
       // Support requests like /v1/movie?title=...&channelId=...
-      response = withCors(await handleMovieLookup(request, env));
+      response = withCors(await handleMovieLookup(request, env, ctx));
     } else if (url.pathname.startsWith("/v1/movie/")) {
       response = withCors(await handleMovieLookup(request, env, ctx));
     } else if (url.pathname.startsWith("/movies/id/")) {
-      response = withCors(await handleMovieById(request, env));
+      response = withCors(await handleMovieById(request, env, ctx));
+    } else if (isStreamProxy) {
+      response = withCors(await handleStreamProxy(request, env));
     } else if (url.pathname === "/v1/stream-url") {
       response = withCors(await handleStreamUrl(request, env));
     } else if (url.pathname === "/v1/metadata") {
       response = withCors(await handleMetadata(request, env));
+    } else if (url.pathname === "/v1/playback-plan") {
+      response = withCors(await handlePlaybackPlan(request, env));
+    } else if (url.pathname === "/v1/thumbnail") {
+      response = withCors(await handleThumbnail(request, env));
+    } else if (url.pathname === "/v1/sprites") {
+      response = withCors(await handleSpriteJobCreate(request, env));
+    } else if (url.pathname.match(/^\/v1\/sprites\/[^/]+$/)) {
+      response = withCors(await handleSpriteJob(request, env));
+    } else if (url.pathname.match(/^\/v1\/sprites\/[^/]+\/[^/]+$/)) {
+      response = withCors(await handleSpriteFile(request, env));
+    } else if (url.pathname === "/v1/hls-sessions") {
+      response = withCors(await handleHlsSessionCreate(request, env));
+    } else if (HLS_SESSION_PATTERN.test(url.pathname)) {
+      response = withCors(await handleHlsSession(request, env));
+    } else if (url.pathname.match(/^\/v1\/hls-sessions\/[^/]+\/[^/]+$/)) {
+      response = withCors(await handleHlsSessionFile(request, env));
+    } else if (url.pathname === "/v1/subtitles") {
+      response = withCors(await handleSubtitleTrack(request, env));
+    } else if (url.pathname === "/v1/subtitles/convert") {
+      response = withCors(await handleSubtitleConvert(request, env));
+    } else if (url.pathname === "/v1/progress") {
+      response = withCors(
+        request.method === "POST" ? await handleProgressUpdate(request, env) : await handleProgress(request, env)
+      );
+    } else if (url.pathname === "/v1/continue-watching") {
+      response = withCors(await handleContinueWatching(request, env));
+    } else if (url.pathname === "/v1/playlists/import") {
+      response = withCors(await handlePlaylistImport(request, env));
+    } else if (url.pathname === "/v1/channels") {
+      response = withCors(await handleChannels(request, env));
+    } else if (url.pathname === "/v1/channels/groups") {
+      response = withCors(await handleChannelGroups(request, env));
+    } else if (url.pathname.match(/^\/v1\/channels\/[^/]+$/)) {
+      response = withCors(await handleChannelById(request, env));
+    } else if (url.pathname === "/v1/epg/import") {
+      response = withCors(await handleEpgImport(request, env));
+    } else if (url.pathname === "/v1/epg/now") {
+      response = withCors(await handleEpgNow(request, env, ctx));
+    } else if (url.pathname.match(/^\/v1\/epg\/[^/]+$/)) {
+      response = withCors(await handleEpgSchedule(request, env, ctx));
     } else if (url.pathname === "/v1/series/search") {
-      response = withCors(await handleSeriesSearch(request, env));
+      response = withCors(await handleSeriesSearch(request, env, ctx));
+    } else if (url.pathname === "/v1/series/lookup") {
+      response = withCors(await handleSeriesLookup(request, env, ctx));
     } else if (
       url.pathname === "/v1/series" ||
       url.pathname === "/v1/series/"
     ) {
       // Support requests like /v1/series?title=...&channelId=...
-      response = withCors(await handleSeriesSearch(request, env));
+      response = withCors(await handleSeriesSearch(request, env, ctx));
     } else if (
       url.pathname.match(/^\/v1\/series\/\d+\/season\/\d+\/episode\/\d+$/)
     ) {
-      response = withCors(await handleSeriesEpisode(request, env));
+      response = withCors(await handleSeriesEpisode(request, env, ctx));
     } else if (url.pathname.match(/^\/v1\/series\/\d+\/season\/\d+$/)) {
-      response = withCors(await handleSeriesSeason(request, env));
+      response = withCors(await handleSeriesSeason(request, env, ctx));
     } else if (url.pathname.startsWith("/v1/series/")) {
-      response = withCors(await handleSeriesById(request, env));
+      response = withCors(await handleSeriesById(request, env, ctx));
+    } else if (url.pathname === "/admin/cache") {
+      response = withCors(await handleAdminCachePurge(request, env));
+    } else if (url.pathname === "/admin/cache/keys") {
+      response = withCors(await handleAdminCacheKeys(request, env));
+    } else if (url.pathname === "/admin/cache/key") {
+      response = withCors(await handleAdminCacheKey(request, env));
+    } else if (url.pathname === "/admin/cache/stats") {
+      response = withCors(await handleAdminCacheStats(request, env));
+    } else if (url.pathname === "/admin/api-keys") {
+      response = withCors(await handleAdminApiKeys(request, env));
     } else if (url.pathname.startsWith("/3/")) {
-      response = withCors(await handleTmdbProxy(request, env));
+      response = withCors(await handleTmdbProxy(request, env, ctx));
     } else {
       response = withCors(errorResponse(404, "not found"));
     }
 
+    let body = null;
+    const contentType = response.headers.get("content-type");
+    if (
+      response.body &&
+      !PASS_THROUGH_ROUTE_PATTERN.test(url.pathname) &&
+      isBufferedContentType(contentType)
+    ) {
+      body = await response.text();
+      // `?imageUrls=proxy`: TMDB image paths become `/v1/image/...` URLs. Applied
+      // here so cached payloads stay path-based and shared by both variants.
+      if (
+        url.searchParams.get("imageUrls") === "proxy" &&
+        response.ok &&
+        contentType.toLowerCase().startsWith("application/json")
+      ) {
+        body = JSON.stringify(rewriteImageUrls(JSON.parse(body), env.IMAGE_PROXY_BASE || url.origin));
+      }
+      if (
+        operation &&
+        env.OPENAPI_RESPONSE_VALIDATION !== "off" &&
+        contentType.toLowerCase().startsWith("application/json")
+      ) {
+        const issues = checkResponseContract(operation, response.status, body);
+        if (issues.length > 0) {
+          logger.warn("response does not match openapi schema", {
+            operationId: operation.operationId,
+            status: response.status,
+            issues: issues.slice(0, 20),
+          });
+          if (env.OPENAPI_RESPONSE_VALIDATION === "strict") {
+            response = withCors(errorResponse(500, "response failed schema validation"));
+            body = await response.text();
+          }
+        }
+      }
+    }
+
     // copy headers
     for (const [key, value] of response.headers) {
       res.setHeader(key, value);
     }
 
     res.status(response.status);
-    const body = await response.text();
+    if (!response.body) {
+      // e.g. HEAD through /proxy: keep the upstream content-length intact
+      return res.end();
+    }
+    if (body === null) {
+      Readable.fromWeb(response.body)
+        .on("error", (err) => {
+          logger.warn("response stream failed", err?.message ?? err);
+          res.destroy(err);
+        })
+        .pipe(res);
+      return;
+    }
     res.send(body);
   } catch (error) {
-    console.error(error);
+    // Typed errors (e.g. TmdbError) carry the HTTP status to answer with.
+    const status = Number.isInteger(error?.status) ? error.status : 500;
+    if (status >= 500) {
+      logger.error("request failed", { status, err: error });
+    } else {
+      logger.warn("request failed", { status, err: error?.message ?? error });
+    }
+    if (error?.retryAfter != null) {
+      res.setHeader("retry-after", String(Math.ceil(error.retryAfter)));
+    }
+    Object.entries(corsHeaders()).forEach(([k, v]) => res.setHeader(k, v));
     res
-      .status(500)
+      .status(status)
       .json({ error: error instanceof Error ? error.message : String(error) });
   }
-});
+}
 
 const PORT = process.env.PORT || 3000;
 
@@ -202,9 +582,12 @@ const PORT = process.env.PORT || 3000;
     }
     app.listen(PORT, () => {
       logger.info(`API server listening on port ${PORT}`);
+      if (!env.API_KEYS_REQUIRED) {
+        logger.warn("API_KEYS_REQUIRED=false: API keys are not checked");
+      }
     });
   } catch (err) {
-    console.error("Failed to start server:", err?.message ?? err);
+    logger.error("Failed to start server", err?.message ?? err);
     process.exit(1);
   }
 })();
@@ -0,0 +1,191 @@
+import { createHash } from "crypto";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("ioredis", async () => ({ default: (await import("ioredis-mock")).default }));
+
+const { getRedisClient } = await import("../lib/cache.js");
+const { createApiKey, revokeApiKey, verifyApiKey } = await import("../lib/apiKeys.js");
+const { consumeRateLimit } = await import("../lib/rateLimit.js");
+const { authorizeRequest, isRateLimitExempt, routeScope } = await import("../lib/apiAuth.js");
+
+const env = { RATE_LIMIT_PER_IP: 1000 };
+const NOW = Date.UTC(2024, 0, 1);
+let ipCounter = 0;
+
+function request(path, headers = {}) {
+  return new Request(`http://api.test${path}`, { headers });
+}
+
+// A fresh per-IP window for every request unless one is given.
+function authorize(path, { headers, clientIp = `198.51.100.${++ipCounter}`, env: overrides } = {}) {
+  return authorizeRequest(request(path, headers), { ...env, ...overrides }, { clientIp });
+}
+
+describe("routeScope", () => {
+  it("maps routes to the scope their key needs", () => {
+    expect(routeScope("/3/movie/550")).toBe("tmdb-proxy");
+    expect(routeScope("/v1/stream-url")).toBe("stream");
+    expect(routeScope("/v1/hls-sessions")).toBe("stream");
+    expect(routeScope("/v1/sprites/abc")).toBe("stream");
+    expect(routeScope("/v1/playlists/import")).toBe("import");
+    expect(routeScope("/v1/epg/import")).toBe("import");
+    expect(routeScope("/v1/search")).toBe("metadata");
+    expect(routeScope("/movies/id/550")).toBe("metadata");
+  });
+
+  it("leaves public, token and session-file routes without a scope", () => {
+    for (const path of [
+      "/v1/health",
+      "/v1/openapi.json",
+      "/proxy",
+      "/v1/image/w500/a.jpg",
+      "/v1/sprites/abc/sheet-0.jpg",
+      "/v1/hls-sessions/abc/seg-1.ts",
+      "/admin/api-keys",
+      "/favicon.ico",
+    ]) {
+      expect(routeScope(path)).toBeNull();
+    }
+  });
+
+  it("exempts bulk player fetches, but not the API or admin, from rate limits", () => {
+    expect(isRateLimitExempt("/v1/hls-sessions/abc/index.m3u8")).toBe(true);
+    expect(isRateLimitExempt("/v1/sprites/abc/sheet-0.jpg")).toBe(true);
+    expect(isRateLimitExempt("/proxy")).toBe(true);
+    expect(isRateLimitExempt("/v1/hls-sessions")).toBe(false);
+    expect(isRateLimitExempt("/admin/api-keys")).toBe(false);
+  });
+});
+
+describe("api keys", () => {
+  beforeEach(async () => {
+    await getRedisClient(env).flushall();
+  });
+
+  it("stores only the SHA-256 digest, under an id derived from it", async () => {
+    const created = await createApiKey(env, { name: "tv", scopes: ["metadata", "metadata", "stream"] });
+    expect(created.key).toMatch(/^lvp_[\w-]{32}$/);
+    const digest = createHash("sha256").update(created.key).digest("hex");
+    expect(created.id).toBe(digest.slice(0, 16));
+    expect(created.scopes).toEqual(["metadata", "stream"]);
+
+    const stored = await getRedisClient(env).hgetall(`/_apikeys/${created.id}`);
+    expect(JSON.parse(stored.key_hash)).toBe(digest);
+    expect(JSON.stringify(stored)).not.toContain(created.key);
+  });
+
+  it("verifies the key without exposing its digest", async () => {
+    const { key, id } = await createApiKey(env, { name: "tv", scopes: ["stream"], rateLimit: 10 });
+    const record = await verifyApiKey(env, key);
+    expect(record).toMatchObject({ id, name: "tv", scopes: ["stream"], rate_limit: 10 });
+    expect(record).not.toHaveProperty("key_hash");
+    expect(await verifyApiKey(env, `${key}x`)).toBeNull();
+  });
+
+  it("rejects unknown scopes and forgets revoked keys", async () => {
+    await expect(createApiKey(env, { name: "x", scopes: ["root"] })).rejects.toThrow("unknown scopes: root");
+    const { key, id } = await createApiKey(env, { name: "tv", scopes: ["metadata"] });
+    expect(await verifyApiKey(env, key)).not.toBeNull();
+    expect(await revokeApiKey(env, id)).toBe(true);
+    expect(await verifyApiKey(env, key)).toBeNull();
+    expect(await revokeApiKey(env, id)).toBe(false);
+  });
+});
+
+describe("consumeRateLimit", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("allows up to the limit within the window", async () => {
+    const options = { limit: 2, windowSeconds: 60 };
+    expect(await consumeRateLimit(env, "ip/limit", options)).toEqual({
+      allowed: true,
+      remaining: 1,
+      retryAfterSeconds: 0,
+    });
+    expect((await consumeRateLimit(env, "ip/limit", options)).remaining).toBe(0);
+    expect(await consumeRateLimit(env, "ip/limit", options)).toMatchObject({ allowed: false, remaining: 0 });
+  });
+
+  it("retries after the oldest request leaves the window", async () => {
+    const options = { limit: 2, windowSeconds: 60 };
+    await consumeRateLimit(env, "ip/slide", options);
+    vi.setSystemTime(NOW + 20500);
+    await consumeRateLimit(env, "ip/slide", options);
+    vi.setSystemTime(NOW + 30000);
+    // The first request leaves the window 30 s from now.
+    expect(await consumeRateLimit(env, "ip/slide", options)).toEqual({
+      allowed: false,
+      remaining: 0,
+      retryAfterSeconds: 30,
+    });
+    vi.setSystemTime(NOW + 60001);
+    expect(await consumeRateLimit(env, "ip/slide", options)).toMatchObject({ allowed: true, remaining: 0 });
+    // Rejected requests do not count: the second one frees a slot at 80.5 s.
+    expect((await consumeRateLimit(env, "ip/slide", options)).retryAfterSeconds).toBe(21);
+  });
+
+  it("does not count without a positive limit", async () => {
+    expect(await consumeRateLimit(env, "ip/none", { limit: 0, windowSeconds: 60 })).toMatchObject({ allowed: true });
+  });
+});
+
+describe("authorizeRequest", () => {
+  let metadataKey;
+
+  beforeEach(async () => {
+    await getRedisClient(env).flushall();
+    ({ key: metadataKey } = await createApiKey(env, { name: "tv", scopes: ["metadata"], rateLimit: 2 }));
+  });
+
+  async function errorOf(response) {
+    return { status: response.status, ...(await response.json()) };
+  }
+
+  it("requires a key on scoped routes by default", async () => {
+    expect(await errorOf(await authorize("/v1/search"))).toEqual({ status: 401, error: "api key required" });
+    expect(await errorOf(await authorize("/v1/search", { headers: { "x-api-key": "lvp_nope" } }))).toEqual({
+      status: 401,
+      error: "invalid api key",
+    });
+    expect(await authorize("/v1/search", { headers: { "x-api-key": metadataKey } })).toBeNull();
+  });
+
+  it("reads the key from the query on every scoped route", async () => {
+    expect(await authorize(`/v1/search?api_key=${metadataKey}`)).toBeNull();
+    expect(await errorOf(await authorize(`/v1/stream-url?api_key=${metadataKey}`))).toEqual({
+      status: 403,
+      error: "api key lacks scope: stream",
+    });
+  });
+
+  it("lets everything through when keys are turned off", async () => {
+    expect(await authorize("/3/movie/550", { env: { API_KEYS_REQUIRED: false } })).toBeNull();
+    expect(await authorize("/v1/health")).toBeNull();
+  });
+
+  it("answers 429 with Retry-After past the key's own limit", async () => {
+    const headers = { "x-api-key": metadataKey };
+    expect(await authorize("/v1/search", { headers })).toBeNull();
+    expect(await authorize("/v1/search", { headers })).toBeNull();
+    const limited = await authorize("/v1/search", { headers });
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get("retry-after"))).toBeGreaterThan(0);
+  });
+
+  it("counts one IP across routes but not across session files", async () => {
+    const clientIp = "203.0.113.9";
+    const tight = { RATE_LIMIT_PER_IP: 1 };
+    for (let i = 0; i < 3; i++) {
+      expect(await authorize("/v1/hls-sessions/abc/seg-1.ts", { clientIp, env: tight })).toBeNull();
+    }
+    expect(await authorize("/v1/openapi.json", { clientIp, env: tight })).toBeNull();
+    expect((await authorize("/v1/openapi.json", { clientIp, env: tight })).status).toBe(429);
+  });
+});
@@ -0,0 +1,62 @@
+import { gzipSync } from "zlib";
+import { describe, expect, it } from "vitest";
+import { BodyTooLargeError, gunzipLimited, readBodyLimited } from "../lib/body.js";
+
+function chunkedResponse(chunks, headers = {}) {
+  const stream = new ReadableStream({
+    pull(controller) {
+      if (chunks.length === 0) controller.close();
+      else controller.enqueue(chunks.shift());
+    },
+  });
+  return new Response(stream, { headers });
+}
+
+describe("readBodyLimited", () => {
+  it("reads a body under the cap", async () => {
+    const body = await readBodyLimited(chunkedResponse([Buffer.from("ab"), Buffer.from("cd")]), 4);
+    expect(body.toString()).toBe("abcd");
+  });
+
+  it("stops reading once the streamed bytes pass the cap", async () => {
+    let pulled = 0;
+    const stream = new ReadableStream({
+      pull(controller) {
+        pulled += 1;
+        controller.enqueue(new Uint8Array(1024));
+      },
+    });
+    await expect(readBodyLimited(new Response(stream), 4096, "guide")).rejects.toThrow(
+      new BodyTooLargeError("guide too large")
+    );
+    expect(pulled).toBeLessThan(10);
+  });
+
+  it("rejects a declared content-length over the cap before reading", async () => {
+    const error = await readBodyLimited(chunkedResponse([Buffer.from("x")], { "content-length": "100" }), 10).catch(
+      (e) => e
+    );
+    expect(error).toBeInstanceOf(BodyTooLargeError);
+    expect(error.status).toBe(413);
+  });
+
+  it("returns an empty buffer without a body", async () => {
+    expect((await readBodyLimited(new Response(null), 10)).length).toBe(0);
+  });
+});
+
+describe("gunzipLimited", () => {
+  it("inflates gzip data under the cap", async () => {
+    expect((await gunzipLimited(gzipSync("<tv/>"), 100)).toString()).toBe("<tv/>");
+  });
+
+  it("stops inflating a gzip bomb at the cap", async () => {
+    const bomb = gzipSync(Buffer.alloc(20 * 1024 * 1024));
+    expect(bomb.length).toBeLessThan(100 * 1024);
+    await expect(gunzipLimited(bomb, 1024 * 1024)).rejects.toBeInstanceOf(BodyTooLargeError);
+  });
+
+  it("rejects data that is not gzip", async () => {
+    await expect(gunzipLimited(Buffer.from([0x1f, 0x8b, 1, 2, 3]), 100)).rejects.toThrow();
+  });
+});
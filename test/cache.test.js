@@ -0,0 +1,111 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("ioredis", async () => ({ default: (await import("ioredis-mock")).default }));
+
+const { buildCacheKeyFromUrl, cacheGetEntry, cacheSet, forgetCachedKeys, getRedisClient, revalidateInBackground } =
+  await import("../lib/cache.js");
+
+const env = {};
+const NOW = Date.UTC(2024, 0, 1) / 1000;
+
+describe("buildCacheKeyFromUrl", () => {
+  it("sorts the query and drops parameters that do not change the payload", () => {
+    expect(buildCacheKeyFromUrl("http://h/v1/search?query=x&api_key=k&language=tr&imageUrls=proxy")).toBe(
+      "/v1/search?language=tr&query=x"
+    );
+    expect(buildCacheKeyFromUrl(new URL("http://h/v1/movie/1"))).toBe("/v1/movie/1");
+  });
+});
+
+describe("cache envelopes", () => {
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(NOW * 1000);
+    await getRedisClient(env).flushall();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("stores the value with its soft and hard expiry", async () => {
+    await cacheSet(env, "/k/fresh", { a: 1 }, 100, { softTtlSeconds: 10 });
+    const client = getRedisClient(env);
+    expect(JSON.parse(await client.get("/k/fresh"))).toEqual({
+      _meta: { storedAt: NOW, softExpiresAt: NOW + 10, hardExpiresAt: NOW + 100 },
+      value: { a: 1 },
+    });
+    expect(await client.ttl("/k/fresh")).toBe(100);
+    expect(await cacheGetEntry(env, "/k/fresh", { trackStats: false })).toEqual({
+      value: { a: 1 },
+      stale: false,
+      storedAt: NOW,
+      softExpiresAt: NOW + 10,
+      hardExpiresAt: NOW + 100,
+    });
+  });
+
+  it("serves the entry as stale once the soft TTL has passed", async () => {
+    await cacheSet(env, "/k/stale", "v", 100, { softTtlSeconds: 10 });
+    vi.setSystemTime((NOW + 11) * 1000);
+    expect(await cacheGetEntry(env, "/k/stale", { trackStats: false })).toMatchObject({ value: "v", stale: true });
+  });
+
+  it("caps the soft TTL at the hard TTL and stays fresh without one", async () => {
+    await cacheSet(env, "/k/capped", 1, 5, { softTtlSeconds: 50 });
+    expect((await cacheGetEntry(env, "/k/capped", { trackStats: false })).softExpiresAt).toBe(NOW + 5);
+    await cacheSet(env, "/k/hard-only", 1, 5);
+    expect(await cacheGetEntry(env, "/k/hard-only", { trackStats: false })).toMatchObject({
+      stale: false,
+      softExpiresAt: null,
+    });
+  });
+
+  it("treats values written without an envelope as stale", async () => {
+    await getRedisClient(env).set("/k/legacy", JSON.stringify({ results: [] }));
+    expect(await cacheGetEntry(env, "/k/legacy", { trackStats: false })).toEqual({
+      value: { results: [] },
+      stale: true,
+      storedAt: null,
+      softExpiresAt: null,
+      hardExpiresAt: null,
+    });
+  });
+
+  it("misses on absent and unparsable values", async () => {
+    await getRedisClient(env).set("/k/broken", "{");
+    expect(await cacheGetEntry(env, "/k/broken", { trackStats: false })).toBeNull();
+    expect(await cacheGetEntry(env, "/k/absent", { trackStats: false })).toBeNull();
+  });
+
+  it("answers from the memory tier until the key is forgotten", async () => {
+    await cacheSet(env, "/k/memory", "v", 100);
+    await getRedisClient(env).del("/k/memory");
+    expect((await cacheGetEntry(env, "/k/memory", { trackStats: false })).value).toBe("v");
+    forgetCachedKeys(["/k/memory"]);
+    expect(await cacheGetEntry(env, "/k/memory", { trackStats: false })).toBeNull();
+  });
+});
+
+describe("revalidateInBackground", () => {
+  it("runs one refresh per key at a time and swallows its failure", async () => {
+    const pending = [];
+    const ctx = { waitUntil: (promise) => pending.push(promise) };
+    let release;
+    const refresh = vi.fn(
+      () =>
+        new Promise((resolve, reject) => {
+          release = () => reject(new Error("tmdb down"));
+        })
+    );
+    revalidateInBackground(ctx, "/k/swr", refresh);
+    revalidateInBackground(ctx, "/k/swr", refresh);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(pending).toHaveLength(1);
+
+    release();
+    await expect(pending[0]).resolves.toBeUndefined();
+    revalidateInBackground(ctx, "/k/swr", async () => {});
+    expect(pending).toHaveLength(2);
+  });
+});
@@ -0,0 +1,90 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("ioredis", async () => ({ default: (await import("ioredis-mock")).default }));
+
+const { getRedisClient } = await import("../lib/cache.js");
+const { getChannel, importChannels, listAllChannels, listGroups } = await import("../lib/channels.js");
+
+const env = {};
+
+function entry(fields) {
+  return { name: "TRT 1", groupTitle: "Ulusal", url: "http://p/u/pw/1.ts", tvgId: "trt1.tr", ...fields };
+}
+
+async function importedIds(entries) {
+  await importChannels(env, "main", entries);
+  return (await listAllChannels(env)).map((channel) => channel.id).sort();
+}
+
+describe("importChannels ids", () => {
+  beforeEach(async () => {
+    await getRedisClient(env).flushall();
+  });
+
+  it("suffixes a repeated tvg-id from group and name, not the stream URL", async () => {
+    const first = await importedIds([entry(), entry({ name: "TRT 1 HD", url: "http://p/u/pw/2.ts" })]);
+    expect(first).toHaveLength(2);
+    expect(first).toContain("main:trt1.tr");
+
+    // Rotated credentials change every URL but no id.
+    const rotated = await importedIds([
+      entry({ url: "http://p/u/new/1.ts" }),
+      entry({ name: "TRT 1 HD", url: "http://p/u/new/2.ts" }),
+    ]);
+    expect(rotated).toEqual(first);
+  });
+
+  it("numbers entries that still collide after the suffix", async () => {
+    const ids = await importedIds([entry(), entry({ url: "http://p/b.ts" }), entry({ url: "http://p/c.ts" })]);
+    expect(new Set(ids).size).toBe(3);
+    expect(ids.filter((id) => /~\d+$/.test(id))).toHaveLength(1);
+  });
+
+  it("keeps ids unique for duplicate entries without a tvg-id", async () => {
+    const ids = await importedIds([entry({ tvgId: "" }), entry({ tvgId: "", url: "http://p/b.ts" })]);
+    expect(new Set(ids).size).toBe(2);
+  });
+});
+
+describe("importChannels catalog", () => {
+  beforeEach(async () => {
+    await getRedisClient(env).flushall();
+  });
+
+  it("keeps channels of playlists that share a tvg-id apart", async () => {
+    await importChannels(env, "main", [entry()]);
+    await importChannels(env, "backup", [entry({ groupTitle: "Yedek", url: "http://q/1.ts" })]);
+    expect(await getChannel(env, "main:trt1.tr")).toMatchObject({ playlistId: "main", url: "http://p/u/pw/1.ts" });
+    expect(await getChannel(env, "backup:trt1.tr")).toMatchObject({ playlistId: "backup", url: "http://q/1.ts" });
+
+    // Re-importing one playlist leaves the other's channel and group alone.
+    expect(await importChannels(env, "main", [entry({ tvgId: "atv.tr", name: "ATV" })])).toEqual({
+      imported: 1,
+      removed: 1,
+      groups: 1,
+    });
+    expect(await getChannel(env, "backup:trt1.tr")).not.toBeNull();
+    expect(await getChannel(env, "main:trt1.tr")).toBeNull();
+    expect(await listGroups(env)).toEqual([
+      { name: "Ulusal", count: 1 },
+      { name: "Yedek", count: 1 },
+    ]);
+  });
+
+  it("counts groups shared by playlists and drops emptied ones", async () => {
+    await importChannels(env, "main", [entry(), entry({ tvgId: "show.tr", name: "Show", groupTitle: "Eski" })]);
+    await importChannels(env, "backup", [entry()]);
+    expect(await listGroups(env)).toEqual([
+      { name: "Eski", count: 1 },
+      { name: "Ulusal", count: 2 },
+    ]);
+    await importChannels(env, "main", [entry({ name: "TRT 1 HD" })]);
+    expect(await listGroups(env)).toEqual([{ name: "Ulusal", count: 2 }]);
+  });
+
+  it("fails the import when a command in the transaction fails", async () => {
+    // A name index that is not a sorted set makes ZADD fail inside EXEC.
+    await getRedisClient(env).set("/channels/names", "not a zset");
+    await expect(importChannels(env, "main", [entry()])).rejects.toThrow();
+  });
+});
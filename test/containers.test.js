@@ -0,0 +1,206 @@
+import { describe, expect, it } from "vitest";
+import { isMatroska, parseMatroska } from "../lib/matroska.js";
+import { isMp4, parseMp4 } from "../lib/mp4.js";
+
+function uint(value, length) {
+  const buf = Buffer.alloc(length);
+  buf.writeUIntBE(value, 0, length);
+  return buf;
+}
+
+function reader(file) {
+  return async (offset, length) => file.subarray(offset, offset + length);
+}
+
+// ISO BMFF box: 32-bit size, fourcc, payload.
+function box(type, ...parts) {
+  const payload = Buffer.concat(parts.map((part) => (Buffer.isBuffer(part) ? part : Buffer.from(part))));
+  return Buffer.concat([uint(payload.length + 8, 4), Buffer.from(type, "latin1"), payload]);
+}
+
+// Version/flags, creation and modification time, then the rest.
+function fullHeader(...fields) {
+  return Buffer.concat([Buffer.alloc(12), ...fields]);
+}
+
+function packLanguage(code) {
+  return [...code].reduce((packed, ch) => (packed << 5) | (ch.charCodeAt(0) - 0x60), 0);
+}
+
+function trak({ handler, timescale, duration, language, entry, stts = null, trackId = 1 }) {
+  const stbl = box("stbl", box("stsd", Buffer.alloc(4), uint(1, 4), entry), ...(stts ? [stts] : []));
+  return box(
+    "trak",
+    box("tkhd", fullHeader(uint(trackId, 4), Buffer.alloc(4))),
+    box(
+      "mdia",
+      box("mdhd", fullHeader(uint(timescale, 4), uint(duration, 4), uint(packLanguage(language), 2), Buffer.alloc(2))),
+      box("hdlr", Buffer.alloc(8), Buffer.from(handler, "latin1"), Buffer.alloc(13)),
+      box("minf", stbl)
+    )
+  );
+}
+
+function mp4File() {
+  // High profile, level 4.0, no parameter sets, 4:2:0 at 10 bits.
+  const avcC = box("avcC", Buffer.from([1, 100, 0, 40, 0xff, 0xe0, 0x00, 0xfd, 0xfa]));
+  const avc1 = box("avc1", Buffer.alloc(24), uint(1920, 2), uint(1080, 2), Buffer.alloc(50), avcC);
+  // AAC LC, 48 kHz, 6 channels; the sample entry claims 2.
+  const esds = box(
+    "esds",
+    Buffer.alloc(4),
+    Buffer.from([0x03, 22, 0, 1, 0]),
+    Buffer.from([0x04, 17, 0x40, 0x15]),
+    Buffer.alloc(11),
+    Buffer.from([0x05, 2, 0x11, 0xb0])
+  );
+  const mp4a = box("mp4a", Buffer.alloc(8), Buffer.alloc(8), uint(2, 2), Buffer.alloc(6), uint(48000 * 65536, 4), esds);
+  const moov = box(
+    "moov",
+    box("mvhd", fullHeader(uint(1000, 4), uint(10010, 4))),
+    trak({
+      handler: "vide",
+      timescale: 24000,
+      duration: 240240,
+      language: "und",
+      entry: avc1,
+      stts: box("stts", Buffer.alloc(4), uint(1, 4), uint(240, 4), uint(1001, 4)),
+    }),
+    trak({ handler: "soun", timescale: 48000, duration: 480480, language: "tur", entry: mp4a, trackId: 2 }),
+    trak({ handler: "sbtl", timescale: 1000, duration: 0, language: "eng", entry: box("tx3g"), trackId: 3 })
+  );
+  // moov after mdat, as in files that were not faststarted.
+  return Buffer.concat([box("ftyp", "isom", uint(512, 4), "isomavc1"), box("mdat", Buffer.alloc(4096)), moov]);
+}
+
+describe("parseMp4", () => {
+  it("reads tracks from a moov behind the media data", async () => {
+    const file = mp4File();
+    expect(isMp4(file.subarray(0, 8))).toBe(true);
+    const info = await parseMp4(reader(file), file.length);
+    expect(info).toMatchObject({ formatName: "mov,mp4,m4a,3gp,3g2,mj2", duration: 10.01 });
+    const [video, audio, subtitle] = info.tracks;
+    expect(video).toEqual({
+      type: "video",
+      language: "und",
+      forced: false,
+      duration: 10.01,
+      codec: "h264",
+      width: 1920,
+      height: 1080,
+      profile: "High",
+      level: 40,
+      pixFmt: "yuv420p10le",
+      rFrameRate: "24000/1001",
+      avgFrameRate: "24000/1001",
+    });
+    expect(audio).toEqual({
+      type: "audio",
+      language: "tur",
+      forced: false,
+      duration: 10.01,
+      codec: "aac",
+      profile: "LC",
+      channels: 6,
+      sampleRate: 48000,
+      channelLayout: "5.1",
+    });
+    // A zero media duration falls back to the movie's.
+    expect(subtitle).toEqual({ type: "subtitle", language: "eng", forced: false, duration: 10.01, codec: "mov_text" });
+  });
+
+  it("fails without a moov box", async () => {
+    const file = Buffer.concat([box("ftyp", "isom", uint(0, 4)), box("mdat", Buffer.alloc(16))]);
+    await expect(parseMp4(reader(file), file.length)).rejects.toThrow("moov box not found");
+    expect(isMp4(Buffer.from("not a video"))).toBe(false);
+  });
+});
+
+// EBML element: id bytes as written, then the size as a 1- or 2-byte vint.
+function el(id, ...parts) {
+  const payload = Buffer.concat(parts.map((part) => (Buffer.isBuffer(part) ? part : Buffer.from(part))));
+  const size = payload.length < 0x7f ? uint(0x80 | payload.length, 1) : uint(0x4000 | payload.length, 2);
+  return Buffer.concat([uint(id, Math.ceil(id.toString(16).length / 2)), size, payload]);
+}
+
+function float64(value) {
+  const buf = Buffer.alloc(8);
+  buf.writeDoubleBE(value);
+  return buf;
+}
+
+function matroskaFile() {
+  const info = el(0x1549a966, el(0x2ad7b1, uint(1000000, 3)), el(0x4489, float64(5000)));
+  const tracks = el(
+    0x1654ae6b,
+    el(
+      0xae,
+      el(0x83, uint(1, 1)),
+      el(0x86, "V_MPEG4/ISO/AVC"),
+      el(0x63a2, Buffer.from([1, 77, 0, 31, 0xff, 0xe0, 0x00])),
+      el(0x23e383, uint(41708333, 4)),
+      el(0xe0, el(0xb0, uint(1280, 2)), el(0xba, uint(720, 2)))
+    ),
+    el(
+      0xae,
+      el(0x83, uint(2, 1)),
+      el(0x86, "A_AAC/MPEG2/LC"),
+      el(0x22b59c, "tur"),
+      el(0xe1, el(0xb5, float64(48000)), el(0x9f, uint(6, 1)))
+    ),
+    el(0xae, el(0x83, uint(17, 1)), el(0x86, "S_TEXT/UTF8"), el(0x55aa, uint(1, 1)))
+  );
+  const cluster = el(0x1f43b675, Buffer.alloc(64));
+  // Info and Tracks after the first Cluster, found through the SeekHead.
+  const seekHead = (infoPosition, tracksPosition) =>
+    el(
+      0x114d9b74,
+      el(0x4dbb, el(0x53ab, uint(0x1549a966, 4)), el(0x53ac, uint(infoPosition, 2))),
+      el(0x4dbb, el(0x53ab, uint(0x1654ae6b, 4)), el(0x53ac, uint(tracksPosition, 2)))
+    );
+  const headLength = seekHead(0, 0).length + cluster.length;
+  const segment = el(0x18538067, seekHead(headLength, headLength + info.length), cluster, info, tracks);
+  return Buffer.concat([el(0x1a45dfa3, el(0x4282, "matroska")), segment]);
+}
+
+describe("parseMatroska", () => {
+  it("reads Info and Tracks through the SeekHead when clusters come first", async () => {
+    const file = matroskaFile();
+    expect(isMatroska(file)).toBe(true);
+    const info = await parseMatroska(reader(file), file.length);
+    expect(info).toMatchObject({ formatName: "matroska,webm", duration: 5 });
+    const [video, audio, subtitle] = info.tracks;
+    expect(video).toEqual({
+      type: "video",
+      codec: "h264",
+      language: "eng",
+      forced: false,
+      duration: 5,
+      width: 1280,
+      height: 720,
+      profile: "Main",
+      level: 31,
+      pixFmt: "yuv420p",
+      rFrameRate: "24000/1001",
+      avgFrameRate: "24000/1001",
+    });
+    expect(audio).toEqual({
+      type: "audio",
+      codec: "aac",
+      language: "tur",
+      forced: false,
+      duration: 5,
+      profile: "LC",
+      channels: 6,
+      sampleRate: 48000,
+      channelLayout: "5.1",
+    });
+    expect(subtitle).toEqual({ type: "subtitle", codec: "subrip", language: "eng", forced: true, duration: 5 });
+  });
+
+  it("rejects files without an EBML header", async () => {
+    const file = mp4File();
+    expect(isMatroska(file)).toBe(false);
+    await expect(parseMatroska(reader(file), file.length)).rejects.toThrow("not a matroska file");
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { parseM3u } from "../lib/m3u.js";
+
+describe("parseM3u", () => {
+  it("parses EXTINF attributes and the display name", () => {
+    const { entries, skipped } = parseM3u(
+      [
+        "\uFEFF#EXTM3U",
+        '#EXTINF:-1 tvg-id="trt1.tr" tvg-name="TRT 1" tvg-logo="http://l/trt1.png" tvg-chno="1" group-title="Ulusal",TRT 1 HD',
+        "http://p/u/pw/1.ts",
+      ].join("\r\n")
+    );
+    expect(skipped).toBe(0);
+    expect(entries).toEqual([
+      {
+        name: "TRT 1 HD",
+        url: "http://p/u/pw/1.ts",
+        duration: -1,
+        tvgId: "trt1.tr",
+        tvgName: "TRT 1",
+        tvgLogo: "http://l/trt1.png",
+        tvgChno: 1,
+        groupTitle: "Ulusal",
+        catchup: null,
+        httpHeaders: {},
+      },
+    ]);
+  });
+
+  it("keeps commas inside quoted attributes out of the name", () => {
+    const { entries } = parseM3u('#EXTINF:-1 group-title="Film, Dizi",Kanal, D\nhttp://p/2.ts');
+    expect(entries[0]).toMatchObject({ groupTitle: "Film, Dizi", name: "Kanal, D" });
+  });
+
+  it("falls back to tvg-name, then the URL, for entries without a name", () => {
+    const { entries } = parseM3u('#EXTINF:-1 tvg-name="Yedek",\nhttp://p/1.ts\n#EXTINF:0,\nhttp://p/2.ts');
+    expect(entries.map((entry) => entry.name)).toEqual(["Yedek", "http://p/2.ts"]);
+  });
+
+  it("applies header catch-up defaults unless the entry overrides them", () => {
+    const { header, entries } = parseM3u(
+      [
+        '#EXTM3U catchup="shift" catchup-days="3"',
+        "#EXTINF:-1,A",
+        "http://p/a.ts",
+        '#EXTINF:-1 catchup="append" timeshift="7" catchup-source="?utc={utc}",B',
+        "http://p/b.ts",
+      ].join("\n")
+    );
+    expect(header).toEqual({ catchup: "shift", "catchup-days": "3" });
+    expect(entries[0].catchup).toEqual({ type: "shift", days: 3, source: null });
+    expect(entries[1].catchup).toEqual({ type: "append", days: 7, source: "?utc={utc}" });
+  });
+
+  it("reads EXTGRP and EXTVLCOPT lines of the pending entry", () => {
+    const { entries } = parseM3u(
+      [
+        "#EXTINF:-1,A",
+        "#EXTGRP:Spor",
+        "#EXTVLCOPT:http-user-agent=Player/1.0",
+        "#EXTVLCOPT:http-referrer=http://site/",
+        "http://p/a.ts",
+      ].join("\n")
+    );
+    expect(entries[0].groupTitle).toBe("Spor");
+    expect(entries[0].httpHeaders).toEqual({ "user-agent": "Player/1.0", referer: "http://site/" });
+  });
+
+  it("counts EXTINF lines without a URL and URLs without EXTINF as skipped", () => {
+    const { entries, skipped } = parseM3u(
+      ["#EXTM3U", "http://p/orphan.ts", "#EXTINF:-1,A", "#EXTINF:-1,B", "http://p/b.ts", "#EXTINF:-1,C"].join("\n")
+    );
+    expect(entries.map((entry) => entry.name)).toEqual(["B"]);
+    expect(skipped).toBe(3);
+  });
+
+  it("returns nothing for empty input", () => {
+    expect(parseM3u(null)).toEqual({ header: {}, entries: [], skipped: 0 });
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, expect, it } from "vitest";
+import { locateSegment, parseIsoDuration, parseMpd } from "../lib/dash.js";
+import { isHlsPlaylist, parseHlsPlaylist } from "../lib/hls.js";
+
+describe("isHlsPlaylist", () => {
+  it("tells HLS playlists from IPTV channel lists", () => {
+    expect(isHlsPlaylist("\uFEFF#EXTM3U\n#EXT-X-TARGETDURATION:6\n")).toBe(true);
+    expect(isHlsPlaylist("#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1\nv.m3u8")).toBe(true);
+    expect(isHlsPlaylist('#EXTM3U\n#EXTINF:-1 tvg-id="a",A\nhttp://p/a.ts')).toBe(false);
+  });
+});
+
+describe("parseHlsPlaylist", () => {
+  it("reads variants and renditions of a master playlist", () => {
+    const playlist = parseHlsPlaylist(
+      [
+        "#EXTM3U",
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Türkçe, 5.1",LANGUAGE="tr",DEFAULT=YES,CHANNELS="16/JOC",URI="audio/tr.m3u8"',
+        '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="sub",NAME="English",LANGUAGE="en",FORCED=NO,URI="subs/en.m3u8"',
+        '#EXT-X-STREAM-INF:BANDWIDTH=5000000,AVERAGE-BANDWIDTH=4000000,RESOLUTION=1920x1080,CODECS="avc1.640028,ec-3",FRAME-RATE=25.000,AUDIO="aud",SUBTITLES="sub"',
+        "1080/index.m3u8",
+        '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=100000,URI="iframes.m3u8"',
+      ].join("\n"),
+      "http://cdn/movie/master.m3u8"
+    );
+    expect(playlist.kind).toBe("master");
+    expect(playlist.variants).toEqual([
+      {
+        uri: "http://cdn/movie/1080/index.m3u8",
+        bandwidth: 5000000,
+        averageBandwidth: 4000000,
+        width: 1920,
+        height: 1080,
+        codecs: "avc1.640028,ec-3",
+        frameRate: 25,
+        audioGroup: "aud",
+        subtitleGroup: "sub",
+      },
+    ]);
+    expect(playlist.renditions[0]).toEqual({
+      type: "AUDIO",
+      groupId: "aud",
+      name: "Türkçe, 5.1",
+      language: "tr",
+      default: true,
+      autoselect: false,
+      forced: false,
+      channels: 16,
+      uri: "http://cdn/movie/audio/tr.m3u8",
+    });
+    expect(playlist.renditions[1]).toMatchObject({ type: "SUBTITLES", channels: null, forced: false });
+  });
+
+  it("reads segments with byte ranges, init sections and keys of a VOD playlist", () => {
+    const playlist = parseHlsPlaylist(
+      [
+        "#EXTM3U",
+        "#EXT-X-TARGETDURATION:6",
+        "#EXT-X-PLAYLIST-TYPE:VOD",
+        '#EXT-X-MAP:URI="init.mp4",BYTERANGE="720@0"',
+        '#EXT-X-KEY:METHOD=AES-128,URI="/keys/1"',
+        "#EXTINF:6.0,",
+        "#EXT-X-BYTERANGE:1000@720",
+        "main.mp4",
+        "#EXT-X-KEY:METHOD=NONE",
+        "#EXTINF:4.5,",
+        "#EXT-X-BYTERANGE:500",
+        "main.mp4",
+        "#EXT-X-ENDLIST",
+      ].join("\n"),
+      "http://cdn/v/index.m3u8"
+    );
+    const map = { uri: "http://cdn/v/init.mp4", byteRange: { offset: 0, length: 720 } };
+    expect(playlist).toEqual({
+      kind: "media",
+      targetDuration: 6,
+      live: false,
+      duration: 10.5,
+      segments: [
+        {
+          uri: "http://cdn/v/main.mp4",
+          duration: 6,
+          byteRange: { offset: 720, length: 1000 },
+          map,
+          key: { method: "AES-128", uri: "http://cdn/keys/1" },
+        },
+        { uri: "http://cdn/v/main.mp4", duration: 4.5, byteRange: { offset: 1720, length: 500 }, map, key: null },
+      ],
+    });
+  });
+
+  it("reports no duration for a live window", () => {
+    const playlist = parseHlsPlaylist("#EXTM3U\n#EXT-X-TARGETDURATION:2\n#EXTINF:2,\nseg1.ts\n", "http://cdn/live.m3u8");
+    expect(playlist).toMatchObject({ live: true, duration: null });
+  });
+
+  it("throws on anything that is not HLS", () => {
+    expect(() => parseHlsPlaylist("#EXTM3U\n#EXTINF:-1,A\nhttp://p/a.ts", "http://p/")).toThrow("not an HLS playlist");
+  });
+});
+
+describe("parseIsoDuration", () => {
+  it("parses days, hours, minutes and fractional seconds", () => {
+    expect(parseIsoDuration("PT1H2M3.5S")).toBe(3723.5);
+    expect(parseIsoDuration("P1DT2H")).toBe(93600);
+    expect(parseIsoDuration("1 hour")).toBeNull();
+    expect(parseIsoDuration(undefined)).toBeNull();
+  });
+});
+
+describe("parseMpd", () => {
+  const staticMpd = `<?xml version="1.0"?>
+<MPD type="static" mediaPresentationDuration="PT1H30M">
+  <BaseURL>media/</BaseURL>
+  <Period>
+    <AdaptationSet contentType="video" frameRate="30000/1001" codecs="avc1.64001f">
+      <SegmentTemplate timescale="1000" initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/$Number%05d$.m4s" startNumber="1">
+        <SegmentTimeline><S t="0" d="4000" r="2"/></SegmentTimeline>
+      </SegmentTemplate>
+      <Representation id="v720" bandwidth="3000000" width="1280" height="720"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="audio/mp4" lang="tr">
+      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="main"/>
+      <AudioChannelConfiguration value="6"/>
+      <Representation id="a" bandwidth="128000" codecs="mp4a.40.2">
+        <BaseURL>audio/tr.mp4</BaseURL>
+      </Representation>
+    </AdaptationSet>
+    <AdaptationSet mimeType="application/mp4" codecs="wvtt">
+      <Representation id="s" bandwidth="1000">
+        <SegmentList>
+          <Initialization sourceURL="subs/init.mp4"/>
+          <SegmentURL media="subs/1.mp4" mediaRange="0-99"/>
+        </SegmentList>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+  it("reads representations with inherited attributes and resolved base URLs", () => {
+    const manifest = parseMpd(staticMpd, "http://cdn/movie/manifest.mpd");
+    expect(manifest).toMatchObject({ live: false, duration: 5400, availabilityStartTime: null, periodStart: 0 });
+    const [video, audio, text] = manifest.representations;
+    expect(video).toMatchObject({
+      id: "v720",
+      type: "video",
+      width: 1280,
+      height: 720,
+      frameRate: 29.97,
+      codecs: "avc1.64001f",
+      baseUrl: "http://cdn/movie/media/",
+      segmentList: null,
+    });
+    expect(audio).toMatchObject({
+      type: "audio",
+      language: "tr",
+      role: "main",
+      channels: 6,
+      baseUrl: "http://cdn/movie/media/audio/tr.mp4",
+      segmentTemplate: null,
+    });
+    expect(text.type).toBe("text");
+  });
+
+  it("locates the first segment of each addressing mode", () => {
+    const manifest = parseMpd(staticMpd, "http://cdn/movie/manifest.mpd");
+    const [video, audio, text] = manifest.representations;
+    expect(locateSegment(manifest, video)).toEqual({
+      initialization: { url: "http://cdn/movie/media/v720/init.mp4", range: null },
+      media: { url: "http://cdn/movie/media/v720/00001.m4s", range: null },
+    });
+    expect(locateSegment(manifest, audio)).toEqual({
+      initialization: null,
+      media: { url: "http://cdn/movie/media/audio/tr.mp4", range: null },
+    });
+    expect(locateSegment(manifest, text)).toEqual({
+      initialization: { url: "http://cdn/movie/media/subs/init.mp4", range: null },
+      media: { url: "http://cdn/movie/media/subs/1.mp4", range: "0-99" },
+    });
+  });
+
+  it("probes behind the live edge of a dynamic MPD", () => {
+    const manifest = parseMpd(
+      `<MPD type="dynamic" availabilityStartTime="2024-01-01T00:00:00Z">
+        <Period id="old" start="PT0S"></Period>
+        <Period id="now" start="PT10S">
+          <AdaptationSet contentType="video">
+            <SegmentTemplate timescale="1" duration="2" media="seg-$Number$.ts" startNumber="1"/>
+            <Representation id="v" bandwidth="1"/>
+          </AdaptationSet>
+        </Period>
+      </MPD>`,
+      "http://live/ch/manifest.mpd"
+    );
+    expect(manifest).toMatchObject({ live: true, duration: null, periodStart: 10 });
+    const nowMs = Date.parse("2024-01-01T00:01:10Z");
+    // 60 s into the period: segment 31 is at the edge, 29 is two behind it.
+    expect(locateSegment(manifest, manifest.representations[0], nowMs).media.url).toBe(
+      "http://live/ch/seg-29.ts"
+    );
+  });
+
+  it("throws without an MPD element", () => {
+    expect(() => parseMpd("<html></html>", "http://x/")).toThrow("not a DASH manifest");
+  });
+});
@@ -0,0 +1,55 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("ioredis", async () => ({ default: (await import("ioredis-mock")).default }));
+
+const { getRedisClient } = await import("../lib/cache.js");
+const { getMovie, upsertMovie } = await import("../lib/movieRepository.js");
+
+const env = {};
+const movie = {
+  detail: { id: 27205, title: "Inception", genres: [{ id: 878, name: "Science Fiction" }] },
+  credits: { cast: [{ id: 6193, name: "Leonardo DiCaprio" }] },
+};
+
+describe("movieRepository", () => {
+  beforeEach(async () => {
+    await getRedisClient(env).flushall();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("stores a movie per language and reads it back", async () => {
+    await upsertMovie(env, 27205, "tr-TR", movie);
+    await upsertMovie(env, 27205, "", { ...movie, detail: { ...movie.detail, title: "Inception (default)" } });
+
+    const stored = await getMovie(env, 27205, "tr-TR");
+    expect(stored).toMatchObject(movie);
+    expect(stored.updated_at).toBeCloseTo(Date.now() / 1000, -1);
+    expect((await getMovie(env, 27205, "")).detail.title).toBe("Inception (default)");
+    expect(await getMovie(env, 27205, "en-US")).toBeNull();
+    expect(await getRedisClient(env).ttl("/db/movies/27205/tr-TR")).toBeGreaterThan(0);
+  });
+
+  it("replaces the stored payload on a later upsert", async () => {
+    await upsertMovie(env, 27205, "", movie);
+    await upsertMovie(env, 27205, "", { detail: { id: 27205, title: "Başlangıç" }, credits: { cast: [] } });
+
+    expect(await getMovie(env, 27205, "")).toMatchObject({ detail: { title: "Başlangıç" }, credits: { cast: [] } });
+  });
+
+  it("fails when a command inside the MULTI fails", async () => {
+    const client = getRedisClient(env);
+    const multi = client.multi.bind(client);
+    vi.spyOn(client, "multi").mockImplementationOnce(() => {
+      const tx = multi();
+      const exec = tx.exec.bind(tx);
+      // EXEC succeeds with an error reply per failed command, e.g. WRONGTYPE.
+      tx.exec = async () => [(await exec())[0], [new Error("WRONGTYPE Operation against a key"), null]];
+      return tx;
+    });
+
+    await expect(upsertMovie(env, 27205, "", movie)).rejects.toThrow("WRONGTYPE");
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, expect, it } from "vitest";
+import { DEVICE_PROFILE_IDS, planPlayback } from "../lib/playbackPlan.js";
+
+function movie({ format = "matroska,webm", video = {}, audio, subtitles = [], bitRate = 8000000 } = {}) {
+  return {
+    format: { format_name: format, bit_rate: bitRate },
+    video: { codec: "h264", profile: "High", level: 41, pix_fmt: "yuv420p", width: 1920, height: 1080, ...video },
+    audio: audio || [{ codec: "aac", language: "tur", channels: 2 }],
+    subtitles,
+  };
+}
+
+describe("planPlayback", () => {
+  it("direct plays a stream the device decodes in its container", () => {
+    const plan = planPlayback(movie({ format: "mov,mp4,m4a,3gp,3g2,mj2" }), "browser");
+    expect(plan).toMatchObject({
+      profile: "browser",
+      decision: "direct_play",
+      container: { source: "mp4", target: "mp4" },
+      video: { codec: "h264", action: "copy", target_codec: "h264" },
+      audio: { index: 0, action: "copy", target_channels: 2 },
+      subtitle: null,
+      reasons: [],
+    });
+  });
+
+  it("remuxes into HLS when only the container is unsupported", () => {
+    const plan = planPlayback(movie(), "browser");
+    expect(plan.decision).toBe("remux");
+    expect(plan.container).toEqual({ source: "mkv", target: "hls" });
+    expect(plan.reasons.map((r) => r.code)).toEqual(["container_unsupported"]);
+    // The same file plays on a TV.
+    expect(planPlayback(movie(), "tizen").decision).toBe("direct_play");
+  });
+
+  it("tells WebM from Matroska by its codecs", () => {
+    const webm = movie({ video: { codec: "vp9", profile: "Profile 0" }, audio: [{ codec: "opus", channels: 2 }] });
+    expect(planPlayback(webm, "browser")).toMatchObject({ decision: "direct_play", container: { source: "webm" } });
+  });
+
+  it("transcodes video the device cannot decode and copies the audio", () => {
+    const plan = planPlayback(
+      movie({ video: { codec: "hevc", profile: "Main 10", level: 153, pix_fmt: "yuv420p10le" } }),
+      "browser"
+    );
+    expect(plan).toMatchObject({
+      decision: "transcode",
+      container: { target: "hls" },
+      video: { action: "transcode", target_codec: "h264" },
+      audio: { action: "copy" },
+    });
+    expect(plan.reasons.map((r) => r.code)).toEqual(["container_unsupported", "video_codec_unsupported"]);
+  });
+
+  it("reports each video limit that is exceeded", () => {
+    const plan = planPlayback(
+      movie({ video: { profile: "High 10", level: 52, pix_fmt: "yuv422p10le", width: 7680, height: 4320 } }),
+      "tizen"
+    );
+    expect(plan.reasons.map((r) => r.code)).toEqual([
+      "video_profile_unsupported",
+      "video_level_unsupported",
+      "video_bit_depth_unsupported",
+      "video_chroma_unsupported",
+      "video_resolution_too_high",
+    ]);
+  });
+
+  it("transcodes when the bitrate exceeds the cap", () => {
+    const plan = planPlayback(movie(), "tizen", { maxBitrate: 4000000 });
+    expect(plan).toMatchObject({ decision: "transcode", video: { action: "transcode" } });
+    expect(plan.reasons).toEqual([{ code: "bitrate_too_high", message: "8000000 bit/s exceeds 4000000" }]);
+  });
+
+  it("downmixes audio beyond the device's channels", () => {
+    const plan = planPlayback(
+      movie({ format: "mov,mp4,m4a,3gp,3g2,mj2", audio: [{ codec: "eac3", language: "eng", channels: 8 }] }),
+      "browser"
+    );
+    expect(plan).toMatchObject({
+      decision: "transcode",
+      video: { action: "copy" },
+      audio: { action: "transcode", target_codec: "aac", target_channels: 2 },
+    });
+  });
+
+  it("picks the requested audio language, preferring a track that plays as is", () => {
+    const audio = [
+      { codec: "aac", language: "eng", channels: 2 },
+      { codec: "dts", language: "tur", channels: 6 },
+      { codec: "ac3", language: "tur", channels: 6 },
+    ];
+    const plan = planPlayback(movie({ audio }), "tizen", { audioLanguage: "tr" });
+    expect(plan).toMatchObject({ decision: "direct_play", audio: { index: 2, language: "tur", action: "copy" } });
+    // Without a preference the first track's language wins.
+    expect(planPlayback(movie({ audio }), "tizen").audio.index).toBe(0);
+  });
+
+  it("offers subtitles when the requested audio language is missing", () => {
+    const subtitles = [
+      { codec: "subrip", language: "eng", forced: false },
+      { codec: "subrip", language: "tur", forced: true },
+      { codec: "subrip", language: "tur", forced: false },
+    ];
+    const plan = planPlayback(
+      movie({ audio: [{ codec: "aac", language: "eng", channels: 2 }], subtitles }),
+      "tizen",
+      { audioLanguage: "tr" }
+    );
+    expect(plan.subtitle).toEqual({ index: 2, codec: "subrip", language: "tur", forced: false, delivery: "embedded" });
+  });
+
+  it("recommends only a forced track in the audio language by default", () => {
+    const subtitles = [
+      { codec: "subrip", language: "eng", forced: true },
+      { codec: "subrip", language: "ger", forced: true },
+    ];
+    const audio = [{ codec: "aac", language: "deu", channels: 2 }];
+    expect(planPlayback(movie({ audio, subtitles }), "tizen").subtitle).toMatchObject({ index: 1, forced: true });
+    expect(planPlayback(movie({ subtitles }), "tizen").subtitle).toBeNull();
+  });
+
+  it("delivers text subtitles externally and burns in image subtitles", () => {
+    const text = planPlayback(movie({ subtitles: [{ codec: "ass", language: "tur", forced: false }] }), "browser", {
+      subtitleLanguage: "tr",
+    });
+    expect(text).toMatchObject({ decision: "remux", subtitle: { delivery: "external" } });
+
+    const pgs = movie({ subtitles: [{ codec: "hdmv_pgs_subtitle", language: "tur", forced: false }] });
+    expect(planPlayback(pgs, "tizen", { subtitleLanguage: "tr" })).toMatchObject({
+      decision: "transcode",
+      video: { action: "transcode" },
+      subtitle: { delivery: "burn_in" },
+    });
+    // ExoPlayer renders PGS itself.
+    expect(planPlayback(pgs, "androidtv", { subtitleLanguage: "tr" })).toMatchObject({
+      decision: "direct_play",
+      subtitle: { delivery: "embedded" },
+    });
+  });
+
+  it("does not hold unknown metadata against the stream", () => {
+    const plan = planPlayback(
+      { format: { format_name: "mpegts" }, video: { codec: "h264" }, audio: [{ codec: "aac" }] },
+      "androidtv"
+    );
+    expect(plan).toMatchObject({ decision: "direct_play", reasons: [] });
+  });
+
+  it("rejects unknown profiles", () => {
+    expect(DEVICE_PROFILE_IDS).toEqual(["tizen", "webos", "androidtv", "browser"]);
+    expect(() => planPlayback(movie(), "roku")).toThrow("unknown device profile: roku");
+  });
+});
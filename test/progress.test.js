@@ -0,0 +1,191 @@
+import { createHash } from "crypto";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("ioredis", async () => ({ default: (await import("ioredis-mock")).default }));
+
+const { getRedisClient } = await import("../lib/cache.js");
+const { listProgress, updateProgress } = await import("../lib/progressRepository.js");
+const { upsertSeries } = await import("../lib/seriesRepository.js");
+const { handleContinueWatching, handleProgressUpdate } = await import("../routes/progress.js");
+
+const env = {};
+const RESUME_KEY = "profile-0001";
+
+function report(body) {
+  return handleProgressUpdate(
+    new Request("http://localhost/v1/progress", {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-resume-key": RESUME_KEY },
+      body: JSON.stringify(body),
+    }),
+    env
+  );
+}
+
+async function continueWatching() {
+  const resp = await handleContinueWatching(
+    new Request("http://localhost/v1/continue-watching", { headers: { "x-resume-key": RESUME_KEY } }),
+    env
+  );
+  return (await resp.json()).items.map((item) => item.key);
+}
+
+function episode(season, episodeNumber, fields = {}) {
+  return { seriesId: 1399, season, episode: episodeNumber, ...fields };
+}
+
+describe("progress updates", () => {
+  beforeEach(async () => {
+    await getRedisClient(env).flushall();
+  });
+
+  it("counts an item as completed from 95% of its duration", async () => {
+    expect((await (await report({ movieId: 27205, position: 94, duration: 100 })).json()).item).toMatchObject({
+      completed: false,
+      progress: 0.94,
+    });
+    expect((await (await report({ movieId: 27205, position: 95, duration: 100 })).json()).item.completed).toBe(true);
+    // Without a duration only the explicit flag completes it.
+    expect((await (await report({ movieId: 603, position: 5000 })).json()).item.completed).toBe(false);
+    expect((await (await report({ movieId: 603, position: 10, completed: true })).json()).item.completed).toBe(true);
+    // Live channels never complete by position.
+    const channel = await (await report({ channelId: "main:trt1.tr", position: 100, duration: 100 })).json();
+    expect(channel.item.completed).toBe(false);
+  });
+
+  it("queues the next episode of a completed one from the stored seasons", async () => {
+    await upsertSeries(env, 1399, "", {
+      name: "Game of Thrones",
+      seasons: [
+        { season_number: 1, episode_count: 2 },
+        { season_number: 2, episode_count: 10, air_date: "2012-04-01" },
+        { season_number: 3, episode_count: 10, air_date: "2999-01-01" },
+      ],
+    });
+
+    const within = await (await report(episode(1, 1, { position: 3000, duration: 3000 }))).json();
+    expect(within.next).toMatchObject({ key: "episode:1399:1:2", position: 0, completed: false, next_up: true });
+
+    const across = await (await report(episode(1, 2, { completed: true }))).json();
+    expect(across.next).toMatchObject({ key: "episode:1399:2:1", next_up: true });
+
+    // Unaired seasons are not queued.
+    await report(episode(2, 10, { position: 1, duration: 3000 }));
+    expect((await (await report(episode(2, 10, { completed: true }))).json()).next).toBeNull();
+  });
+
+  it("keeps the position of a started next episode", async () => {
+    await upsertSeries(env, 1399, "", { name: "Game of Thrones", seasons: [{ season_number: 1, episode_count: 10 }] });
+    await report(episode(1, 2, { position: 600, duration: 3000 }));
+
+    const { next } = await (await report(episode(1, 1, { completed: true }))).json();
+    expect(next).toMatchObject({ key: "episode:1399:1:2", position: 600, completed: false, next_up: false });
+  });
+
+  it("queues nothing when the series is not stored", async () => {
+    expect((await (await report(episode(1, 1, { completed: true }))).json()).next).toBeNull();
+    expect((await listProgress(env, RESUME_KEY)).map((record) => record.key)).toEqual(["episode:1399:1:1"]);
+  });
+});
+
+describe("continue watching", () => {
+  beforeEach(async () => {
+    await getRedisClient(env).flushall();
+  });
+
+  it("shows one entry per series: the episode in progress or the queued next one", async () => {
+    await upsertSeries(env, 1399, "", { name: "Game of Thrones", seasons: [{ season_number: 1, episode_count: 10 }] });
+    await report(episode(1, 1, { position: 600, duration: 3000 }));
+    await report(episode(1, 1, { completed: true }));
+    await report({ seriesId: 1396, season: 1, episode: 3, position: 120, duration: 2800 });
+    await report({ movieId: 27205, position: 600, duration: 9000 });
+    await report({ movieId: 603, position: 8000, duration: 8000 });
+
+    const keys = await continueWatching();
+    expect(keys).toHaveLength(3);
+    expect(keys).toEqual(expect.arrayContaining(["episode:1399:1:2", "episode:1396:1:3", "movie:27205"]));
+  });
+
+  it("drops a series whose latest episode finished without a successor", async () => {
+    await report(episode(1, 1, { position: 600, duration: 3000 }));
+    await report(episode(1, 2, { completed: true }));
+
+    expect(await continueWatching()).toEqual([]);
+  });
+});
+
+describe("updateProgress", () => {
+  const profileKey = `/db/progress/${createHash("sha256").update(RESUME_KEY).digest("hex").slice(0, 32)}`;
+  const record = { type: "movie", movie_id: 27205, position: 10, updated_at: 1700000000 };
+
+  // A failed transaction drops its connection, so the next one is duplicated afresh.
+  async function failTransaction() {
+    const failing = updateProgress(env, RESUME_KEY, () => {
+      throw new Error("update failed");
+    });
+    await expect(failing).rejects.toThrow("update failed");
+  }
+
+  // Writes to the profile from the shared client each time the transaction
+  // connection reads it, i.e. between its WATCH and EXEC, `conflicts` times.
+  function conflictOnRead(conflicts) {
+    const main = getRedisClient(env);
+    const duplicate = main.duplicate.bind(main);
+    vi.spyOn(main, "duplicate").mockImplementationOnce(() => {
+      const connection = duplicate();
+      const hgetall = connection.hgetall.bind(connection);
+      let reads = 0;
+      connection.hgetall = async (key) => {
+        reads += 1;
+        if (reads <= conflicts) {
+          await main.hset(key, `movie:${reads}`, JSON.stringify({ type: "movie", movie_id: reads, updated_at: reads }));
+        }
+        return hgetall(key);
+      };
+      return connection;
+    });
+  }
+
+  beforeEach(async () => {
+    await getRedisClient(env).flushall();
+    await failTransaction();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("re-runs the update against the new state after a concurrent write", async () => {
+    conflictOnRead(2);
+    const seen = [];
+    const stored = await updateProgress(env, RESUME_KEY, (current) => {
+      seen.push(current.map((entry) => entry.key));
+      return [record];
+    });
+
+    expect(stored).toEqual([record]);
+    expect(seen).toEqual([["movie:1"], ["movie:2", "movie:1"], ["movie:2", "movie:1"]]);
+    const keys = (await getRedisClient(env).hkeys(profileKey)).sort();
+    expect(keys).toEqual(["movie:1", "movie:2", "movie:27205"]);
+  });
+
+  it("gives up when the profile keeps changing", async () => {
+    conflictOnRead(Infinity);
+    const update = vi.fn(() => [record]);
+
+    await expect(updateProgress(env, RESUME_KEY, update)).rejects.toThrow("kept conflicting");
+    expect(update).toHaveBeenCalledTimes(5);
+    expect(await getRedisClient(env).hexists(profileKey, "movie:27205")).toBe(0);
+  });
+
+  it("keeps using a connection until a transaction fails on it", async () => {
+    const duplicate = vi.spyOn(getRedisClient(env), "duplicate");
+    await updateProgress(env, RESUME_KEY, () => [record]);
+    await updateProgress(env, RESUME_KEY, () => [{ ...record, position: 20 }]);
+    expect(duplicate).toHaveBeenCalledTimes(1);
+
+    await failTransaction();
+    await updateProgress(env, RESUME_KEY, () => [record]);
+    expect(duplicate).toHaveBeenCalledTimes(2);
+  });
+});
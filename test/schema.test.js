@@ -0,0 +1,131 @@
+import { describe, expect, it } from "vitest";
+import { matchOperation, validateParameters } from "../lib/openapi.js";
+import { assertValidSchema, coerceParameter, validateSchema } from "../lib/schema.js";
+
+const components = {
+  Genre: {
+    type: "object",
+    properties: { id: { type: "integer" }, name: { type: "string" } },
+    required: ["id"],
+    additionalProperties: false,
+  },
+};
+
+describe("validateSchema", () => {
+  it("reports nested violations with their paths", () => {
+    const schema = {
+      type: "object",
+      properties: { genres: { type: "array", items: { $ref: "#/components/schemas/Genre" } } },
+    };
+    expect(validateSchema(schema, { genres: [{ id: 1 }, { id: "2", extra: true }, {}] }, components)).toEqual([
+      { path: "genres[1].extra", message: "is not allowed" },
+      { path: "genres[1].id", message: "must be integer, got string" },
+      { path: "genres[2].id", message: "is required" },
+    ]);
+  });
+
+  it("accepts null only where nullable is set, including next to a $ref", () => {
+    expect(validateSchema({ type: "string" }, null)).toEqual([{ path: "", message: "must not be null" }]);
+    expect(validateSchema({ type: "string", nullable: true }, null)).toEqual([]);
+    expect(validateSchema({ $ref: "#/components/schemas/Genre", nullable: true }, null, components)).toEqual([]);
+    expect(validateSchema({ $ref: "#/components/schemas/Genre", nullable: true }, {}, components)).toEqual([
+      { path: "id", message: "is required" },
+    ]);
+    expect(validateSchema({ type: "string", enum: ["a"], nullable: true }, null)).toEqual([]);
+  });
+
+  it("checks enum, numeric, string and array bounds", () => {
+    expect(validateSchema({ type: "string", enum: ["a", "b"] }, "c")).toEqual([
+      { path: "", message: "must be one of: a, b" },
+    ]);
+    expect(validateSchema({ type: "integer", minimum: 1, maximum: 5 }, 0)).toEqual([
+      { path: "", message: "must be >= 1" },
+    ]);
+    expect(validateSchema({ type: "string", minLength: 2, pattern: "^\\d+$" }, "x")).toEqual([
+      { path: "", message: "must be at least 2 characters" },
+      { path: "", message: "must match ^\\d+$" },
+    ]);
+    expect(validateSchema({ type: "array", maxItems: 1 }, [1, 2])).toEqual([
+      { path: "", message: "must have at most 1 items" },
+    ]);
+  });
+
+  it("requires exactly one oneOf branch to match and says why each failed", () => {
+    const schema = { oneOf: [{ type: "array" }, { type: "object", required: ["items"] }] };
+    expect(validateSchema(schema, [])).toEqual([]);
+    expect(validateSchema(schema, { items: [] })).toEqual([]);
+    expect(validateSchema(schema, {})).toEqual([
+      { path: "", message: "must be array, got object" },
+      { path: "items", message: "is required" },
+      { path: "", message: "must match exactly one of 2 schemas" },
+    ]);
+  });
+
+  it("throws on a $ref outside the components", () => {
+    expect(() => validateSchema({ $ref: "#/definitions/X" }, 1)).toThrow("unsupported $ref");
+    expect(() => validateSchema({ $ref: "#/components/schemas/Missing" }, 1)).toThrow("unknown $ref");
+  });
+});
+
+describe("coerceParameter", () => {
+  it("converts query strings to the declared type", () => {
+    expect(coerceParameter({ type: "integer" }, "42")).toBe(42);
+    expect(coerceParameter({ type: "number" }, "1.5")).toBe(1.5);
+    expect(coerceParameter({ type: "boolean" }, "1")).toBe(true);
+    expect(coerceParameter({ type: "array", items: { type: "integer" } }, "1, 2,,3")).toEqual([1, 2, 3]);
+  });
+
+  it("returns unparseable strings unchanged so validation reports them", () => {
+    expect(coerceParameter({ type: "integer" }, "4.2")).toBe("4.2");
+    expect(coerceParameter({ type: "number" }, " ")).toBe(" ");
+    expect(coerceParameter({ type: "boolean" }, "yes")).toBe("yes");
+  });
+});
+
+describe("assertValidSchema", () => {
+  it("allows validation keywords and annotations", () => {
+    expect(() =>
+      assertValidSchema({
+        type: "object",
+        description: "x",
+        properties: {
+          title: { type: "string", format: "date", title: "Title", example: "2024-01-01" },
+          rank: { type: "integer", exclusiveMinimum: 0 },
+        },
+      })
+    ).not.toThrow();
+    expect(validateSchema({ type: "integer", exclusiveMinimum: 0 }, 0)).toEqual([{ path: "", message: "must be > 0" }]);
+  });
+
+  it("rejects unknown keywords and refs with their location", () => {
+    expect(() => assertValidSchema({ type: "array", items: { type: "string", maxLenght: 3 } }, {}, "#/x")).toThrow(
+      /^invalid schema at #\/x: .*unknown keyword: "maxLenght"/
+    );
+    expect(() => assertValidSchema({ $ref: "#/components/schemas/Missing" }, components, "#/y")).toThrow(
+      "invalid schema at #/y: unknown $ref: #/components/schemas/Missing"
+    );
+  });
+});
+
+describe("matchOperation", () => {
+  it("prefers templates without parameters", () => {
+    expect(matchOperation("GET", "/v1/epg/now").operationId).toBe("getEpgNowNext");
+  });
+
+  it("matches HEAD to the GET operation", () => {
+    expect(matchOperation("HEAD", "/v1/health").operationId).toBe("getHealth");
+  });
+
+  it("ignores a trailing slash, so the path is still validated", () => {
+    const operation = matchOperation("GET", "/v1/series/abc/");
+    expect(operation.operationId).toBe("getSeries");
+    expect(validateParameters(operation, new URLSearchParams())).toEqual([
+      { in: "path", name: "id", message: "must be integer, got string" },
+    ]);
+  });
+
+  it("returns null for undocumented paths", () => {
+    expect(matchOperation("GET", "/")).toBeNull();
+    expect(matchOperation("GET", "/nope")).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("ioredis", async () => ({ default: (await import("ioredis-mock")).default }));
+
+const { getRedisClient } = await import("../lib/cache.js");
+const { getEpisode, getSeasonEpisodes, getSeasons, getSeries, upsertEpisodes, upsertSeries } = await import(
+  "../lib/seriesRepository.js"
+);
+
+const env = {};
+
+function episode(episodeNumber, fields = {}) {
+  return { id: 63055 + episodeNumber, episode_number: episodeNumber, name: `Episode ${episodeNumber}`, ...fields };
+}
+
+function guest(id, order) {
+  return { id, name: `Guest ${id}`, character: `Role ${id}`, order };
+}
+
+// Makes the next MULTI report an error reply for its last command, as Redis
+// does for e.g. WRONGTYPE: EXEC itself succeeds.
+function failLastCommand() {
+  const client = getRedisClient(env);
+  const multi = client.multi.bind(client);
+  vi.spyOn(client, "multi").mockImplementationOnce(() => {
+    const tx = multi();
+    const exec = tx.exec.bind(tx);
+    tx.exec = async () => {
+      const results = await exec();
+      results[results.length - 1] = [new Error("WRONGTYPE Operation against a key"), null];
+      return results;
+    };
+    return tx;
+  });
+}
+
+describe("seriesRepository", () => {
+  beforeEach(async () => {
+    await getRedisClient(env).flushall();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("stores series fields and merges seasons by number", async () => {
+    await upsertSeries(env, 1399, "tr", {
+      name: "Game of Thrones",
+      number_of_seasons: 8,
+      seasons: [
+        { season_number: 2, episode_count: 10 },
+        { season_number: 1, episode_count: 10 },
+      ],
+    });
+    await upsertSeries(env, 1399, "tr", {
+      name: "Taht Oyunları",
+      seasons: [{ season_number: 2, episode_count: 9 }, { name: "no number" }],
+    });
+
+    expect(await getSeries(env, 1399, "tr")).toMatchObject({ id: 1399, name: "Taht Oyunları", number_of_seasons: 8 });
+    expect((await getSeries(env, 1399, "tr")).seasons).toBeUndefined();
+    expect(await getSeasons(env, 1399, "tr")).toEqual([
+      { season_number: 1, episode_count: 10 },
+      { season_number: 2, episode_count: 9 },
+    ]);
+    expect(await getSeries(env, 1399, "")).toBeNull();
+    expect(await getSeasons(env, 1399, "")).toEqual([]);
+  });
+
+  it("stores episodes with their guest stars in episode order", async () => {
+    await upsertEpisodes(env, 1399, 1, "", [
+      episode(2),
+      episode(1, { guest_stars: [guest(10, 2), guest(11, 0), { name: "no id" }] }),
+      { name: "no id" },
+    ]);
+
+    const episodes = await getSeasonEpisodes(env, 1399, 1, "");
+    expect(episodes.map((item) => item.episode_number)).toEqual([1, 2]);
+    expect(episodes[0]).toMatchObject({ series_id: 1399, season_number: 1, name: "Episode 1", vote_count: 0 });
+    expect(episodes[0].guest_stars.map((item) => item.id)).toEqual([11, 10]);
+    expect(episodes[1].guest_stars).toEqual([]);
+    expect(await getEpisode(env, 1399, 1, 2, "")).toMatchObject({ id: 63057, name: "Episode 2" });
+    expect(await getEpisode(env, 1399, 1, 3, "")).toBeNull();
+  });
+
+  it("keeps stored guest stars unless an upsert brings new ones", async () => {
+    await upsertEpisodes(env, 1399, 1, "", [episode(1, { guest_stars: [guest(10, 0), guest(11, 1)] })]);
+    // Season responses usually come without guest stars.
+    await upsertEpisodes(env, 1399, 1, "", [episode(1, { name: "Winter Is Coming" })]);
+    const kept = await getEpisode(env, 1399, 1, 1, "");
+    expect(kept.name).toBe("Winter Is Coming");
+    expect(kept.guest_stars.map((item) => item.id)).toEqual([10, 11]);
+
+    await upsertEpisodes(env, 1399, 1, "", [episode(1, { guest_stars: [guest(12, 0)] })]);
+    expect((await getEpisode(env, 1399, 1, 1, "")).guest_stars.map((item) => item.id)).toEqual([12]);
+  });
+
+  it("fails when a command inside the MULTI fails", async () => {
+    failLastCommand();
+    await expect(upsertSeries(env, 1399, "", { name: "Game of Thrones" })).rejects.toThrow("WRONGTYPE");
+
+    failLastCommand();
+    await expect(upsertEpisodes(env, 1399, 1, "", [episode(1)])).rejects.toThrow("WRONGTYPE");
+  });
+
+  it("fails reads when a pipelined episode read fails", async () => {
+    await upsertEpisodes(env, 1399, 1, "", [episode(1)]);
+    const client = getRedisClient(env);
+    const pipeline = client.pipeline.bind(client);
+    vi.spyOn(client, "pipeline").mockImplementationOnce(() => {
+      const batch = pipeline();
+      batch.exec = async () => [[new Error("LOADING Redis is loading the dataset"), null], [null, {}]];
+      return batch;
+    });
+
+    await expect(getSeasonEpisodes(env, 1399, 1, "")).rejects.toThrow("LOADING");
+  });
+});
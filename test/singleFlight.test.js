@@ -0,0 +1,100 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("ioredis", async () => ({ default: (await import("ioredis-mock")).default }));
+
+const { getRedisClient } = await import("../lib/cache.js");
+const { redisSingleFlight, singleFlight } = await import("../lib/singleFlight.js");
+
+const env = {};
+const fast = { lockTtlMs: 2000, resultTtlMs: 1000, pollMs: 10 };
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function slow(value, ms = 50) {
+  const fn = vi.fn(async () => {
+    await sleep(ms);
+    return value;
+  });
+  return fn;
+}
+
+describe("singleFlight", () => {
+  it("runs concurrent calls with the same key once", async () => {
+    const fn = slow({ v: 1 });
+    const results = await Promise.all([singleFlight("a", fn), singleFlight("a", fn), singleFlight("a", fn)]);
+    expect(results).toEqual([{ v: 1 }, { v: 1 }, { v: 1 }]);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("runs again once the previous call has settled", async () => {
+    const fn = slow(1, 0);
+    await singleFlight("b", fn);
+    await singleFlight("b", fn);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("redisSingleFlight", () => {
+  beforeEach(async () => {
+    await getRedisClient(env).flushall();
+  });
+
+  it("shares the leader's value with waiters", async () => {
+    const fn = slow({ v: 42 });
+    const results = await Promise.all([
+      redisSingleFlight(env, "/k", fn, fast),
+      redisSingleFlight(env, "/k", fn, fast),
+    ]);
+    expect(results).toEqual([{ v: 42 }, { v: 42 }]);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("revives the leader's error with its status and retryAfter", async () => {
+    const fn = vi.fn(async () => {
+      await sleep(50);
+      const err = new Error("rate limited");
+      err.status = 429;
+      err.retryAfter = 2;
+      throw err;
+    });
+    const results = await Promise.allSettled([
+      redisSingleFlight(env, "/e", fn, fast),
+      redisSingleFlight(env, "/e", fn, fast),
+    ]);
+    for (const { status, reason } of results) {
+      expect(status).toBe("rejected");
+      expect(reason).toMatchObject({ message: "rate limited", status: 429, retryAfter: 2 });
+    }
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not hand an earlier flight's result to a later one", async () => {
+    await redisSingleFlight(env, "/s", slow("old", 0), fast);
+    // The result of the first flight is still within its TTL.
+    const fn = slow("new");
+    const results = await Promise.all([
+      redisSingleFlight(env, "/s", fn, fast),
+      redisSingleFlight(env, "/s", fn, fast),
+    ]);
+    expect(results).toEqual(["new", "new"]);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("runs the work itself when the published result is unreadable", async () => {
+    const client = getRedisClient(env);
+    await client.set("/_singleflight/lock//c", "someone-else", "PX", 200);
+    await client.set("/_singleflight/result//c", "{not json", "PX", 1000);
+    const fn = slow("mine", 0);
+    await expect(redisSingleFlight(env, "/c", fn, fast)).resolves.toBe("mine");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("takes over when the leader's lock expires without a result", async () => {
+    await getRedisClient(env).set("/_singleflight/lock//x", "gone", "PX", 50);
+    const fn = slow("taken over", 0);
+    await expect(redisSingleFlight(env, "/x", fn, fast)).resolves.toBe("taken over");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
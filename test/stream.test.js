@@ -0,0 +1,234 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { handleStreamProxy, handleStreamUrl } from "../routes/stream.js";
+
+const env = { STREAM_SIGNING_SECRET: "test-secret", STREAM_PROXY_BASE: "http://proxy.local" };
+
+// fetch's Response has no settable `url`; set it as the final URL after redirects.
+function reply(body, { status = 200, headers = {}, url } = {}) {
+  const response = new Response(body, { status, headers });
+  if (url) Object.defineProperty(response, "url", { value: url });
+  return response;
+}
+
+function stubFetch(handler) {
+  const fetchMock = vi.fn(async (url, init) => handler(url, init));
+  vi.stubGlobal("fetch", fetchMock);
+  return fetchMock;
+}
+
+async function signLink(target, headers = {}) {
+  const fetchMock = stubFetch((url) => reply(null, { url }));
+  const resp = await handleStreamUrl(
+    new Request(`http://localhost/v1/stream-url?url=${encodeURIComponent(target)}`, { headers }),
+    env
+  );
+  expect(resp.status).toBe(200);
+  fetchMock.mockClear();
+  return new URL((await resp.json()).url);
+}
+
+function proxy(link, init) {
+  return handleStreamProxy(new Request(link, init), env);
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("handleStreamProxy signatures", () => {
+  it("streams a signed link and rejects it once any signed part changes", async () => {
+    const link = await signLink("http://cdn.example/movie.mp4", { "user-agent": "TV/1.0" });
+    stubFetch(() => reply("media"));
+    expect((await proxy(link)).status).toBe(200);
+
+    const otherUrl = new URL(link);
+    otherUrl.searchParams.set("url", "http://cdn.example/other.mp4");
+    const laterExp = new URL(link);
+    laterExp.searchParams.set("exp", String(Number(link.searchParams.get("exp")) + 3600));
+    for (const tampered of [otherUrl, laterExp]) {
+      const resp = await proxy(tampered);
+      expect(resp.status).toBe(403);
+      expect(await resp.json()).toMatchObject({ error: "invalid signature" });
+    }
+  });
+
+  it("rejects signatures that are not hex of the right length with 403", async () => {
+    const link = await signLink("http://cdn.example/movie.mp4");
+    const sig = link.searchParams.get("sig");
+    stubFetch(() => reply("media"));
+    for (const bad of ["ğ".repeat(sig.length), "z".repeat(sig.length), sig.slice(1), `${sig}00`]) {
+      const tampered = new URL(link);
+      tampered.searchParams.set("sig", bad);
+      expect((await proxy(tampered)).status).toBe(403);
+    }
+    // Hex case does not matter.
+    const upper = new URL(link);
+    upper.searchParams.set("sig", sig.toUpperCase());
+    expect((await proxy(upper)).status).toBe(200);
+  });
+
+  it("rejects expired links", async () => {
+    const link = await signLink("http://cdn.example/movie.mp4");
+    const exp = Number(link.searchParams.get("exp"));
+    stubFetch(() => reply("media"));
+
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime((exp + 1) * 1000);
+    const resp = await proxy(link);
+    expect(resp.status).toBe(403);
+    expect(await resp.json()).toMatchObject({ error: "link expired" });
+  });
+});
+
+describe("handleStreamProxy forwarding", () => {
+  it("replays the signed headers and refuses edited ones", async () => {
+    const link = await signLink("http://cdn.example/live.ts", {
+      "user-agent": "TV/1.0",
+      "x-channel-id": "main:trt1.tr",
+      cookie: "session=1",
+    });
+    expect(JSON.parse(link.searchParams.get("fh"))).toEqual({ "user-agent": "TV/1.0", "x-channel-id": "main:trt1.tr" });
+
+    const fetchMock = stubFetch(() => reply("ts"));
+    await proxy(link, { headers: { "user-agent": "Browser/2.0" } });
+    const sent = fetchMock.mock.calls[0][1].headers;
+    expect(sent.get("user-agent")).toBe("TV/1.0");
+    expect(sent.get("x-channel-id")).toBe("main:trt1.tr");
+    expect(sent.has("cookie")).toBe(false);
+
+    const edited = new URL(link);
+    edited.searchParams.set("fh", JSON.stringify({ "user-agent": "Other/1.0" }));
+    expect((await proxy(edited)).status).toBe(403);
+  });
+
+  it("passes Range requests and 206 responses through", async () => {
+    const link = await signLink("http://cdn.example/movie.mp4");
+    const fetchMock = stubFetch(() =>
+      reply("0123", {
+        status: 206,
+        headers: {
+          "content-type": "video/mp4",
+          "content-range": "bytes 0-3/1000",
+          "content-length": "4",
+          "accept-ranges": "bytes",
+          "set-cookie": "tracking=1",
+        },
+      })
+    );
+
+    const resp = await proxy(link, { headers: { range: "bytes=0-3", "if-range": '"v1"' } });
+
+    const sent = fetchMock.mock.calls[0][1].headers;
+    expect(sent.get("range")).toBe("bytes=0-3");
+    expect(sent.get("if-range")).toBe('"v1"');
+    expect(resp.status).toBe(206);
+    expect(Object.fromEntries(resp.headers)).toEqual({
+      "content-type": "video/mp4",
+      "content-range": "bytes 0-3/1000",
+      "content-length": "4",
+      "accept-ranges": "bytes",
+    });
+    expect(await resp.text()).toBe("0123");
+  });
+});
+
+describe("handleStreamProxy HLS playlists", () => {
+  const playlist = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:7",
+    '#EXT-X-KEY:METHOD=AES-128,URI="keys/k1.bin",IV=0x1',
+    '#EXT-X-MAP:URI="http://cdn.example/init.mp4"',
+    '#EXT-X-SESSION-KEY:METHOD=SAMPLE-AES,URI="skd://key-id"',
+    "#EXTINF:6.0,",
+    "seg-1.m4s",
+    "#EXTINF:6.0,",
+    "/shared/seg-2.m4s",
+    "#EXTINF:6.0,",
+    "http://edge.example/seg-3.m4s",
+    "#EXTINF:6.0,",
+    "https://secure.example/seg-4.m4s",
+    "",
+  ].join("\n");
+
+  function proxiedTarget(uri) {
+    const proxied = new URL(uri);
+    expect(proxied.origin + proxied.pathname).toBe("http://proxy.local/proxy");
+    return proxied.searchParams.get("url");
+  }
+
+  it("routes every http URI through signed proxy links resolved against the final playlist URL", async () => {
+    const link = await signLink("http://cdn.example/vod/index.m3u8", { "user-agent": "TV/1.0" });
+    const fetchMock = stubFetch(() =>
+      reply(playlist, {
+        headers: { "content-type": "application/vnd.apple.mpegurl", "cache-control": "max-age=2" },
+        url: "http://cdn.example/vod/hd/index.m3u8",
+      })
+    );
+
+    const resp = await proxy(link, { headers: { range: "bytes=0-99" } });
+
+    // A playlist is always fetched whole.
+    expect(fetchMock.mock.calls[0][1].headers.has("range")).toBe(false);
+    expect(resp.status).toBe(200);
+    expect(resp.headers.get("content-type")).toBe("application/vnd.apple.mpegurl");
+    expect(resp.headers.get("cache-control")).toBe("max-age=2");
+    const lines = (await resp.text()).split("\n");
+    expect(lines).toHaveLength(playlist.split("\n").length);
+    expect(lines[0]).toBe("#EXTM3U");
+
+    const key = lines[2].match(/URI="([^"]*)"/)[1];
+    expect(lines[2]).toMatch(/^#EXT-X-KEY:METHOD=AES-128,URI=".*",IV=0x1$/);
+    expect(proxiedTarget(key)).toBe("http://cdn.example/vod/hd/keys/k1.bin");
+    expect(proxiedTarget(lines[3].match(/URI="([^"]*)"/)[1])).toBe("http://cdn.example/init.mp4");
+    expect(lines[4]).toBe('#EXT-X-SESSION-KEY:METHOD=SAMPLE-AES,URI="skd://key-id"');
+    expect(proxiedTarget(lines[6])).toBe("http://cdn.example/vod/hd/seg-1.m4s");
+    expect(proxiedTarget(lines[8])).toBe("http://cdn.example/shared/seg-2.m4s");
+    expect(proxiedTarget(lines[10])).toBe("http://edge.example/seg-3.m4s");
+    expect(lines[12]).toBe("https://secure.example/seg-4.m4s");
+
+    // The rewritten links carry the playlist's expiry and headers and verify.
+    const segment = new URL(lines[6]);
+    expect(segment.searchParams.get("exp")).toBe(link.searchParams.get("exp"));
+    expect(segment.searchParams.get("fh")).toBe(link.searchParams.get("fh"));
+    const segmentFetch = stubFetch(() => reply("segment", { headers: { "content-type": "video/mp4" } }));
+    expect((await proxy(segment)).status).toBe(200);
+    expect(segmentFetch.mock.calls[0][0]).toBe("http://cdn.example/vod/hd/seg-1.m4s");
+  });
+
+  it("answers 502 for playlists past 8 MB and stops reading them", async () => {
+    const link = await signLink("http://cdn.example/vod/index.m3u8");
+    // 1 MB of comment lines per pull, without end.
+    const chunk = new TextEncoder().encode("#\n".repeat(512 * 1024));
+    let pulled = 0;
+    const body = new ReadableStream({
+      pull(controller) {
+        pulled += 1;
+        controller.enqueue(chunk);
+      },
+    });
+    stubFetch(() => reply(body, { headers: { "content-type": "application/vnd.apple.mpegurl" } }));
+
+    const resp = await proxy(link);
+
+    expect(resp.status).toBe(502);
+    expect(await resp.json()).toMatchObject({ error: expect.stringContaining("too large") });
+    expect(pulled).toBeLessThanOrEqual(10);
+  });
+
+  it("refetches a playlist whole when only its content-type gave it away", async () => {
+    const link = await signLink("http://cdn.example/live?id=7");
+    const fetchMock = stubFetch((url, init) =>
+      init.headers.has("range")
+        ? reply("#EXTM", { status: 206, headers: { "content-type": "application/x-mpegURL" } })
+        : reply("#EXTM3U\nchunk.ts\n", { headers: { "content-type": "application/x-mpegURL" } })
+    );
+
+    const resp = await proxy(link, { headers: { range: "bytes=0-4" } });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(resp.status).toBe(200);
+    const [, chunk] = (await resp.text()).split("\n");
+    expect(proxiedTarget(chunk)).toBe("http://cdn.example/chunk.ts");
+  });
+});
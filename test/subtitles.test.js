@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import { SubtitleError, convertToWebVtt, decodeSubtitle, detectSubtitleFormat } from "../lib/subtitles.js";
+
+describe("decodeSubtitle", () => {
+  it("takes valid UTF-8 as UTF-8 and anything else as Windows-1254", () => {
+    expect(decodeSubtitle(Buffer.from("Günaydın", "utf8"))).toEqual({ text: "Günaydın", encoding: "utf-8" });
+    // "Şişli" in Windows-1254.
+    expect(decodeSubtitle(Uint8Array.from([0xde, 0x69, 0xfe, 0x6c, 0x69]))).toEqual({
+      text: "Şişli",
+      encoding: "windows-1254",
+    });
+  });
+
+  it("follows a UTF-16 byte-order mark", () => {
+    const bytes = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from("ğ", "utf16le")]);
+    expect(decodeSubtitle(bytes)).toEqual({ text: "ğ", encoding: "utf-16le" });
+  });
+
+  it("uses an explicit encoding and rejects unknown labels", () => {
+    expect(decodeSubtitle(Uint8Array.from([0xdd]), "iso-8859-9")).toEqual({ text: "İ", encoding: "windows-1254" });
+    expect(() => decodeSubtitle(Uint8Array.from([0x41]), "klingon")).toThrow(
+      expect.objectContaining({ name: "SubtitleError", status: 400, message: "unsupported encoding: klingon" })
+    );
+  });
+});
+
+describe("detectSubtitleFormat", () => {
+  it("recognises WebVTT, ASS and SRT", () => {
+    expect(detectSubtitleFormat("\uFEFFWEBVTT\n\n00:01.000 --> 00:02.000\nA")).toBe("vtt");
+    expect(detectSubtitleFormat("[Script Info]\nTitle: x\n")).toBe("ass");
+    expect(detectSubtitleFormat("1\r\n00:00:01,000 --> 00:00:02,500\r\nA\r\n")).toBe("srt");
+    expect(detectSubtitleFormat("just some text")).toBeNull();
+  });
+});
+
+describe("convertToWebVtt", () => {
+  it("converts SRT timing and keeps only the tags WebVTT knows", () => {
+    const srt = [
+      "1",
+      "00:00:01,5 --> 00:00:03,250",
+      '<font color="#ffff00"><i>Merhaba</i></font> & <B>hoş geldin</B>',
+      "",
+      "2",
+      "00:00:04,000 --> 00:00:05,000",
+      "{\\an8}a --> b < c",
+      "",
+    ].join("\r\n");
+    expect(convertToWebVtt(srt)).toEqual({
+      vtt:
+        "WEBVTT\n\n" +
+        "00:00:01.500 --> 00:00:03.250\n<i>Merhaba</i> &amp; <b>hoş geldin</b>\n\n" +
+        "00:00:04.000 --> 00:00:05.000\na --&gt; b &lt; c\n",
+      format: "srt",
+      cues: 2,
+    });
+  });
+
+  it("converts ASS dialogue with overrides, line breaks and commas in the text", () => {
+    const ass = [
+      "[Script Info]",
+      "ScriptType: v4.00+",
+      "",
+      "[Events]",
+      "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+      "Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,Sonra, belki",
+      "Dialogue: 0,0:00:01.50,0:00:02.25,Default,,0,0,0,,{\\i1}Evet{\\i0}\\Nhayır{\\b1}!",
+      "Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\p1}m 0 0 l 100 0",
+    ].join("\n");
+    const { vtt, cues } = convertToWebVtt(ass);
+    expect(cues).toBe(2);
+    expect(vtt).toBe(
+      "WEBVTT\n\n" +
+        "00:00:01.500 --> 00:00:02.250\n<i>Evet</i>\nhayır<b>!</b>\n\n" +
+        "00:00:05.000 --> 00:00:06.000\nSonra, belki\n"
+    );
+  });
+
+  it("keeps WebVTT cue ids and settings and skips NOTE blocks", () => {
+    const vtt = "WEBVTT\n\nNOTE çeviri\n\nintro\n01:02.000 --> 01:03.500 line:0 align:start\n<i>Selam</i>\n";
+    expect(convertToWebVtt(vtt).vtt).toBe(
+      "WEBVTT\n\nintro\n00:01:02.000 --> 00:01:03.500 line:0 align:start\n<i>Selam</i>\n"
+    );
+  });
+
+  it("shifts cues by the offset, clamping at zero and dropping those that end before it", () => {
+    const srt = [
+      "1\n00:00:01,000 --> 00:00:02,000\nA",
+      "2\n00:00:02,500 --> 00:00:04,000\nB",
+      "3\n00:00:05,000 --> 00:00:06,000\nC",
+    ].join("\n\n");
+    expect(convertToWebVtt(srt, { offsetMs: -3000 })).toEqual({
+      vtt: "WEBVTT\n\n00:00:00.000 --> 00:00:01.000\nB\n\n00:00:02.000 --> 00:00:03.000\nC\n",
+      format: "srt",
+      cues: 2,
+    });
+    expect(convertToWebVtt(srt, { offsetMs: 3600000 }).vtt).toContain("01:00:01.000 --> 01:00:02.000");
+  });
+
+  it("rejects unrecognised input and files without cues with 422", () => {
+    expect(() => convertToWebVtt("hello")).toThrow(new SubtitleError(422, "not an SRT, ASS/SSA or WebVTT file"));
+    expect(() => convertToWebVtt("WEBVTT\n\nNOTE nothing here\n")).toThrow("no cues found in vtt file");
+    expect(() => convertToWebVtt("x", { format: "sub" })).toThrow(SubtitleError);
+  });
+});
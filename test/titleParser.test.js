@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+import {
+  foldTitle,
+  parseEpisodeTitle,
+  parseReleaseTitle,
+  scoreCandidate,
+  titleSimilarity,
+} from "../lib/titleParser.js";
+
+describe("parseReleaseTitle", () => {
+  it.each([
+    ["Inception.2010.1080p.BluRay.x264-SPARKS", "Inception", 2010],
+    ["[4K] Dune Part Two (2024) Altyazılı", "Dune Part Two", 2024],
+    ["Avatar (Extended) 1080p", "Avatar", null],
+    ["Film Adı TR", "Film Adı", null],
+  ])("cleans %j", (raw, title, year) => {
+    expect(parseReleaseTitle(raw)).toMatchObject({ title, year });
+  });
+
+  it("keeps numbers that are part of the title", () => {
+    expect(parseReleaseTitle("2012 (2009)")).toMatchObject({ title: "2012", year: 2009 });
+    expect(parseReleaseTitle("Blade Runner 2049 2017")).toMatchObject({ title: "Blade Runner 2049", year: 2017 });
+  });
+
+  it("keeps ambiguous tokens that are ordinary title words", () => {
+    expect(parseReleaseTitle("Charlotte's Web").title).toBe("Charlotte's Web");
+    expect(parseReleaseTitle("The Complete Works").title).toBe("The Complete Works");
+  });
+
+  it("strips provider prefixes and returns bracketed tags", () => {
+    expect(parseReleaseTitle("TR: [VIP] Babam ve Oğlum (2005)")).toEqual({
+      title: "Babam ve Oğlum",
+      year: 2005,
+      tags: ["VIP"],
+    });
+  });
+
+  it("falls back to the raw title when everything is junk", () => {
+    expect(parseReleaseTitle("1080p").title).toBe("1080p");
+  });
+});
+
+describe("foldTitle / titleSimilarity", () => {
+  it("folds Turkish letters, diacritics and punctuation", () => {
+    expect(foldTitle("İstanbul Kırmızısı & Co.")).toBe("istanbul kirmizisi and co");
+  });
+
+  it("scores identical folded titles 1 and unrelated ones low", () => {
+    expect(titleSimilarity("Inception", "INCEPTION!")).toBe(1);
+    expect(titleSimilarity("Inception", "Titanic")).toBeLessThan(0.3);
+    expect(titleSimilarity("", "Titanic")).toBe(0);
+  });
+});
+
+describe("scoreCandidate", () => {
+  const query = { title: "Dune", year: 2021 };
+
+  it("prefers the exact year, then ±1, over other years", () => {
+    const exact = scoreCandidate(query, { title: "Dune", year: 2021, popularity: 100 });
+    const nextYear = scoreCandidate(query, { title: "Dune", year: 2022, popularity: 100 });
+    const remake = scoreCandidate(query, { title: "Dune", year: 1984, popularity: 100 });
+    expect(exact).toBeGreaterThan(nextYear);
+    expect(nextYear).toBeGreaterThan(remake);
+  });
+
+  it("uses the original title when it matches better", () => {
+    const localized = scoreCandidate({ title: "Amélie", year: 2001 }, { title: "Amelie", year: 2001 });
+    const original = scoreCandidate(
+      { title: "Le Fabuleux Destin d'Amélie Poulain", year: 2001 },
+      { title: "Amelie", originalTitle: "Le Fabuleux Destin d'Amélie Poulain", year: 2001 }
+    );
+    expect(localized).toBeCloseTo(0.9);
+    expect(original).toBeCloseTo(0.9);
+  });
+
+  it("weights similarity and popularity only without a year", () => {
+    expect(scoreCandidate({ title: "Dune", year: null }, { title: "Dune", popularity: 0 })).toBeCloseTo(0.85);
+  });
+});
+
+describe("parseEpisodeTitle", () => {
+  it.each([
+    ["Show S02E05", "Show"],
+    ["Show.s02.e05.1080p.WEB-DL", "Show"],
+    ["Show 2x05", "Show"],
+    ["Show Season 2 Episode 5", "Show"],
+    ["Show Sezon 2 Bölüm 5", "Show"],
+    ["Kuruluş Osman 2. Sezon 5. Bölüm", "Kuruluş Osman"],
+  ])("reads season 2 episode 5 from %j", (raw, title) => {
+    expect(parseEpisodeTitle(raw)).toEqual({ title, year: null, season: 2, episode: 5 });
+  });
+
+  it("takes a year from before or after the marker", () => {
+    expect(parseEpisodeTitle("Show (2019) S01E02")).toMatchObject({ title: "Show", year: 2019 });
+    expect(parseEpisodeTitle("Show.S01E10.(2022).1080p")).toMatchObject({ title: "Show", year: 2022, episode: 10 });
+  });
+
+  it("returns null coordinates without a marker", () => {
+    expect(parseEpisodeTitle("Just A Movie (2020)")).toEqual({
+      title: "Just A Movie",
+      year: 2020,
+      season: null,
+      episode: null,
+    });
+  });
+
+  it("does not read resolutions as NxM markers", () => {
+    expect(parseEpisodeTitle("Show 1920x1080").season).toBeNull();
+  });
+});
@@ -0,0 +1,169 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  TmdbError,
+  TmdbNotFoundError,
+  TmdbRateLimitError,
+  TmdbTimeoutError,
+  TmdbUpstreamError,
+  tmdbFetch,
+  tmdbRequest,
+} from "../lib/tmdb.js";
+
+const env = { TMDB_API_KEY: "secret", TMDB_MAX_RETRIES: "0" };
+// Fake time only moves forward across tests, as the bucket compares against
+// the time of its last refill.
+let clock = Date.now();
+let start;
+
+function jsonReply(status, body = {}, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json", ...headers } });
+}
+
+// Stubs fetch with one reply per call (the last one repeats) and records the
+// fake-clock time of each call relative to the start of the test.
+function stubFetch(...replies) {
+  const calls = [];
+  const fetchMock = vi.fn(async (url, init) => {
+    calls.push({ url: new URL(url), at: Date.now() - start, init });
+    const reply = replies[Math.min(calls.length, replies.length) - 1];
+    return typeof reply === "function" ? reply(init) : reply.clone();
+  });
+  vi.stubGlobal("fetch", fetchMock);
+  return calls;
+}
+
+// Settles `promise` while the fake clock runs, so rejections are observed
+// before the timers that cause them fire.
+async function settle(promise, ms = 60000) {
+  const outcome = promise.then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  );
+  await vi.advanceTimersByTimeAsync(ms);
+  return outcome;
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  // The token bucket is shared by the module; a minute refills it and ends any
+  // pause left by an earlier test.
+  clock += 60000;
+  vi.setSystemTime(clock);
+  start = clock;
+});
+
+afterEach(() => {
+  clock = Date.now();
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("tmdbFetch", () => {
+  it("sends the key and non-empty query parameters and returns the JSON body", async () => {
+    const calls = stubFetch(jsonReply(200, { results: [{ id: 27205 }] }));
+
+    const body = await tmdbFetch("search/movie", { query: "Inception", year: undefined, language: "" }, env);
+
+    expect(body).toEqual({ results: [{ id: 27205 }] });
+    expect(calls[0].url.pathname).toBe("/3/search/movie");
+    expect(Object.fromEntries(calls[0].url.searchParams)).toEqual({ query: "Inception", api_key: "secret" });
+  });
+
+  it("maps failures onto TmdbError subclasses with the status to answer with", async () => {
+    stubFetch(jsonReply(404));
+    const notFound = (await settle(tmdbFetch("movie/1", {}, env))).error;
+    expect(notFound).toBeInstanceOf(TmdbNotFoundError);
+    expect(notFound).toMatchObject({ status: 404, upstreamStatus: 404 });
+
+    stubFetch(jsonReply(429, {}, { "retry-after": "7" }));
+    const limited = (await settle(tmdbFetch("movie/1", {}, env))).error;
+    expect(limited).toBeInstanceOf(TmdbRateLimitError);
+    expect(limited).toMatchObject({ status: 429, retryAfter: 7 });
+
+    stubFetch(jsonReply(401));
+    const unauthorized = (await settle(tmdbFetch("movie/1", {}, env))).error;
+    expect(unauthorized).toBeInstanceOf(TmdbUpstreamError);
+    expect(unauthorized).toMatchObject({ status: 502, upstreamStatus: 401 });
+
+    stubFetch(() => Promise.reject(new TypeError("fetch failed")));
+    const unreachable = (await settle(tmdbFetch("movie/1", {}, env))).error;
+    expect(unreachable).toBeInstanceOf(TmdbUpstreamError);
+    expect(unreachable).toMatchObject({ status: 502, upstreamStatus: null });
+
+    for (const error of [notFound, limited, unauthorized, unreachable]) {
+      expect(error).toBeInstanceOf(TmdbError);
+    }
+  });
+
+  it("fails with 500 without an API key and makes no request", async () => {
+    const calls = stubFetch(jsonReply(200));
+    await expect(tmdbFetch("movie/1", {}, {})).rejects.toMatchObject({ name: "TmdbError", status: 500 });
+    expect(calls).toHaveLength(0);
+  });
+});
+
+describe("tmdbRequest", () => {
+  it("spaces requests out to the configured rate", async () => {
+    const calls = stubFetch(jsonReply(200));
+    const limited = { ...env, TMDB_RATE_LIMIT_PER_SECOND: "2" };
+
+    const requests = Array.from({ length: 4 }, (_, i) => tmdbRequest(`movie/${i}`, {}, limited));
+    await settle(Promise.all(requests));
+
+    // Two tokens at once, then one per 500ms.
+    expect(calls.map((call) => call.at)).toEqual([0, 0, 500, 1000]);
+  });
+
+  it("pauses every request for the Retry-After of a 429 and retries", async () => {
+    const calls = stubFetch(jsonReply(429, {}, { "retry-after": "2" }), jsonReply(200));
+    const retrying = { ...env, TMDB_MAX_RETRIES: "3" };
+
+    const first = tmdbRequest("movie/1", {}, retrying);
+    await vi.advanceTimersByTimeAsync(0);
+    const second = tmdbRequest("movie/2", {}, retrying);
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(calls).toHaveLength(1);
+    await vi.advanceTimersByTimeAsync(1);
+
+    expect((await first).status).toBe(200);
+    expect((await second).status).toBe(200);
+    expect(calls.slice(1).map((call) => call.at)).toEqual([2000, 2000]);
+  });
+
+  it("retries server errors with exponential backoff and returns the last response", async () => {
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    const calls = stubFetch(jsonReply(503));
+
+    const { value } = await settle(tmdbRequest("movie/1", {}, { ...env, TMDB_MAX_RETRIES: "3" }));
+
+    expect(value.status).toBe(503);
+    // Half of 250ms, 500ms and 1s with the jitter at zero.
+    expect(calls.map((call) => call.at)).toEqual([0, 125, 375, 875]);
+  });
+
+  it("recovers when a retry succeeds", async () => {
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    const calls = stubFetch(() => Promise.reject(new TypeError("socket hang up")), jsonReply(200, { id: 1 }));
+
+    const { value } = await settle(tmdbRequest("movie/1", {}, { ...env, TMDB_MAX_RETRIES: "1" }));
+
+    expect(await value.json()).toEqual({ id: 1 });
+    expect(calls).toHaveLength(2);
+  });
+
+  it("aborts an attempt after the timeout", async () => {
+    const calls = stubFetch(
+      ({ signal }) =>
+        new Promise((_, reject) => {
+          signal.addEventListener("abort", () => reject(new DOMException("aborted", "AbortError")));
+        })
+    );
+
+    const { error } = await settle(tmdbRequest("movie/1", {}, { ...env, TMDB_TIMEOUT_MS: "100" }));
+
+    expect(error).toBeInstanceOf(TmdbTimeoutError);
+    expect(error).toMatchObject({ status: 504, message: "TMDB request timed out after 100ms" });
+    expect(calls[0].init.signal.aborted).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { parseXmltv, parseXmltvTime } from "../lib/xmltv.js";
+
+describe("parseXmltvTime", () => {
+  it("applies the offset", () => {
+    expect(parseXmltvTime("20240101200000 +0300")).toBe(Date.UTC(2024, 0, 1, 17) / 1000);
+    expect(parseXmltvTime("20240101200000 -01:30")).toBe(Date.UTC(2024, 0, 1, 21, 30) / 1000);
+  });
+
+  it("treats missing parts as zero and a missing offset as UTC", () => {
+    expect(parseXmltvTime("202401012015")).toBe(Date.UTC(2024, 0, 1, 20, 15) / 1000);
+    expect(parseXmltvTime("20240101")).toBe(Date.UTC(2024, 0, 1) / 1000);
+  });
+
+  it("returns null for anything else", () => {
+    expect(parseXmltvTime("")).toBeNull();
+    expect(parseXmltvTime("yesterday")).toBeNull();
+  });
+});
+
+describe("parseXmltv", () => {
+  const guide = `<?xml version="1.0" encoding="UTF-8"?>
+<tv>
+  <channel id="trt1.tr">
+    <display-name lang="tr">TRT 1</display-name>
+    <display-name>TRT1 HD</display-name>
+    <icon src="http://l/trt1.png"/>
+  </channel>
+  <channel><display-name>No id</display-name></channel>
+  <programme start="20240101200000 +0300" stop="20240101213000 +0300" channel="trt1.tr">
+    <title lang="tr">Tom &amp; Jerry</title>
+    <sub-title><![CDATA[Kedi <ve> fare]]></sub-title>
+    <desc>&#231;izgi &#x66;ilm</desc>
+    <category>Animation</category>
+    <category>Kids</category>
+    <episode-num system="xmltv_ns">1.4/10.</episode-num>
+    <date>1940</date>
+    <icon src='http://l/tj.jpg'/>
+  </programme>
+  <programme start="20240101213000 +0300" channel="trt1.tr">
+    <title>Haberler</title>
+    <episode-num system="onscreen">S03E12</episode-num>
+  </programme>
+  <programme start="20240101213000 +0300" channel="trt1.tr"/>
+  <programme start="bad" channel="trt1.tr"><title>Dropped</title></programme>
+  <programme start="20240101213000 +0300"><title>No channel</title></programme>
+</tv>`;
+
+  it("reads channels with an id", () => {
+    expect(parseXmltv(guide).channels).toEqual([
+      { id: "trt1.tr", displayNames: ["TRT 1", "TRT1 HD"], icon: "http://l/trt1.png" },
+    ]);
+  });
+
+  it("reads programmes, decoding entities and CDATA", () => {
+    const [first] = parseXmltv(guide).programmes;
+    expect(first).toEqual({
+      channel: "trt1.tr",
+      start: Date.UTC(2024, 0, 1, 17) / 1000,
+      stop: Date.UTC(2024, 0, 1, 18, 30) / 1000,
+      title: "Tom & Jerry",
+      subTitle: "Kedi <ve> fare",
+      desc: "çizgi film",
+      categories: ["Animation", "Kids"],
+      episode: { season: 2, episode: 5 },
+      date: "1940",
+      icon: "http://l/tj.jpg",
+    });
+  });
+
+  it("reads onscreen episode numbers, self-closing programmes and a missing stop", () => {
+    const [, second, third] = parseXmltv(guide).programmes;
+    expect(second).toMatchObject({ title: "Haberler", stop: null, episode: { season: 3, episode: 12 } });
+    expect(third).toMatchObject({ title: null, categories: [], episode: null });
+  });
+
+  it("drops programmes without a channel or a valid start", () => {
+    expect(parseXmltv(guide).programmes).toHaveLength(3);
+  });
+});